@@ -3,19 +3,58 @@
  * 
  * This module handles the integration with blockchain technologies for immutable
  * logging of test results. It formats results for storage through the Solana smart
- * contract + IPFS/Arweave pipeline, with hooks for the aggregator agent to consume.
+ * contract + decentralized storage pipeline, with hooks for the aggregator agent to consume.
  */
 
-const { Connection, PublicKey, Transaction, sendAndConfirmTransaction } = require('@solana/web3.js');
-const { NFTStorage } = require('nft.storage');
+const { Connection, PublicKey, Transaction, TransactionInstruction } = require('@solana/web3.js');
 const fs = require('fs');
 const path = require('path');
+const { RESULTS_SCHEMA_VERSION, migrateResultsFile } = require('../lib/results');
+const {
+  COMMITMENTS,
+  BLOCKCHAIN_ERROR_CODES,
+  BlockchainError,
+  loadKeypair,
+  toBlockchainError,
+  hasReachedCommitment,
+  clusterName
+} = require('../lib/solana');
+const {
+  COMMIT_SHA_PATTERN,
+  hashResults,
+  hashRepoUrl,
+  createAttestation,
+  verifyAttestation,
+  encodeAttestation,
+  decodeAttestation
+} = require('../lib/attestation');
+const { createStorageProvider, DEFAULT_IPFS_GATEWAYS, resolveGateways, getWithFallback } = require('../lib/storage');
+const { redact } = require('../lib/redact');
+const { version: APP_VERSION } = require('../package.json');
+
+// Interval between signature status checks while confirming a transaction
+const CONFIRMATION_POLL_INTERVAL = 500;
+
+// Tag identifying the data this application stores
+const APP_NAME = 'QAaaS';
+
+// Outcome of each check of a verification report
+const CHECK_STATUS = Object.freeze({
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+});
 
 class BlockchainLogger {
   constructor(config = {}) {
     // Solana configuration
     this.solanaEndpoint = config.solanaEndpoint || 'https://api.devnet.solana.com';
-    this.solanaConnection = new Connection(this.solanaEndpoint);
+    this.commitment = config.commitment || process.env.SOLANA_COMMITMENT || 'confirmed';
+    if (!COMMITMENTS.includes(this.commitment)) {
+      console.warn(`Invalid Solana commitment "${this.commitment}", using confirmed`);
+      this.commitment = 'confirmed';
+    }
+    this.solanaConnection = new Connection(this.solanaEndpoint, this.commitment);
     
     // Safely initialize programId with validation
     try {
@@ -26,13 +65,52 @@ class BlockchainLogger {
       this.programId = null;
     }
     
-    this.payer = config.payer || null; // Wallet for paying transaction fees
+    // Wallet paying the transaction fees: a Keypair, or loaded from a keypair file or encoded secret key
+    try {
+      this.payer = config.payer || loadKeypair({
+        keypairPath: config.payerKeypairPath || process.env.SOLANA_KEYPAIR_PATH,
+        privateKey: config.payerPrivateKey || process.env.SOLANA_PRIVATE_KEY
+      });
+    } catch (error) {
+      console.warn(`${error.message}. Blockchain logging will be disabled.`);
+      this.payer = null;
+    }
+    
+    // Agent key signing the attestations of results; the payer signs them unless a separate key is configured
+    try {
+      this.agentKeypair = config.agentKeypair || loadKeypair({
+        keypairPath: config.agentKeypairPath || process.env.QAAS_AGENT_KEYPAIR_PATH,
+        privateKey: config.agentPrivateKey || process.env.QAAS_AGENT_PRIVATE_KEY
+      }) || this.payer;
+    } catch (error) {
+      console.warn(`${error.message}. Results will be attested with the payer keypair.`);
+      this.agentKeypair = this.payer;
+    }
     
-    // IPFS/Arweave configuration
-    this.storageType = config.storageType || 'ipfs'; // 'ipfs' or 'arweave'
-    this.ipfsApiKey = config.ipfsApiKey || process.env.NFT_STORAGE_API_KEY;
-    this.ipfsClient = this.ipfsApiKey ? new NFTStorage({ token: this.ipfsApiKey }) : null;
-    this.arweaveKey = config.arweaveKey || null;
+    // Agent public keys whose attestations verification accepts, besides the agent key's own
+    this.trustedAgents = config.trustedAgents || (process.env.QAAS_TRUSTED_AGENT_KEYS || '')
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean);
+    if (this.agentKeypair) {
+      this.trustedAgents = [...new Set([...this.trustedAgents, this.agentKeypair.publicKey.toBase58()])];
+    }
+    
+    // Decentralized storage: a provider instance, provider options ({ type, ... }) or STORAGE_TYPE (see lib/storage)
+    try {
+      this.storage = createStorageProvider(config.storage ||
+        (config.storageType ? { type: config.storageType, arweaveKey: config.arweaveKey } : undefined));
+    } catch (error) {
+      console.warn(`${error.message}. Decentralized storage will be disabled.`);
+      this.storage = null;
+    }
+    this.storageType = this.storage ? this.storage.type : null;
+    if (!this.storage && process.env.NFT_STORAGE_API_KEY) {
+      console.warn('NFT.Storage no longer accepts uploads; configure a storage provider with STORAGE_TYPE instead of NFT_STORAGE_API_KEY');
+    }
+    
+    // Gateways to retrieve stored results from when the provider can't serve them
+    this.gateways = resolveGateways(config.gateways, DEFAULT_IPFS_GATEWAYS);
     
     // Local storage for backup
     this.localStoragePath = config.localStoragePath || path.join(process.cwd(), 'blockchain_logs');
@@ -47,60 +125,93 @@ class BlockchainLogger {
    * @param {Object} results - Test results to log
    * @param {string} type - Type of test ('unit' or 'integration')
    * @param {string} repoId - Repository identifier
-   * @returns {Promise<Object>} - Logging result with transaction IDs and storage URLs
+   * @param {Object} source - What was tested, for the attestation: { repoUrl, commit } (optional)
+   * @returns {Promise<Object>} - Logging result with transaction IDs, storage URLs and the signed attestation
    */
-  async logResults(results, type, repoId) {
+  async logResults(results, type, repoId, source = {}) {
     try {
       let storageResult = null;
       let blockchainResult = null;
+      let attestation = null;
       
-      // Check if we have a valid IPFS API key for storage
-      if (this.ipfsClient) {
+      let blockchainError = null;
+      
+      // Check if we have a storage provider
+      if (this.storage) {
         try {
           // Store the results in decentralized storage
           storageResult = await this._storeResults(results, type, repoId);
-          
-          // Log the reference on Solana blockchain if programId is valid
-          if (this.programId) {
-            blockchainResult = await this._logToBlockchain(storageResult.cid, type, repoId);
-          } else {
-            console.log('Skipping blockchain logging: No valid Solana program ID configured');
-          }
         } catch (storageError) {
           console.warn(`Failed to store results in decentralized storage: ${storageError.message}`);
           // Continue with local backup only
         }
       } else {
-        console.log('Skipping decentralized storage: No valid NFT.Storage API key configured');
+        console.log('Skipping decentralized storage: No storage provider configured');
+      }
+      
+      // Attest the results, referencing the stored copy if there is one
+      if (this.agentKeypair) {
+        attestation = createAttestation({
+          results,
+          type,
+          repoUrl: source.repoUrl,
+          commit: source.commit,
+          cid: storageResult && storageResult.cid
+        }, this.agentKeypair);
+      }
+      
+      // Log the attestation on Solana blockchain if programId and payer are valid; without
+      // stored results it has no cid, but still commits to their hash
+      if (!this.programId) {
+        console.log('Skipping blockchain logging: No valid Solana program ID configured');
+      } else if (!this.payer) {
+        console.log('Skipping blockchain logging: No Solana payer keypair configured');
+      } else {
+        try {
+          blockchainResult = await this._logToBlockchain(attestation, repoId);
+        } catch (error) {
+          console.warn(`Failed to log results to Solana: ${error.message}`);
+          blockchainError = { code: error.code || BLOCKCHAIN_ERROR_CODES.RPC_ERROR, message: error.message };
+        }
       }
       
       // Save a local backup
-      const localBackupPath = this._saveLocalBackup(results, storageResult, blockchainResult, type, repoId);
+      const localBackupPath = this._saveLocalBackup(results, storageResult, blockchainResult, type, repoId, attestation, source);
       
       const response = {
         success: true,
         type,
         repoId,
+        runId: this._runId(path.basename(localBackupPath), repoId),
         timestamp: new Date().toISOString(),
         localBackup: localBackupPath
       };
       
+      if (attestation) {
+        response.attestation = attestation;
+      }
+      
       // Add storage info if available
       if (storageResult) {
         response.storage = {
           type: this.storageType,
           cid: storageResult.cid,
-          url: storageResult.url
+          url: storageResult.url,
+          status: storageResult.status
         };
       }
       
       // Add blockchain info if available
       if (blockchainResult) {
         response.blockchain = {
-          network: this.solanaEndpoint.includes('devnet') ? 'devnet' : 'mainnet',
+          network: clusterName(this.solanaEndpoint),
           transactionId: blockchainResult.transactionId,
-          blockHeight: blockchainResult.blockHeight
+          slot: blockchainResult.slot,
+          commitment: blockchainResult.commitment,
+          fee: blockchainResult.fee
         };
+      } else if (blockchainError) {
+        response.blockchain = { network: clusterName(this.solanaEndpoint), error: blockchainError };
       }
       
       return response;
@@ -114,6 +225,7 @@ class BlockchainLogger {
         success: false,
         type,
         repoId,
+        runId: this._runId(path.basename(localBackupPath), repoId),
         timestamp: new Date().toISOString(),
         error: error.message,
         localBackup: localBackupPath
@@ -122,12 +234,17 @@ class BlockchainLogger {
   }
 
   /**
-   * Store test results in decentralized storage (IPFS or Arweave)
+   * Store test results in decentralized storage
+   * 
+   * Puts the results with the configured provider and pins them. Results the
+   * provider hasn't finished pinning (an Arweave transaction not yet mined, a
+   * pinning service still fetching them) are returned as pending; they can be
+   * retrieved meanwhile.
    * 
    * @param {Object} results - Test results to store
    * @param {string} type - Type of test
    * @param {string} repoId - Repository identifier
-   * @returns {Promise<Object>} - Storage result with CID and URL
+   * @returns {Promise<Object>} - Storage result: { cid, url, status: 'pinned' or 'pending' } and provider details
    * @private
    */
   async _storeResults(results, type, repoId) {
@@ -138,103 +255,190 @@ class BlockchainLogger {
       timestamp: new Date().toISOString(),
       results
     };
+    const tags = this._resultTags(type, repoId, results.schemaVersion);
     
-    if (this.storageType === 'ipfs') {
-      if (!this.ipfsClient) {
-        throw new Error('IPFS client not configured. Please provide a valid NFT.Storage API key.');
-      }
+    try {
+      const stored = await this.storage.put(Buffer.from(JSON.stringify(metadata)), {
+        contentType: 'application/json',
+        name: `${metadata.name}.json`,
+        tags
+      });
+      console.log(`Stored results on ${this.storageType}: ${stored.cid}`);
       
-      try {
-        // Store on IPFS using NFT.Storage
-        const blob = new Blob([JSON.stringify(metadata)], { type: 'application/json' });
-        const cid = await this.ipfsClient.storeBlob(blob);
-        
-        return {
-          cid,
-          url: `https://${cid}.ipfs.nftstorage.link`
-        };
-      } catch (error) {
-        console.error('Error storing data on IPFS:', error);
-        throw new Error(`Failed to store data on IPFS: ${error.message}`);
-      }
-    } else if (this.storageType === 'arweave') {
-      // Note: Arweave implementation would go here
-      // This is a placeholder for actual Arweave integration
-      throw new Error('Arweave storage not yet implemented');
-    } else {
-      throw new Error(`Unsupported storage type: ${this.storageType}`);
+      const pinned = await this.storage.pin(stored.cid, { name: metadata.name, tags });
+      
+      return { ...stored, ...pinned };
+    } catch (error) {
+      console.error(`Error storing data on ${this.storageType}:`, error.message);
+      throw new Error(`Failed to store data on ${this.storageType}: ${error.message}`);
     }
   }
 
   /**
-   * Log a reference to the stored results on the Solana blockchain
+   * Tags of stored test results, which make them findable with the providers' queries
    * 
-   * @param {string} cid - Content identifier from decentralized storage
    * @param {string} type - Type of test
    * @param {string} repoId - Repository identifier
-   * @returns {Promise<Object>} - Blockchain transaction result
+   * @param {string} schemaVersion - Results schema version (optional)
+   * @returns {Array<Object>} - { name, value } per tag
+   * @private
+   */
+  _resultTags(type, repoId, schemaVersion) {
+    return [
+      { name: 'App-Name', value: APP_NAME },
+      { name: 'App-Version', value: APP_VERSION },
+      { name: 'Test-Type', value: type },
+      { name: 'Repo-Id', value: repoId },
+      ...(schemaVersion ? [{ name: 'Schema-Version', value: schemaVersion }] : [])
+    ];
+  }
+
+  /**
+   * Log the attestation of results on the Solana blockchain
+   * 
+   * Sends a transaction calling the configured program with the encoded
+   * attestation as instruction data, signed by the payer, and waits until it
+   * reaches the configured commitment. The encoding is UTF-8 JSON, so the
+   * SPL Memo program can serve as the program.
+   * 
+   * @param {Object} attestation - Signed attestation from createAttestation
+   * @param {string} repoId - Repository identifier
+   * @returns {Promise<Object>} - { transactionId, slot, commitment, fee }
+   * @throws {BlockchainError} - If the payer can't cover the fee or rent, or the transaction fails or expires
    * @private
    */
-  async _logToBlockchain(cid, type, repoId) {
+  async _logToBlockchain(attestation, repoId) {
     if (!this.programId) {
       throw new Error('Solana program ID not configured or invalid');
     }
     
     if (!this.payer) {
-      console.log('No Solana payer wallet configured, using simulated transaction');
+      throw new Error('Solana payer keypair not configured');
     }
     
+    if (!attestation) {
+      throw new Error('No attestation to log: no agent keypair configured');
+    }
+    
+    console.log(`Logging to Solana blockchain: ${attestation.cid || attestation.resultsHash} (${attestation.type} tests for ${repoId})`);
+    
+    const payer = this.payer.publicKey.toBase58();
+    let signature = null;
+    
     try {
-      // This is a placeholder for actual Solana smart contract interaction
-      // In a real implementation, you would construct and send a transaction
-      // to your Solana program that logs the test results
+      const instruction = new TransactionInstruction({
+        keys: [
+          { pubkey: this.payer.publicKey, isSigner: true, isWritable: true }
+        ],
+        programId: this.programId,
+        data: encodeAttestation(attestation)
+      });
+      
+      const { blockhash, lastValidBlockHeight } = await this.solanaConnection.getLatestBlockhash(this.commitment);
+      const transaction = new Transaction({ feePayer: this.payer.publicKey, blockhash, lastValidBlockHeight }).add(instruction);
       
-      console.log(`Logging to Solana blockchain: ${cid} (${type} tests for ${repoId})`);
+      const fee = await this._checkPayerFunds(transaction);
+      
+      transaction.sign(this.payer);
+      signature = await this.solanaConnection.sendRawTransaction(transaction.serialize(), {
+        preflightCommitment: this.commitment
+      });
+      
+      const status = await this._confirmTransaction(signature, lastValidBlockHeight);
       
-      // Simulate a successful transaction
       return {
-        transactionId: `simulated_tx_${Date.now()}`,
-        blockHeight: 12345678
+        transactionId: signature,
+        slot: status.slot,
+        commitment: this.commitment,
+        fee
       };
     } catch (error) {
-      console.error('Error logging to blockchain:', error);
-      throw new Error(`Failed to log to blockchain: ${error.message}`);
+      const blockchainError = toBlockchainError(error, { signature, payer });
+      console.error('Error logging to blockchain:', blockchainError.message);
+      throw blockchainError;
     }
+  }
+
+  /**
+   * Check that the payer can pay the fee of a transaction and stay rent-exempt
+   * 
+   * Catches an unfunded payer before the transaction is signed and sent, with
+   * a clearer error than the preflight simulation gives.
+   * 
+   * @param {Transaction} transaction - Transaction with fee payer and blockhash set
+   * @returns {Promise<number>} - Fee in lamports
+   * @throws {BlockchainError} - If the balance doesn't cover the fee, or leaves less than the rent-exempt minimum
+   * @private
+   */
+  async _checkPayerFunds(transaction) {
+    const payer = this.payer.publicKey.toBase58();
+    const [{ value: fee }, balance, rentExemptMinimum] = await Promise.all([
+      this.solanaConnection.getFeeForMessage(transaction.compileMessage(), this.commitment),
+      this.solanaConnection.getBalance(this.payer.publicKey, this.commitment),
+      this.solanaConnection.getMinimumBalanceForRentExemption(0, this.commitment)
+    ]);
     
-    // Example of actual Solana transaction (commented out)
-    /*
-    // Create an instruction to call your program
-    const instruction = new TransactionInstruction({
-      keys: [
-        { pubkey: this.payer.publicKey, isSigner: true, isWritable: true },
-        // Add other account keys as needed by your program
-      ],
-      programId: this.programId,
-      data: Buffer.from(JSON.stringify({
-        action: 'log_test_results',
-        cid,
-        type,
-        repoId,
-        timestamp: new Date().toISOString()
-      }))
-    });
+    // The fee is unknown (null) once the blockhash has expired; sending then fails with a clear error anyway
+    if (fee === null) {
+      return null;
+    }
     
-    // Create and send the transaction
-    const transaction = new Transaction().add(instruction);
-    const signature = await sendAndConfirmTransaction(
-      this.solanaConnection,
-      transaction,
-      [this.payer]
-    );
+    if (balance < fee) {
+      throw new BlockchainError(
+        `Solana payer ${payer} can't pay the transaction fee: balance ${balance} lamports, fee ${fee} lamports`,
+        BLOCKCHAIN_ERROR_CODES.INSUFFICIENT_FUNDS_FOR_FEE
+      );
+    }
     
-    // Get the block height
-    const { slot } = await this.solanaConnection.getSignatureStatus(signature);
+    // An account may be emptied, but not left with less than the rent-exempt minimum
+    if (balance - fee > 0 && balance - fee < rentExemptMinimum) {
+      throw new BlockchainError(
+        `Solana payer ${payer} would fall below its rent-exempt minimum: balance ${balance} lamports, ` +
+          `fee ${fee} lamports, minimum ${rentExemptMinimum} lamports`,
+        BLOCKCHAIN_ERROR_CODES.INSUFFICIENT_FUNDS_FOR_RENT
+      );
+    }
     
-    return {
-      transactionId: signature,
-      blockHeight: slot
-    };
-    */
+    return fee;
+  }
+
+  /**
+   * Wait until a transaction reaches the configured commitment
+   * 
+   * Polls the signature status over HTTP, so RPC endpoints without a
+   * websocket work too, until the transaction is confirmed or its blockhash
+   * expires.
+   * 
+   * @param {string} signature - Transaction signature
+   * @param {number} lastValidBlockHeight - Last block height at which the transaction's blockhash is valid
+   * @returns {Promise<Object>} - Signature status, with the slot the transaction was processed in
+   * @throws {BlockchainError} - If the transaction fails or expires
+   * @private
+   */
+  async _confirmTransaction(signature, lastValidBlockHeight) {
+    for (;;) {
+      const { value: [status] } = await this.solanaConnection.getSignatureStatuses([signature]);
+      
+      if (status && status.err) {
+        throw toBlockchainError(status.err, { signature, payer: this.payer.publicKey.toBase58() });
+      }
+      
+      if (hasReachedCommitment(status, this.commitment)) {
+        return status;
+      }
+      
+      // A transaction whose blockhash expired can no longer be processed
+      const blockHeight = await this.solanaConnection.getBlockHeight(this.commitment);
+      if (blockHeight > lastValidBlockHeight) {
+        throw new BlockchainError(
+          `Solana transaction ${signature} expired before reaching ${this.commitment} commitment`,
+          BLOCKCHAIN_ERROR_CODES.TRANSACTION_EXPIRED,
+          { signature }
+        );
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, CONFIRMATION_POLL_INTERVAL));
+    }
   }
 
   /**
@@ -245,21 +449,27 @@ class BlockchainLogger {
    * @param {Object} blockchainResult - Blockchain transaction result
    * @param {string} type - Type of test
    * @param {string} repoId - Repository identifier
+   * @param {Object} attestation - Signed attestation of the results (optional)
+   * @param {Object} source - What was tested: { repoUrl, commit } (optional)
    * @returns {string} - Path to the local backup file
    * @private
    */
-  _saveLocalBackup(results, storageResult, blockchainResult, type, repoId) {
+  _saveLocalBackup(results, storageResult, blockchainResult, type, repoId, attestation = null, source = {}) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const filename = `${repoId}-${type}-${timestamp}.json`;
     const filePath = path.join(this.localStoragePath, filename);
     
     const backupData = {
+      schemaVersion: RESULTS_SCHEMA_VERSION,
       repoId,
       type,
+      // Without credentials; verification compares it with the attested repository
+      repoUrl: source.repoUrl ? redact(source.repoUrl) : null,
       timestamp: new Date().toISOString(),
       results,
       storage: storageResult,
-      blockchain: blockchainResult
+      blockchain: blockchainResult,
+      attestation
     };
     
     fs.writeFileSync(filePath, JSON.stringify(backupData, null, 2));
@@ -267,6 +477,44 @@ class BlockchainLogger {
     return filePath;
   }
 
+  /**
+   * Identifier of a logged run: its local backup file name without the repository ID
+   * 
+   * @param {string} file - Backup file name
+   * @param {string} repoId - Repository identifier
+   * @returns {string} - Run identifier, e.g. unit-2025-09-14T18-45-34-391Z
+   * @private
+   */
+  _runId(file, repoId) {
+    return path.basename(file, '.json').slice(repoId.length + 1);
+  }
+
+  /**
+   * Find the local backup of a logged run
+   * 
+   * Only names listed in the backup directory match, so IDs can't point outside it.
+   * 
+   * @param {string} repoId - Repository identifier
+   * @param {string} runId - Run identifier
+   * @returns {string|null} - Backup file name, or null if there is none
+   * @private
+   */
+  _findLocalBackup(repoId, runId) {
+    const filename = `${repoId}-${runId}.json`;
+    return fs.readdirSync(this.localStoragePath).find(file => file === filename) || null;
+  }
+
+  /**
+   * Read a local backup, converting backups of older versions to the current schema
+   * 
+   * @param {string} file - Backup file name
+   * @returns {Object} - Backup data
+   * @private
+   */
+  _readLocalBackup(file) {
+    return migrateResultsFile(JSON.parse(fs.readFileSync(path.join(this.localStoragePath, file), 'utf8')));
+  }
+
   /**
    * Retrieve test results from blockchain and decentralized storage
    * 
@@ -275,20 +523,7 @@ class BlockchainLogger {
    */
   async retrieveResults(cid) {
     try {
-      if (this.storageType === 'ipfs') {
-        // Fetch from IPFS
-        const response = await fetch(`https://${cid}.ipfs.nftstorage.link`);
-        if (!response.ok) {
-          throw new Error(`Failed to fetch from IPFS: ${response.statusText}`);
-        }
-        
-        return await response.json();
-      } else if (this.storageType === 'arweave') {
-        // Note: Arweave retrieval implementation would go here
-        throw new Error('Arweave retrieval not yet implemented');
-      } else {
-        throw new Error(`Unsupported storage type: ${this.storageType}`);
-      }
+      return await this._retrieve(cid);
     } catch (error) {
       console.error('Failed to retrieve results:', error);
       
@@ -304,14 +539,221 @@ class BlockchainLogger {
       });
       
       if (matchingFile) {
-        const data = JSON.parse(fs.readFileSync(path.join(this.localStoragePath, matchingFile), 'utf8'));
-        return data.results;
+        return this._readLocalBackup(matchingFile).results;
       }
       
       throw new Error(`Could not retrieve results for CID: ${cid}`);
     }
   }
 
+  /**
+   * Retrieve stored data, from the storage provider or else the configured gateways
+   * 
+   * @param {string} cid - Content identifier
+   * @returns {Promise<Object>} - Stored data: metadata with the results
+   * @private
+   */
+  async _retrieve(cid) {
+    // Results stored with another provider, e.g. before a switch, may still be on the gateways
+    const providerGateways = (this.storage && this.storage.gateways) || [];
+    const gateways = this.gateways.filter(gateway => !providerGateways.includes(gateway));
+    const data = await getWithFallback(cid, this.storage && (() => this.storage.get(cid)), gateways);
+    return JSON.parse(data.toString('utf8'));
+  }
+
+  /**
+   * Verify the results of a logged run against their on-chain attestation
+   * 
+   * Re-fetches the stored results, from decentralized storage or else the local backup,
+   * recomputes their hash, looks up the logged transaction and checks the
+   * attestation it carries: that its results hash matches, that it is signed
+   * by its agent and the agent is trusted, that it is for the expected commit
+   * and repository, and that it names the stored results. Each check is
+   * reported as passed, failed, or skipped when an earlier check left nothing
+   * to compare.
+   * 
+   * @param {string} repoId - Repository identifier
+   * @param {string} runId - Run identifier, as listed by getResultsForRepo
+   * @param {Object} options - Verification options
+   * @param {string} options.commit - Commit the results should be for, full or abbreviated to at least 7
+   *   lowercase hex digits (optional; defaults to the commit recorded in the local backup)
+   * @param {string} options.repoUrl - Repository the results should be for (optional; defaults to the
+   *   repository recorded in the local backup)
+   * @returns {Promise<Object|null>} - Verification report, or null if the run isn't found:
+   *   { repoId, runId, type, verified, network, transactionId, source, attestation, checks: [{ name, status, message }] }
+   */
+  async verifyResults(repoId, runId, options = {}) {
+    const file = this._findLocalBackup(repoId, runId);
+    if (!file) {
+      return null;
+    }
+    
+    const backup = this._readLocalBackup(file);
+    const checks = [];
+    const check = (name, status, message) => checks.push({ name, status, message });
+    
+    // The stored results
+    const payload = await this._fetchStoredResults(backup);
+    if (payload.results) {
+      check('payload', CHECK_STATUS.PASSED, `Fetched the results from ${payload.source === 'storage' ? `storage (${backup.storage.cid})` : 'the local backup'}`);
+    } else {
+      check('payload', CHECK_STATUS.FAILED, 'The results are neither in decentralized storage nor in the local backup');
+    }
+    
+    // The attestation logged on chain
+    const transactionId = backup.blockchain ? backup.blockchain.transactionId : null;
+    let attestation = null;
+    if (!transactionId) {
+      check('transaction', CHECK_STATUS.FAILED, 'No transaction was logged for this run');
+    } else {
+      try {
+        attestation = await this._fetchAttestation(transactionId);
+        check('transaction', CHECK_STATUS.PASSED, `Transaction ${transactionId} carries an attestation (version ${attestation.v})`);
+      } catch (error) {
+        check('transaction', CHECK_STATUS.FAILED, error.message);
+      }
+    }
+    
+    if (!attestation) {
+      ['results-hash', 'signature', 'agent', 'commit', 'repo', 'cid'].forEach(name => {
+        check(name, CHECK_STATUS.SKIPPED, 'No on-chain attestation to compare with');
+      });
+    } else {
+      if (!payload.results) {
+        check('results-hash', CHECK_STATUS.SKIPPED, 'No results to hash');
+      } else {
+        const resultsHash = hashResults(payload.results);
+        if (resultsHash === attestation.resultsHash) {
+          check('results-hash', CHECK_STATUS.PASSED, `Results hash ${resultsHash} matches the attestation`);
+        } else {
+          check('results-hash', CHECK_STATUS.FAILED, `Results hash ${resultsHash} differs from the attested ${attestation.resultsHash}`);
+        }
+      }
+      
+      if (verifyAttestation(attestation)) {
+        check('signature', CHECK_STATUS.PASSED, `Attestation is signed by agent ${attestation.agent}`);
+      } else {
+        check('signature', CHECK_STATUS.FAILED, `Attestation signature is not valid for agent ${attestation.agent}`);
+      }
+      
+      // Anyone can sign a valid attestation; only a trusted agent's vouches for the results
+      if (this.trustedAgents.length === 0) {
+        check('agent', CHECK_STATUS.FAILED, 'No trusted agent keys configured (QAAS_TRUSTED_AGENT_KEYS or the agent key)');
+      } else if (this.trustedAgents.includes(attestation.agent)) {
+        check('agent', CHECK_STATUS.PASSED, `Agent ${attestation.agent} is trusted`);
+      } else {
+        check('agent', CHECK_STATUS.FAILED, `Agent ${attestation.agent} is not a trusted agent`);
+      }
+      
+      const expectedCommit = options.commit || (backup.attestation ? backup.attestation.commit : null);
+      if (!attestation.commit) {
+        check('commit', CHECK_STATUS.FAILED, 'The attestation names no commit');
+      } else if (!expectedCommit) {
+        check('commit', CHECK_STATUS.SKIPPED, `Attested commit ${attestation.commit}; no expected commit to compare with`);
+      } else if (!COMMIT_SHA_PATTERN.test(expectedCommit)) {
+        check('commit', CHECK_STATUS.FAILED, `Expected commit ${expectedCommit} is not a commit SHA of 7 to 40 hex digits`);
+      } else if (attestation.commit.startsWith(expectedCommit)) {
+        check('commit', CHECK_STATUS.PASSED, `Attested commit ${attestation.commit} matches ${expectedCommit}`);
+      } else {
+        check('commit', CHECK_STATUS.FAILED, `Attested commit ${attestation.commit} differs from ${expectedCommit}`);
+      }
+      
+      const expectedRepoUrl = options.repoUrl || backup.repoUrl || null;
+      if (!attestation.repoHash) {
+        check('repo', CHECK_STATUS.FAILED, 'The attestation names no repository');
+      } else if (!expectedRepoUrl) {
+        check('repo', CHECK_STATUS.SKIPPED, `Attested repository hash ${attestation.repoHash}; no expected repository to compare with`);
+      } else if (hashRepoUrl(expectedRepoUrl) === attestation.repoHash) {
+        check('repo', CHECK_STATUS.PASSED, `Attested repository matches ${redact(expectedRepoUrl)}`);
+      } else {
+        check('repo', CHECK_STATUS.FAILED, `Attested repository hash ${attestation.repoHash} differs from that of ${redact(expectedRepoUrl)}`);
+      }
+      
+      // The stored copy must be the one the attestation names
+      const storedCid = backup.storage ? backup.storage.cid : null;
+      if (attestation.cid === (storedCid || null)) {
+        check('cid', CHECK_STATUS.PASSED, storedCid
+          ? `Attested cid ${attestation.cid} matches the stored results`
+          : 'Neither the attestation nor the run names stored results');
+      } else {
+        check('cid', CHECK_STATUS.FAILED, `Attested cid ${attestation.cid} differs from the stored ${storedCid}`);
+      }
+    }
+    
+    return {
+      repoId,
+      runId,
+      type: backup.type,
+      verified: checks.every(({ status }) => status === CHECK_STATUS.PASSED),
+      network: clusterName(this.solanaEndpoint),
+      transactionId,
+      source: payload.source,
+      attestation,
+      checks
+    };
+  }
+
+  /**
+   * Fetch the stored results of a logged run
+   * 
+   * @param {Object} backup - Local backup of the run
+   * @returns {Promise<Object>} - { source: 'storage' or 'local-backup', results }, or { source: null, results: null }
+   * @private
+   */
+  async _fetchStoredResults(backup) {
+    const cid = backup.storage ? backup.storage.cid : null;
+    
+    if (cid) {
+      try {
+        const metadata = await this._retrieve(cid);
+        return { source: 'storage', results: metadata.results };
+      } catch (error) {
+        console.warn(`${error.message}, verifying the local backup`);
+      }
+    }
+    
+    return backup.results ? { source: 'local-backup', results: backup.results } : { source: null, results: null };
+  }
+
+  /**
+   * Read the attestation logged by a transaction
+   * 
+   * @param {string} signature - Transaction signature
+   * @returns {Promise<Object>} - Attestation record, as decoded from the instruction data
+   * @throws {Error} - If the transaction isn't found, failed, or carries no attestation
+   * @private
+   */
+  async _fetchAttestation(signature) {
+    let transaction;
+    try {
+      transaction = await this.solanaConnection.getTransaction(signature, {
+        // Transactions can't be looked up at processed commitment
+        commitment: this.commitment === 'processed' ? 'confirmed' : this.commitment,
+        maxSupportedTransactionVersion: 0
+      });
+    } catch (error) {
+      throw toBlockchainError(error, { signature });
+    }
+    
+    if (!transaction) {
+      throw new Error(`Transaction ${signature} not found on ${clusterName(this.solanaEndpoint)}`);
+    }
+    
+    if (transaction.meta && transaction.meta.err) {
+      throw new Error(`Transaction ${signature} failed: ${JSON.stringify(transaction.meta.err)}`);
+    }
+    
+    for (const instruction of transaction.transaction.message.compiledInstructions) {
+      try {
+        return decodeAttestation(Buffer.from(instruction.data));
+      } catch (error) {
+        // Not an attestation, e.g. a compute budget instruction
+      }
+    }
+    
+    throw new Error(`Transaction ${signature} carries no attestation`);
+  }
+
   /**
    * Validates if a string is a valid Solana public key
    * 
@@ -355,16 +797,28 @@ class BlockchainLogger {
       const localFiles = fs.readdirSync(this.localStoragePath);
       const matchingFiles = localFiles.filter(file => file.startsWith(`${repoId}-`));
       
-      return matchingFiles.map(file => {
-        const data = JSON.parse(fs.readFileSync(path.join(this.localStoragePath, file), 'utf8'));
-        return {
-          repoId: data.repoId,
-          type: data.type,
-          timestamp: data.timestamp,
-          storage: data.storage,
-          blockchain: data.blockchain
-        };
-      });
+      return matchingFiles
+        .map(file => {
+          let data;
+          try {
+            data = this._readLocalBackup(file);
+          } catch (error) {
+            // One unreadable or unmigratable backup must not hide the other runs
+            console.warn(`Skipping unreadable results backup ${file}: ${error.message}`);
+            return null;
+          }
+
+          return {
+            repoId: data.repoId,
+            runId: this._runId(file, repoId),
+            type: data.type,
+            timestamp: data.timestamp,
+            storage: data.storage,
+            blockchain: data.blockchain,
+            attestation: data.attestation
+          };
+        })
+        .filter(Boolean);
     } catch (error) {
       console.error('Failed to get results for repo:', error);
       return [];
@@ -372,13 +826,15 @@ class BlockchainLogger {
   }
 }
 
+BlockchainLogger.CHECK_STATUS = CHECK_STATUS;
+
 module.exports = BlockchainLogger;
 
 // Example usage:
 // const logger = new BlockchainLogger({
 //   solanaEndpoint: 'https://api.devnet.solana.com',
 //   programId: 'your_program_id',
-//   ipfsApiKey: 'your_nft_storage_api_key'
+//   storage: { type: 'kubo', apiUrl: 'http://127.0.0.1:5001' }
 // });
 // 
 // logger.logResults(testResults, 'unit', 'my-repo-id')
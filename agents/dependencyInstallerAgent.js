@@ -0,0 +1,530 @@
+/**
+ * dependencyInstallerAgent.js
+ *
+ * This agent installs a repository's dependencies after cloning and before
+ * any tests run. It detects the package managers from lockfiles (npm, yarn,
+ * pnpm, pip, poetry, pipenv, maven, gradle, cargo, go) or runs the install
+ * steps from the repository config, with its own timeout and log file.
+ * Install failures are reported with the distinct status `install-error`
+ * so they are never mistaken for failing tests. Installed dependencies are
+ * restored from and saved to a dependency cache shared across runs.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { hashRepoUrl } = require('../lib/attestation');
+const CoralClient = require('../lib/coralClient');
+const DependencyCache = require('../lib/dependencyCache');
+const { validateAgentParams } = require('../lib/runRequest');
+const { createRunner } = require('../lib/runners');
+const { buildTestEnvironment } = require('../lib/testEnvironment');
+const { loadRepoConfig, getInstallConfig, removeIgnoredPaths } = require('../lib/repoConfig');
+const {
+  TOOLCHAIN_VERSION_COMMANDS,
+  detectPackageManagers,
+  getDependencyEnvironment,
+  getDependencyPaths
+} = require('../lib/packageManagers');
+const { redact } = require('../lib/redact');
+
+// Result statuses of the install stage
+const INSTALL_STATUS = Object.freeze({
+  INSTALLED: 'installed',
+  SKIPPED: 'skipped',
+  INSTALL_ERROR: 'install-error'
+});
+
+// Dependency cache outcomes reported in the results
+const CACHE_STATUS = Object.freeze({
+  HIT: 'hit',
+  MISS: 'miss',
+  DISABLED: 'disabled'
+});
+
+class DependencyInstallerAgent {
+  constructor(config = {}) {
+    this.timeout = config.timeout || 600000; // 10 minutes default timeout
+    this.coralProtocolEndpoint = config.coralProtocolEndpoint || process.env.CORAL_ENDPOINT || null;
+    this.onProgress = config.onProgress || null; // Listener for live progress events
+    this.runner = createRunner(config.runner); // Execution backend for repository commands (local or container)
+    this.envAllowlist = config.envAllowlist; // Host variables passed to install commands (default: QAAS_TEST_ENV_ALLOWLIST)
+    // Docker network of install commands (container runner only); installs have to download packages
+    this.network = config.network || process.env.QAAS_INSTALL_NETWORK || 'bridge';
+    this.logDir = config.logDir || path.join(process.cwd(), 'logs');
+    this.cache = config.cache || new DependencyCache(); // Installed dependencies shared across runs
+    this.coralClient = config.coralClient || new CoralClient({
+      endpoint: this.coralProtocolEndpoint,
+      agentId: 'dependency_install'
+    });
+
+    // Ensure log directory exists
+    if (!fs.existsSync(this.logDir)) {
+      fs.mkdirSync(this.logDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Install the dependencies of a repository
+   *
+   * @param {Object} params - Install parameters
+   * @param {string} params.repoPath - Path to the repository
+   * @param {string} params.repoId - Unique identifier for this repository
+   * @param {string} params.repoUrl - Optional URL the repository was cloned from; installs are only
+   *   cached with it, since cache entries are scoped to a repository
+   * @param {string} params.installCommand - Optional install command, replacing the repository config and detection
+   * @param {string} params.workspace - Optional runner workspace shared with the test agents
+   * @param {Object} params.env - Optional environment variables for the install commands
+   * @param {Object} params.secrets - Optional secret environment variables (e.g. registry tokens), redacted from all output
+   * @param {number} params.timeout - Optional timeout in ms for all install steps, overriding the repository config and agent default
+   * @returns {Promise<Object>} - Install results with status installed, skipped or install-error
+   */
+  async installDependencies(params) {
+    validateAgentParams(params, ['repoPath', 'repoId']);
+
+    const { repoPath, repoId, repoUrl, installCommand, workspace, env = {}, secrets = {} } = params;
+
+    if (!repoPath || !fs.existsSync(repoPath)) {
+      throw new Error(`Repository path does not exist: ${repoPath}`);
+    }
+
+    // Create a unique log file for this install
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const logFile = path.join(this.logDir, `install-${repoId}-${timestamp}.log`);
+    const logStream = fs.createWriteStream(logFile, { flags: 'a' });
+
+    this._reportProgress({ type: 'stage', stage: 'install', status: 'started', repoId, logFile });
+
+    let testEnv = null;
+
+    try {
+      // Notify Coral Protocol that the install has started
+      await this._notifyCoralProtocol({
+        status: 'started',
+        repoId,
+        action: 'dependency_install',
+        timestamp: new Date().toISOString(),
+        logFile
+      });
+
+      // Ignored paths must be gone before the first command copies the checkout into a workspace
+      const repoConfig = loadRepoConfig(repoPath);
+      const installConfig = repoConfig ? getInstallConfig(repoConfig) : {};
+      if (repoConfig) {
+        removeIgnoredPaths(repoPath, repoConfig);
+      }
+
+      const packageManagers = detectPackageManagers(repoPath);
+      const steps = this._planSteps({ installCommand, installConfig, packageManagers });
+      const timeout = params.timeout || installConfig.timeout || this.timeout;
+
+      const results = {
+        status: INSTALL_STATUS.SKIPPED,
+        success: true,
+        packageManagers: packageManagers.map(({ name, language, file, locked }) => ({ name, language, file, locked })),
+        steps: [],
+        duration: 0,
+        rawOutput: '',
+        rawError: '',
+        timestamp: new Date().toISOString(),
+        logFile
+      };
+
+      if (steps.length === 0) {
+        logStream.write('No dependencies to install\n');
+      } else {
+        const languages = [...new Set([
+          ...packageManagers.map(manager => manager.language),
+          ...steps.map(step => step.language)
+        ].filter(Boolean))];
+
+        testEnv = buildTestEnvironment({
+          includeBase: this.runner.runsOnHost,
+          allowlist: this.envAllowlist,
+          dependencies: getDependencyEnvironment(languages, this.runner.workspacePath(repoPath)),
+          repository: installConfig.env,
+          env,
+          secrets
+        });
+        results.environment = testEnv.exposed;
+
+        const runOptions = { repoPath, repoUrl, workspace, env: testEnv.env, projectType: languages[0], timeout, logStream };
+        const cachePaths = getDependencyPaths(languages);
+
+        // Reported as run metadata, and part of the cache key
+        results.toolchains = await this._toolchainVersions(languages, runOptions);
+
+        results.cache = { status: CACHE_STATUS.DISABLED };
+        if (this.cache.enabled && cachePaths.length > 0 && repoUrl) {
+          results.cache = await this._restoreCache(steps, packageManagers, languages, results.toolchains, runOptions);
+        }
+
+        await this._runSteps(steps, { ...runOptions, repoId }, results);
+
+        if (results.cache.status === CACHE_STATUS.MISS && results.status === INSTALL_STATUS.INSTALLED) {
+          await this._saveCache(results.cache, cachePaths, runOptions);
+        }
+      }
+
+      this._reportProgress({
+        type: 'stage',
+        stage: 'install',
+        status: 'completed',
+        repoId,
+        installStatus: results.status,
+        cache: results.cache && results.cache.status
+      });
+
+      // Notify Coral Protocol about the install result
+      await this._notifyCoralProtocol({
+        status: results.status === INSTALL_STATUS.INSTALL_ERROR ? INSTALL_STATUS.INSTALL_ERROR : 'completed',
+        repoId,
+        action: 'dependency_install',
+        results: { status: results.status, duration: results.duration, cache: results.cache && results.cache.status },
+        logFile,
+        timestamp: new Date().toISOString()
+      });
+
+      // Close log stream
+      logStream.end();
+
+      // Redact while the request's secrets are still registered
+      return redact(results);
+    } catch (error) {
+      // Log the error
+      logStream.write(`Error installing dependencies: ${redact(error.message)}\n`);
+
+      this._reportProgress({ type: 'stage', stage: 'install', status: 'error', repoId, error: error.message });
+
+      // Notify Coral Protocol about the failure
+      await this._notifyCoralProtocol({
+        status: 'error',
+        repoId,
+        action: 'dependency_install',
+        error: error.message,
+        logFile,
+        timestamp: new Date().toISOString()
+      });
+
+      // Close log stream
+      logStream.end();
+
+      throw new Error(`Failed to install dependencies: ${redact(error.message)}`);
+    } finally {
+      if (testEnv) {
+        testEnv.release();
+      }
+    }
+  }
+
+  /**
+   * Decide which install commands to run
+   *
+   * The request's command wins over the repository config, which wins over
+   * detection; a config with an empty install list disables the stage.
+   *
+   * @param {Object} options - { installCommand, installConfig, packageManagers }
+   * @returns {Array<Object>} - Steps: { command, language, packageManager }
+   * @private
+   */
+  _planSteps({ installCommand, installConfig, packageManagers }) {
+    // Image for commands that don't belong to a detected package manager
+    const language = installConfig.language || (packageManagers[0] && packageManagers[0].language);
+
+    if (installCommand) {
+      return [{ command: installCommand, language, packageManager: null }];
+    }
+
+    if (installConfig.commands) {
+      return installConfig.commands.map(command => ({ command, language, packageManager: null }));
+    }
+
+    return packageManagers.map(manager => ({
+      command: manager.command,
+      language: manager.language,
+      packageManager: manager.name
+    }));
+  }
+
+  /**
+   * Run install steps in order, stopping at the first failure
+   *
+   * All steps share one timeout. Results are updated in place.
+   *
+   * @param {Array<Object>} steps - Steps from _planSteps
+   * @param {Object} options - { repoPath, repoId, workspace, env, timeout, logStream }
+   * @param {Object} results - Install results
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runSteps(steps, options, results) {
+    const { repoPath, repoId, workspace, env, timeout, logStream } = options;
+    const deadline = Date.now() + timeout;
+
+    results.status = INSTALL_STATUS.INSTALLED;
+
+    for (const step of steps) {
+      logStream.write(`Running install command: ${step.command}\n`);
+      console.log(`Running install command: ${step.command}`);
+      this._reportProgress({ type: 'stage', stage: 'install', status: 'running', repoId, command: step.command });
+
+      const remaining = deadline - Date.now();
+      let outcome;
+
+      try {
+        outcome = remaining > 0
+          ? await this.runner.run(step.command, {
+            cwd: repoPath,
+            workspace,
+            env,
+            projectType: step.language,
+            network: this.network,
+            timeout: remaining,
+            onOutput: (stream, data) => {
+              logStream.write(stream === 'stderr' ? `[ERROR] ${redact(data)}` : redact(data));
+              this._reportProgress({ type: 'output', stream, data });
+            }
+          })
+          : { stdout: '', stderr: '', exitCode: null, duration: 0, timedOut: true };
+      } catch (error) {
+        // Anything but a failing or timed out command is a problem of the backend, not the repository
+        if (error.name !== 'CommandError') {
+          throw error;
+        }
+        outcome = error;
+      }
+
+      const failed = outcome instanceof Error || outcome.timedOut;
+
+      results.steps.push({
+        command: step.command,
+        packageManager: step.packageManager,
+        status: failed ? 'failed' : 'passed',
+        exitCode: outcome.exitCode,
+        timedOut: Boolean(outcome.timedOut),
+        duration: outcome.duration
+      });
+      results.duration += outcome.duration;
+      results.rawOutput += outcome.stdout;
+      results.rawError += outcome.stderr;
+
+      logStream.write(outcome.timedOut
+        ? `\nInstall timed out after ${timeout}ms\n`
+        : `\nProcess exited with code ${outcome.exitCode}\n`);
+
+      if (failed) {
+        results.status = INSTALL_STATUS.INSTALL_ERROR;
+        results.success = false;
+        results.error = outcome.timedOut
+          ? `Dependency installation timed out after ${timeout}ms: ${step.command}`
+          : `Dependency installation failed with exit code ${outcome.exitCode}: ${step.command}`;
+        return;
+      }
+    }
+  }
+
+  /**
+   * Print the toolchain version of each language through the runner
+   *
+   * @param {Array<string>} languages - Languages of the install
+   * @param {Object} options - { repoPath, workspace, env, timeout }
+   * @returns {Promise<Object>} - Version output per language; 'unavailable' if the toolchain is missing
+   * @private
+   */
+  async _toolchainVersions(languages, options) {
+    const toolchains = {};
+
+    for (const language of languages.filter(name => TOOLCHAIN_VERSION_COMMANDS[name])) {
+      try {
+        const { stdout } = await this.runner.run(`${TOOLCHAIN_VERSION_COMMANDS[language]} 2>&1`, {
+          cwd: options.repoPath,
+          workspace: options.workspace,
+          env: options.env,
+          projectType: language,
+          timeout: options.timeout
+        });
+        toolchains[language] = stdout.trim();
+      } catch (error) {
+        toolchains[language] = 'unavailable';
+      }
+    }
+
+    return toolchains;
+  }
+
+  /**
+   * Compute the dependency cache key of an install
+   *
+   * The key covers the repository, the lockfiles (or manifests), the install
+   * commands, the toolchain versions and the runner, so a restored entry
+   * always matches what the install would produce. Install scripts can
+   * change what they install, so entries are never shared between
+   * repositories.
+   *
+   * @param {Array<Object>} steps - Install steps
+   * @param {Array<Object>} packageManagers - Detected package managers
+   * @param {Array<string>} languages - Languages of the install
+   * @param {Object} toolchains - Toolchain versions from _toolchainVersions
+   * @param {Object} options - { repoPath, repoUrl }
+   * @returns {string} - Cache key
+   * @private
+   */
+  _cacheKey(steps, packageManagers, languages, toolchains, options) {
+    const files = packageManagers.reduce((result, manager) => {
+      result[manager.file] = crypto.createHash('sha256')
+        .update(fs.readFileSync(path.join(options.repoPath, manager.file)))
+        .digest('hex');
+      return result;
+    }, {});
+
+    return DependencyCache.computeKey({
+      repo: hashRepoUrl(options.repoUrl),
+      runner: this.runner.imageFor
+        ? [this.runner.type, ...languages.map(language => this.runner.imageFor(language))]
+        : [this.runner.type, process.platform, process.arch],
+      commands: steps.map(step => step.command),
+      files,
+      toolchains
+    });
+  }
+
+  /**
+   * Restore cached dependencies into the workspace
+   *
+   * Cache problems are logged and never fail the install.
+   *
+   * @param {Array<Object>} steps - Install steps
+   * @param {Array<Object>} packageManagers - Detected package managers
+   * @param {Array<string>} languages - Languages of the install
+   * @param {Object} toolchains - Toolchain versions from _toolchainVersions
+   * @param {Object} options - { repoPath, repoUrl, workspace, env, projectType, timeout, logStream }
+   * @returns {Promise<Object>} - Cache results: { status, key, duration }
+   * @private
+   */
+  async _restoreCache(steps, packageManagers, languages, toolchains, options) {
+    const startTime = Date.now();
+    const cache = { status: CACHE_STATUS.MISS, key: null, duration: 0 };
+    let entryPath = null;
+
+    try {
+      cache.key = this._cacheKey(steps, packageManagers, languages, toolchains, options);
+      entryPath = await this.cache.lookup(cache.key);
+
+      if (entryPath) {
+        await this.runner.run('cp -R "$QAAS_CACHE_DIR/." .', {
+          cwd: options.repoPath,
+          workspace: options.workspace,
+          env: options.env,
+          projectType: options.projectType,
+          cacheDir: entryPath,
+          timeout: options.timeout
+        });
+        cache.status = CACHE_STATUS.HIT;
+      }
+    } catch (error) {
+      console.warn(`Failed to restore dependency cache: ${error.message}`);
+      cache.error = redact(error.message);
+    } finally {
+      if (entryPath) {
+        this.cache.release(cache.key);
+      }
+    }
+
+    cache.duration = Date.now() - startTime;
+    options.logStream.write(`Dependency cache ${cache.status}${cache.key ? ` (${cache.key})` : ''}\n`);
+    return cache;
+  }
+
+  /**
+   * Save the installed dependencies to the cache
+   *
+   * Cache problems are logged and never fail the install.
+   *
+   * @param {Object} cache - Cache results from _restoreCache, updated in place
+   * @param {Array<string>} cachePaths - Workspace paths holding the dependencies
+   * @param {Object} options - { repoPath, workspace, env, projectType, timeout, logStream }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveCache(cache, cachePaths, options) {
+    if (!cache.key) return;
+
+    let stagingPath = null;
+
+    try {
+      stagingPath = await this.cache.stage();
+
+      // Copy whichever of the paths the install created
+      const script = cachePaths.map(cachePath => (
+        `if [ -e '${cachePath}' ]; then mkdir -p "$QAAS_CACHE_DIR/${path.posix.dirname(cachePath)}" && ` +
+        `cp -R '${cachePath}' "$QAAS_CACHE_DIR/${cachePath}"; fi`
+      )).join(' && ');
+
+      await this.runner.run(script, {
+        cwd: options.repoPath,
+        workspace: options.workspace,
+        env: options.env,
+        projectType: options.projectType,
+        cacheDir: stagingPath,
+        timeout: options.timeout
+      });
+
+      const { saved, size } = await this.cache.commit(cache.key, stagingPath);
+      stagingPath = null;
+      cache.saved = saved;
+      cache.size = size;
+      options.logStream.write(`Saved ${size} bytes to the dependency cache\n`);
+    } catch (error) {
+      console.warn(`Failed to save dependency cache: ${error.message}`);
+      cache.error = redact(error.message);
+    } finally {
+      if (stagingPath) {
+        await this.cache.discard(stagingPath).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Report a progress event (stage transition or command output) to the
+   * configured listener
+   *
+   * @param {Object} event - Progress event
+   * @private
+   */
+  _reportProgress(event) {
+    if (!this.onProgress) return;
+
+    try {
+      this.onProgress({ agent: 'dependency_install', ...event });
+    } catch (error) {
+      console.error('Progress listener failed:', error);
+    }
+  }
+
+  /**
+   * Notify the Coral Protocol about agent actions
+   *
+   * @param {Object} data - Data to send to Coral Protocol
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _notifyCoralProtocol(data) {
+    await this.coralClient.send(data);
+  }
+}
+
+DependencyInstallerAgent.INSTALL_STATUS = INSTALL_STATUS;
+DependencyInstallerAgent.CACHE_STATUS = CACHE_STATUS;
+
+module.exports = DependencyInstallerAgent;
+
+// Example usage:
+// const installer = new DependencyInstallerAgent();
+// installer.installDependencies({
+//   repoPath: '/path/to/cloned/repo',
+//   repoId: 'my-test-repo'
+// }).then(results => {
+//   console.log('Install status:', results.status);
+// }).catch(err => {
+//   console.error('Install failed:', err);
+// });
@@ -6,18 +6,55 @@
  * It handles both backend and frontend integration test workflows where applicable.
  */
 
-const { exec, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const util = require('util');
+const CoralClient = require('../lib/coralClient');
+const { validateAgentParams } = require('../lib/runRequest');
+const { createRunner } = require('../lib/runners');
+const { buildTestEnvironment } = require('../lib/testEnvironment');
+const { loadRepoConfig, getStageConfig, removeIgnoredPaths } = require('../lib/repoConfig');
+const { detectPackageManagers, gradleCommand, getDependencyEnvironment } = require('../lib/packageManagers');
+const { discoverPackages, selectAffectedPackages, aggregatePackageResults } = require('../lib/workspaces');
+const { combineResults } = require('../lib/combineResults');
+const {
+  PLAYWRIGHT_JUNIT_COMMAND,
+  CYPRESS_JUNIT_COMMAND,
+  createReportsDir,
+  jestCommand,
+  readJUnitReports
+} = require('../lib/junit');
+const { PYTEST_COMMAND, installPythonReporters, readPythonReports } = require('../lib/pythonReports');
+const { startServices } = require('../lib/services');
+const { ERROR_TYPES, resultError, attachment, finalizeTestResults } = require('../lib/results');
+const { OUTCOMES, runTestCommand, applyOutcome } = require('../lib/outcomes');
+const { redact } = require('../lib/redact');
 
-// Promisify exec for async/await usage
-const execAsync = util.promisify(exec);
+// Timeout of tearing down the Compose services of a test command
+const COMPOSE_TEARDOWN_TIMEOUT = 120000;
+
+/**
+ * Shell command running Docker Compose with the v2 plugin, or else the standalone v1 docker-compose
+ *
+ * @param {string} args - Compose arguments
+ * @param {boolean} optional - Do nothing, rather than fail, where neither is installed
+ * @returns {string} - Shell command
+ */
+function composeCommand(args, optional = false) {
+  return `if docker compose version >/dev/null 2>&1; then docker compose ${args}; ` +
+    `${optional ? 'elif command -v docker-compose >/dev/null 2>&1; then' : 'else'} docker-compose ${args}; fi`;
+}
 
 class IntegrationAgent {
   constructor(config = {}) {
     this.timeout = config.timeout || 1200000; // 20 minutes default timeout for integration tests
-    this.coralProtocolEndpoint = config.coralProtocolEndpoint || 'http://localhost:3000/api/coral';
+    this.coralProtocolEndpoint = config.coralProtocolEndpoint || process.env.CORAL_ENDPOINT || null;
+    this.onProgress = config.onProgress || null; // Listener for live progress events
+    this.runner = createRunner(config.runner); // Execution backend for repository commands (local or container)
+    this.envAllowlist = config.envAllowlist; // Host variables passed to test commands (default: QAAS_TEST_ENV_ALLOWLIST)
+    this.coralClient = config.coralClient || new CoralClient({
+      endpoint: this.coralProtocolEndpoint,
+      agentId: 'integration_test'
+    });
     this.logDir = config.logDir || path.join(process.cwd(), 'logs');
     
     // Ensure log directory exists
@@ -29,16 +66,26 @@ class IntegrationAgent {
   /**
    * Run integration tests for a repository
    * 
+   * The packages of a monorepo are tested one by one, unless the request or
+   * the repository config gives a command for the whole repository. Services
+   * come from the repository config at the root and are shared by all packages.
+   * 
    * @param {Object} params - Test parameters
    * @param {string} params.repoPath - Path to the repository
    * @param {string} params.repoId - Unique identifier for this repository
    * @param {string} params.testCommand - Optional specific test command to run
    * @param {Object} params.env - Optional environment variables for the test
+   * @param {Object} params.secrets - Optional secret environment variables, redacted from all output
    * @param {boolean} params.captureScreenshots - Whether to capture screenshots during UI tests
+   * @param {number} params.timeout - Optional timeout in ms, overriding the repository config and agent default
+   * @param {string} params.workspace - Optional runner workspace holding the installed dependencies
+   * @param {Array<string>} params.affectedFiles - Optional changed files; only the monorepo packages they affect are tested
    * @returns {Promise<Object>} - Test results in standardized format
    */
   async runTests(params) {
-    const { repoPath, repoId, testCommand, env = {}, captureScreenshots = false } = params;
+    validateAgentParams(params, ['repoPath', 'repoId']);
+    
+    const { repoPath, repoId, testCommand, affectedFiles, captureScreenshots = false } = params;
     
     if (!repoPath || !fs.existsSync(repoPath)) {
       throw new Error(`Repository path does not exist: ${repoPath}`);
@@ -49,6 +96,14 @@ class IntegrationAgent {
     const logFile = path.join(this.logDir, `integration-${repoId}-${timestamp}.log`);
     const logStream = fs.createWriteStream(logFile, { flags: 'a' });
     
+    this._reportProgress({ type: 'stage', stage: 'integration_test', status: 'started', repoId, logFile });
+    
+    // For UI tests with screenshots, tests write to the screenshot directory
+    const screenshotDir = captureScreenshots ? path.join(this.logDir, `screenshots-${repoId}-${timestamp}`) : null;
+    
+    // Shared by the suites of a run; services are started by the first suite that needs them
+    const context = { logStream, screenshotDir, serviceConfigs: [], services: null };
+    
     try {
       // Notify Coral Protocol that testing has started
       await this._notifyCoralProtocol({
@@ -59,93 +114,33 @@ class IntegrationAgent {
         logFile
       });
 
-      // Detect project type and determine integration test command
-      const projectType = await this._detectProjectType(repoPath);
+      // A repository config replaces the detection heuristics
+      const repoConfig = loadRepoConfig(repoPath);
+      const stageConfig = repoConfig ? getStageConfig(repoConfig, 'integration') : null;
       
-      // Check if repository is empty
-      if (projectType === 'empty') {
-        console.log('Repository is empty, skipping integration tests');
-        const results = {
-          success: true,
-          summary: {
-            total: 1,
-            passed: 0,
-            failed: 0,
-            skipped: 1,
-            duration: 0
-          },
-          details: [{
-            name: 'repository-empty-check',
-            suite: 'system',
-            status: 'skipped',
-            duration: 0,
-            failureMessages: ['Repository is empty, no integration tests to run']
-          }],
-          rawOutput: 'Repository is empty, no integration tests to run',
-          rawError: '',
-          timestamp: new Date().toISOString(),
-          logFile
-        };
-        
-        // Notify Coral Protocol about test completion
-        await this._notifyCoralProtocol({
-          status: 'completed',
-          repoId,
-          action: 'integration_test',
-          results: results.summary,
-          logFile,
-          timestamp: new Date().toISOString()
-        });
-        
-        // Close log stream
-        logStream.end();
-        
-        return results;
+      if (repoConfig) {
+        removeIgnoredPaths(repoPath, repoConfig);
+        context.serviceConfigs = repoConfig.services || [];
       }
       
-      const command = testCommand || await this._determineIntegrationTestCommand(repoPath, projectType);
+      const packages = testCommand || (stageConfig && stageConfig.command) ? [] : discoverPackages(repoPath);
       
-      if (!command) {
-        throw new Error(`Could not determine integration test command for project type: ${projectType}`);
-      }
-
-      // Log the command we're about to run
-      logStream.write(`Running integration test command: ${command}\n`);
-      console.log(`Running integration test command: ${command}`);
-      
-      // Prepare environment variables
-      const testEnv = {
-        ...process.env,
-        NODE_ENV: 'test',
-        ...env
-      };
+      const suiteResults = packages.length > 0
+        ? await this._runPackages(packages, affectedFiles, params, context)
+        : await this._runSuite({ ...params, packagePath: '.', repoConfig, stageConfig }, context);
       
-      // For UI tests with screenshots, set up the screenshot directory
-      if (captureScreenshots) {
-        const screenshotDir = path.join(this.logDir, `screenshots-${repoId}-${timestamp}`);
-        fs.mkdirSync(screenshotDir, { recursive: true });
-        testEnv.SCREENSHOT_DIR = screenshotDir;
-      }
+      // The log file, and the screenshots if any were captured
+      suiteResults.attachments = [
+        attachment('log', logFile),
+        ...(screenshotDir && fs.existsSync(screenshotDir)
+          ? fs.readdirSync(screenshotDir).map(file => attachment('screenshot', path.join(screenshotDir, file)))
+          : [])
+      ];
       
-      // Execute test command and capture output
-      const startTime = Date.now();
-      const { stdout, stderr } = await this._executeCommand(command, {
-        cwd: repoPath,
-        env: testEnv,
-        timeout: this.timeout,
-        logStream
-      });
-      const duration = Date.now() - startTime;
-
-      // Parse test results into standardized format
-      const results = this._parseIntegrationTestResults(stdout, stderr, projectType, duration);
-      results.logFile = logFile;
+      // Versioned, with stable test IDs, and validated against schemas/test-results.v2.json
+      const results = finalizeTestResults(suiteResults);
       
-      // If screenshots were captured, add them to the results
-      if (captureScreenshots && testEnv.SCREENSHOT_DIR && fs.existsSync(testEnv.SCREENSHOT_DIR)) {
-        results.screenshots = fs.readdirSync(testEnv.SCREENSHOT_DIR)
-          .map(file => path.join(testEnv.SCREENSHOT_DIR, file));
-      }
+      this._reportProgress({ type: 'stage', stage: 'integration_test', status: 'completed', repoId, summary: results.summary });
       
       // Notify Coral Protocol about test completion
       await this._notifyCoralProtocol({
@@ -163,11 +158,13 @@ class IntegrationAgent {
       return results;
     } catch (error) {
       // Log the error
-      logStream.write(`Error running integration tests: ${error.message}\n`);
+      logStream.write(`Error running integration tests: ${redact(error.message)}\n`);
       if (error.stack) {
-        logStream.write(`${error.stack}\n`);
+        logStream.write(`${redact(error.stack)}\n`);
       }
       
+      this._reportProgress({ type: 'stage', stage: 'integration_test', status: 'error', repoId, error: error.message });
+      
       // Notify Coral Protocol about test failure
       await this._notifyCoralProtocol({
         status: 'error',
@@ -181,114 +178,405 @@ class IntegrationAgent {
       // Close log stream
       logStream.end();
       
-      throw new Error(`Failed to run integration tests: ${error.message}`);
+      throw new Error(`Failed to run integration tests: ${redact(error.message)}`);
+    } finally {
+      if (context.services) {
+        await context.services.stop();
+      }
     }
   }
 
   /**
-   * Execute a command and stream output to a log file
+   * Run the integration tests of each monorepo package and combine the results
    * 
-   * @param {string} command - Command to execute
-   * @param {Object} options - Command options
-   * @returns {Promise<Object>} - Command output
+   * A package that fails to run is reported in the results without stopping
+   * the remaining packages.
+   * 
+   * @param {Array<Object>} packages - Packages from discoverPackages
+   * @param {Array<string>} affectedFiles - Changed files selecting the packages to test (optional)
+   * @param {Object} params - Test parameters (see runTests)
+   * @param {Object} context - State shared by the suites of the run
+   * @returns {Promise<Object>} - Aggregate results with a packages list
    * @private
    */
-  async _executeCommand(command, options) {
-    return new Promise((resolve, reject) => {
-      const { logStream } = options;
-      let stdout = '';
-      let stderr = '';
+  async _runPackages(packages, affectedFiles, params, context) {
+    const { selected, unaffected } = affectedFiles
+      ? selectAffectedPackages(packages, affectedFiles)
+      : { selected: packages, unaffected: [] };
+    const packageResults = [];
+    
+    for (const pkg of selected) {
+      context.logStream.write(`=== Package ${pkg.name} (${pkg.path}) ===\n`);
+      this._reportProgress({ type: 'package', stage: 'integration_test', package: pkg.name, status: 'started' });
       
-      // Split command into executable and args
-      const parts = command.split(' ');
-      const cmd = parts[0];
-      const args = parts.slice(1);
+      try {
+        const packageConfig = loadRepoConfig(path.join(params.repoPath, pkg.path));
+        if (packageConfig) {
+          removeIgnoredPaths(path.join(params.repoPath, pkg.path), packageConfig);
+        }
+        const results = await this._runSuite({
+          ...params,
+          packagePath: pkg.path,
+          packageName: pkg.name,
+          repoConfig: packageConfig,
+          stageConfig: packageConfig ? getStageConfig(packageConfig, 'integration') : null
+        }, context);
+        packageResults.push({ package: pkg, results });
+        this._reportProgress({ type: 'package', stage: 'integration_test', package: pkg.name, status: 'completed', summary: results.summary });
+      } catch (error) {
+        const failure = resultError(error);
+        context.logStream.write(`Error running integration tests of ${pkg.name}: ${failure.message}\n`);
+        packageResults.push({ package: pkg, error: failure });
+        this._reportProgress({ type: 'package', stage: 'integration_test', package: pkg.name, status: 'error', error: failure.message });
+      }
+    }
+    
+    const results = aggregatePackageResults(packageResults);
+    if (affectedFiles) {
+      results.affected = {
+        changedFiles: affectedFiles.length,
+        packages: selected.map(pkg => pkg.name),
+        unaffected: unaffected.map(pkg => pkg.name)
+      };
+    }
+    
+    return results;
+  }
+
+  /**
+   * Run the integration tests of a project: the repository or one monorepo package
+   * 
+   * Each stack of a polyglot project is tested separately, unless the request
+   * or the repository config gives a command for the whole project.
+   * 
+   * @param {Object} options - Test parameters (see runTests) plus:
+   *   packagePath (project directory relative to the repository, '.' for the root),
+   *   packageName (monorepo package name, optional), repoConfig and stageConfig (repository config of the project, optional)
+   * @param {Object} context - State shared by the suites of the run (logStream, screenshotDir, serviceConfigs, services)
+   * @returns {Promise<Object>} - Test results in standardized format
+   * @private
+   */
+  async _runSuite(options, context) {
+    const { repoPath, packagePath, stageConfig, testCommand } = options;
+    
+    const stacks = stageConfig
+      ? [{ stack: stageConfig.language || null, projectType: stageConfig.format }]
+      : await this._detectProjectTypes(path.join(repoPath, packagePath));
+    
+    if (stacks.length > 1 && !testCommand) {
+      return this._runStacks(stacks, options, context);
+    }
+    
+    return this._runStack(stacks[0].projectType, options, context);
+  }
+
+  /**
+   * Run the integration tests of each stack of a polyglot project and combine the results
+   * 
+   * A stack that fails to run is reported in the results without stopping
+   * the remaining stacks.
+   * 
+   * @param {Array<Object>} stacks - Stacks from _detectProjectTypes
+   * @param {Object} options - Suite options (see _runSuite)
+   * @param {Object} context - State shared by the suites of the run
+   * @returns {Promise<Object>} - Combined results with a stacks list
+   * @private
+   */
+  async _runStacks(stacks, options, context) {
+    const stackResults = [];
+    
+    for (const { stack, projectType } of stacks) {
+      context.logStream.write(`=== Stack ${stack} (${projectType}) ===\n`);
+      this._reportProgress({ type: 'stack', stage: 'integration_test', stack, package: options.packageName, status: 'started' });
       
-      // Spawn the process
-      const proc = spawn(cmd, args, {
-        cwd: options.cwd,
-        env: options.env,
-        shell: true
-      });
+      try {
+        const results = await this._runStack(projectType, { ...options, stack }, context);
+        stackResults.push({ name: stack, projectType, results });
+        this._reportProgress({ type: 'stack', stage: 'integration_test', stack, package: options.packageName, status: 'completed', summary: results.summary });
+      } catch (error) {
+        const failure = resultError(error);
+        context.logStream.write(`Error running integration tests of the ${stack} stack: ${failure.message}\n`);
+        stackResults.push({ name: stack, projectType, error: failure });
+        this._reportProgress({ type: 'stack', stage: 'integration_test', stack, package: options.packageName, status: 'error', error: failure.message });
+      }
+    }
+    
+    const { runs, ...results } = combineResults(stackResults, 'stack');
+    return { ...results, stacks: runs };
+  }
+
+  /**
+   * Run the integration tests of one stack of a project
+   * 
+   * @param {string} projectType - Project type, picking the test command and result parser
+   * @param {Object} options - Suite options (see _runSuite) plus stack (stack name, when the project has several)
+   * @param {Object} context - State shared by the suites of the run
+   * @returns {Promise<Object>} - Test results in standardized format
+   * @private
+   */
+  async _runStack(projectType, options, context) {
+    const { repoPath, repoId, packagePath, packageName, stack, repoConfig, stageConfig, testCommand, workspace, env = {}, secrets = {} } = options;
+    const { logStream, screenshotDir } = context;
+    const projectPath = path.join(repoPath, packagePath);
+    
+    let testEnv = null;
+    let reportsDir = null;
+    let compose = null;
+    
+    try {
+      // Check if repository is empty
+      if (projectType === 'empty') {
+        return this._skippedResults('repository-empty-check', packageName
+          ? `Package ${packageName} is empty, no integration tests to run`
+          : 'Repository is empty, no integration tests to run');
+      }
+      
+      // Determine integration test command
+      const command = testCommand || (stageConfig ? stageConfig.command : await this._determineIntegrationTestCommand(projectPath, projectType));
       
-      // Set up timeout if specified
-      let timeoutId;
-      if (options.timeout) {
-        timeoutId = setTimeout(() => {
-          proc.kill();
-          reject(new Error(`Command timed out after ${options.timeout}ms: ${command}`));
-        }, options.timeout);
+      if (!command && stageConfig) {
+        return this._skippedResults('repository-config-check', `No integration test command in ${repoConfig.file}`);
       }
       
-      // Capture stdout
-      proc.stdout.on('data', (data) => {
-        const str = data.toString();
-        stdout += str;
-        if (logStream) {
-          logStream.write(str);
-        }
-      });
+      if (!command && stack) {
+        return this._skippedResults('stack-test-detection', `No integration tests found for the ${stack} stack`);
+      }
       
-      // Capture stderr
-      proc.stderr.on('data', (data) => {
-        const str = data.toString();
-        stderr += str;
-        if (logStream) {
-          logStream.write(`[ERROR] ${str}`);
-        }
+      if (!command && packageName) {
+        return this._skippedResults('package-test-detection', `No integration tests found in package ${packageName}`);
+      }
+      
+      if (!command) {
+        throw new Error(`Could not determine integration test command for project type: ${projectType}`);
+      }
+
+      const timeout = options.timeout || (stageConfig && stageConfig.timeout) || this.timeout;
+      
+      // Start the services the repository declares; tests find them through <NAME>_HOST/<NAME>_PORT
+      if (!context.services && context.serviceConfigs.length > 0) {
+        logStream.write(`Starting services: ${context.serviceConfigs.map(service => service.name).join(', ')}\n`);
+        context.services = await startServices(context.serviceConfigs, { publishPorts: this.runner.runsOnHost });
+      }
+      const { services } = context;
+      
+      // Compose services the command starts, directly or through a script, run under a project of
+      // their own, torn down after the tests
+      const composeProject = `qaas-${repoId}-${stack || 'tests'}`.toLowerCase().replace(/[^a-z0-9_-]/g, '-');
+      
+      testEnv = buildTestEnvironment({
+        includeBase: this.runner.runsOnHost,
+        allowlist: this.envAllowlist,
+        // Locate the dependencies the install stage put into the workspace
+        dependencies: getDependencyEnvironment(
+          [
+            ...detectPackageManagers(repoPath).map(manager => manager.language),
+            ...detectPackageManagers(projectPath).map(manager => manager.language),
+            stageConfig && stageConfig.language
+          ],
+          this.runner.workspacePath(repoPath)
+        ),
+        repository: { ...(stageConfig && stageConfig.env), ...(services && services.env) },
+        env: {
+          NODE_ENV: 'test',
+          ...env,
+          COMPOSE_PROJECT_NAME: composeProject,
+          ...(screenshotDir && { SCREENSHOT_DIR: screenshotDir })
+        },
+        secrets
       });
       
-      // Handle process completion
-      proc.on('close', (code) => {
-        if (timeoutId) {
-          clearTimeout(timeoutId);
-        }
-        
-        if (logStream) {
-          logStream.write(`\nProcess exited with code ${code}\n`);
-        }
-        
-        if (code !== 0) {
-          reject(new Error(`Command failed with exit code ${code}: ${command}`));
-        } else {
-          resolve({ stdout, stderr });
+      compose = {
+        // Same CLI as the docker-compose project type starts the stack with; skipped where Compose isn't installed
+        command: composeCommand(`-p ${composeProject} down --volumes --remove-orphans`, true),
+        options: {
+          cwd: repoPath,
+          workdir: packagePath,
+          workspace,
+          env: testEnv.env,
+          projectType: (stageConfig && stageConfig.language) || projectType,
+          network: services ? services.network : undefined
         }
+      };
+
+      // Log the command we're about to run
+      logStream.write(`Running integration test command: ${command}\n`);
+      console.log(`Running integration test command: ${command}${packageName ? ` in ${packagePath}` : ''}`);
+      this._reportProgress({ type: 'stage', stage: 'integration_test', status: 'running', repoId, projectType, command, package: packageName, stack });
+      
+      if (screenshotDir) {
+        fs.mkdirSync(screenshotDir, { recursive: true });
+      }
+      
+      // Execute test command and capture output
+      reportsDir = await createReportsDir();
+      await installPythonReporters(reportsDir);
+      const startTime = Date.now();
+      const execution = await this._executeCommand(command, {
+        cwd: repoPath,
+        workdir: packagePath,
+        workspace,
+        reportsDir,
+        env: testEnv.env,
+        projectType: (stageConfig && stageConfig.language) || projectType,
+        network: services ? services.network : undefined,
+        timeout,
+        logStream
       });
+      const duration = Date.now() - startTime;
+
+      // Parse test results into standardized format, preferring reports over the console output;
+      // failing tests exit non-zero but still have results
+      const reports = await readPythonReports(reportsDir) || await readJUnitReports(reportsDir);
+      const results = applyOutcome(
+        this._parseIntegrationTestResults(execution.stdout, execution.stderr, projectType, duration, reports, execution.exitCode),
+        execution
+      );
+      results.environment = testEnv.exposed;
       
-      // Handle process errors
-      proc.on('error', (err) => {
-        if (timeoutId) {
-          clearTimeout(timeoutId);
-        }
-        
-        if (logStream) {
-          logStream.write(`\nProcess error: ${err.message}\n`);
+      // Redact while the request's secrets are still registered
+      return redact(results);
+    } finally {
+      // Also after a timeout, which leaves the services running
+      if (compose) {
+        await this._tearDownCompose(compose, logStream);
+      }
+      if (testEnv) {
+        testEnv.release();
+      }
+      if (reportsDir) {
+        await fs.promises.rm(reportsDir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Build the results of tests that were skipped
+   * 
+   * @param {string} name - Name of the skipped check
+   * @param {string} message - Reason the tests were skipped
+   * @returns {Object} - Test results in standardized format
+   * @private
+   */
+  _skippedResults(name, message) {
+    console.log(`${message}, skipping integration tests`);
+    
+    return {
+      status: OUTCOMES.NO_TESTS,
+      success: true,
+      summary: {
+        total: 1,
+        passed: 0,
+        failed: 0,
+        skipped: 1,
+        duration: 0
+      },
+      details: [{
+        name,
+        suite: 'system',
+        status: 'skipped',
+        duration: 0,
+        failureMessages: [message]
+      }],
+      rawOutput: message,
+      rawError: '',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Execute a command through the runner and stream output to a log file
+   * 
+   * @param {string} command - Command to execute
+   * @param {Object} options - Command options (cwd, workdir, workspace, reportsDir, env, projectType, network, timeout, logStream)
+   * @returns {Promise<Object>} - Command output and exit code, also when the command fails (see runTestCommand)
+   * @private
+   */
+  async _executeCommand(command, options) {
+    const { logStream } = options;
+    
+    try {
+      const execution = await runTestCommand(this.runner, command, {
+        cwd: options.cwd,
+        workdir: options.workdir,
+        workspace: options.workspace,
+        reportsDir: options.reportsDir,
+        env: options.env,
+        projectType: options.projectType,
+        network: options.network,
+        timeout: options.timeout,
+        onOutput: (stream, data) => {
+          if (logStream) {
+            logStream.write(stream === 'stderr' ? `[ERROR] ${redact(data)}` : redact(data));
+          }
+          this._reportProgress({ type: 'output', stream, data });
         }
-        
-        reject(err);
       });
-    });
+      
+      if (logStream) {
+        logStream.write(execution.exitCode !== null
+          ? `\nProcess exited with code ${execution.exitCode}\n`
+          : `\nProcess error: ${redact(execution.error.message)}\n`);
+      }
+      
+      return execution;
+    } catch (error) {
+      if (logStream) {
+        logStream.write(`\nProcess error: ${redact(error.message)}\n`);
+      }
+      
+      throw error;
+    }
   }
 
   /**
-   * Detect the type of project in the repository
+   * Stop and remove the Docker Compose services, networks and volumes a test command started
+   * 
+   * Failures are logged but don't fail the tests.
+   * 
+   * @param {Object} compose - { command, options } of the teardown command, run like the test command
+   * @param {WriteStream} logStream - Log of the test run
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _tearDownCompose(compose, logStream) {
+    logStream.write(`Tearing down Compose services: ${compose.command}\n`);
+    
+    try {
+      // Also runs after the job was cancelled, to stop what the cancelled command started
+      await this.runner.run(compose.command, { ...compose.options, timeout: COMPOSE_TEARDOWN_TIMEOUT, signal: null });
+    } catch (error) {
+      console.error('Error tearing down Compose services:', redact(error.message));
+      logStream.write(`Error tearing down Compose services: ${redact(error.message)}\n`);
+    }
+  }
+
+  /**
+   * Detect the stacks present in the repository and the project type of each
+   * 
+   * A repository may combine several stacks, e.g. a Node.js frontend with a
+   * Python backend; every stack found is returned, in the order below. Rust
+   * and Go integration tests run with the unit tests (cargo test, go test).
    * 
    * @param {string} repoPath - Path to the repository
-   * @returns {Promise<string>} - Detected project type
+   * @returns {Promise<Array<Object>>} - { stack, projectType } per stack (node, python, jvm, or docker as
+   *   a fallback); a single entry with a null stack and the 'empty' or 'unknown' type if there is none
    * @private
    */
-  async _detectProjectType(repoPath) {
+  async _detectProjectTypes(repoPath) {
     // Check if repository is empty (only contains .git directory)
     try {
       const files = await fs.promises.readdir(repoPath);
       const nonGitFiles = files.filter(file => file !== '.git');
       if (nonGitFiles.length === 0) {
         console.warn('Repository appears to be empty (only contains .git directory)');
-        return 'empty';
+        return [{ stack: null, projectType: 'empty' }];
       }
     } catch (err) {
       console.error('Error checking repository contents:', err);
     }
+    
+    const stacks = [];
+    
     // Check for package.json (Node.js)
     if (fs.existsSync(path.join(repoPath, 'package.json'))) {
       const packageJson = JSON.parse(fs.readFileSync(path.join(repoPath, 'package.json'), 'utf8'));
@@ -296,55 +584,57 @@ class IntegrationAgent {
       // Check for specific frameworks in dependencies
       const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
       
-      if (deps.cypress) return 'cypress';
-      if (deps['@playwright/test']) return 'playwright';
-      if (deps.protractor) return 'protractor';
-      if (deps.jest && (deps['@testing-library/react'] || deps['@testing-library/vue'])) return 'jest-dom';
-      if (deps.jest) return 'jest';
-      if (deps.mocha && deps.supertest) return 'mocha-supertest';
+      let projectType = 'node';
+      if (deps.cypress) projectType = 'cypress';
+      else if (deps['@playwright/test']) projectType = 'playwright';
+      else if (deps.protractor) projectType = 'protractor';
+      else if (deps.jest && (deps['@testing-library/react'] || deps['@testing-library/vue'])) projectType = 'jest-dom';
+      else if (deps.jest) projectType = 'jest';
+      else if (deps.mocha && deps.supertest) projectType = 'mocha-supertest';
       
-      return 'node';
+      stacks.push({ stack: 'node', projectType });
     }
     
     // Check for requirements.txt or setup.py (Python)
     if (fs.existsSync(path.join(repoPath, 'requirements.txt')) || 
         fs.existsSync(path.join(repoPath, 'setup.py'))) {
+      let projectType = 'python';
+      
       // Check for specific test frameworks
       try {
         const files = await fs.promises.readdir(repoPath);
-        if (files.some(file => file.includes('selenium'))) return 'selenium-python';
-        if (files.some(file => file.includes('pytest'))) return 'pytest';
-        if (files.some(file => file.includes('behave'))) return 'behave';
+        if (files.some(file => file.includes('selenium'))) projectType = 'selenium-python';
+        else if (files.some(file => file.includes('pytest'))) projectType = 'pytest';
+        else if (files.some(file => file.includes('behave'))) projectType = 'behave';
       } catch (err) {
         console.error('Error reading directory:', err);
       }
       
-      return 'python';
+      stacks.push({ stack: 'python', projectType });
     }
     
-    // Check for pom.xml (Java/Maven)
+    // Check for pom.xml (Java/Maven), then build.gradle (Java/Gradle)
     if (fs.existsSync(path.join(repoPath, 'pom.xml'))) {
       // Check for specific test frameworks in pom.xml
       const pomXml = fs.readFileSync(path.join(repoPath, 'pom.xml'), 'utf8');
-      if (pomXml.includes('selenium')) return 'selenium-java';
-      if (pomXml.includes('cucumber')) return 'cucumber-java';
-      if (pomXml.includes('rest-assured')) return 'rest-assured';
+      let projectType = 'maven';
+      if (pomXml.includes('selenium')) projectType = 'selenium-java';
+      else if (pomXml.includes('cucumber')) projectType = 'cucumber-java';
+      else if (pomXml.includes('rest-assured')) projectType = 'rest-assured';
       
-      return 'maven';
-    }
-    
-    // Check for build.gradle (Java/Gradle)
-    if (fs.existsSync(path.join(repoPath, 'build.gradle'))) {
-      return 'gradle';
+      stacks.push({ stack: 'jvm', projectType });
+    } else if (fs.existsSync(path.join(repoPath, 'build.gradle')) ||
+               fs.existsSync(path.join(repoPath, 'build.gradle.kts'))) {
+      stacks.push({ stack: 'jvm', projectType: 'gradle' });
     }
     
-    // Check for docker-compose.yml (Docker)
-    if (fs.existsSync(path.join(repoPath, 'docker-compose.yml'))) {
-      return 'docker-compose';
+    // Check for docker-compose.yml (Docker) when no language stack has integration tests
+    if (stacks.length === 0 && fs.existsSync(path.join(repoPath, 'docker-compose.yml'))) {
+      stacks.push({ stack: 'docker', projectType: 'docker-compose' });
     }
     
     // Default to unknown
-    return 'unknown';
+    return stacks.length > 0 ? stacks : [{ stack: null, projectType: 'unknown' }];
   }
 
   /**
@@ -358,27 +648,27 @@ class IntegrationAgent {
   async _determineIntegrationTestCommand(repoPath, projectType) {
     switch (projectType) {
       case 'cypress':
-        return 'npx cypress run';
+        return CYPRESS_JUNIT_COMMAND;
       
       case 'playwright':
-        return 'npx playwright test';
+        return PLAYWRIGHT_JUNIT_COMMAND;
       
       case 'protractor':
         return 'npx protractor e2e/protractor.conf.js';
       
       case 'jest-dom':
-        return 'npx jest --testPathPattern=integration';
+        return jestCommand(repoPath, '--testPathPattern=integration');
       
       case 'jest':
         // Look for integration test directory
         if (fs.existsSync(path.join(repoPath, 'tests/integration'))) {
-          return 'npx jest tests/integration';
+          return jestCommand(repoPath, 'tests/integration');
         } else if (fs.existsSync(path.join(repoPath, '__tests__/integration'))) {
-          return 'npx jest __tests__/integration';
+          return jestCommand(repoPath, '__tests__/integration');
         } else if (fs.existsSync(path.join(repoPath, 'integration'))) {
-          return 'npx jest integration';
+          return jestCommand(repoPath, 'integration');
         }
-        return 'npx jest --testPathPattern=integration';
+        return jestCommand(repoPath, '--testPathPattern=integration');
       
       case 'mocha-supertest':
         // Look for integration test directory
@@ -408,16 +698,16 @@ class IntegrationAgent {
         return null;
       
       case 'selenium-python':
-        return 'python -m pytest tests/integration';
+        return `${PYTEST_COMMAND} tests/integration`;
       
       case 'pytest':
         // Look for integration test directory
         if (fs.existsSync(path.join(repoPath, 'tests/integration'))) {
-          return 'python -m pytest tests/integration';
+          return `${PYTEST_COMMAND} tests/integration`;
         } else if (fs.existsSync(path.join(repoPath, 'integration'))) {
-          return 'python -m pytest integration';
+          return `${PYTEST_COMMAND} integration`;
         }
-        return 'python -m pytest -k "integration"';
+        return `${PYTEST_COMMAND} -k integration`;
       
       case 'behave':
         return 'behave';
@@ -429,10 +719,10 @@ class IntegrationAgent {
         return 'mvn verify';
       
       case 'gradle':
-        return './gradlew integrationTest';
+        return gradleCommand(repoPath, 'integrationTest');
       
       case 'docker-compose':
-        return 'docker-compose up --abort-on-container-exit --exit-code-from test';
+        return composeCommand('up --abort-on-container-exit --exit-code-from test');
       
       default:
         return null;
@@ -446,10 +736,12 @@ class IntegrationAgent {
    * @param {string} stderr - Standard error from test command
    * @param {string} projectType - Type of project
    * @param {number} duration - Test duration in milliseconds
+   * @param {Object} reports - Reports written by the test command (optional, see lib/pythonReports.js and lib/junit.js)
+   * @param {number|null} exitCode - Exit code of the test command (optional)
    * @returns {Object} - Standardized test results
    * @private
    */
-  _parseIntegrationTestResults(stdout, stderr, projectType, duration) {
+  _parseIntegrationTestResults(stdout, stderr, projectType, duration, reports, exitCode = null) {
     // Initialize standardized result structure
     const standardResult = {
       success: false,
@@ -461,11 +753,17 @@ class IntegrationAgent {
         duration: duration || 0
       },
       details: [],
+      exitCode,
       rawOutput: stdout,
       rawError: stderr,
       timestamp: new Date().toISOString()
     };
     
+    // Reports have per-test results; console output is only scraped without them
+    if (reports) {
+      return this._parseReportResults(reports, standardResult);
+    }
+    
     try {
       // Parse based on project type
       switch (projectType) {
@@ -480,6 +778,7 @@ class IntegrationAgent {
           return this._parseJestResults(stdout, stderr, standardResult);
         
         case 'mocha-supertest':
+        case 'mocha':
           return this._parseMochaResults(stdout, stderr, standardResult);
         
         case 'selenium-python':
@@ -494,6 +793,7 @@ class IntegrationAgent {
         case 'rest-assured':
         case 'maven':
         case 'gradle':
+        case 'java':
           return this._parseJavaResults(stdout, stderr, standardResult);
         
         case 'docker-compose':
@@ -505,11 +805,28 @@ class IntegrationAgent {
       }
     } catch (error) {
       console.error('Error parsing integration test results:', error);
-      standardResult.error = error.message;
+      standardResult.error = resultError(error, ERROR_TYPES.PARSE);
       return standardResult;
     }
   }
 
+  /**
+   * Fill in test results from the reports of the test command
+   * 
+   * @param {Object} reports - Reports from readPythonReports or readJUnitReports
+   * @param {Object} standardResult - Base result object, carrying the measured duration
+   * @returns {Object} - Standardized test results
+   * @private
+   */
+  _parseReportResults(reports, standardResult) {
+    standardResult.summary = { ...reports.summary, duration: reports.summary.duration || standardResult.summary.duration };
+    standardResult.details = reports.details;
+    standardResult.success = reports.summary.failed === 0;
+    standardResult.reports = reports.files;
+    
+    return standardResult;
+  }
+
   /**
    * Parse Cypress test results
    * 
@@ -803,28 +1120,22 @@ class IntegrationAgent {
     
     standardResult.success = standardResult.summary.failed === 0;
     
-    // Extract feature and scenario details
-    const featureLines = output.split('\n').filter(line => line.startsWith('Feature:'));
-    const scenarioLines = output.split('\n').filter(line => line.startsWith('  Scenario:'));
+    // Extract scenario details; each scenario's suite is its feature
+    let feature = 'scenarios';
     
-    featureLines.forEach(line => {
-      const name = line.replace('Feature:', '').trim();
-      standardResult.details.push({
-        name,
-        suite: 'features',
-        status: 'info', // Features don't have a direct pass/fail status
-        duration: 0,
-        failureMessages: []
-      });
-    });
-    
-    scenarioLines.forEach(line => {
+    output.split('\n').forEach(line => {
+      if (line.startsWith('Feature:')) {
+        feature = line.replace('Feature:', '').trim();
+        return;
+      }
+      if (!line.startsWith('  Scenario:')) return;
+      
       const name = line.replace('Scenario:', '').trim();
       const status = output.includes(`Scenario: ${name}\n    ✗`) ? 'failed' : 'passed';
       
       standardResult.details.push({
         name,
-        suite: 'scenarios',
+        suite: feature,
         status,
         duration: 0,
         failureMessages: status === 'failed' ? [line] : []
@@ -907,9 +1218,10 @@ class IntegrationAgent {
   _parseDockerComposeResults(stdout, stderr, standardResult) {
     const output = stdout + '\n' + stderr;
     
-    // For Docker Compose, we mainly care about the exit code
-    // which is handled by the _executeCommand method
-    standardResult.success = !output.includes('exited with code') || output.includes('exited with code 0');
+    // For Docker Compose, we mainly care about the exit code (the test container's, with --exit-code-from)
+    standardResult.success = typeof standardResult.exitCode === 'number'
+      ? standardResult.exitCode === 0
+      : !output.includes('exited with code') || output.includes('exited with code 0');
     
     // Try to extract container-specific test results
     // This is highly dependent on what test framework is running inside the containers
@@ -974,8 +1286,8 @@ class IntegrationAgent {
   _parseGenericResults(stdout, stderr, standardResult) {
     const output = stdout + '\n' + stderr;
     
-    // Try to determine success/failure based on common patterns
-    standardResult.success = !(
+    // The exit code is the one reliable signal of an unknown format; without it, look for common patterns
+    standardResult.success = typeof standardResult.exitCode === 'number' ? standardResult.exitCode === 0 : !(
       output.includes('FAIL') || 
       output.includes('ERROR') || 
       output.includes('FAILURE') || 
@@ -1018,6 +1330,23 @@ class IntegrationAgent {
     return standardResult;
   }
 
+  /**
+   * Report a progress event (stage transition or command output) to the
+   * configured listener
+   * 
+   * @param {Object} event - Progress event
+   * @private
+   */
+  _reportProgress(event) {
+    if (!this.onProgress) return;
+    
+    try {
+      this.onProgress({ agent: 'integration_test', ...event });
+    } catch (error) {
+      console.error('Progress listener failed:', error);
+    }
+  }
+  
   /**
    * Notify the Coral Protocol about agent actions
    * 
@@ -1026,21 +1355,7 @@ class IntegrationAgent {
    * @private
    */
   async _notifyCoralProtocol(data) {
-    try {
-      // This is a placeholder for actual implementation
-      // In a real implementation, this would use fetch or axios to send data to the Coral Protocol
-      console.log('Notifying Coral Protocol:', data);
-      
-      // Example implementation with fetch (would require node-fetch package)
-      // const fetch = require('node-fetch');
-      // await fetch(this.coralProtocolEndpoint, {
-      //   method: 'POST',
-      //   headers: { 'Content-Type': 'application/json' },
-      //   body: JSON.stringify(data)
-      // });
-    } catch (error) {
-      console.error('Failed to notify Coral Protocol:', error);
-    }
+    await this.coralClient.send(data);
   }
 }
 
@@ -3,23 +3,44 @@
  * 
  * This agent is responsible for securely cloning a target GitHub/GitLab repository
  * into a controlled environment for testing. It supports both public and private
- * repositories with token-based authentication and integrates with the Coral Protocol
- * for orchestrated agent communication.
+ * repositories with token, app password and SSH deploy key authentication and
+ * integrates with the Coral Protocol for orchestrated agent communication.
+ * 
+ * Git is invoked through simple-git with argument arrays (never a shell), and all
+ * user-supplied URLs and refs are validated before they reach git.
  */
 
-const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const util = require('util');
+const { simpleGit } = require('simple-git');
+const CoralClient = require('../lib/coralClient');
+const { createGitCredentials } = require('../lib/credentials');
+const { redact } = require('../lib/redact');
+const { validateAgentParams } = require('../lib/runRequest');
+
+// Remote URL schemes accepted for cloning; local paths and file:// URLs are rejected
+const ALLOWED_URL_PROTOCOLS = ['https:', 'http:', 'ssh:', 'git:'];
+
+// scp-like SSH syntax, e.g. git@github.com:user/repo.git
+const SCP_LIKE_URL_PATTERN = /^[\w.-]+@[\w.-]+:[\w./~-]+$/;
 
-// Promisify exec for async/await usage
-const execAsync = util.promisify(exec);
+// Abbreviated or full SHA-1 / SHA-256 commit hash
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{7,64}$/i;
+
+// Folder names for cloned repositories
+const REPO_ID_PATTERN = /^[\w][\w.-]*$/;
 
 class RepoClonerAgent {
   constructor(config = {}) {
     this.workDir = config.workDir || path.join(process.cwd(), 'repos');
     this.timeout = config.timeout || 300000; // 5 minutes default timeout
-    this.coralProtocolEndpoint = config.coralProtocolEndpoint || 'http://localhost:3000/api/coral';
+    this.coralProtocolEndpoint = config.coralProtocolEndpoint || process.env.CORAL_ENDPOINT || null;
+    this.onProgress = config.onProgress || null; // Listener for live progress events
+    this.signal = config.signal || null; // Stops the running git command when aborted
+    this.coralClient = config.coralClient || new CoralClient({
+      endpoint: this.coralProtocolEndpoint,
+      agentId: 'repo_cloner'
+    });
     
     // Ensure work directory exists
     if (!fs.existsSync(this.workDir)) {
@@ -30,20 +51,27 @@ class RepoClonerAgent {
   /**
    * Clone a repository from GitHub or GitLab
    * 
+   * Only one of branch and tag may be given. A commit may be combined with a
+   * branch, in which case the commit is looked up on that branch.
+   * 
    * @param {Object} params - Repository parameters
    * @param {string} params.repoUrl - URL of the repository to clone
    * @param {string} params.branch - Branch to checkout (optional)
-   * @param {string} params.accessToken - Access token for private repositories (optional)
+   * @param {string} params.tag - Tag to checkout (optional)
+   * @param {string} params.commit - Commit SHA to checkout (optional)
+   * @param {number} params.depth - Create a shallow clone with this many commits (optional)
+   * @param {boolean} params.singleBranch - Only fetch the history of the cloned branch (optional)
+   * @param {string} params.diffBase - Branch, tag or commit to list the changed files against (optional)
+   * @param {Object} params.credentials - Credentials for private repositories, see lib/credentials.js (optional)
+   * @param {string} params.accessToken - Access token for private repositories, shorthand for token credentials (optional)
    * @param {string} params.repoId - Unique identifier for this repository
-   * @returns {Promise<Object>} - Result of the cloning operation
+   * @returns {Promise<Object>} - Result of the cloning operation, including the resolved commit SHA
    */
   async cloneRepository(params) {
-    const { repoUrl, branch, accessToken, repoId } = params;
+    const { repoUrl, branch, tag, commit, depth, singleBranch = false, diffBase, credentials, accessToken, repoId } = params;
+    
+    this._validateParams(params);
     
-    if (!repoUrl) {
-      throw new Error('Repository URL is required');
-    }
-
     // Generate a unique folder name based on repoId or URL
     const repoFolder = repoId || this._generateRepoFolderId(repoUrl);
     const repoPath = path.join(this.workDir, repoFolder);
@@ -53,40 +81,38 @@ class RepoClonerAgent {
       await this._removeDirectory(repoPath);
     }
     
+    this._reportProgress({ type: 'stage', stage: 'clone', status: 'started', repoId: repoFolder });
+    
+    let gitCredentials = null;
+    
     try {
-      // Prepare git clone command with authentication if needed
-      let cloneUrl = repoUrl;
+      // Credentials reach git through its environment only, never through the URL
+      const auth = credentials || (accessToken ? { type: 'token', token: accessToken } : null);
+      if (auth) {
+        gitCredentials = createGitCredentials(auth, repoUrl);
+      }
+      const gitEnv = gitCredentials ? gitCredentials.env : {};
       
-      // Handle authentication for private repositories
-      if (accessToken) {
-        // Format: https://{token}@github.com/user/repo.git
-        const urlObj = new URL(repoUrl);
-        cloneUrl = `https://${accessToken}@${urlObj.host}${urlObj.pathname}`;
+      if (commit) {
+        await this._cloneAtCommit(repoUrl, repoPath, { branch, commit, depth }, gitEnv);
+      } else {
+        await this._cloneAtRef(repoUrl, repoPath, { branch, tag, depth, singleBranch }, gitEnv);
       }
       
-      // Clone the repository
-      const cloneCmd = `git clone ${cloneUrl} "${repoPath}"`;
-      await execAsync(cloneCmd, { timeout: this.timeout });
+      // Resolve what was actually checked out
+      const git = this._git(repoPath);
+      const resolvedCommit = (await git.revparse(['HEAD'])).trim();
+      const currentBranch = (await git.revparse(['--abbrev-ref', 'HEAD'])).trim();
+      const resolvedBranch = currentBranch !== 'HEAD' ? currentBranch : null;
+      const changedFiles = diffBase ? await this._listChangedFiles(repoPath, diffBase, Boolean(depth), gitEnv) : null;
       
-      // Checkout specific branch if specified
-      if (branch) {
-        try {
-          // First check if the branch exists
-          const branchCheckCmd = `cd "${repoPath}"; git branch -a`;
-          const { stdout } = await execAsync(branchCheckCmd, { timeout: this.timeout, shell: 'powershell.exe' });
-          
-          // Only checkout if branch exists
-          if (stdout.includes(`remotes/origin/${branch}`) || stdout.includes(branch)) {
-            // Use PowerShell compatible command for Windows with proper command separator
-            const checkoutCmd = `cd "${repoPath}"; git checkout ${branch}`;
-            await execAsync(checkoutCmd, { timeout: this.timeout, shell: 'powershell.exe' });
-          } else {
-            console.warn(`Branch '${branch}' not found. Using default branch.`);
-          }
-        } catch (branchError) {
-          console.warn(`Unable to checkout branch '${branch}': ${branchError.message}. Using default branch.`);
-        }
-      }
+      this._reportProgress({
+        type: 'stage',
+        stage: 'clone',
+        status: 'completed',
+        repoId: repoFolder,
+        commit: resolvedCommit
+      });
       
       // Notify Coral Protocol about successful clone
       await this._notifyCoralProtocol({
@@ -94,6 +120,7 @@ class RepoClonerAgent {
         repoId: repoFolder,
         path: repoPath,
         action: 'clone',
+        commit: resolvedCommit,
         timestamp: new Date().toISOString()
       });
       
@@ -101,22 +128,262 @@ class RepoClonerAgent {
         success: true,
         repoId: repoFolder,
         path: repoPath,
-        branch: branch || 'default'
+        branch: resolvedBranch || branch || 'default',
+        tag: tag || null,
+        commit: resolvedCommit,
+        shallow: Boolean(depth),
+        changedFiles
       };
     } catch (error) {
+      const message = redact(error.message);
+      
+      this._reportProgress({ type: 'stage', stage: 'clone', status: 'error', repoId: repoFolder, error: message });
+      
       // Notify Coral Protocol about failure
       await this._notifyCoralProtocol({
         status: 'error',
         repoId: repoFolder,
         action: 'clone',
-        error: error.message,
+        error: message,
         timestamp: new Date().toISOString()
       });
       
-      throw new Error(`Failed to clone repository: ${error.message}`);
+      throw new Error(`Failed to clone repository: ${message}`);
+    } finally {
+      if (gitCredentials) {
+        gitCredentials.cleanup();
+      }
     }
   }
   
+  /**
+   * List the files changed between a base ref and the checked out commit
+   * 
+   * In full clones only the changes since the merge base count, like in a
+   * pull request; shallow clones lack the history and compare both trees.
+   * Failures are not fatal: the caller then treats everything as changed.
+   * 
+   * @param {string} repoPath - Path to the cloned repository
+   * @param {string} diffBase - Branch, tag or commit to compare against
+   * @param {boolean} shallow - Whether the clone is shallow
+   * @param {Object} gitEnv - Environment for git, e.g. credentials
+   * @returns {Promise<Array<string>|null>} - Changed paths relative to the repository, or null if unknown
+   * @private
+   */
+  async _listChangedFiles(repoPath, diffBase, shallow, gitEnv) {
+    try {
+      const git = this._git(repoPath, gitEnv);
+      await git.fetch('origin', diffBase, shallow ? ['--depth', '1'] : []);
+      const range = shallow ? ['FETCH_HEAD', 'HEAD'] : ['FETCH_HEAD...HEAD'];
+      const diff = await git.diff(['--name-only', ...range]);
+      return diff.split('\n').map(file => file.trim()).filter(Boolean);
+    } catch (error) {
+      console.warn(`Unable to list the files changed since ${diffBase} (${redact(error.message)}). Testing all packages.`);
+      return null;
+    }
+  }
+  
+  /**
+   * Clone a repository at a branch, a tag or the default branch
+   * 
+   * A branch that does not exist on the remote falls back to the default
+   * branch; a missing tag is an error.
+   * 
+   * @param {string} cloneUrl - URL to clone from
+   * @param {string} repoPath - Destination path
+   * @param {Object} options - Clone options (branch, tag, depth, singleBranch)
+   * @param {Object} gitEnv - Extra environment for git (credentials)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _cloneAtRef(cloneUrl, repoPath, options, gitEnv) {
+    const { branch, tag, depth, singleBranch } = options;
+    const ref = tag || branch;
+    
+    const cloneOptions = [];
+    if (depth) {
+      // --depth implies --single-branch unless --no-single-branch is given
+      cloneOptions.push('--depth', String(depth));
+      if (!singleBranch) cloneOptions.push('--no-single-branch');
+    }
+    if (singleBranch) {
+      cloneOptions.push('--single-branch');
+    }
+    
+    try {
+      await this._git(this.workDir, gitEnv).clone(cloneUrl, repoPath, ref ? [...cloneOptions, '--branch', ref] : cloneOptions);
+    } catch (error) {
+      if (!branch || !/Remote branch .* not found/i.test(error.message)) {
+        throw error;
+      }
+      
+      console.warn(`Branch '${branch}' not found. Using default branch.`);
+      await this._removeDirectory(repoPath);
+      await this._git(this.workDir, gitEnv).clone(cloneUrl, repoPath, cloneOptions);
+    }
+  }
+  
+  /**
+   * Clone a repository and check out a specific commit
+   * 
+   * Full SHAs are fetched directly (which also works for shallow fetches on
+   * GitHub and GitLab); abbreviated SHAs or servers that refuse to serve a bare
+   * SHA fall back to a regular clone followed by a checkout.
+   * 
+   * @param {string} cloneUrl - URL to clone from
+   * @param {string} repoPath - Destination path
+   * @param {Object} options - Clone options (branch, commit, depth)
+   * @param {Object} gitEnv - Extra environment for git (credentials)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _cloneAtCommit(cloneUrl, repoPath, options, gitEnv) {
+    const { branch, commit, depth } = options;
+    
+    if (commit.length >= 40) {
+      try {
+        fs.mkdirSync(repoPath, { recursive: true });
+        const git = this._git(repoPath, gitEnv);
+        await git.init();
+        await git.addRemote('origin', cloneUrl);
+        await git.fetch('origin', commit, depth ? ['--depth', String(depth)] : []);
+        await git.checkout(['--detach', 'FETCH_HEAD']);
+        return;
+      } catch (error) {
+        console.warn(`Unable to fetch commit ${commit} directly (${error.message}). Falling back to a full clone.`);
+        await this._removeDirectory(repoPath);
+      }
+    }
+    
+    await this._git(this.workDir, gitEnv).clone(cloneUrl, repoPath, branch ? ['--branch', branch] : []);
+    await this._git(repoPath).checkout(['--detach', commit]);
+  }
+  
+  /**
+   * Validate clone parameters before anything is passed to git
+   * 
+   * @param {Object} params - Repository parameters
+   * @throws {Error} - If a parameter is missing or unsafe
+   * @private
+   */
+  _validateParams(params) {
+    validateAgentParams(params, ['repoUrl']);
+    
+    const { repoUrl, branch, tag, commit, depth, diffBase, repoId } = params;
+    
+    if (!repoUrl) {
+      throw new Error('Repository URL is required');
+    }
+    
+    if (!this._isValidRepoUrl(repoUrl)) {
+      throw new Error(`Invalid repository URL: ${repoUrl}`);
+    }
+    
+    if (branch && !this._isValidRefName(branch)) {
+      throw new Error(`Invalid branch name: ${branch}`);
+    }
+    
+    if (tag && !this._isValidRefName(tag)) {
+      throw new Error(`Invalid tag name: ${tag}`);
+    }
+    
+    if (diffBase && !this._isValidRefName(diffBase)) {
+      throw new Error(`Invalid diff base: ${diffBase}`);
+    }
+    
+    if (branch && tag) {
+      throw new Error('Specify either a branch or a tag, not both');
+    }
+    
+    if (commit && !COMMIT_SHA_PATTERN.test(commit)) {
+      throw new Error(`Invalid commit SHA: ${commit}`);
+    }
+    
+    if (depth !== undefined && depth !== null && (!Number.isInteger(Number(depth)) || Number(depth) < 1)) {
+      throw new Error(`Invalid clone depth: ${depth}`);
+    }
+    
+    if (repoId && (!REPO_ID_PATTERN.test(repoId) || repoId.includes('..'))) {
+      throw new Error(`Invalid repository ID: ${repoId}`);
+    }
+  }
+  
+  /**
+   * Check that a repository URL points to a remote repository and cannot be
+   * mistaken for a git option
+   * 
+   * @param {string} repoUrl - Repository URL
+   * @returns {boolean} - Whether the URL is acceptable
+   * @private
+   */
+  _isValidRepoUrl(repoUrl) {
+    if (typeof repoUrl !== 'string' || repoUrl.startsWith('-') || /[\s\x00-\x1f\x7f]/.test(repoUrl)) {
+      return false;
+    }
+    
+    if (SCP_LIKE_URL_PATTERN.test(repoUrl)) {
+      return true;
+    }
+    
+    try {
+      const url = new URL(repoUrl);
+      return ALLOWED_URL_PROTOCOLS.includes(url.protocol) && Boolean(url.hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  /**
+   * Check a branch or tag name against git's ref naming rules
+   * (see `git check-ref-format`)
+   * 
+   * @param {string} name - Branch or tag name
+   * @returns {boolean} - Whether the name is a valid ref name
+   * @private
+   */
+  _isValidRefName(name) {
+    if (typeof name !== 'string' || name.length === 0 || name.length > 255) {
+      return false;
+    }
+    
+    return !(
+      name.startsWith('-') ||
+      name.startsWith('/') ||
+      name.endsWith('/') ||
+      name.endsWith('.') ||
+      name.endsWith('.lock') ||
+      name === '@' ||
+      name.includes('..') ||
+      name.includes('//') ||
+      name.includes('@{') ||
+      name.split('/').some(part => part.startsWith('.')) ||
+      /[\x00-\x20\x7f~^:?*[\\]/.test(name)
+    );
+  }
+  
+  /**
+   * Create a simple-git instance for a directory
+   * 
+   * Its commands stop when they block for longer than the timeout, or when
+   * the agent's signal is aborted.
+   * 
+   * @param {string} baseDir - Working directory for git commands
+   * @param {Object} extraEnv - Extra environment variables, e.g. credentials (optional)
+   * @returns {SimpleGit} - simple-git instance
+   * @private
+   */
+  _git(baseDir, extraEnv = {}) {
+    return simpleGit({
+      baseDir,
+      timeout: { block: this.timeout },
+      abort: this.signal || undefined
+    }).env({
+      ...process.env,
+      GIT_TERMINAL_PROMPT: '0', // Fail instead of waiting for credentials on stdin
+      ...extraEnv
+    });
+  }
+  
   /**
    * Generate a unique folder ID based on repository URL
    * 
@@ -126,9 +393,9 @@ class RepoClonerAgent {
    */
   _generateRepoFolderId(repoUrl) {
     // Extract repo name from URL and add timestamp
-    const urlParts = repoUrl.split('/');
-    const repoName = urlParts[urlParts.length - 1].replace('.git', '');
-    return `${repoName}-${Date.now()}`;
+    const urlParts = repoUrl.split(/[/:]/);
+    const repoName = urlParts[urlParts.length - 1].replace('.git', '').replace(/[^\w.-]/g, '_');
+    return `${repoName || 'repo'}-${Date.now()}`;
   }
   
   /**
@@ -150,6 +417,23 @@ class RepoClonerAgent {
     });
   }
   
+  /**
+   * Report a progress event (stage transition or command output) to the
+   * configured listener
+   * 
+   * @param {Object} event - Progress event
+   * @private
+   */
+  _reportProgress(event) {
+    if (!this.onProgress) return;
+    
+    try {
+      this.onProgress({ agent: 'repo_cloner', ...event });
+    } catch (error) {
+      console.error('Progress listener failed:', error);
+    }
+  }
+  
   /**
    * Notify the Coral Protocol about agent actions
    * 
@@ -158,21 +442,7 @@ class RepoClonerAgent {
    * @private
    */
   async _notifyCoralProtocol(data) {
-    try {
-      // This is a placeholder for actual implementation
-      // In a real implementation, this would use fetch or axios to send data to the Coral Protocol
-      console.log('Notifying Coral Protocol:', data);
-      
-      // Example implementation with fetch (would require node-fetch package)
-      // const fetch = require('node-fetch');
-      // await fetch(this.coralProtocolEndpoint, {
-      //   method: 'POST',
-      //   headers: { 'Content-Type': 'application/json' },
-      //   body: JSON.stringify(data)
-      // });
-    } catch (error) {
-      console.error('Failed to notify Coral Protocol:', error);
-    }
+    await this.coralClient.send(data);
   }
 }
 
@@ -183,10 +453,11 @@ module.exports = RepoClonerAgent;
 // cloner.cloneRepository({
 //   repoUrl: 'https://github.com/username/repo.git',
 //   branch: 'main',
-//   accessToken: 'github_pat_xxx', // For private repos
+//   depth: 1,
+//   credentials: { type: 'github-pat', token: 'github_pat_xxx' }, // For private repos
 //   repoId: 'my-test-repo'
 // }).then(result => {
-//   console.log('Repository cloned:', result);
+//   console.log('Repository cloned at commit:', result.commit);
 // }).catch(err => {
 //   console.error('Clone failed:', err);
 // });
\ No newline at end of file
@@ -7,36 +7,65 @@
  * JSON format for downstream aggregation.
  */
 
-const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const util = require('util');
-
-// Promisify exec for async/await usage
-const execAsync = util.promisify(exec);
+const CoralClient = require('../lib/coralClient');
+const { validateAgentParams } = require('../lib/runRequest');
+const { createRunner } = require('../lib/runners');
+const { buildTestEnvironment } = require('../lib/testEnvironment');
+const { loadRepoConfig, getStageConfig, removeIgnoredPaths } = require('../lib/repoConfig');
+const { detectPackageManagers, gradleCommand, getDependencyEnvironment } = require('../lib/packageManagers');
+const { discoverPackages, selectAffectedPackages, aggregatePackageResults } = require('../lib/workspaces');
+const { combineResults } = require('../lib/combineResults');
+const { createReportsDir, jestCommand, readJUnitReports } = require('../lib/junit');
+const { PYTEST_COMMAND, UNITTEST_COMMAND, installPythonReporters, readPythonReports } = require('../lib/pythonReports');
+const { parseGoTestJson } = require('../lib/goTest');
+const { RUST_TEST_COMMAND, parseLibtestJson } = require('../lib/libtest');
+const { ERROR_TYPES, resultError, finalizeTestResults } = require('../lib/results');
+const { OUTCOMES, runTestCommand, applyOutcome } = require('../lib/outcomes');
+const { redact } = require('../lib/redact');
 
 class UnitTestAgent {
   constructor(config = {}) {
     this.timeout = config.timeout || 600000; // 10 minutes default timeout
-    this.coralProtocolEndpoint = config.coralProtocolEndpoint || 'http://localhost:3000/api/coral';
+    this.coralProtocolEndpoint = config.coralProtocolEndpoint || process.env.CORAL_ENDPOINT || null;
+    this.onProgress = config.onProgress || null; // Listener for live progress events
+    this.runner = createRunner(config.runner); // Execution backend for repository commands (local or container)
+    this.envAllowlist = config.envAllowlist; // Host variables passed to test commands (default: QAAS_TEST_ENV_ALLOWLIST)
+    this.coralClient = config.coralClient || new CoralClient({
+      endpoint: this.coralProtocolEndpoint,
+      agentId: 'unit_test'
+    });
   }
 
   /**
    * Run unit tests for a repository
    * 
+   * The packages of a monorepo are tested one by one, unless the request or
+   * the repository config gives a command for the whole repository.
+   * 
    * @param {Object} params - Test parameters
    * @param {string} params.repoPath - Path to the repository
    * @param {string} params.repoId - Unique identifier for this repository
    * @param {string} params.testCommand - Optional specific test command to run
+   * @param {Object} params.env - Optional environment variables for the test command
+   * @param {Object} params.secrets - Optional secret environment variables, redacted from all output
+   * @param {number} params.timeout - Optional timeout in ms, overriding the repository config and agent default
+   * @param {string} params.workspace - Optional runner workspace holding the installed dependencies
+   * @param {Array<string>} params.affectedFiles - Optional changed files; only the monorepo packages they affect are tested
    * @returns {Promise<Object>} - Test results in standardized format
    */
   async runTests(params) {
-    const { repoPath, repoId, testCommand } = params;
+    validateAgentParams(params, ['repoPath', 'repoId']);
+    
+    const { repoPath, repoId, testCommand, affectedFiles } = params;
     
     if (!repoPath || !fs.existsSync(repoPath)) {
       throw new Error(`Repository path does not exist: ${repoPath}`);
     }
 
+    this._reportProgress({ type: 'stage', stage: 'unit_test', status: 'started', repoId });
+    
     try {
       // Notify Coral Protocol that testing has started
       await this._notifyCoralProtocol({
@@ -46,24 +75,22 @@ class UnitTestAgent {
         timestamp: new Date().toISOString()
       });
 
-      // Detect project type and determine test command
-      const projectType = await this._detectProjectType(repoPath);
-      const command = testCommand || await this._determineTestCommand(repoPath, projectType);
+      // A repository config replaces the detection heuristics
+      const repoConfig = loadRepoConfig(repoPath);
+      const stageConfig = repoConfig ? getStageConfig(repoConfig, 'unit') : null;
       
-      if (!command) {
-        throw new Error(`Could not determine test command for project type: ${projectType}`);
+      if (repoConfig) {
+        removeIgnoredPaths(repoPath, repoConfig);
       }
-
-      // Execute test command
-      console.log(`Running test command: ${command}`);
-      const { stdout, stderr } = await execAsync(command, { 
-        cwd: repoPath,
-        timeout: this.timeout,
-        maxBuffer: 10 * 1024 * 1024 // 10MB buffer for large test outputs
-      });
-
-      // Parse test results into standardized format
-      const results = this._parseTestResults(stdout, stderr, projectType);
+      
+      const packages = testCommand || (stageConfig && stageConfig.command) ? [] : discoverPackages(repoPath);
+      
+      // Versioned, with stable test IDs, and validated against schemas/test-results.v2.json
+      const results = finalizeTestResults(packages.length > 0
+        ? await this._runPackages(packages, affectedFiles, params)
+        : await this._runSuite({ ...params, packagePath: '.', repoConfig, stageConfig }));
+      
+      this._reportProgress({ type: 'stage', stage: 'unit_test', status: 'completed', repoId, summary: results.summary });
       
       // Notify Coral Protocol about test completion
       await this._notifyCoralProtocol({
@@ -76,6 +103,8 @@ class UnitTestAgent {
 
       return results;
     } catch (error) {
+      this._reportProgress({ type: 'stage', stage: 'unit_test', status: 'error', repoId, error: error.message });
+      
       // Notify Coral Protocol about test failure
       await this._notifyCoralProtocol({
         status: 'error',
@@ -85,18 +114,263 @@ class UnitTestAgent {
         timestamp: new Date().toISOString()
       });
       
-      throw new Error(`Failed to run unit tests: ${error.message}`);
+      throw new Error(`Failed to run unit tests: ${redact(error.message)}`);
+    }
+  }
+
+  /**
+   * Run the unit tests of each monorepo package and combine the results
+   * 
+   * A package that fails to run is reported in the results without stopping
+   * the remaining packages.
+   * 
+   * @param {Array<Object>} packages - Packages from discoverPackages
+   * @param {Array<string>} affectedFiles - Changed files selecting the packages to test (optional)
+   * @param {Object} params - Test parameters (see runTests)
+   * @returns {Promise<Object>} - Aggregate results with a packages list
+   * @private
+   */
+  async _runPackages(packages, affectedFiles, params) {
+    const { selected, unaffected } = affectedFiles
+      ? selectAffectedPackages(packages, affectedFiles)
+      : { selected: packages, unaffected: [] };
+    const packageResults = [];
+    
+    for (const pkg of selected) {
+      this._reportProgress({ type: 'package', stage: 'unit_test', package: pkg.name, status: 'started' });
+      
+      try {
+        const packageConfig = loadRepoConfig(path.join(params.repoPath, pkg.path));
+        if (packageConfig) {
+          removeIgnoredPaths(path.join(params.repoPath, pkg.path), packageConfig);
+        }
+        const results = await this._runSuite({
+          ...params,
+          packagePath: pkg.path,
+          packageName: pkg.name,
+          repoConfig: packageConfig,
+          stageConfig: packageConfig ? getStageConfig(packageConfig, 'unit') : null
+        });
+        packageResults.push({ package: pkg, results });
+        this._reportProgress({ type: 'package', stage: 'unit_test', package: pkg.name, status: 'completed', summary: results.summary });
+      } catch (error) {
+        const failure = resultError(error);
+        packageResults.push({ package: pkg, error: failure });
+        this._reportProgress({ type: 'package', stage: 'unit_test', package: pkg.name, status: 'error', error: failure.message });
+      }
+    }
+    
+    const results = aggregatePackageResults(packageResults);
+    if (affectedFiles) {
+      results.affected = {
+        changedFiles: affectedFiles.length,
+        packages: selected.map(pkg => pkg.name),
+        unaffected: unaffected.map(pkg => pkg.name)
+      };
+    }
+    
+    return results;
+  }
+
+  /**
+   * Run the unit tests of a project: the repository or one monorepo package
+   * 
+   * Each stack of a polyglot project is tested separately, unless the request
+   * or the repository config gives a command for the whole project.
+   * 
+   * @param {Object} options - Test parameters (see runTests) plus:
+   *   packagePath (project directory relative to the repository, '.' for the root),
+   *   packageName (monorepo package name, optional), repoConfig and stageConfig (repository config of the project, optional)
+   * @returns {Promise<Object>} - Test results in standardized format
+   * @private
+   */
+  async _runSuite(options) {
+    const { repoPath, packagePath, stageConfig, testCommand } = options;
+    
+    const stacks = stageConfig
+      ? [{ stack: stageConfig.language || null, projectType: stageConfig.format }]
+      : await this._detectProjectTypes(path.join(repoPath, packagePath));
+    
+    if (stacks.length > 1 && !testCommand) {
+      return this._runStacks(stacks, options);
+    }
+    
+    return this._runStack(stacks[0].projectType, options);
+  }
+
+  /**
+   * Run the unit tests of each stack of a polyglot project and combine the results
+   * 
+   * A stack that fails to run is reported in the results without stopping
+   * the remaining stacks.
+   * 
+   * @param {Array<Object>} stacks - Stacks from _detectProjectTypes
+   * @param {Object} options - Suite options (see _runSuite)
+   * @returns {Promise<Object>} - Combined results with a stacks list
+   * @private
+   */
+  async _runStacks(stacks, options) {
+    const stackResults = [];
+    
+    for (const { stack, projectType } of stacks) {
+      this._reportProgress({ type: 'stack', stage: 'unit_test', stack, package: options.packageName, status: 'started' });
+      
+      try {
+        const results = await this._runStack(projectType, { ...options, stack });
+        stackResults.push({ name: stack, projectType, results });
+        this._reportProgress({ type: 'stack', stage: 'unit_test', stack, package: options.packageName, status: 'completed', summary: results.summary });
+      } catch (error) {
+        const failure = resultError(error);
+        stackResults.push({ name: stack, projectType, error: failure });
+        this._reportProgress({ type: 'stack', stage: 'unit_test', stack, package: options.packageName, status: 'error', error: failure.message });
+      }
+    }
+    
+    const { runs, ...results } = combineResults(stackResults, 'stack');
+    return { ...results, stacks: runs };
+  }
+
+  /**
+   * Run the unit tests of one stack of a project
+   * 
+   * @param {string} projectType - Project type, picking the test command and result parser
+   * @param {Object} options - Suite options (see _runSuite) plus stack (stack name, when the project has several)
+   * @returns {Promise<Object>} - Test results in standardized format
+   * @private
+   */
+  async _runStack(projectType, options) {
+    const { repoPath, repoId, packagePath, packageName, stack, repoConfig, stageConfig, testCommand, workspace, env = {}, secrets = {} } = options;
+    const projectPath = path.join(repoPath, packagePath);
+    
+    let testEnv = null;
+    let reportsDir = null;
+    
+    try {
+      // Determine test command
+      const command = testCommand || (stageConfig ? stageConfig.command : await this._determineTestCommand(projectPath, projectType));
+      
+      if (!command && stageConfig) {
+        return this._skippedResults('repository-config-check', `No unit test command in ${repoConfig.file}`);
+      }
+      
+      if (!command && stack) {
+        return this._skippedResults('stack-test-detection', `No unit tests found for the ${stack} stack`);
+      }
+      
+      if (!command && packageName) {
+        return this._skippedResults('package-test-detection', `No unit tests found in package ${packageName}`);
+      }
+      
+      if (!command) {
+        throw new Error(`Could not determine test command for project type: ${projectType}`);
+      }
+
+      const timeout = options.timeout || (stageConfig && stageConfig.timeout) || this.timeout;
+      
+      testEnv = buildTestEnvironment({
+        includeBase: this.runner.runsOnHost,
+        allowlist: this.envAllowlist,
+        // Locate the dependencies the install stage put into the workspace
+        dependencies: getDependencyEnvironment(
+          [
+            ...detectPackageManagers(repoPath).map(manager => manager.language),
+            ...detectPackageManagers(projectPath).map(manager => manager.language),
+            stageConfig && stageConfig.language
+          ],
+          this.runner.workspacePath(repoPath)
+        ),
+        repository: stageConfig ? stageConfig.env : {},
+        env,
+        secrets
+      });
+
+      // Execute test command
+      console.log(`Running test command: ${command}${packageName ? ` in ${packagePath}` : ''}`);
+      this._reportProgress({ type: 'stage', stage: 'unit_test', status: 'running', repoId, projectType, command, package: packageName, stack });
+      
+      reportsDir = await createReportsDir();
+      await installPythonReporters(reportsDir);
+      const execution = await runTestCommand(this.runner, command, {
+        cwd: repoPath,
+        workdir: packagePath,
+        workspace,
+        reportsDir,
+        env: testEnv.env,
+        projectType: (stageConfig && stageConfig.language) || projectType,
+        timeout,
+        // Stream output to progress listeners while the command runs
+        onOutput: (stream, data) => this._reportProgress({ type: 'output', stream, data })
+      });
+
+      // Parse test results into standardized format, preferring reports over the console output;
+      // failing tests exit non-zero but still have results
+      const reports = await readPythonReports(reportsDir) || await readJUnitReports(reportsDir);
+      const results = applyOutcome(
+        this._parseTestResults(execution.stdout, execution.stderr, projectType, reports, execution.exitCode),
+        execution
+      );
+      results.environment = testEnv.exposed;
+
+      // Redact while the request's secrets are still registered
+      return redact(results);
+    } finally {
+      if (testEnv) {
+        testEnv.release();
+      }
+      if (reportsDir) {
+        await fs.promises.rm(reportsDir, { recursive: true, force: true });
+      }
     }
   }
 
   /**
-   * Detect the type of project in the repository
+   * Build the results of tests that were skipped
+   * 
+   * @param {string} name - Name of the skipped check
+   * @param {string} message - Reason the tests were skipped
+   * @returns {Object} - Test results in standardized format
+   * @private
+   */
+  _skippedResults(name, message) {
+    console.log(`${message}, skipping unit tests`);
+    
+    return {
+      status: OUTCOMES.NO_TESTS,
+      success: true,
+      summary: {
+        total: 1,
+        passed: 0,
+        failed: 0,
+        skipped: 1,
+        duration: 0
+      },
+      details: [{
+        name,
+        suite: 'system',
+        status: 'skipped',
+        duration: 0,
+        failureMessages: [message]
+      }],
+      rawOutput: message,
+      rawError: '',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Detect the stacks present in the repository and the project type of each
+   * 
+   * A repository may combine several stacks, e.g. a Node.js frontend with a
+   * Python backend; every stack found is returned, in the order below.
    * 
    * @param {string} repoPath - Path to the repository
-   * @returns {Promise<string>} - Detected project type
+   * @returns {Promise<Array<Object>>} - { stack, projectType } per stack (node, python, jvm, rust, go);
+   *   a single entry with a null stack and the 'empty' or 'unknown' type if there is none
    * @private
    */
-  async _detectProjectType(repoPath) {
+  async _detectProjectTypes(repoPath) {
+    const stacks = [];
+    
     // Check for package.json (Node.js)
     if (fs.existsSync(path.join(repoPath, 'package.json'))) {
       const packageJson = JSON.parse(fs.readFileSync(path.join(repoPath, 'package.json'), 'utf8'));
@@ -104,46 +378,47 @@ class UnitTestAgent {
       // Check for specific frameworks in dependencies
       const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
       
-      if (deps.jest) return 'jest';
-      if (deps.mocha) return 'mocha';
-      if (deps.karma) return 'karma';
-      
-      return 'node';
+      const projectType = deps.jest ? 'jest' : deps.mocha ? 'mocha' : deps.karma ? 'karma' : 'node';
+      stacks.push({ stack: 'node', projectType });
     }
     
     // Check for requirements.txt or setup.py (Python)
     if (fs.existsSync(path.join(repoPath, 'requirements.txt')) || 
         fs.existsSync(path.join(repoPath, 'setup.py'))) {
+      let projectType = 'python';
+      
       // Check for specific test frameworks
       try {
         const files = await fs.promises.readdir(repoPath);
-        if (files.some(file => file.includes('pytest'))) return 'pytest';
-        if (files.some(file => file.includes('unittest'))) return 'unittest';
+        if (files.some(file => file.includes('pytest'))) projectType = 'pytest';
+        else if (files.some(file => file.includes('unittest'))) projectType = 'unittest';
       } catch (err) {
         console.error('Error reading directory:', err);
       }
       
-      return 'python';
+      stacks.push({ stack: 'python', projectType });
     }
     
-    // Check for pom.xml (Java/Maven)
+    // Check for pom.xml (Java/Maven), then build.gradle (Java/Gradle)
     if (fs.existsSync(path.join(repoPath, 'pom.xml'))) {
-      return 'maven';
-    }
-    
-    // Check for build.gradle (Java/Gradle)
-    if (fs.existsSync(path.join(repoPath, 'build.gradle'))) {
-      return 'gradle';
+      stacks.push({ stack: 'jvm', projectType: 'maven' });
+    } else if (fs.existsSync(path.join(repoPath, 'build.gradle')) ||
+               fs.existsSync(path.join(repoPath, 'build.gradle.kts'))) {
+      stacks.push({ stack: 'jvm', projectType: 'gradle' });
     }
     
     // Check for Cargo.toml (Rust)
     if (fs.existsSync(path.join(repoPath, 'Cargo.toml'))) {
-      return 'rust';
+      stacks.push({ stack: 'rust', projectType: 'rust' });
     }
     
     // Check for go.mod (Go)
     if (fs.existsSync(path.join(repoPath, 'go.mod'))) {
-      return 'go';
+      stacks.push({ stack: 'go', projectType: 'go' });
+    }
+    
+    if (stacks.length > 0) {
+      return stacks;
     }
     
     // Check if repository is empty (only contains .git directory)
@@ -152,14 +427,14 @@ class UnitTestAgent {
       const nonGitFiles = files.filter(file => file !== '.git');
       if (nonGitFiles.length === 0) {
         console.warn('Repository appears to be empty (only contains .git directory)');
-        return 'empty';
+        return [{ stack: null, projectType: 'empty' }];
       }
     } catch (err) {
       console.error('Error checking repository contents:', err);
     }
     
     // Default to unknown
-    return 'unknown';
+    return [{ stack: null, projectType: 'unknown' }];
   }
 
   /**
@@ -176,7 +451,7 @@ class UnitTestAgent {
         console.log('Repository is empty, skipping tests');
         return 'echo "Repository is empty, no tests to run"';
       case 'jest':
-        return 'npx jest --json';
+        return jestCommand(repoPath, '--json');
       
       case 'mocha':
         return 'npx mocha --reporter json';
@@ -197,32 +472,33 @@ class UnitTestAgent {
         return null;
       
       case 'pytest':
-        return 'python -m pytest -v';
+        return PYTEST_COMMAND;
       
       case 'unittest':
-        return 'python -m unittest discover';
+        return UNITTEST_COMMAND;
       
       case 'python':
-        // Check if pytest is available
-        try {
-          await execAsync('pip list | grep pytest', { cwd: repoPath });
-          return 'python -m pytest -v';
-        } catch (err) {
-          // Fallback to unittest
-          return 'python -m unittest discover';
+        // Use pytest if the dependencies the install stage installed declare it
+        if (['requirements.txt', 'requirements-dev.txt', 'pyproject.toml', 'Pipfile', 'setup.py'].some(file => {
+          const filePath = path.join(repoPath, file);
+          return fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8').includes('pytest');
+        })) {
+          return PYTEST_COMMAND;
         }
+        // Fallback to unittest
+        return UNITTEST_COMMAND;
       
       case 'maven':
         return 'mvn test';
       
       case 'gradle':
-        return './gradlew test';
+        return gradleCommand(repoPath, 'test');
       
       case 'rust':
-        return 'cargo test';
+        return RUST_TEST_COMMAND;
       
       case 'go':
-        return 'go test ./...';
+        return 'go test -json ./...';
       
       default:
         return null;
@@ -235,10 +511,12 @@ class UnitTestAgent {
    * @param {string} stdout - Standard output from test command
    * @param {string} stderr - Standard error from test command
    * @param {string} projectType - Type of project
+   * @param {Object} reports - Reports written by the test command (optional, see lib/pythonReports.js and lib/junit.js)
+   * @param {number|null} exitCode - Exit code of the test command (optional)
    * @returns {Object} - Standardized test results
    * @private
    */
-  _parseTestResults(stdout, stderr, projectType) {
+  _parseTestResults(stdout, stderr, projectType, reports, exitCode = null) {
     // Initialize standardized result structure
     const standardResult = {
       success: false,
@@ -250,6 +528,7 @@ class UnitTestAgent {
         duration: 0
       },
       details: [],
+      exitCode,
       rawOutput: stdout,
       rawError: stderr,
       timestamp: new Date().toISOString()
@@ -257,6 +536,7 @@ class UnitTestAgent {
     
     // Handle empty repository case
     if (projectType === 'empty') {
+      standardResult.status = OUTCOMES.NO_TESTS;
       standardResult.success = true;
       standardResult.summary.skipped = 1;
       standardResult.summary.total = 1;
@@ -270,6 +550,11 @@ class UnitTestAgent {
       return standardResult;
     }
     
+    // Reports have per-test results; console output is only scraped without them
+    if (reports) {
+      return this._parseReportResults(reports, standardResult);
+    }
+    
     try {
       // Parse based on project type
       switch (projectType) {
@@ -285,6 +570,7 @@ class UnitTestAgent {
         
         case 'maven':
         case 'gradle':
+        case 'java':
           return this._parseJavaResults(stdout, stderr, standardResult);
         
         case 'rust':
@@ -299,11 +585,28 @@ class UnitTestAgent {
       }
     } catch (error) {
       console.error('Error parsing test results:', error);
-      standardResult.error = error.message;
+      standardResult.error = resultError(error, ERROR_TYPES.PARSE);
       return standardResult;
     }
   }
 
+  /**
+   * Fill in test results from the reports of the test command
+   * 
+   * @param {Object} reports - Reports from readPythonReports or readJUnitReports
+   * @param {Object} standardResult - Base result object
+   * @returns {Object} - Standardized test results
+   * @private
+   */
+  _parseReportResults(reports, standardResult) {
+    standardResult.summary = { ...reports.summary };
+    standardResult.details = reports.details;
+    standardResult.success = reports.summary.failed === 0;
+    standardResult.reports = reports.files;
+    
+    return standardResult;
+  }
+
   /**
    * Parse Jest test results
    * 
@@ -329,7 +632,8 @@ class UnitTestAgent {
           standardResult.details.push({
             name: test.title,
             suite: suite.name,
-            status: test.status,
+            // Pending, todo and disabled tests count as skipped
+            status: ['passed', 'failed'].includes(test.status) ? test.status : 'skipped',
             duration: test.duration || 0,
             failureMessages: test.failureMessages || []
           });
@@ -495,6 +799,9 @@ class UnitTestAgent {
   /**
    * Parse Rust test results
    * 
+   * Reads libtest's JSON events when the tests ran with --format json, and
+   * otherwise the text summary of every test target and doc-test run.
+   * 
    * @param {string} stdout - Standard output from Rust tests
    * @param {string} stderr - Standard error from Rust tests
    * @param {Object} standardResult - Base result object
@@ -504,22 +811,22 @@ class UnitTestAgent {
   _parseRustResults(stdout, stderr, standardResult) {
     const output = stdout + '\n' + stderr;
     
-    // Extract basic summary information using regex
-    const summaryMatch = output.match(/test result: (\w+). (\d+) passed; (\d+) failed; (\d+) ignored/);
-    
-    if (summaryMatch) {
-      standardResult.success = summaryMatch[1] === 'ok';
-      standardResult.summary.passed = parseInt(summaryMatch[2]);
-      standardResult.summary.failed = parseInt(summaryMatch[3]);
-      standardResult.summary.skipped = parseInt(summaryMatch[4]);
-      standardResult.summary.total = standardResult.summary.passed + standardResult.summary.failed + standardResult.summary.skipped;
+    const parsed = parseLibtestJson(output);
+    if (parsed) {
+      return { ...standardResult, ...parsed };
     }
     
-    // Extract duration
-    const timeMatch = output.match(/finished in ([\d\.]+)s/);
-    if (timeMatch) {
-      standardResult.summary.duration = parseFloat(timeMatch[1]) * 1000;
-    }
+    // cargo prints a summary line per test target and per crate's doc-tests
+    const summaryMatches = [...output.matchAll(/test result: (\w+)\. (\d+) passed; (\d+) failed; (\d+) ignored.*finished in ([\d.]+)s/g)];
+    
+    summaryMatches.forEach(match => {
+      standardResult.summary.passed += parseInt(match[2]);
+      standardResult.summary.failed += parseInt(match[3]);
+      standardResult.summary.skipped += parseInt(match[4]);
+      standardResult.summary.duration += Math.round(parseFloat(match[5]) * 1000);
+    });
+    standardResult.summary.total = standardResult.summary.passed + standardResult.summary.failed + standardResult.summary.skipped;
+    standardResult.success = summaryMatches.length > 0 && summaryMatches.every(match => match[1] === 'ok');
     
     // Extract test details
     const testLines = output.split('\n').filter(line => 
@@ -553,6 +860,8 @@ class UnitTestAgent {
   /**
    * Parse Go test results
    * 
+   * Reads the event stream of go test -json, and otherwise the text output.
+   * 
    * @param {string} stdout - Standard output from Go tests
    * @param {string} stderr - Standard error from Go tests
    * @param {Object} standardResult - Base result object
@@ -560,13 +869,12 @@ class UnitTestAgent {
    * @private
    */
   _parseGoResults(stdout, stderr, standardResult) {
-    const output = stdout + '\n' + stderr;
-    
-    // Extract basic summary information
-    const passedMatch = output.match(/PASS/);
-    const failedMatch = output.match(/FAIL/);
+    const parsed = parseGoTestJson(stdout, stderr);
+    if (parsed) {
+      return { ...standardResult, ...parsed };
+    }
     
-    standardResult.success = passedMatch && !failedMatch;
+    const output = stdout + '\n' + stderr;
     
     // Count tests
     const testLines = output.split('\n').filter(line => 
@@ -578,6 +886,9 @@ class UnitTestAgent {
     standardResult.summary.failed = testLines.filter(line => line.includes('--- FAIL')).length;
     standardResult.summary.skipped = testLines.filter(line => line.includes('--- SKIP')).length;
     
+    // A package fails with a FAIL line even when no test did (e.g. a build error)
+    standardResult.success = standardResult.summary.failed === 0 && !/^FAIL\b/m.test(output);
+    
     // Extract duration
     const timeMatch = output.match(/ok\s+[\w\/\.]+\s+([\d\.]+)s/);
     if (timeMatch) {
@@ -595,7 +906,7 @@ class UnitTestAgent {
       
       standardResult.details.push({
         name,
-        suite: 'go_tests', // Go doesn't have a clear suite concept in output
+        suite: 'go_tests', // The text output doesn't say which package a test belongs to
         status,
         duration: 0, // Not easily extractable from standard output
         failureMessages: status === 'failed' ? [line] : []
@@ -617,8 +928,8 @@ class UnitTestAgent {
   _parseGenericResults(stdout, stderr, standardResult) {
     const output = stdout + '\n' + stderr;
     
-    // Try to determine success/failure based on common patterns
-    standardResult.success = !(
+    // The exit code is the one reliable signal of an unknown format; without it, look for common patterns
+    standardResult.success = typeof standardResult.exitCode === 'number' ? standardResult.exitCode === 0 : !(
       output.includes('FAIL') || 
       output.includes('ERROR') || 
       output.includes('FAILURE') || 
@@ -661,6 +972,23 @@ class UnitTestAgent {
     return standardResult;
   }
 
+  /**
+   * Report a progress event (stage transition or command output) to the
+   * configured listener
+   * 
+   * @param {Object} event - Progress event
+   * @private
+   */
+  _reportProgress(event) {
+    if (!this.onProgress) return;
+    
+    try {
+      this.onProgress({ agent: 'unit_test', ...event });
+    } catch (error) {
+      console.error('Progress listener failed:', error);
+    }
+  }
+  
   /**
    * Notify the Coral Protocol about agent actions
    * 
@@ -669,21 +997,7 @@ class UnitTestAgent {
    * @private
    */
   async _notifyCoralProtocol(data) {
-    try {
-      // This is a placeholder for actual implementation
-      // In a real implementation, this would use fetch or axios to send data to the Coral Protocol
-      console.log('Notifying Coral Protocol:', data);
-      
-      // Example implementation with fetch (would require node-fetch package)
-      // const fetch = require('node-fetch');
-      // await fetch(this.coralProtocolEndpoint, {
-      //   method: 'POST',
-      //   headers: { 'Content-Type': 'application/json' },
-      //   body: JSON.stringify(data)
-      // });
-    } catch (error) {
-      console.error('Failed to notify Coral Protocol:', error);
-    }
+    await this.coralClient.send(data);
   }
 }
 
@@ -6,22 +6,35 @@
  */
 
 require('dotenv').config();
+const { installConsoleRedaction, redact } = require('./lib/redact');
+
+// Keep credentials out of every log line
+installConsoleRedaction();
+
 const express = require('express');
+const os = require('os');
 const fs = require('fs-extra');
 const path = require('path');
 
 // Import agents
-const RepoClonerAgent = require('./agents/repoClonerAgent');
-const UnitTestAgent = require('./agents/unitTestAgent');
-const IntegrationAgent = require('./agents/integrationAgent');
 const BlockchainLogger = require('./agents/blockchainLogger');
 
+// Import pipeline and job queue
+const JobQueue = require('./lib/jobQueue');
+const { runPipeline } = require('./lib/pipeline');
+const { parseRunRequest, ValidationError } = require('./lib/runRequest');
+const { createSseHandler, attachWebSocketServer } = require('./lib/jobStream');
+const CoralClient = require('./lib/coralClient');
+const { CoralDispatcher, createCoralHandler } = require('./lib/coralDispatcher');
+const { COMMIT_SHA_PATTERN } = require('./lib/attestation');
+const { killActiveProcesses } = require('./lib/runners');
+
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // Coral log-results messages carry full test results
 
 // Ensure required directories exist
 fs.ensureDirSync(path.join(__dirname, 'repos'));
@@ -36,97 +49,75 @@ app.get('/', (req, res) => {
   });
 });
 
-// API endpoint to run the QA pipeline
-app.post('/api/run-tests', async (req, res) => {
+// Job queue for QA pipeline runs
+const jobQueue = new JobQueue({
+  processor: runPipeline,
+  concurrency: process.env.JOB_CONCURRENCY || 2,
+  storageDir: process.env.JOBS_DIR || path.join(__dirname, 'jobs'),
+  maxFinishedJobs: process.env.JOB_RETENTION_COUNT,
+  finishedJobMaxAge: process.env.JOB_RETENTION_DAYS && process.env.JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000
+});
+
+// API endpoint to queue a QA pipeline run
+app.post('/api/run-tests', (req, res) => {
   try {
-    const { repoUrl, branch = 'main', auth, testTypes = ['unit', 'integration'] } = req.body;
+    const request = parseRunRequest(req.body);
+    const job = jobQueue.enqueue(request);
     
-    if (!repoUrl) {
-      return res.status(400).json({ error: 'Repository URL is required' });
-    }
-    
-    // Step 1: Clone repository
-    const repoClonerAgent = new RepoClonerAgent();
-    const cloneResult = await repoClonerAgent.cloneRepository({
-      url: repoUrl,
-      branch,
-      auth: auth ? { type: 'token', token: auth } : undefined
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
     });
-    
-    const results = {
-      repoId: cloneResult.repoId,
-      repoUrl,
-      branch,
-      timestamp: new Date().toISOString(),
-      unitTests: null,
-      integrationTests: null
-    };
-    
-    // Step 2: Run unit tests if requested
-    if (testTypes.includes('unit')) {
-      const unitTestAgent = new UnitTestAgent();
-      const unitTestResults = await unitTestAgent.runTests({
-        repoPath: cloneResult.path,
-        testType: 'unit'
-      });
-      
-      results.unitTests = unitTestResults;
-      
-      // Log unit test results to blockchain
-      const blockchainLogger = new BlockchainLogger({
-        solanaEndpoint: process.env.SOLANA_ENDPOINT || 'https://api.devnet.solana.com',
-        programId: process.env.SOLANA_PROGRAM_ID,
-        ipfsApiKey: process.env.NFT_STORAGE_API_KEY
-      });
-      
-      const unitLogResult = await blockchainLogger.logResults(
-        unitTestResults,
-        'unit',
-        cloneResult.repoId
-      );
-      
-      results.unitTests.blockchain = unitLogResult;
-    }
-    
-    // Step 3: Run integration tests if requested
-    if (testTypes.includes('integration')) {
-      const integrationAgent = new IntegrationAgent();
-      const integrationTestResults = await integrationAgent.runTests({
-        repoPath: cloneResult.path,
-        testType: 'integration'
-      });
-      
-      results.integrationTests = integrationTestResults;
-      
-      // Log integration test results to blockchain
-      const blockchainLogger = new BlockchainLogger({
-        solanaEndpoint: process.env.SOLANA_ENDPOINT || 'https://api.devnet.solana.com',
-        programId: process.env.SOLANA_PROGRAM_ID,
-        ipfsApiKey: process.env.NFT_STORAGE_API_KEY
-      });
-      
-      const integrationLogResult = await blockchainLogger.logResults(
-        integrationTestResults,
-        'integration',
-        cloneResult.repoId
-      );
-      
-      results.integrationTests.blockchain = integrationLogResult;
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
     }
     
-    // Return results
-    res.json(results);
-    
-    // Cleanup repository asynchronously
-    fs.remove(cloneResult.path).catch(err => {
-      console.error('Error cleaning up repository:', err);
+    console.error('Error queueing test run:', error);
+    res.status(500).json({ error: redact(error.message) });
+  }
+});
+
+// API endpoint to get the status and results of a job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json(JobQueue.toPublicJob(job));
+});
+
+// API endpoint to stream live progress of a job (Server-Sent Events; WebSocket upgrades on the same path)
+app.get('/api/jobs/:id/stream', createSseHandler(jobQueue));
+
+// API endpoint to cancel a job
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.cancel(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  if (job.status !== JobQueue.JOB_STATUS.CANCELLED) {
+    return res.status(409).json({
+      error: `Job already ${job.status}`,
+      job: JobQueue.toPublicJob(job)
     });
-  } catch (error) {
-    console.error('Error running tests:', error);
-    res.status(500).json({ error: error.message });
   }
+  
+  res.json(JobQueue.toPublicJob(job));
 });
 
+// Coral Protocol inbound endpoint for orchestrator messages, which run agents and so require an API key
+if (process.env.CORAL_API_KEY) {
+  app.post('/api/coral', createCoralHandler(new CoralDispatcher()));
+} else {
+  console.warn('CORAL_API_KEY is not set; the Coral Protocol endpoint /api/coral is disabled');
+}
+
 // API endpoint to retrieve test results by repo ID
 app.get('/api/results/:repoId', async (req, res) => {
   try {
@@ -142,13 +133,59 @@ app.get('/api/results/:repoId', async (req, res) => {
     res.json(results);
   } catch (error) {
     console.error('Error retrieving results:', error);
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ error: redact(error.message) });
+  }
+});
+
+// API endpoint to verify the results of a logged run against their on-chain attestation
+app.get('/api/verify/:repoId/:runId', async (req, res) => {
+  try {
+    const { repoId, runId } = req.params;
+    const commit = typeof req.query.commit === 'string' ? req.query.commit : undefined;
+    const repoUrl = typeof req.query.repoUrl === 'string' ? req.query.repoUrl : undefined;
+    
+    if (commit !== undefined && !COMMIT_SHA_PATTERN.test(commit)) {
+      return res.status(400).json({ error: 'commit must be a commit SHA of 7 to 40 lowercase hex digits' });
+    }
+    
+    const blockchainLogger = new BlockchainLogger({
+      solanaEndpoint: process.env.SOLANA_ENDPOINT || 'https://api.devnet.solana.com'
+    });
+    const report = await blockchainLogger.verifyResults(repoId, runId, { commit, repoUrl });
+    
+    if (!report) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    
+    res.json(report);
+  } catch (error) {
+    console.error('Error verifying results:', error);
+    res.status(500).json({ error: redact(error.message) });
   }
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`QAaaS Backend server running on port ${PORT}`);
+  jobQueue.start();
+  
+  // Replay Coral Protocol events that could not be delivered before the restart
+  new CoralClient().flushOutbox().catch(err => {
+    console.error('Error flushing Coral Protocol outbox:', err);
+  });
+});
+
+// Stream job progress over WebSocket
+attachWebSocketServer(server, jobQueue);
+
+// Test commands run in their own process groups, which don't get the signals sent to the server's
+// terminal; handling the signals replaces Node's default of exiting, which wouldn't run 'exit' listeners
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.once(signal, () => {
+    killActiveProcesses();
+    // Exit code of a process killed by the signal
+    process.exit(128 + os.constants.signals[signal]);
+  });
 });
 
 module.exports = app; // Export for testing
\ No newline at end of file
@@ -0,0 +1,229 @@
+/**
+ * attestation.js
+ *
+ * Attestations of test results, the record the blockchain logger writes on
+ * chain. An attestation ties a result set to what was tested and who ran it:
+ * the SHA-256 of the canonical results JSON, a hash of the repository URL,
+ * the tested commit, the test counts, and the agent's public key, signed with
+ * the agent's ed25519 key. It is encoded as canonical JSON, so it is valid
+ * memo text and can be checked by anyone holding the results.
+ *
+ * Version 1 record:
+ *   { v, type, resultsHash, repoHash, commit, passed, failed, skipped, timestamp, cid, agent, signature }
+ */
+
+const crypto = require('crypto');
+const bs58 = require('bs58');
+
+const ATTESTATION_VERSION = 1;
+
+// DER prefixes turning raw ed25519 keys into keys node's crypto accepts
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// scp-like SSH syntax, e.g. git@github.com:user/repo.git
+const SCP_LIKE_URL_PATTERN = /^[\w.-]+@([\w.-]+):(.+)$/;
+
+// Full or abbreviated commit SHA an attested commit can be compared with; shorter prefixes match too much
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{7,40}$/;
+
+/**
+ * Error raised for attestations that can't be decoded
+ */
+class AttestationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AttestationError';
+  }
+}
+
+/**
+ * Serialize a value as canonical JSON: object keys sorted, no whitespace
+ *
+ * The same data always gives the same bytes, whatever order its keys were
+ * added in, so hashes and signatures over it can be recomputed.
+ *
+ * @param {*} value - JSON value
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (value && typeof value.toJSON === 'function') {
+    return canonicalJson(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 of a string, hex encoded
+ *
+ * @param {string} data - Data to hash
+ * @returns {string} - Hex digest
+ * @private
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data, 'utf8').digest('hex');
+}
+
+/**
+ * Hash test results as they are stored
+ *
+ * The blockchain receipt is added to the results after they are logged, so
+ * it is not part of the hash.
+ *
+ * @param {Object} results - Test results
+ * @returns {string} - SHA-256 of the canonical results JSON, hex encoded
+ */
+function hashResults(results) {
+  const { blockchain, ...stored } = results;
+  return sha256(canonicalJson(stored));
+}
+
+/**
+ * Hash a repository URL
+ *
+ * URLs are compared as host and path, so the HTTPS and SSH URLs of a
+ * repository, with or without credentials or a .git suffix, hash the same.
+ * Only the hash goes on chain, keeping private repository names private.
+ *
+ * @param {string} repoUrl - Repository URL
+ * @returns {string} - SHA-256 of the normalized URL, hex encoded
+ */
+function hashRepoUrl(repoUrl) {
+  let hostPath;
+  const scpMatch = repoUrl.match(SCP_LIKE_URL_PATTERN);
+
+  if (scpMatch) {
+    hostPath = `${scpMatch[1].toLowerCase()}/${scpMatch[2]}`;
+  } else {
+    try {
+      const url = new URL(repoUrl);
+      hostPath = `${url.host.toLowerCase()}${url.pathname}`;
+    } catch (error) {
+      hostPath = repoUrl;
+    }
+  }
+
+  return sha256(hostPath.replace(/\/+$/, '').replace(/\.git$/, '').replace(/\/+$/, ''));
+}
+
+/**
+ * Create a signed attestation of test results
+ *
+ * @param {Object} fields - What is attested
+ * @param {Object} fields.results - Test results, as stored
+ * @param {string} fields.type - Type of test ('unit' or 'integration')
+ * @param {string} fields.repoUrl - URL of the tested repository (optional)
+ * @param {string} fields.commit - SHA of the tested commit (optional)
+ * @param {string} fields.cid - Content identifier of the stored results (optional)
+ * @param {Keypair} keypair - Agent keypair signing the attestation (a Solana Keypair)
+ * @returns {Object} - Signed attestation record
+ */
+function createAttestation({ results, type, repoUrl, commit, cid }, keypair) {
+  const summary = results.summary || {};
+  const record = {
+    v: ATTESTATION_VERSION,
+    type,
+    resultsHash: hashResults(results),
+    repoHash: repoUrl ? hashRepoUrl(repoUrl) : null,
+    commit: commit || null,
+    passed: summary.passed || 0,
+    failed: summary.failed || 0,
+    skipped: summary.skipped || 0,
+    timestamp: new Date().toISOString(),
+    cid: cid || null,
+    agent: keypair.publicKey.toBase58()
+  };
+
+  // A Solana secret key is the ed25519 seed followed by the public key
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(keypair.secretKey.slice(0, 32))]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  const signature = crypto.sign(null, Buffer.from(canonicalJson(record), 'utf8'), privateKey);
+
+  return { ...record, signature: bs58.encode(signature) };
+}
+
+/**
+ * Check the signature of an attestation
+ *
+ * @param {Object} attestation - Attestation record
+ * @returns {boolean} - Whether the record is a version this module knows, signed by its agent key
+ */
+function verifyAttestation(attestation) {
+  if (!attestation || attestation.v !== ATTESTATION_VERSION || !attestation.agent || !attestation.signature) {
+    return false;
+  }
+
+  try {
+    const { signature, ...record } = attestation;
+    const publicKey = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(bs58.decode(record.agent))]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(null, Buffer.from(canonicalJson(record), 'utf8'), publicKey, Buffer.from(bs58.decode(signature)));
+  } catch (error) {
+    // Malformed keys or signatures
+    return false;
+  }
+}
+
+/**
+ * Encode an attestation as memo or instruction data
+ *
+ * @param {Object} attestation - Attestation record
+ * @returns {Buffer} - UTF-8 canonical JSON
+ */
+function encodeAttestation(attestation) {
+  return Buffer.from(canonicalJson(attestation), 'utf8');
+}
+
+/**
+ * Decode an attestation from memo or instruction data
+ *
+ * @param {Buffer|string} data - Encoded attestation
+ * @returns {Object} - Attestation record (not verified; see verifyAttestation)
+ * @throws {AttestationError} - If the data isn't an attestation of a known version
+ */
+function decodeAttestation(data) {
+  let record;
+  try {
+    record = JSON.parse(Buffer.isBuffer(data) ? data.toString('utf8') : data);
+  } catch (error) {
+    throw new AttestationError('Attestation is not valid JSON');
+  }
+
+  if (!record || typeof record !== 'object' || record.v !== ATTESTATION_VERSION) {
+    throw new AttestationError(`Unsupported attestation version: ${record && record.v}`);
+  }
+
+  return record;
+}
+
+module.exports = {
+  ATTESTATION_VERSION,
+  COMMIT_SHA_PATTERN,
+  AttestationError,
+  canonicalJson,
+  hashResults,
+  hashRepoUrl,
+  createAttestation,
+  verifyAttestation,
+  encodeAttestation,
+  decodeAttestation
+};
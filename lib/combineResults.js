@@ -0,0 +1,65 @@
+/**
+ * combineResults.js
+ *
+ * Merges the standardized results of several test runs of one stage (the
+ * packages of a monorepo, the stacks of a polyglot repository) into a single
+ * report. Summaries and details add up, the raw output of each run is kept
+ * under a header naming it, and a breakdown records the outcome of each run.
+ */
+
+const { OUTCOMES, combineOutcomes } = require('./outcomes');
+
+/**
+ * Combine the results of several test runs
+ *
+ * @param {Array<Object>} runs - { name, results } or { name, error } per run; other fields
+ *   are copied to the run's breakdown entry
+ * @param {string} field - Field naming the run in each test detail, e.g. 'package' or 'stack'
+ * @returns {Object} - Combined results; `runs` holds the breakdown entries:
+ *   { name, ...fields, status, success, summary, environment, error }; the combined status is
+ *   the most severe of the runs' outcomes, counting a run that failed to produce results as crashed
+ */
+function combineResults(runs, field) {
+  const summary = { total: 0, passed: 0, failed: 0, skipped: 0, duration: 0 };
+  const details = [];
+  const breakdown = [];
+  let rawOutput = '';
+  let rawError = '';
+
+  for (const { name, results, error, ...fields } of runs) {
+    if (results) {
+      Object.keys(summary).forEach(key => {
+        summary[key] += results.summary[key] || 0;
+      });
+      // Details of nested runs already name their run
+      details.push(...results.details.map(detail => ({ [field]: name, ...detail })));
+      rawOutput += `=== ${name} ===\n${results.rawOutput || ''}\n`;
+      rawError += results.rawError ? `=== ${name} ===\n${results.rawError}\n` : '';
+    }
+
+    breakdown.push({
+      name,
+      ...fields,
+      status: results ? results.status : undefined,
+      success: results ? results.success : false,
+      summary: results ? results.summary : null,
+      environment: results ? results.environment : undefined,
+      error
+    });
+  }
+
+  return {
+    status: combineOutcomes(breakdown.map(run => run.status || OUTCOMES.CRASHED)),
+    success: breakdown.every(run => run.success),
+    summary,
+    details,
+    runs: breakdown,
+    rawOutput,
+    rawError,
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  combineResults
+};
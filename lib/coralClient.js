@@ -0,0 +1,309 @@
+/**
+ * coralClient.js
+ *
+ * Shared client used by all agents to publish events to the Coral Protocol.
+ * Events are wrapped in a versioned envelope carrying an idempotency key, sent
+ * over HTTP with retries and exponential backoff, and written to a persistent
+ * outbox when they cannot be delivered so they can be replayed later. Outbox
+ * entries keep the endpoint they were meant for, so clients posting to other
+ * endpoints (e.g. a message's replyTo) can share the outbox. Without an
+ * endpoint (CORAL_ENDPOINT) events are not sent at all.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { redact } = require('./redact');
+
+// Default shape of the events sent to the Coral Protocol
+const DEFAULT_EVENT_SCHEMA = {
+  version: '1.0',
+  // Event type, with {field} placeholders filled from the event data
+  typeTemplate: 'qaas.{action}.{status}',
+  // Fields every event must carry
+  required: ['action', 'status', 'timestamp']
+};
+
+// HTTP status codes worth retrying; other 4xx responses are permanent failures
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+class CoralClient {
+  /**
+   * @param {Object} config - Client configuration
+   * @param {string} config.endpoint - Coral Protocol endpoint events are posted to (default: CORAL_ENDPOINT);
+   *   without one the client doesn't send events
+   * @param {string} config.agentId - Identifier of the agent sending events
+   * @param {number} config.maxRetries - Number of retries after the first attempt
+   * @param {number} config.retryDelay - Base delay in ms for exponential backoff
+   * @param {number} config.requestTimeout - Timeout in ms for each HTTP request
+   * @param {string} config.outboxDir - Directory for events that could not be delivered
+   * @param {Object} config.schema - Overrides for the event schema (version, typeTemplate, required)
+   * @param {Object} config.headers - Extra HTTP headers (default: CORAL_API_KEY as bearer token); only
+   *   sent to the client's own endpoint
+   */
+  constructor(config = {}) {
+    this.endpoint = config.endpoint || process.env.CORAL_ENDPOINT || null;
+    this.agentId = config.agentId || 'qaas-backend';
+    this.maxRetries = config.maxRetries !== undefined ? config.maxRetries : 3;
+    this.retryDelay = config.retryDelay || 500;
+    this.requestTimeout = config.requestTimeout || 10000;
+    this.outboxDir = config.outboxDir || process.env.CORAL_OUTBOX_DIR || path.join(process.cwd(), 'coral_outbox');
+    this.schema = { ...DEFAULT_EVENT_SCHEMA, ...CoralClient.loadSchema(), ...config.schema };
+    this.headers = config.headers ||
+      (process.env.CORAL_API_KEY ? { Authorization: `Bearer ${process.env.CORAL_API_KEY}` } : {});
+
+    this._flushing = null;
+  }
+
+  /**
+   * Load event schema overrides from the file named by CORAL_EVENT_SCHEMA
+   *
+   * @returns {Object} - Schema overrides, empty if none are configured
+   */
+  static loadSchema() {
+    const schemaPath = process.env.CORAL_EVENT_SCHEMA;
+    if (!schemaPath) return {};
+
+    try {
+      return fs.readJsonSync(schemaPath);
+    } catch (error) {
+      console.warn(`Ignoring invalid Coral event schema ${schemaPath}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Wrap event data in the configured event envelope
+   *
+   * Secrets are redacted from the data before it is wrapped.
+   *
+   * @param {Object} data - Event data
+   * @param {Object} options - Envelope options
+   * @param {string} options.idempotencyKey - Key to reuse instead of generating one (optional)
+   * @param {string} options.correlationId - ID of the message this event relates to (optional)
+   * @returns {Object} - Event envelope
+   */
+  createEvent(data, options = {}) {
+    const missing = this.schema.required.filter(field => data[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Coral event is missing required fields: ${missing.join(', ')}`);
+    }
+
+    const id = crypto.randomUUID();
+    const type = this.schema.typeTemplate.replace(/\{(\w+)\}/g, (match, field) => (
+      data[field] !== undefined ? String(data[field]) : 'unknown'
+    ));
+
+    return {
+      id,
+      idempotencyKey: options.idempotencyKey || id,
+      correlationId: options.correlationId,
+      schemaVersion: this.schema.version,
+      type,
+      source: this.agentId,
+      createdAt: new Date().toISOString(),
+      data: redact(data)
+    };
+  }
+
+  /**
+   * Send an event to the Coral Protocol
+   *
+   * Delivery failures never throw: events that cannot be delivered after all
+   * retries are stored in the outbox.
+   *
+   * @param {Object} data - Event data
+   * @param {Object} options - Envelope options (see createEvent)
+   * @returns {Promise<Object>} - Delivery result with the event ID
+   */
+  async send(data, options = {}) {
+    let event;
+    try {
+      event = this.createEvent(data, options);
+    } catch (error) {
+      console.error('Failed to create Coral Protocol event:', error.message);
+      return { delivered: false, error: error.message };
+    }
+
+    return this.deliver(event);
+  }
+
+  /**
+   * Deliver a prepared event envelope, falling back to the outbox on failure
+   *
+   * @param {Object} event - Event envelope
+   * @returns {Promise<Object>} - Delivery result with the event ID; skipped if no endpoint is configured
+   */
+  async deliver(event) {
+    if (!this.endpoint) {
+      return { delivered: false, skipped: true, eventId: event.id };
+    }
+
+    try {
+      await this._postWithRetry(event);
+
+      // The endpoint is reachable again; replay anything left in the outbox
+      this.flushOutbox().catch(error => {
+        console.error('Failed to flush Coral Protocol outbox:', error);
+      });
+
+      return { delivered: true, eventId: event.id };
+    } catch (error) {
+      if (error.retryable === false) {
+        console.error(`Coral Protocol rejected event ${event.id}: ${error.message}`);
+        return { delivered: false, eventId: event.id, error: error.message };
+      }
+
+      console.error(`Failed to notify Coral Protocol, storing event ${event.id} in outbox: ${error.message}`);
+      this._saveToOutbox(event);
+
+      return { delivered: false, queued: true, eventId: event.id, error: error.message };
+    }
+  }
+
+  /**
+   * Replay events stored in the outbox, oldest first, each to its own endpoint
+   *
+   * Events keep their idempotency key, so replaying an event the endpoint
+   * already received is safe. Once an endpoint fails, its remaining events
+   * are kept for later so they stay in order.
+   *
+   * @returns {Promise<Object>} - Number of delivered and remaining events
+   */
+  async flushOutbox() {
+    if (this._flushing) {
+      return this._flushing;
+    }
+
+    this._flushing = (async () => {
+      let delivered = 0;
+      const unavailable = new Set(); // Endpoints that failed during this flush
+      const files = this._listOutbox();
+
+      for (const file of files) {
+        const filePath = path.join(this.outboxDir, file);
+        let entry;
+
+        try {
+          entry = fs.readJsonSync(filePath);
+        } catch (error) {
+          console.warn(`Skipping unreadable outbox entry ${file}: ${error.message}`);
+          continue;
+        }
+
+        // Entries written before the outbox kept endpoints hold just the event
+        const { endpoint, event } = entry.event ? entry : { endpoint: this.endpoint, event: entry };
+
+        // Entries without an endpoint wait for a client that has one
+        if (!endpoint || unavailable.has(endpoint)) {
+          continue;
+        }
+
+        try {
+          await this._postWithRetry(event, endpoint);
+          fs.removeSync(filePath);
+          delivered++;
+        } catch (error) {
+          if (error.retryable === false) {
+            console.error(`Coral Protocol rejected queued event ${event.id}, dropping it: ${error.message}`);
+            fs.removeSync(filePath);
+            continue;
+          }
+
+          // Endpoint is still unavailable, keep its remaining events for later
+          unavailable.add(endpoint);
+        }
+      }
+
+      return { delivered, remaining: this._listOutbox().length };
+    })();
+
+    try {
+      return await this._flushing;
+    } finally {
+      this._flushing = null;
+    }
+  }
+
+  /**
+   * Post an event, retrying transient failures with exponential backoff
+   *
+   * The client's headers may hold credentials, so outbox entries of other
+   * endpoints are posted without them.
+   *
+   * @param {Object} event - Event envelope
+   * @param {string} endpoint - Endpoint to post to (default: the client's)
+   * @returns {Promise<Object>} - Response data from the endpoint
+   * @private
+   */
+  async _postWithRetry(event, endpoint = this.endpoint) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        // Exponential backoff with jitter: base, 2x base, 4x base, ...
+        const delay = this.retryDelay * Math.pow(2, attempt - 1);
+        await new Promise(resolve => setTimeout(resolve, delay + Math.floor(Math.random() * delay / 2)));
+      }
+
+      try {
+        const response = await axios.post(endpoint, event, {
+          timeout: this.requestTimeout,
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': event.idempotencyKey,
+            ...(endpoint === this.endpoint ? this.headers : {})
+          }
+        });
+
+        return response.data;
+      } catch (error) {
+        const status = error.response && error.response.status;
+        lastError = new Error(status ? `HTTP ${status} from ${endpoint}` : error.message);
+        lastError.retryable = !status || RETRYABLE_STATUS_CODES.includes(status);
+
+        if (!lastError.retryable) {
+          throw lastError;
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Store an undeliverable event in the outbox, with the endpoint it is meant for
+   *
+   * @param {Object} event - Event envelope
+   * @private
+   */
+  _saveToOutbox(event) {
+    try {
+      fs.ensureDirSync(this.outboxDir);
+      // Prefix with a timestamp so the outbox replays in creation order
+      const filename = `${Date.now()}-${event.id}.json`;
+      fs.writeJsonSync(path.join(this.outboxDir, filename), { endpoint: this.endpoint, event }, { spaces: 2 });
+    } catch (error) {
+      console.error(`Failed to store event ${event.id} in outbox:`, error);
+    }
+  }
+
+  /**
+   * List outbox entries in creation order
+   *
+   * @returns {Array<string>} - Outbox file names
+   * @private
+   */
+  _listOutbox() {
+    if (!fs.existsSync(this.outboxDir)) return [];
+
+    return fs.readdirSync(this.outboxDir)
+      .filter(file => file.endsWith('.json'))
+      .sort();
+  }
+}
+
+CoralClient.DEFAULT_EVENT_SCHEMA = DEFAULT_EVENT_SCHEMA;
+
+module.exports = CoralClient;
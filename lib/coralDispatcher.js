@@ -0,0 +1,319 @@
+/**
+ * coralDispatcher.js
+ *
+ * Inbound side of the Coral Protocol integration. Orchestrator messages posted
+ * to /api/coral are dispatched to the matching agent, and the outcome is
+ * returned as a result message correlated with the original message ID, either
+ * in the HTTP response or posted back to the message's replyTo endpoint.
+ *
+ * Messages run agents on repositories, so the endpoint requires CORAL_API_KEY
+ * and only accepts repositories inside the agents' work directory. Replies are
+ * only posted to orchestrator origins in CORAL_REPLY_ORIGINS, and never carry
+ * the API key.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const RepoClonerAgent = require('../agents/repoClonerAgent');
+const UnitTestAgent = require('../agents/unitTestAgent');
+const IntegrationAgent = require('../agents/integrationAgent');
+const BlockchainLogger = require('../agents/blockchainLogger');
+const CoralClient = require('./coralClient');
+const { redact } = require('./redact');
+
+// Number of handled messages remembered for duplicate detection
+const MAX_REMEMBERED_MESSAGES = 500;
+
+// Message types whose payload names a cloned repository
+const REPO_PATH_MESSAGE_TYPES = ['run-unit', 'run-integration'];
+
+/**
+ * Error raised for messages that cannot be dispatched
+ */
+class CoralMessageError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CoralMessageError';
+    this.statusCode = statusCode;
+  }
+}
+
+class CoralDispatcher {
+  /**
+   * @param {Object} config - Dispatcher configuration
+   * @param {Object} config.agentConfig - Configuration passed to every agent created by the dispatcher
+   * @param {Object} config.handlers - Additional or replacement message handlers, keyed by message type
+   * @param {Array<string>} config.replyOrigins - Origins replyTo URLs may point to (default: CORAL_REPLY_ORIGINS,
+   *   comma-separated); without any, messages with a replyTo are rejected
+   */
+  constructor(config = {}) {
+    this.agentConfig = config.agentConfig || {};
+    this.replyOrigins = (config.replyOrigins || (process.env.CORAL_REPLY_ORIGINS || '').split(','))
+      .map(origin => origin.trim())
+      .filter(Boolean)
+      .map(origin => {
+        try {
+          return new URL(origin).origin;
+        } catch (error) {
+          console.warn(`Ignoring invalid Coral reply origin: ${origin}`);
+          return null;
+        }
+      })
+      .filter(Boolean);
+    // Repositories are cloned here (see RepoClonerAgent); test messages can't name other directories
+    this.workDir = this.agentConfig.workDir || path.join(process.cwd(), 'repos');
+    this.handlers = {
+      clone: (payload) => new RepoClonerAgent(this.agentConfig).cloneRepository(payload),
+      'run-unit': (payload) => new UnitTestAgent(this.agentConfig).runTests(payload),
+      'run-integration': (payload) => new IntegrationAgent(this.agentConfig).runTests(payload),
+      'log-results': (payload) => new BlockchainLogger({
+        solanaEndpoint: process.env.SOLANA_ENDPOINT || 'https://api.devnet.solana.com',
+        programId: process.env.SOLANA_PROGRAM_ID
+      }).logResults(payload.results, payload.type, payload.repoId, {
+        repoUrl: payload.repoUrl,
+        commit: payload.commit
+      }),
+      ...config.handlers
+    };
+
+    this.handled = new Map(); // message id -> reply, or a pending promise
+  }
+
+  /**
+   * Check whether a message is an agent event rather than an orchestrator command
+   *
+   * Agents publish their own events to the Coral endpoint; these are
+   * acknowledged but not dispatched.
+   *
+   * @param {Object} message - Incoming message
+   * @returns {boolean} - Whether the message is an agent event envelope
+   */
+  isAgentEvent(message) {
+    return Boolean(message && message.source && message.data && message.schemaVersion);
+  }
+
+  /**
+   * Validate an orchestrator message
+   *
+   * @param {Object} message - Incoming message
+   * @throws {CoralMessageError} - If the message is malformed, of an unknown type, replies to an origin
+   *   that isn't allowed or names a repository outside the work directory
+   */
+  validate(message) {
+    if (!message || typeof message !== 'object') {
+      throw new CoralMessageError('Message body must be a JSON object');
+    }
+
+    if (!message.id || typeof message.id !== 'string') {
+      throw new CoralMessageError('Message id is required');
+    }
+
+    if (!message.type || !this.handlers[message.type]) {
+      throw new CoralMessageError(
+        `Unsupported message type: ${message.type}. Supported types: ${Object.keys(this.handlers).join(', ')}`
+      );
+    }
+
+    if (message.payload !== undefined && (typeof message.payload !== 'object' || message.payload === null)) {
+      throw new CoralMessageError('Message payload must be an object');
+    }
+
+    if (message.replyTo !== undefined) {
+      let url;
+      try {
+        url = new URL(message.replyTo);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          throw new Error('unsupported protocol');
+        }
+      } catch (error) {
+        throw new CoralMessageError(`Invalid replyTo URL: ${message.replyTo}`);
+      }
+
+      if (!this.replyOrigins.includes(url.origin)) {
+        throw new CoralMessageError(`replyTo origin is not an allowed orchestrator (CORAL_REPLY_ORIGINS): ${url.origin}`);
+      }
+    }
+
+    if (REPO_PATH_MESSAGE_TYPES.includes(message.type) && message.payload && message.payload.repoPath !== undefined
+      && !this.isInWorkDir(message.payload.repoPath)) {
+      throw new CoralMessageError(`Repository path must be inside the work directory: ${message.payload.repoPath}`);
+    }
+  }
+
+  /**
+   * Check whether a path is a directory inside the work directory
+   *
+   * Symbolic links are resolved, so a link inside the work directory can't
+   * point a message elsewhere.
+   *
+   * @param {string} repoPath - Repository path, absolute or relative to the work directory
+   * @returns {boolean} - Whether the path is inside the work directory
+   */
+  isInWorkDir(repoPath) {
+    if (typeof repoPath !== 'string') {
+      return false;
+    }
+
+    try {
+      const workDir = fs.realpathSync(this.workDir);
+      const resolved = fs.realpathSync(path.resolve(workDir, repoPath));
+      const relative = path.relative(workDir, resolved);
+
+      return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+    } catch (error) {
+      // Missing paths can't be tested either
+      return false;
+    }
+  }
+
+  /**
+   * Dispatch a message to its agent and wait for the result message
+   *
+   * A message ID that was already handled returns the earlier result
+   * instead of running the agent again.
+   *
+   * @param {Object} message - Validated orchestrator message
+   * @returns {Promise<Object>} - Result message correlated with the request
+   */
+  async dispatch(message) {
+    if (this.handled.has(message.id)) {
+      return this.handled.get(message.id);
+    }
+
+    const pending = this._execute(message);
+    this._remember(message.id, pending);
+
+    const reply = await pending;
+    this._remember(message.id, reply);
+
+    return reply;
+  }
+
+  /**
+   * Dispatch a message in the background and post the result to its replyTo endpoint
+   *
+   * The reply is posted without credentials; CORAL_API_KEY authenticates
+   * requests to this server and must not be sent elsewhere.
+   *
+   * @param {Object} message - Validated orchestrator message with a replyTo URL
+   */
+  dispatchAsync(message) {
+    this.dispatch(message)
+      .then(reply => new CoralClient({ endpoint: message.replyTo, headers: {} }).deliver(reply))
+      .catch(error => {
+        console.error(`Failed to deliver Coral reply for message ${message.id}:`, error);
+      });
+  }
+
+  /**
+   * Run the handler for a message and build the result message
+   *
+   * @param {Object} message - Validated orchestrator message
+   * @returns {Promise<Object>} - Result message
+   * @private
+   */
+  async _execute(message) {
+    const handler = this.handlers[message.type];
+
+    try {
+      const result = await handler(message.payload || {}, message);
+      return this._createReply(message, 'success', { result });
+    } catch (error) {
+      console.error(`Coral message ${message.id} (${message.type}) failed:`, error);
+      return this._createReply(message, 'error', { error: error.message });
+    }
+  }
+
+  /**
+   * Build a result message correlated with a request
+   *
+   * @param {Object} message - Original message
+   * @param {string} status - 'success' or 'error'
+   * @param {Object} body - Result or error fields
+   * @returns {Object} - Result message
+   * @private
+   */
+  _createReply(message, status, body) {
+    const id = crypto.randomUUID();
+
+    return {
+      id,
+      idempotencyKey: id,
+      type: `${message.type}.result`,
+      correlationId: message.id,
+      status,
+      ...redact(body),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Remember the reply (or pending reply) of a handled message
+   *
+   * @param {string} messageId - Message identifier
+   * @param {Object|Promise<Object>} reply - Reply or pending reply
+   * @private
+   */
+  _remember(messageId, reply) {
+    this.handled.delete(messageId);
+    this.handled.set(messageId, reply);
+
+    if (this.handled.size > MAX_REMEMBERED_MESSAGES) {
+      // Maps keep insertion order, so the first key is the oldest message
+      this.handled.delete(this.handled.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Create the Express handler for POST /api/coral
+ *
+ * @param {CoralDispatcher} dispatcher - Dispatcher to route messages with
+ * @param {string} apiKey - Bearer token requests must send (default: CORAL_API_KEY)
+ * @returns {Function} - Express route handler
+ * @throws {Error} - If no API key is configured
+ */
+function createCoralHandler(dispatcher, apiKey = process.env.CORAL_API_KEY) {
+  if (!apiKey) {
+    throw new Error('CORAL_API_KEY is required for the Coral Protocol endpoint');
+  }
+
+  // Compared as digests, which have the same length whatever was sent
+  const expected = crypto.createHash('sha256').update(`Bearer ${apiKey}`).digest();
+
+  return async (req, res) => {
+    const received = crypto.createHash('sha256').update(req.get('Authorization') || '').digest();
+
+    if (!crypto.timingSafeEqual(received, expected)) {
+      return res.status(401).json({ error: 'Invalid Coral Protocol credentials' });
+    }
+
+    const message = req.body;
+
+    if (dispatcher.isAgentEvent(message)) {
+      return res.status(202).json({ accepted: true, id: message.id });
+    }
+
+    try {
+      dispatcher.validate(message);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({ error: error.message });
+    }
+
+    if (message.replyTo) {
+      dispatcher.dispatchAsync(message);
+      return res.status(202).json({ accepted: true, correlationId: message.id });
+    }
+
+    const reply = await dispatcher.dispatch(message);
+    res.status(reply.status === 'success' ? 200 : 500).json(reply);
+  };
+}
+
+module.exports = {
+  CoralDispatcher,
+  CoralMessageError,
+  createCoralHandler
+};
@@ -0,0 +1,247 @@
+/**
+ * credentials.js
+ *
+ * Git credential handling for private repositories. Credentials are handed to
+ * git through the environment of the git process only: HTTPS tokens are
+ * answered by a temporary GIT_ASKPASS script that reads them from environment
+ * variables, and SSH deploy keys are written to a private temporary file used
+ * through GIT_SSH_COMMAND. Nothing is embedded in clone URLs, command lines or
+ * the cloned repository's .git/config.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerSecret, unregisterSecret } = require('./redact');
+
+// Supported credential types
+const CREDENTIAL_TYPES = Object.freeze({
+  TOKEN: 'token', // Generic token, provider inferred from the repository host
+  GITHUB_PAT: 'github-pat',
+  GITLAB_TOKEN: 'gitlab-token',
+  BITBUCKET_APP_PASSWORD: 'bitbucket-app-password',
+  SSH_KEY: 'ssh-key'
+});
+
+// HTTPS usernames expected by each provider when authenticating with a token
+const TOKEN_USERNAMES = {
+  [CREDENTIAL_TYPES.GITHUB_PAT]: 'x-access-token',
+  [CREDENTIAL_TYPES.GITLAB_TOKEN]: 'oauth2'
+};
+
+// Askpass helpers: git asks for "Username for ..." and "Password for ...";
+// ssh asks for the key passphrase, which is answered with the password variable
+const POSIX_ASKPASS = `#!/bin/sh
+case "$1" in
+  Username*) printf '%s\\n' "$QAAS_GIT_USERNAME" ;;
+  *) printf '%s\\n' "$QAAS_GIT_PASSWORD" ;;
+esac
+`;
+
+const WINDOWS_ASKPASS = `@echo off
+echo %1 | findstr /b /c:"Username" >nul && (echo %QAAS_GIT_USERNAME%) || (echo %QAAS_GIT_PASSWORD%)
+`;
+
+/**
+ * Error raised for credentials that are malformed or don't fit the repository URL
+ */
+class CredentialError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CredentialError';
+  }
+}
+
+/**
+ * Infer the token credential type from the repository host
+ *
+ * @param {string} repoUrl - Repository URL
+ * @returns {string} - Credential type
+ * @private
+ */
+function inferTokenType(repoUrl) {
+  let host = '';
+  try {
+    host = new URL(repoUrl).hostname;
+  } catch (error) {
+    // scp-like SSH URLs are not parseable; tokens only apply to HTTPS anyway
+  }
+
+  if (host.includes('gitlab')) return CREDENTIAL_TYPES.GITLAB_TOKEN;
+  if (host.includes('bitbucket')) return CREDENTIAL_TYPES.BITBUCKET_APP_PASSWORD;
+  return CREDENTIAL_TYPES.GITHUB_PAT;
+}
+
+/**
+ * Check whether a repository URL uses SSH
+ *
+ * @param {string} repoUrl - Repository URL
+ * @returns {boolean} - Whether git will connect over SSH
+ * @private
+ */
+function isSshUrl(repoUrl) {
+  return repoUrl.startsWith('ssh://') || /^[\w.-]+@[\w.-]+:/.test(repoUrl);
+}
+
+/**
+ * Validate credentials and resolve them to a username/password or SSH key
+ *
+ * @param {Object} auth - Credentials
+ * @param {string} repoUrl - Repository URL
+ * @returns {Object} - Normalized credentials
+ * @private
+ */
+function normalizeCredentials(auth, repoUrl) {
+  if (!auth || typeof auth !== 'object') {
+    throw new CredentialError('Credentials must be an object');
+  }
+
+  let type = auth.type || CREDENTIAL_TYPES.TOKEN;
+  if (!Object.values(CREDENTIAL_TYPES).includes(type)) {
+    throw new CredentialError(`Unsupported credential type: ${type}`);
+  }
+
+  if (type === CREDENTIAL_TYPES.SSH_KEY) {
+    if (!auth.privateKey || typeof auth.privateKey !== 'string') {
+      throw new CredentialError('SSH deploy key credentials require a privateKey');
+    }
+    if (!isSshUrl(repoUrl)) {
+      throw new CredentialError('SSH deploy keys require an SSH repository URL (e.g. git@github.com:user/repo.git)');
+    }
+
+    return {
+      type,
+      privateKey: auth.privateKey.endsWith('\n') ? auth.privateKey : `${auth.privateKey}\n`,
+      passphrase: auth.passphrase || null,
+      knownHosts: auth.knownHosts || null
+    };
+  }
+
+  if (isSshUrl(repoUrl)) {
+    throw new CredentialError(`${type} credentials require an HTTPS repository URL`);
+  }
+
+  if (type === CREDENTIAL_TYPES.TOKEN) {
+    type = inferTokenType(repoUrl);
+  }
+
+  if (type === CREDENTIAL_TYPES.BITBUCKET_APP_PASSWORD) {
+    const password = auth.appPassword || auth.token;
+    if (!auth.username || !password) {
+      throw new CredentialError('Bitbucket app password credentials require a username and appPassword');
+    }
+    return { type, username: auth.username, password };
+  }
+
+  if (!auth.token || typeof auth.token !== 'string') {
+    throw new CredentialError(`${type} credentials require a token`);
+  }
+
+  return {
+    type,
+    username: auth.username || TOKEN_USERNAMES[type],
+    password: auth.token
+  };
+}
+
+/**
+ * Write the askpass helper script into a private temporary directory
+ *
+ * @param {string} dir - Temporary directory
+ * @returns {string} - Path to the helper
+ * @private
+ */
+function writeAskpass(dir) {
+  const isWindows = process.platform === 'win32';
+  const askpassPath = path.join(dir, isWindows ? 'askpass.cmd' : 'askpass.sh');
+
+  fs.writeFileSync(askpassPath, isWindows ? WINDOWS_ASKPASS : POSIX_ASKPASS, { mode: 0o700 });
+
+  return askpassPath;
+}
+
+/**
+ * Prepare credentials for a git process
+ *
+ * The returned environment must be merged into the environment of every git
+ * command that talks to the remote, and cleanup() must be called afterwards
+ * to delete temporary files and stop redacting the secrets by value.
+ *
+ * @param {Object} auth - Credentials
+ * @param {string} auth.type - 'token', 'github-pat', 'gitlab-token', 'bitbucket-app-password' or 'ssh-key'
+ * @param {string} auth.token - Access token (token types)
+ * @param {string} auth.username - Username (Bitbucket, or to override the provider default)
+ * @param {string} auth.appPassword - Bitbucket app password
+ * @param {string} auth.privateKey - PEM/OpenSSH private key (ssh-key)
+ * @param {string} auth.passphrase - Private key passphrase (ssh-key, optional)
+ * @param {string} auth.knownHosts - known_hosts entries to pin the host key (ssh-key, optional)
+ * @param {string} repoUrl - URL of the repository the credentials are for
+ * @returns {Object} - { type, env, cleanup }
+ */
+function createGitCredentials(auth, repoUrl) {
+  const credentials = normalizeCredentials(auth, repoUrl);
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qaas-git-'));
+  const secrets = [credentials.password, credentials.privateKey, credentials.passphrase].filter(Boolean);
+
+  secrets.forEach(registerSecret);
+
+  const env = {
+    GIT_TERMINAL_PROMPT: '0',
+    // Keep credential helpers from storing the secret anywhere
+    GIT_CONFIG_COUNT: '1',
+    GIT_CONFIG_KEY_0: 'credential.helper',
+    GIT_CONFIG_VALUE_0: ''
+  };
+
+  try {
+    if (credentials.type === CREDENTIAL_TYPES.SSH_KEY) {
+      const keyPath = path.join(tempDir, 'id_deploy');
+      fs.writeFileSync(keyPath, credentials.privateKey, { mode: 0o600 });
+
+      const sshOptions = ['-i', keyPath, '-o', 'IdentitiesOnly=yes'];
+
+      if (credentials.knownHosts) {
+        const knownHostsPath = path.join(tempDir, 'known_hosts');
+        fs.writeFileSync(knownHostsPath, credentials.knownHosts, { mode: 0o600 });
+        sshOptions.push('-o', `UserKnownHostsFile=${knownHostsPath}`, '-o', 'StrictHostKeyChecking=yes');
+      } else {
+        sshOptions.push('-o', 'StrictHostKeyChecking=accept-new');
+      }
+
+      if (credentials.passphrase) {
+        // ssh reads the passphrase through SSH_ASKPASS instead of a terminal
+        env.SSH_ASKPASS = writeAskpass(tempDir);
+        env.SSH_ASKPASS_REQUIRE = 'force';
+        env.DISPLAY = process.env.DISPLAY || ':0';
+        env.QAAS_GIT_PASSWORD = credentials.passphrase;
+      } else {
+        sshOptions.push('-o', 'BatchMode=yes');
+      }
+
+      env.GIT_SSH_COMMAND = ['ssh', ...sshOptions.map(option => `"${option}"`)].join(' ');
+    } else {
+      env.GIT_ASKPASS = writeAskpass(tempDir);
+      env.QAAS_GIT_USERNAME = credentials.username;
+      env.QAAS_GIT_PASSWORD = credentials.password;
+    }
+  } catch (error) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    secrets.forEach(unregisterSecret);
+    throw error;
+  }
+
+  return {
+    type: credentials.type,
+    env,
+    cleanup() {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      secrets.forEach(unregisterSecret);
+    }
+  };
+}
+
+module.exports = {
+  CREDENTIAL_TYPES,
+  CredentialError,
+  createGitCredentials
+};
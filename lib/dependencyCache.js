@@ -0,0 +1,249 @@
+/**
+ * dependencyCache.js
+ *
+ * Local cache of installed dependencies shared across pipeline runs. Entries
+ * are directories keyed by a hash of everything that determines an install
+ * (repository, lockfiles, install commands, toolchain versions, runner),
+ * restored into the workspace before the install stage and saved after it.
+ * The least recently used entries are evicted when the cache grows beyond its
+ * size limit, except for entries a run is still restoring.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Bump when the layout of entries changes, so old entries are never restored
+const CACHE_FORMAT_VERSION = 1;
+
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+
+// Entries being restored, by entry path, with the number of runs restoring each; shared by all
+// caches of the process, since every install agent has its own
+const entriesInUse = new Map();
+
+// Entries being evicted, which lookups must not return
+const entriesEvicting = new Set();
+
+/**
+ * Parse a size such as 512m or 5g
+ *
+ * @param {string|number} size - Size in bytes or with a k/m/g/t suffix
+ * @returns {number} - Size in bytes
+ * @private
+ */
+function parseSize(size) {
+  const match = String(size).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)b?$/);
+  if (!match) {
+    throw new Error(`Invalid cache size: ${size}`);
+  }
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2]]);
+}
+
+/**
+ * Total size of the files below a path, without following symlinks
+ *
+ * @param {string} target - File or directory
+ * @returns {Promise<number>} - Size in bytes
+ * @private
+ */
+async function diskUsage(target) {
+  const stats = await fs.lstat(target);
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  let size = 0;
+  for (const entry of await fs.readdir(target)) {
+    size += await diskUsage(path.join(target, entry));
+  }
+  return size;
+}
+
+class DependencyCache {
+  /**
+   * @param {Object} config - Cache configuration
+   * @param {string} config.dir - Cache directory (default: QAAS_CACHE_DIR or ./cache)
+   * @param {string|number} config.maxSize - Size limit, e.g. 5g; 0 disables the cache
+   *   (default: QAAS_CACHE_MAX_SIZE or 5g)
+   */
+  constructor(config = {}) {
+    this.dir = path.resolve(config.dir || process.env.QAAS_CACHE_DIR || path.join(process.cwd(), 'cache'));
+    this.maxSize = parseSize(
+      config.maxSize !== undefined ? config.maxSize : (process.env.QAAS_CACHE_MAX_SIZE || '5g')
+    );
+    this.enabled = this.maxSize > 0;
+  }
+
+  /**
+   * Compute the key of an install
+   *
+   * @param {Object} inputs - Everything the installed dependencies depend on
+   * @returns {string} - Cache key
+   */
+  static computeKey(inputs) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ format: CACHE_FORMAT_VERSION, ...inputs }))
+      .digest('hex');
+  }
+
+  /**
+   * Look up an entry, mark it as recently used and keep it from being evicted
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<string|null>} - Entry directory, to be passed back with release() once
+   *   restored, or null on a miss
+   */
+  async lookup(key) {
+    const entryPath = path.join(this.dir, key);
+    const metaPath = `${entryPath}.json`;
+
+    if (!this.enabled || entriesEvicting.has(entryPath)) {
+      return null;
+    }
+
+    // Marked before the first await, so an eviction starting meanwhile skips the entry
+    entriesInUse.set(entryPath, (entriesInUse.get(entryPath) || 0) + 1);
+
+    try {
+      if (!(await fs.pathExists(metaPath)) || !(await fs.pathExists(entryPath))) {
+        this.release(key);
+        return null;
+      }
+
+      const meta = await fs.readJson(metaPath);
+      await fs.writeJson(metaPath, { ...meta, lastUsedAt: new Date().toISOString() });
+      return entryPath;
+    } catch (error) {
+      this.release(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Allow an entry returned by lookup() to be evicted again
+   *
+   * @param {string} key - Cache key
+   */
+  release(key) {
+    const entryPath = path.join(this.dir, key);
+    const count = (entriesInUse.get(entryPath) || 0) - 1;
+
+    if (count > 0) {
+      entriesInUse.set(entryPath, count);
+    } else {
+      entriesInUse.delete(entryPath);
+    }
+  }
+
+  /**
+   * Create a staging directory for a new entry
+   *
+   * Commands in containers write to it as another user, so it is world-writable.
+   *
+   * @returns {Promise<string>} - Staging directory, to be passed to commit() or discard()
+   */
+  async stage() {
+    const stagingPath = path.join(this.dir, 'staging', crypto.randomUUID());
+    await fs.ensureDir(stagingPath);
+    await fs.chmod(stagingPath, 0o777);
+    return stagingPath;
+  }
+
+  /**
+   * Turn a staging directory into the entry for a key and evict old entries
+   *
+   * @param {string} key - Cache key
+   * @param {string} stagingPath - Directory from stage()
+   * @returns {Promise<Object>} - { saved, size }; saved is false if another run stored the key first
+   */
+  async commit(key, stagingPath) {
+    const entryPath = path.join(this.dir, key);
+    const size = await diskUsage(stagingPath);
+
+    if (await fs.pathExists(entryPath)) {
+      await this.discard(stagingPath);
+      return { saved: false, size };
+    }
+
+    await fs.move(stagingPath, entryPath);
+    const now = new Date().toISOString();
+    await fs.writeJson(`${entryPath}.json`, { key, size, createdAt: now, lastUsedAt: now });
+
+    await this.evict();
+    return { saved: true, size };
+  }
+
+  /**
+   * Remove a staging directory
+   *
+   * @param {string} stagingPath - Directory from stage()
+   * @returns {Promise<void>}
+   */
+  async discard(stagingPath) {
+    await fs.remove(stagingPath);
+  }
+
+  /**
+   * Remove the least recently used entries until the cache fits its size limit
+   *
+   * Entries being restored are kept, so the cache may stay above its limit
+   * until the next eviction.
+   *
+   * @returns {Promise<Array<string>>} - Keys of the evicted entries
+   */
+  async evict() {
+    const entries = await this.list();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const evicted = [];
+
+    // Oldest first
+    entries.sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+
+    for (const entry of entries) {
+      if (total <= this.maxSize) break;
+
+      const entryPath = path.join(this.dir, entry.key);
+      if (entriesInUse.has(entryPath) || entriesEvicting.has(entryPath)) continue;
+
+      entriesEvicting.add(entryPath);
+      try {
+        // Metadata first, so the entry is a miss while its directory is removed
+        await fs.remove(`${entryPath}.json`);
+        await fs.remove(entryPath);
+      } finally {
+        entriesEvicting.delete(entryPath);
+      }
+      total -= entry.size;
+      evicted.push(entry.key);
+    }
+
+    return evicted;
+  }
+
+  /**
+   * List the cache entries
+   *
+   * @returns {Promise<Array<Object>>} - Entry metadata: { key, size, createdAt, lastUsedAt }
+   */
+  async list() {
+    if (!(await fs.pathExists(this.dir))) return [];
+
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    const entries = [];
+
+    for (const file of files) {
+      try {
+        entries.push(await fs.readJson(path.join(this.dir, file)));
+      } catch (error) {
+        console.warn(`Skipping unreadable cache entry ${file}: ${error.message}`);
+      }
+    }
+
+    return entries;
+  }
+}
+
+DependencyCache.parseSize = parseSize;
+
+module.exports = DependencyCache;
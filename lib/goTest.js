@@ -0,0 +1,129 @@
+/**
+ * goTest.js
+ *
+ * Parser for the event stream of `go test -json` (see `go doc test2json`).
+ * Each line is an event for a package or a test; tests are reported per
+ * package, subtests included, with the durations measured by the test binary.
+ */
+
+/**
+ * Parse the lines of a stream that are go test events
+ *
+ * @param {string} output - Output of `go test -json`
+ * @returns {Array<Object>} - Events; lines that are not events (e.g. build errors on stderr) are skipped
+ * @private
+ */
+function parseEvents(output) {
+  return output.split('\n').reduce((events, line) => {
+    if (!line.startsWith('{')) return events;
+    try {
+      const event = JSON.parse(line);
+      if (event.Action && event.Package !== undefined) events.push(event);
+    } catch (error) {
+      // Not an event
+    }
+    return events;
+  }, []);
+}
+
+/**
+ * Extract the build errors of a package from the standard error of go test
+ *
+ * @param {string} errorOutput - Standard error; errors are grouped under a "# <package>" line
+ * @param {string} name - Package import path
+ * @returns {string} - Build errors of the package, or an empty string
+ * @private
+ */
+function buildErrors(errorOutput, name) {
+  const lines = errorOutput.split('\n');
+  const start = lines.findIndex(line => line === `# ${name}` || line.startsWith(`# ${name} `));
+  if (start === -1) return '';
+
+  const end = lines.findIndex((line, index) => index > start && line.startsWith('# '));
+  return lines.slice(start + 1, end === -1 ? lines.length : end).join('\n').trim();
+}
+
+/**
+ * Parse the output of `go test -json`
+ *
+ * Packages that fail without a failing test (build errors, panics in
+ * TestMain, timeouts) are reported as a failed detail named after the package.
+ *
+ * @param {string} output - Standard output of the command
+ * @param {string} errorOutput - Standard error, holding build errors (optional)
+ * @returns {Object|null} - { success, summary, details }, or null if the output holds no events
+ */
+function parseGoTestJson(output, errorOutput = '') {
+  const events = parseEvents(output);
+  if (events.length === 0) return null;
+
+  const tests = new Map();
+  const packages = new Map();
+
+  for (const event of events) {
+    const pkg = packages.get(event.Package) || { output: '', status: null, elapsed: 0 };
+    packages.set(event.Package, pkg);
+
+    if (!event.Test) {
+      if (event.Action === 'output') pkg.output += event.Output;
+      if (['pass', 'fail', 'skip'].includes(event.Action)) {
+        pkg.status = event.Action;
+        pkg.elapsed = event.Elapsed || 0;
+      }
+      continue;
+    }
+
+    const key = `${event.Package}\u0000${event.Test}`;
+    const test = tests.get(key) || { name: event.Test, suite: event.Package, output: '', status: null, elapsed: 0 };
+    tests.set(key, test);
+
+    if (event.Action === 'output') {
+      test.output += event.Output;
+    } else if (['pass', 'fail', 'skip'].includes(event.Action)) {
+      test.status = event.Action;
+      test.elapsed = event.Elapsed || 0;
+    }
+  }
+
+  const details = [...tests.values()].map(test => {
+    // Tests still running when the binary died (panic, timeout) never got a result
+    const status = test.status === 'pass' ? 'passed' : test.status === 'skip' ? 'skipped' : 'failed';
+    const slash = test.name.lastIndexOf('/');
+    return {
+      name: test.name,
+      suite: test.suite,
+      ...(slash !== -1 && { parent: test.name.slice(0, slash) }),
+      status,
+      duration: Math.round(test.elapsed * 1000),
+      failureMessages: status === 'failed' ? [test.output.trim() || `${test.name} failed`] : []
+    };
+  });
+
+  for (const [name, pkg] of packages) {
+    const failedTest = details.some(detail => detail.suite === name && detail.status === 'failed');
+    if (pkg.status !== 'pass' && pkg.status !== 'skip' && !failedTest) {
+      details.push({
+        name,
+        suite: name,
+        status: 'failed',
+        duration: Math.round(pkg.elapsed * 1000),
+        failureMessages: [[buildErrors(errorOutput, name), pkg.output.trim()].filter(Boolean).join('\n') || `Package ${name} failed`]
+      });
+    }
+  }
+
+  const summary = {
+    total: details.length,
+    passed: details.filter(detail => detail.status === 'passed').length,
+    failed: details.filter(detail => detail.status === 'failed').length,
+    skipped: details.filter(detail => detail.status === 'skipped').length,
+    // Packages are tested in parallel; the slowest one bounds the run
+    duration: Math.round(Math.max(0, ...[...packages.values()].map(pkg => pkg.elapsed)) * 1000)
+  };
+
+  return { success: summary.failed === 0, summary, details };
+}
+
+module.exports = {
+  parseGoTestJson
+};
@@ -0,0 +1,440 @@
+/**
+ * jobQueue.js
+ *
+ * In-process job queue for QA pipeline runs. Jobs are accepted immediately,
+ * executed in the background with a configurable concurrency limit, and
+ * persisted to disk so that queued work survives a server restart.
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { redact } = require('./redact');
+
+// Lifecycle states a job moves through
+const JOB_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  CLONING: 'cloning',
+  INSTALLING: 'installing',
+  UNIT: 'unit',
+  INTEGRATION: 'integration',
+  LOGGING: 'logging',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+});
+
+const TERMINAL_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Number of progress events kept per job for late stream subscribers
+const MAX_EVENTS_PER_JOB = 1000;
+
+// Time the progress events of a finished job are kept for late stream subscribers, in ms
+const FINISHED_EVENTS_TTL = 10 * 60 * 1000;
+
+// Finished jobs kept, with their files, before the oldest are removed
+const DEFAULT_MAX_FINISHED_JOBS = 1000;
+
+// Time a finished job is kept, in ms
+const DEFAULT_FINISHED_JOB_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} config - Queue configuration
+   * @param {Function} config.processor - Async function (params, context) that executes a job
+   * @param {number} config.concurrency - Maximum number of jobs running at once
+   * @param {string} config.storageDir - Directory used to persist job state
+   * @param {number} config.maxFinishedJobs - Number of finished jobs kept (default 1000)
+   * @param {number} config.finishedJobMaxAge - Time in ms a finished job is kept (default 7 days)
+   */
+  constructor(config = {}) {
+    super();
+
+    if (typeof config.processor !== 'function') {
+      throw new Error('Job processor function is required');
+    }
+
+    this.processor = config.processor;
+    this.concurrency = Math.max(1, parseInt(config.concurrency, 10) || 2);
+    this.storageDir = config.storageDir || path.join(process.cwd(), 'jobs');
+    this.maxFinishedJobs = Math.max(1, parseInt(config.maxFinishedJobs, 10) || DEFAULT_MAX_FINISHED_JOBS);
+    this.finishedJobMaxAge = Number(config.finishedJobMaxAge) || DEFAULT_FINISHED_JOB_MAX_AGE;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = new Map(); // jobId -> AbortController
+    this.eventLogs = new Map(); // jobId -> Array of progress events
+
+    // Every open progress stream subscribes to this emitter
+    this.setMaxListeners(0);
+
+    fs.ensureDirSync(this.storageDir);
+  }
+
+  /**
+   * Restore persisted jobs and start processing the queue
+   *
+   * Jobs that were queued or in progress when the server stopped are
+   * re-queued from the beginning, since partial stage results are not kept.
+   * Finished jobs past the retention limits are removed.
+   */
+  start() {
+    const restored = this._restore();
+
+    restored
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .forEach(job => {
+        this.jobs.set(job.id, job);
+
+        if (!TERMINAL_STATUSES.includes(job.status)) {
+          this._updateJob(job, { status: JOB_STATUS.QUEUED, startedAt: null });
+          this.pending.push(job.id);
+        } else if (this._releaseCredentials(job)) {
+          // Written before finished jobs dropped their credentials
+          this._persist(job);
+        }
+      });
+
+    if (this.pending.length > 0) {
+      console.log(`Restored ${this.pending.length} queued job(s)`);
+    }
+
+    this._prune();
+
+    this._drain();
+  }
+
+  /**
+   * Add a new job to the queue
+   *
+   * @param {Object} params - Parameters passed to the job processor
+   * @returns {Object} - The created job
+   */
+  enqueue(params) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      params,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      results: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    this._persist(job);
+    this.emit('job', job);
+    this.publish(job.id, { type: 'status', status: job.status });
+
+    this._drain();
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   *
+   * @param {string} jobId - Job identifier
+   * @returns {Object|null} - The job, or null if unknown
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Check whether a status is a final job state
+   *
+   * @param {string} status - Job status
+   * @returns {boolean} - Whether the status is done, failed or cancelled
+   */
+  isFinalStatus(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  /**
+   * Record a progress event for a job and notify stream subscribers
+   *
+   * The events of a job are dropped some time after it finished.
+   *
+   * @param {string} jobId - Job identifier
+   * @param {Object} event - Progress event (stage transition, command output, ...)
+   * @returns {Object} - The recorded event with its sequence number
+   */
+  publish(jobId, event) {
+    const events = this.eventLogs.get(jobId) || [];
+    const lastSeq = events.length > 0 ? events[events.length - 1].seq : 0;
+    const recorded = {
+      seq: lastSeq + 1,
+      jobId,
+      timestamp: new Date().toISOString(),
+      ...redact(event)
+    };
+
+    events.push(recorded);
+    if (events.length > MAX_EVENTS_PER_JOB) {
+      events.shift();
+    }
+    this.eventLogs.set(jobId, events);
+
+    this.emit('progress', recorded);
+
+    if (recorded.type === 'status' && TERMINAL_STATUSES.includes(recorded.status)) {
+      // Subscribers connected now got the final event; later ones see the finished job without its log
+      setTimeout(() => this.eventLogs.delete(jobId), FINISHED_EVENTS_TTL).unref();
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Get the recorded progress events of a job
+   *
+   * @param {string} jobId - Job identifier
+   * @param {number} afterSeq - Only return events with a higher sequence number (optional)
+   * @returns {Array<Object>} - Progress events in order
+   */
+  getEvents(jobId, afterSeq = 0) {
+    return (this.eventLogs.get(jobId) || []).filter(event => event.seq > afterSeq);
+  }
+
+  /**
+   * Cancel a queued or running job
+   *
+   * The command a running job is executing is stopped, and no further stage begins.
+   *
+   * @param {string} jobId - Job identifier
+   * @returns {Object|null} - The cancelled job, or null if unknown
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+
+    if (!job) {
+      return null;
+    }
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    this.pending = this.pending.filter(id => id !== jobId);
+
+    const controller = this.running.get(jobId);
+    if (controller) {
+      controller.abort();
+    }
+
+    this._updateJob(job, {
+      status: JOB_STATUS.CANCELLED,
+      finishedAt: new Date().toISOString(),
+      error: 'Job cancelled'
+    });
+
+    return job;
+  }
+
+  /**
+   * Get a copy of a job that is safe to return from the API
+   *
+   * @param {Object} job - Job to serialize
+   * @returns {Object} - Job without credentials or secrets
+   */
+  static toPublicJob(job) {
+    const { auth, secrets, ...params } = job.params || {};
+
+    return {
+      ...job,
+      params
+    };
+  }
+
+  /**
+   * Start pending jobs until the concurrency limit is reached
+   *
+   * @private
+   */
+  _drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const jobId = this.pending.shift();
+      const job = this.jobs.get(jobId);
+
+      if (job && job.status === JOB_STATUS.QUEUED) {
+        this._run(job);
+      }
+    }
+  }
+
+  /**
+   * Execute a single job
+   *
+   * @param {Object} job - Job to execute
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    this._updateJob(job, { startedAt: new Date().toISOString() });
+
+    try {
+      const results = await this.processor(job.params, {
+        jobId: job.id,
+        signal: controller.signal,
+        setStage: (stage) => {
+          if (!controller.signal.aborted) {
+            this._updateJob(job, { status: stage });
+          }
+        },
+        onProgress: (event) => {
+          if (!controller.signal.aborted) {
+            this.publish(job.id, event);
+          }
+        }
+      });
+
+      if (!controller.signal.aborted) {
+        this._updateJob(job, {
+          status: JOB_STATUS.DONE,
+          finishedAt: new Date().toISOString(),
+          results: redact(results)
+        });
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error(`Job ${job.id} failed:`, error);
+        this._updateJob(job, {
+          status: JOB_STATUS.FAILED,
+          finishedAt: new Date().toISOString(),
+          error: redact(error.message)
+        });
+      }
+    } finally {
+      this.running.delete(job.id);
+      this._drain();
+    }
+  }
+
+  /**
+   * Apply changes to a job, persist it and notify listeners
+   *
+   * @param {Object} job - Job to update
+   * @param {Object} changes - Fields to update
+   * @private
+   */
+  _updateJob(job, changes) {
+    const previousStatus = job.status;
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      this._releaseCredentials(job);
+    }
+    this._persist(job);
+    this.emit('job', job);
+
+    if (job.status !== previousStatus) {
+      this.publish(job.id, {
+        type: 'status',
+        status: job.status,
+        error: job.error || undefined
+      });
+
+      if (TERMINAL_STATUSES.includes(job.status)) {
+        this._prune();
+      }
+    }
+  }
+
+  /**
+   * Remove the finished jobs, and their files, that are past the retention limits
+   *
+   * The most recently finished jobs are kept, up to maxFinishedJobs, as long
+   * as they finished less than finishedJobMaxAge ago.
+   *
+   * @private
+   */
+  _prune() {
+    const finishedAt = job => Date.parse(job.finishedAt || job.updatedAt) || 0;
+    const cutoff = Date.now() - this.finishedJobMaxAge;
+
+    // Newest first, so that jobs finished in the same millisecond keep the latest
+    [...this.jobs.values()]
+      .reverse()
+      .filter(job => TERMINAL_STATUSES.includes(job.status))
+      .sort((a, b) => finishedAt(b) - finishedAt(a))
+      .filter((job, index) => index >= this.maxFinishedJobs || finishedAt(job) < cutoff)
+      .forEach(job => {
+        this.jobs.delete(job.id);
+        try {
+          fs.removeSync(path.join(this.storageDir, `${job.id}.json`));
+        } catch (error) {
+          console.error(`Failed to remove job file of ${job.id}:`, error);
+        }
+      });
+  }
+
+  /**
+   * Drop the credentials and secrets of a job, which it no longer needs once finished
+   *
+   * The params are replaced rather than modified, since a cancelled job's
+   * processor may still be using them.
+   *
+   * @param {Object} job - Job to update
+   * @returns {boolean} - Whether the job had any
+   * @private
+   */
+  _releaseCredentials(job) {
+    const params = job.params || {};
+    if (params.auth === undefined && params.secrets === undefined) {
+      return false;
+    }
+
+    job.params = JobQueue.toPublicJob(job).params;
+    return true;
+  }
+
+  /**
+   * Write a job to the storage directory
+   *
+   * Job files hold the request credentials until the job finishes (see
+   * _releaseCredentials), so they are only readable by the server user.
+   *
+   * @param {Object} job - Job to persist
+   * @private
+   */
+  _persist(job) {
+    try {
+      fs.writeJsonSync(path.join(this.storageDir, `${job.id}.json`), job, { spaces: 2, mode: 0o600 });
+    } catch (error) {
+      console.error(`Failed to persist job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Load all persisted jobs from the storage directory
+   *
+   * @returns {Array<Object>} - Restored jobs
+   * @private
+   */
+  _restore() {
+    return fs.readdirSync(this.storageDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        try {
+          return fs.readJsonSync(path.join(this.storageDir, file));
+        } catch (error) {
+          console.warn(`Skipping unreadable job file ${file}: ${error.message}`);
+          return null;
+        }
+      })
+      .filter(job => job && job.id);
+  }
+}
+
+JobQueue.JOB_STATUS = JOB_STATUS;
+
+module.exports = JobQueue;
@@ -0,0 +1,164 @@
+/**
+ * jobStream.js
+ *
+ * Live progress streaming for queued pipeline runs. Progress events published
+ * on the job queue (status changes, agent stage transitions and command output)
+ * are delivered to clients over Server-Sent Events or WebSocket. Events recorded
+ * before a client connected are replayed first, so a dashboard can attach to a
+ * job at any point of its run.
+ */
+
+const { WebSocketServer } = require('ws');
+
+// Interval for SSE keep-alive comments, so proxies don't close idle streams
+const KEEP_ALIVE_INTERVAL = 15000;
+
+const STREAM_PATH_PATTERN = /^\/api\/jobs\/([^/]+)\/stream\/?$/;
+
+/**
+ * Subscribe to a job's progress events, replaying recorded ones first
+ *
+ * @param {JobQueue} jobQueue - Queue the job belongs to
+ * @param {string} jobId - Job identifier
+ * @param {number} afterSeq - Sequence number of the last event the client has seen
+ * @param {Function} send - Called with each event
+ * @param {Function} onFinished - Called once the job reaches a final state
+ * @returns {Function} - Unsubscribe function
+ * @private
+ */
+function subscribe(jobQueue, jobId, afterSeq, send, onFinished) {
+  let lastSeq = afterSeq;
+  let finished = false;
+
+  const unsubscribe = () => jobQueue.removeListener('progress', deliver);
+
+  const finish = () => {
+    if (finished) return;
+
+    finished = true;
+    unsubscribe();
+    onFinished();
+  };
+
+  function deliver(event) {
+    if (finished || event.jobId !== jobId || event.seq <= lastSeq) return;
+
+    lastSeq = event.seq;
+    send(event);
+
+    if (event.type === 'status' && jobQueue.isFinalStatus(event.status)) {
+      finish();
+    }
+  }
+
+  jobQueue.on('progress', deliver);
+  jobQueue.getEvents(jobId, afterSeq).forEach(deliver);
+
+  // Jobs restored from disk have no recorded events; close right away if finished
+  if (jobQueue.isFinalStatus(jobQueue.getJob(jobId).status)) {
+    finish();
+  }
+
+  return unsubscribe;
+}
+
+/**
+ * Create an Express handler that streams a job's progress as Server-Sent Events
+ *
+ * @param {JobQueue} jobQueue - Queue to stream jobs from
+ * @returns {Function} - Express route handler for GET /api/jobs/:id/stream
+ */
+function createSseHandler(jobQueue) {
+  return (req, res) => {
+    const jobId = req.params.id;
+
+    if (!jobQueue.getJob(jobId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Resume after the last event the client received, if it reconnects
+    const afterSeq = parseInt(req.get('Last-Event-ID') || req.query.after, 10) || 0;
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+
+    const unsubscribe = subscribe(
+      jobQueue,
+      jobId,
+      afterSeq,
+      (event) => {
+        res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      },
+      () => {
+        res.write('event: end\ndata: {}\n\n');
+        clearInterval(keepAlive);
+        res.end();
+      }
+    );
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  };
+}
+
+/**
+ * Attach a WebSocket server that streams job progress on /api/jobs/:id/stream
+ *
+ * @param {http.Server} server - HTTP server to handle upgrade requests for
+ * @param {JobQueue} jobQueue - Queue to stream jobs from
+ * @returns {WebSocketServer} - The attached WebSocket server
+ */
+function attachWebSocketServer(server, jobQueue) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(STREAM_PATH_PATTERN);
+
+    if (!match) {
+      socket.destroy();
+      return;
+    }
+
+    const jobId = decodeURIComponent(match[1]);
+    if (!jobQueue.getJob(jobId)) {
+      socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const afterSeq = parseInt(url.searchParams.get('after'), 10) || 0;
+
+      const unsubscribe = subscribe(
+        jobQueue,
+        jobId,
+        afterSeq,
+        (event) => ws.send(JSON.stringify(event)),
+        () => ws.close(1000, 'Job finished')
+      );
+
+      ws.on('close', unsubscribe);
+      ws.on('error', (error) => {
+        console.error(`WebSocket stream for job ${jobId} failed:`, error);
+        unsubscribe();
+      });
+    });
+  });
+
+  return wss;
+}
+
+module.exports = {
+  createSseHandler,
+  attachWebSocketServer
+};
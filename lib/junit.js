@@ -0,0 +1,332 @@
+/**
+ * junit.js
+ *
+ * JUnit XML ingestion. Most test tools write JUnit XML reports, either by
+ * default (Maven Surefire/Failsafe, Gradle) or with a reporter, so reports
+ * are the preferred source of per-test results and console scraping is only
+ * a fallback. The detected commands turn on the reporters that come with
+ * Playwright and Cypress, and jest-junit when a project depends on it; Python,
+ * Go and Rust tests report through richer JSON formats instead (see
+ * pythonReports.js, goTest.js and libtest.js).
+ *
+ * Test commands run with QAAS_REPORTS_DIR pointing to a directory shared with
+ * the host. Commands may write reports there directly; reports written into
+ * the checkout during the run are copied there when the command finishes
+ * (the runners wrap commands with withReportCollection).
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Directories never searched for reports
+const SKIPPED_DIRECTORIES = ['node_modules', '.git', '.qaas-cache'];
+
+// find(1) tests matching the report locations of common tools
+const REPORT_LOCATIONS = [
+  "-path '*/surefire-reports/*'",
+  "-path '*/failsafe-reports/*'",
+  // Gradle, Playwright and Cypress
+  "-path '*/test-results/*'",
+  // jest-junit and most reporters' defaults
+  "-name 'junit*.xml'",
+  "-name 'TEST-*.xml'"
+];
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Test commands writing JUnit reports to QAAS_REPORTS_DIR with the reporter the tool comes with
+const PLAYWRIGHT_JUNIT_COMMAND = 'PLAYWRIGHT_JUNIT_OUTPUT_NAME="$QAAS_REPORTS_DIR/playwright.xml" npx playwright test --reporter=list,junit';
+const CYPRESS_JUNIT_COMMAND = 'npx cypress run --reporter junit --reporter-options "mochaFile=$QAAS_REPORTS_DIR/cypress-[hash].xml"';
+
+/**
+ * Decode the entity and character references of XML text
+ *
+ * @param {string} text - Raw text or attribute value
+ * @returns {string} - Decoded text
+ * @private
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Parse an XML document into a tree of elements
+ *
+ * Supports what JUnit reports use: elements, attributes, text, CDATA,
+ * comments, processing instructions and a DOCTYPE without an internal subset.
+ *
+ * @param {string} xml - XML document
+ * @returns {Object} - Root element: { name, attributes, children, text }
+ * @throws {Error} - If the document is malformed
+ * @private
+ */
+function parseXml(xml) {
+  const root = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tagPattern = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let position = 0;
+
+  const skipPast = (terminator) => {
+    const end = xml.indexOf(terminator, position);
+    if (end === -1) throw new Error(`Unterminated markup at offset ${position}`);
+    const content = xml.slice(position, end);
+    position = end + terminator.length;
+    return content;
+  };
+
+  while (position < xml.length) {
+    const current = stack[stack.length - 1];
+    const next = xml.indexOf('<', position);
+
+    if (next === -1 || next > position) {
+      const end = next === -1 ? xml.length : next;
+      current.text += decodeEntities(xml.slice(position, end));
+      position = end;
+      continue;
+    }
+
+    if (xml.startsWith('<![CDATA[', position)) {
+      position += '<![CDATA['.length;
+      current.text += skipPast(']]>');
+    } else if (xml.startsWith('<!--', position)) {
+      skipPast('-->');
+    } else if (xml.startsWith('<?', position) || xml.startsWith('<!', position)) {
+      skipPast('>');
+    } else {
+      tagPattern.lastIndex = position;
+      const match = tagPattern.exec(xml);
+      if (!match) throw new Error(`Malformed tag at offset ${position}`);
+      position = tagPattern.lastIndex;
+
+      const [, closing, name, rawAttributes, selfClosing] = match;
+      if (closing) {
+        if (stack.length === 1 || current.name !== name) {
+          throw new Error(`Unexpected closing tag </${name}> at offset ${match.index}`);
+        }
+        stack.pop();
+        continue;
+      }
+
+      const element = { name, attributes: {}, children: [], text: '' };
+      for (const [, attribute, doubleQuoted, singleQuoted] of rawAttributes.matchAll(attributePattern)) {
+        element.attributes[attribute] = decodeEntities(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+      }
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  if (root.children.length !== 1) {
+    throw new Error('Document must have exactly one root element');
+  }
+  return root.children[0];
+}
+
+/**
+ * Parse a duration in seconds as written by JUnit reporters
+ *
+ * @param {string} time - Seconds, possibly with thousands separators
+ * @returns {number} - Milliseconds
+ * @private
+ */
+function parseTime(time) {
+  const seconds = parseFloat(String(time || '0').replace(/,/g, ''));
+  return Number.isFinite(seconds) ? Math.round(seconds * 1000) : 0;
+}
+
+/**
+ * Convert a testcase element into a test detail
+ *
+ * @param {Object} testcase - testcase element
+ * @param {string} suite - Name of the enclosing testsuite
+ * @returns {Object} - { name, suite, classname, status, duration, failureMessages, stackTrace }
+ * @private
+ */
+function testcaseDetail(testcase, suite) {
+  const { name = '', classname = '' } = testcase.attributes;
+  const failure = testcase.children.find(child => child.name === 'failure' || child.name === 'error');
+  const skipped = testcase.children.find(child => child.name === 'skipped');
+  const detail = {
+    name,
+    suite: suite || classname,
+    classname,
+    status: failure ? 'failed' : skipped ? 'skipped' : 'passed',
+    duration: parseTime(testcase.attributes.time),
+    failureMessages: [],
+    stackTrace: null
+  };
+
+  if (failure) {
+    const trace = failure.text.trim();
+    detail.failureMessages.push(failure.attributes.message || trace.split('\n')[0] || failure.name);
+    detail.stackTrace = trace || null;
+  } else if (skipped && skipped.attributes.message) {
+    detail.failureMessages.push(skipped.attributes.message);
+  }
+
+  return detail;
+}
+
+/**
+ * Parse a JUnit XML report
+ *
+ * Accepts a testsuites or testsuite root; nested testsuites are flattened.
+ *
+ * @param {string} xml - Report contents
+ * @returns {Object} - { details, duration }; duration in ms as reported by the top-level suites
+ * @throws {Error} - If the report is malformed or not a JUnit report
+ */
+function parseJUnitReport(xml) {
+  const root = parseXml(xml);
+  if (root.name !== 'testsuites' && root.name !== 'testsuite') {
+    throw new Error(`Not a JUnit report: root element is <${root.name}>`);
+  }
+
+  const details = [];
+  const visit = (element, suite) => {
+    for (const child of element.children) {
+      if (child.name === 'testsuite') {
+        visit(child, child.attributes.name || suite);
+      } else if (child.name === 'testcase') {
+        details.push(testcaseDetail(child, suite));
+      }
+    }
+  };
+
+  const topSuites = root.name === 'testsuite' ? [root] : root.children.filter(child => child.name === 'testsuite');
+  visit(root, root.name === 'testsuite' ? root.attributes.name : null);
+
+  const reportedTime = root.attributes.time !== undefined
+    ? parseTime(root.attributes.time)
+    : topSuites.reduce((sum, suite) => sum + parseTime(suite.attributes.time), 0);
+
+  return {
+    details,
+    duration: reportedTime || details.reduce((sum, detail) => sum + detail.duration, 0)
+  };
+}
+
+/**
+ * Build a jest command, writing JUnit reports to QAAS_REPORTS_DIR if the project uses jest-junit
+ *
+ * jest-junit is a separate package, so it is only used when the project
+ * declares it and the install stage installed it.
+ *
+ * @param {string} projectPath - Directory of the project's package.json
+ * @param {string} args - Arguments of jest, e.g. --json (optional)
+ * @returns {string} - Shell command
+ */
+function jestCommand(projectPath, args = '') {
+  let usesJestJunit = false;
+  try {
+    const packageJson = fs.readJsonSync(path.join(projectPath, 'package.json'));
+    usesJestJunit = Boolean({ ...packageJson.dependencies, ...packageJson.devDependencies }['jest-junit']);
+  } catch (error) {
+    // Without a readable package.json there is no jest-junit either
+  }
+
+  const command = `npx jest${args ? ` ${args}` : ''}`;
+  // Suites named after their file, as in the --json output, and test names without the describe
+  // blocks, which are the classname already
+  return usesJestJunit
+    ? `JEST_JUNIT_OUTPUT_DIR="$QAAS_REPORTS_DIR" JEST_JUNIT_SUITE_NAME='{filepath}' JEST_JUNIT_CLASSNAME='{classname}' ` +
+      `JEST_JUNIT_TITLE='{title}' ${command} --reporters=default --reporters=jest-junit`
+    : command;
+}
+
+/**
+ * Create a directory for the reports of one test command
+ *
+ * Commands in containers write to it as another user, so it is world-writable.
+ *
+ * @returns {Promise<string>} - Directory to pass as the reportsDir option of a runner
+ */
+async function createReportsDir() {
+  const reportsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qaas-reports-'));
+  await fs.chmod(reportsDir, 0o777);
+  return reportsDir;
+}
+
+/**
+ * Wrap a test command so the reports it writes into the checkout end up in QAAS_REPORTS_DIR
+ *
+ * Only files modified while the command ran are copied, so reports committed
+ * to the repository or left by an earlier stage are ignored. The command's
+ * exit code is preserved.
+ *
+ * @param {string} command - Shell command
+ * @returns {string} - Shell command
+ */
+function withReportCollection(command) {
+  const prune = SKIPPED_DIRECTORIES.map(name => `-name '${name}'`).join(' -o ');
+  const locations = REPORT_LOCATIONS.join(' -o ');
+
+  return [
+    'touch "$QAAS_REPORTS_DIR/.started"',
+    '(',
+    command,
+    ')',
+    'qaas_status=$?',
+    `find . \\( ${prune} \\) -prune -o -type f -name '*.xml' -newer "$QAAS_REPORTS_DIR/.started" \\( ${locations} \\) -print 2>/dev/null |`,
+    '  while IFS= read -r report; do cp "$report" "$QAAS_REPORTS_DIR/$(printf \'%s\' "${report#./}" | tr / _)"; done',
+    'exit $qaas_status'
+  ].join('\n');
+}
+
+/**
+ * Read the JUnit reports in a reports directory
+ *
+ * Files that are not JUnit reports are skipped with a warning.
+ *
+ * @param {string} reportsDir - Directory from createReportsDir()
+ * @returns {Promise<Object|null>} - { files, summary, details }, or null if there are no reports
+ */
+async function readJUnitReports(reportsDir) {
+  if (!reportsDir || !(await fs.pathExists(reportsDir))) return null;
+
+  const files = (await fs.readdir(reportsDir)).filter(file => file.endsWith('.xml')).sort();
+  const summary = { total: 0, passed: 0, failed: 0, skipped: 0, duration: 0 };
+  const details = [];
+  const parsedFiles = [];
+
+  for (const file of files) {
+    try {
+      const report = parseJUnitReport(await fs.readFile(path.join(reportsDir, file), 'utf8'));
+      details.push(...report.details);
+      summary.duration += report.duration;
+      parsedFiles.push(file);
+    } catch (error) {
+      console.warn(`Skipping report ${file}: ${error.message}`);
+    }
+  }
+
+  if (parsedFiles.length === 0) return null;
+
+  details.forEach(detail => {
+    summary.total++;
+    summary[detail.status]++;
+  });
+
+  return { files: parsedFiles, summary, details };
+}
+
+module.exports = {
+  PLAYWRIGHT_JUNIT_COMMAND,
+  CYPRESS_JUNIT_COMMAND,
+  jestCommand,
+  parseJUnitReport,
+  createReportsDir,
+  withReportCollection,
+  readJUnitReports
+};
@@ -0,0 +1,99 @@
+/**
+ * libtest.js
+ *
+ * Parser for the JSON output of Rust's test harness (libtest), produced by
+ * `cargo test -- -Z unstable-options --format json`. cargo runs one harness
+ * per test target and one for the doc-tests of each library; results are
+ * summed across all of them, and each test's suite names its crate and target.
+ */
+
+// libtest's JSON format is unstable: it runs with a nightly toolchain when rustup has one, and
+// otherwise with the plain output, whose summaries are parsed instead. Enabling it on a stable
+// toolchain with RUSTC_BOOTSTRAP would also enable unstable features for the crate's build.
+// cargo's stderr names the crate and target of each test run.
+const RUST_TEST_COMMAND = 'if cargo +nightly --version >/dev/null 2>&1; ' +
+  'then cargo +nightly test -- -Z unstable-options --format json --report-time 2>&1; ' +
+  'else cargo test 2>&1; fi';
+
+// cargo announces each harness on stderr before running it
+const RUNNING_PATTERN = /^\s*Running (?:unittests )?(\S+) \((?:.*[\\/])?([^\\/]+?)(?:-[0-9a-f]{16})?(?:\.exe)?\)\s*$/;
+const DOC_TESTS_PATTERN = /^\s*Doc-tests (\S+)\s*$/;
+
+/**
+ * Parse the output of `cargo test` with libtest's JSON format
+ *
+ * cargo's stderr has to be interleaved with the JSON lines (2>&1) for the
+ * suites to name their crate and target; otherwise they are numbered.
+ *
+ * @param {string} output - Output of the command
+ * @returns {Object|null} - { success, summary, details }, or null if the output holds no libtest events
+ */
+function parseLibtestJson(output) {
+  const details = [];
+  let suite = null;
+  let suiteCount = 0;
+  let duration = 0;
+  let suiteFailed = false;
+  let found = false;
+
+  for (const line of output.split('\n')) {
+    const running = line.match(RUNNING_PATTERN);
+    const docTests = line.match(DOC_TESTS_PATTERN);
+    if (running) {
+      suite = `${running[2]} (${running[1]})`;
+      continue;
+    }
+    if (docTests) {
+      suite = `${docTests[1]} (doc-tests)`;
+      continue;
+    }
+    if (!line.startsWith('{')) continue;
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+
+    if (event.type === 'suite') {
+      found = true;
+      if (event.event === 'started') {
+        suiteCount++;
+      } else {
+        duration += Math.round((event.exec_time || 0) * 1000);
+        suiteFailed = suiteFailed || event.event === 'failed';
+      }
+    } else if (event.type === 'test' && ['ok', 'failed', 'ignored'].includes(event.event)) {
+      // 'timeout' events only warn that a test runs long; it still reports ok or failed
+      found = true;
+      const status = event.event === 'ok' ? 'passed' : event.event === 'ignored' ? 'skipped' : 'failed';
+      details.push({
+        name: event.name,
+        suite: suite || `suite ${suiteCount}`,
+        status,
+        duration: Math.round((event.exec_time || 0) * 1000),
+        failureMessages: status === 'failed'
+          ? [(event.stdout || event.message || 'Test failed').trim()]
+          : (status === 'skipped' && event.message ? [event.message] : [])
+      });
+    }
+  }
+
+  if (!found) return null;
+
+  const summary = {
+    total: details.length,
+    passed: details.filter(detail => detail.status === 'passed').length,
+    failed: details.filter(detail => detail.status === 'failed').length,
+    skipped: details.filter(detail => detail.status === 'skipped').length,
+    duration
+  };
+
+  return { success: summary.failed === 0 && !suiteFailed, summary, details };
+}
+
+module.exports = {
+  RUST_TEST_COMMAND,
+  parseLibtestJson
+};
@@ -0,0 +1,218 @@
+/**
+ * outcomes.js
+ *
+ * Classifies how a test command ended. Test tools exit non-zero as soon as a
+ * test fails, so the exit code alone can't tell failing tests from a suite
+ * that didn't compile or a runner that crashed. The outcome combines the exit
+ * code, the output and the results parsed from it:
+ *
+ *   passed        every test that ran passed
+ *   tests-failed  at least one test failed
+ *   build-error   the tests could not be compiled or collected
+ *   install-error the test tool or a dependency is missing
+ *   timeout       the command was stopped at its timeout
+ *   crashed       the command ended without a test failure explaining it
+ *   no-tests      the command found no tests to run
+ */
+
+const { ERROR_TYPES, resultError } = require('./results');
+
+const OUTCOMES = Object.freeze({
+  PASSED: 'passed',
+  TESTS_FAILED: 'tests-failed',
+  BUILD_ERROR: 'build-error',
+  INSTALL_ERROR: 'install-error',
+  TIMEOUT: 'timeout',
+  CRASHED: 'crashed',
+  NO_TESTS: 'no-tests'
+});
+
+// Outcomes that count as a successful stage
+const SUCCESSFUL_OUTCOMES = [OUTCOMES.PASSED, OUTCOMES.NO_TESTS];
+
+// The outcome of several runs is the first of their outcomes in this order
+const OUTCOME_SEVERITY = [
+  OUTCOMES.INSTALL_ERROR,
+  OUTCOMES.BUILD_ERROR,
+  OUTCOMES.TIMEOUT,
+  OUTCOMES.CRASHED,
+  OUTCOMES.TESTS_FAILED,
+  OUTCOMES.PASSED,
+  OUTCOMES.NO_TESTS
+];
+
+// Exit code of a shell that could not find the command, e.g. a test tool that isn't installed
+const COMMAND_NOT_FOUND = 127;
+
+// Shells report a process killed by a signal as 128 + the signal number
+const SIGNAL_EXIT_CODE = 128;
+
+const CRASH_PATTERNS = [
+  /JavaScript heap out of memory/,
+  /Segmentation fault/,
+  /^INTERNALERROR>/m, // pytest
+  /java\.lang\.OutOfMemoryError/,
+  /thread '.*' has overflowed its stack/ // Rust
+];
+
+const INSTALL_ERROR_PATTERNS = [
+  /command not found/,
+  /Cannot find module '[^./]/, // A package, not a file of the repository
+  /ModuleNotFoundError: No module named/,
+  /No module named pytest/,
+  /Could not resolve dependencies/, // Maven
+  /Could not resolve all (files|dependencies)/ // Gradle
+];
+
+const BUILD_ERROR_PATTERNS = [
+  /Test suite failed to run/, // Jest
+  /error TS\d+:/, // TypeScript
+  /SyntaxError/,
+  /ERROR collecting/, // pytest
+  /errors? during collection/, // pytest
+  /ImportError/,
+  /COMPILATION ERROR/, // Maven
+  /Compilation failed/, // Gradle
+  /error: could not compile/, // cargo
+  /\[build failed\]/, // go test
+  /\[setup failed\]/ // go test
+];
+
+const NO_TESTS_PATTERNS = [
+  /no tests ran/i, // pytest
+  /^No tests found/m, // Jest
+  /Error: No tests found/, // Playwright
+  /No test files found/, // Mocha
+  /no spec files were found/i, // Cypress
+  /^Ran 0 tests/m, // unittest
+  /No tests to run/ // Maven Surefire, Gradle
+];
+
+// What the error of each unsuccessful outcome other than failing tests says
+const OUTCOME_ERRORS = {
+  [OUTCOMES.BUILD_ERROR]: { type: ERROR_TYPES.COMMAND, message: 'The tests failed to build' },
+  [OUTCOMES.INSTALL_ERROR]: { type: ERROR_TYPES.INSTALL, message: 'The test tool or a dependency is missing' },
+  [OUTCOMES.TIMEOUT]: { type: ERROR_TYPES.TIMEOUT, message: 'The tests timed out' },
+  [OUTCOMES.CRASHED]: { type: ERROR_TYPES.COMMAND, message: 'The test command crashed' }
+};
+
+/**
+ * Run a test command, resolving instead of rejecting when it fails
+ *
+ * @param {Object} runner - Runner from createRunner
+ * @param {string} command - Test command
+ * @param {Object} options - Options of runner.run
+ * @returns {Promise<Object>} - { stdout, stderr, exitCode, signal, duration, timedOut, error }, where
+ *   error is the runner's CommandError if the command failed or timed out
+ * @throws {Error} - If the command could not be started
+ */
+async function runTestCommand(runner, command, options) {
+  try {
+    const result = await runner.run(command, options);
+    return { ...result, timedOut: false, error: null };
+  } catch (error) {
+    if (error.name !== 'CommandError') {
+      throw error;
+    }
+
+    const { stdout, stderr, exitCode, signal, duration, timedOut } = error;
+    return { stdout, stderr, exitCode, signal, duration, timedOut, error };
+  }
+}
+
+/**
+ * Classify how a test command ended
+ *
+ * @param {Object} execution - Result of runTestCommand
+ * @param {Object} results - Test results parsed from the command's output
+ * @returns {string} - One of OUTCOMES
+ */
+function classifyOutcome(execution, results) {
+  const output = `${execution.stdout || ''}\n${execution.stderr || ''}`;
+  const { exitCode } = execution;
+  const matches = patterns => patterns.some(pattern => pattern.test(output));
+
+  if (execution.timedOut) {
+    return OUTCOMES.TIMEOUT;
+  }
+
+  if (execution.signal || exitCode === null || exitCode > SIGNAL_EXIT_CODE || (exitCode !== 0 && matches(CRASH_PATTERNS))) {
+    return OUTCOMES.CRASHED;
+  }
+
+  if (exitCode === COMMAND_NOT_FOUND) {
+    return OUTCOMES.INSTALL_ERROR;
+  }
+
+  const brokenBuild = exitCode === 0 ? null
+    : matches(INSTALL_ERROR_PATTERNS) ? OUTCOMES.INSTALL_ERROR
+      : matches(BUILD_ERROR_PATTERNS) ? OUTCOMES.BUILD_ERROR
+        : null;
+
+  // Tests reported as failed one by one are failures, unless none passed and the output shows the
+  // run broke off, e.g. pytest reporting the modules it couldn't import as erroring tests
+  if (results.details.some(detail => detail.status === 'failed') && !(brokenBuild && results.summary.passed === 0)) {
+    return OUTCOMES.TESTS_FAILED;
+  }
+
+  if (exitCode === 0) {
+    return results.summary.total > 0 ? OUTCOMES.PASSED : OUTCOMES.NO_TESTS;
+  }
+
+  if (brokenBuild) {
+    return brokenBuild;
+  }
+
+  if (matches(NO_TESTS_PATTERNS)) {
+    return OUTCOMES.NO_TESTS;
+  }
+
+  // Failures only known from a summary count, e.g. Maven's
+  return results.summary.failed > 0 ? OUTCOMES.TESTS_FAILED : OUTCOMES.CRASHED;
+}
+
+/**
+ * Record the outcome of a test command in its results
+ *
+ * Sets `status` to the outcome (unless the parser already decided it, e.g.
+ * for an empty repository), `exitCode`, and `success` for the passed and
+ * no-tests outcomes. Outcomes other than passing or failing tests also get
+ * an error.
+ *
+ * @param {Object} results - Test results parsed from the command's output
+ * @param {Object} execution - Result of runTestCommand
+ * @returns {Object} - The results
+ */
+function applyOutcome(results, execution) {
+  const status = results.status || classifyOutcome(execution, results);
+
+  results.status = status;
+  results.exitCode = execution.exitCode;
+  results.success = SUCCESSFUL_OUTCOMES.includes(status);
+
+  const outcomeError = OUTCOME_ERRORS[status];
+  if (outcomeError) {
+    const reason = execution.error ? execution.error.message : `Command exited with code ${execution.exitCode}`;
+    results.error = resultError(`${outcomeError.message}: ${reason}`, outcomeError.type);
+  }
+
+  return results;
+}
+
+/**
+ * Outcome of several runs, e.g. the stacks of a polyglot repository
+ *
+ * @param {Array<string>} outcomes - Outcome of each run
+ * @returns {string} - The most severe outcome (no-tests without runs)
+ */
+function combineOutcomes(outcomes) {
+  return OUTCOME_SEVERITY.find(outcome => outcomes.includes(outcome)) || OUTCOMES.NO_TESTS;
+}
+
+module.exports = {
+  OUTCOMES,
+  runTestCommand,
+  classifyOutcome,
+  applyOutcome,
+  combineOutcomes
+};
@@ -0,0 +1,178 @@
+/**
+ * packageManagers.js
+ *
+ * Detects the package managers a repository uses from its lockfiles and
+ * manifests, and the command that installs its dependencies with each of
+ * them. Lockfiles win over bare manifests so installs are reproducible.
+ *
+ * Package caches and installed packages are kept inside the workspace (in
+ * node_modules and .qaas-cache), so they survive from the install stage to
+ * the test stages with any runner and can be saved to the dependency cache.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Package managers in order of precedence; within a language the first match is used.
+// `language` picks the container image (see runners/containerRunner.js).
+const PACKAGE_MANAGERS = [
+  { name: 'pnpm', language: 'node', files: ['pnpm-lock.yaml'], locked: true, command: 'pnpm install --frozen-lockfile' },
+  {
+    name: 'yarn',
+    language: 'node',
+    files: ['yarn.lock'],
+    locked: true,
+    // Yarn 2+ projects have a .yarnrc.yml and renamed the flag
+    command: repoPath => (fs.existsSync(path.join(repoPath, '.yarnrc.yml'))
+      ? 'yarn install --immutable'
+      : 'yarn install --frozen-lockfile')
+  },
+  { name: 'npm', language: 'node', files: ['package-lock.json', 'npm-shrinkwrap.json'], locked: true, command: 'npm ci' },
+  { name: 'npm', language: 'node', files: ['package.json'], locked: false, command: 'npm install' },
+  {
+    name: 'poetry',
+    language: 'python',
+    files: ['poetry.lock'],
+    locked: true,
+    // Install into the interpreter the tests run with rather than a virtualenv
+    command: 'POETRY_VIRTUALENVS_CREATE=false poetry install --no-interaction'
+  },
+  { name: 'pipenv', language: 'python', files: ['Pipfile.lock'], locked: true, command: 'pipenv install --dev --deploy --system' },
+  { name: 'pipenv', language: 'python', files: ['Pipfile'], locked: false, command: 'pipenv install --dev --system' },
+  { name: 'pip', language: 'python', files: ['requirements.txt'], locked: false, command: 'pip install -r requirements.txt' },
+  { name: 'pip', language: 'python', files: ['pyproject.toml', 'setup.py'], locked: false, command: 'pip install -e .' },
+  { name: 'maven', language: 'maven', files: ['pom.xml'], locked: false, command: 'mvn -B dependency:resolve' },
+  {
+    name: 'gradle',
+    language: 'gradle',
+    files: ['build.gradle', 'build.gradle.kts'],
+    locked: false,
+    command: repoPath => gradleCommand(repoPath, '--no-daemon dependencies')
+  },
+  { name: 'cargo', language: 'rust', files: ['Cargo.lock'], locked: true, command: 'cargo fetch --locked' },
+  { name: 'cargo', language: 'rust', files: ['Cargo.toml'], locked: false, command: 'cargo fetch' },
+  { name: 'go', language: 'go', files: ['go.mod'], locked: false, command: 'go mod download' }
+];
+
+// Where each language's tools keep packages, relative to the workspace, and the
+// variables pointing them there. The .qaas-cache directory is skipped by test
+// discovery because it starts with a dot.
+const DEPENDENCY_LOCATIONS = {
+  node: {
+    paths: ['node_modules', '.qaas-cache/npm', '.qaas-cache/yarn', '.qaas-cache/pnpm'],
+    env: root => ({
+      npm_config_cache: `${root}/.qaas-cache/npm`,
+      YARN_CACHE_FOLDER: `${root}/.qaas-cache/yarn`,
+      npm_config_store_dir: `${root}/.qaas-cache/pnpm`
+    })
+  },
+  python: {
+    paths: ['.qaas-cache/pip', '.qaas-cache/python'],
+    // pip installs into a user site in the workspace instead of the interpreter's site-packages
+    env: root => ({
+      PIP_CACHE_DIR: `${root}/.qaas-cache/pip`,
+      PYTHONUSERBASE: `${root}/.qaas-cache/python`,
+      PIP_USER: '1'
+    })
+  },
+  maven: {
+    paths: ['.qaas-cache/m2'],
+    env: root => ({ MAVEN_OPTS: `-Dmaven.repo.local=${root}/.qaas-cache/m2` })
+  },
+  gradle: {
+    paths: ['.qaas-cache/gradle'],
+    env: root => ({ GRADLE_USER_HOME: `${root}/.qaas-cache/gradle` })
+  },
+  rust: {
+    paths: ['.qaas-cache/cargo'],
+    env: root => ({ CARGO_HOME: `${root}/.qaas-cache/cargo` })
+  },
+  go: {
+    paths: ['.qaas-cache/go'],
+    env: root => ({ GOMODCACHE: `${root}/.qaas-cache/go/mod`, GOCACHE: `${root}/.qaas-cache/go/build` })
+  }
+};
+
+// Commands printing the toolchain version of each language; part of the dependency cache key
+const TOOLCHAIN_VERSION_COMMANDS = {
+  node: 'node --version',
+  python: 'python --version',
+  maven: 'mvn --version',
+  gradle: 'java -version',
+  rust: 'cargo --version',
+  go: 'go version'
+};
+
+/**
+ * Gradle command, through the repository's wrapper if it has one
+ *
+ * @param {string} repoPath - Path to the repository
+ * @param {string} args - Tasks and options, e.g. 'test'
+ * @returns {string}
+ */
+function gradleCommand(repoPath, args) {
+  return `${fs.existsSync(path.join(repoPath, 'gradlew')) ? './gradlew' : 'gradle'} ${args}`;
+}
+
+/**
+ * Detect the package managers of a repository
+ *
+ * @param {string} repoPath - Path to the repository
+ * @returns {Array<Object>} - One entry per language: { name, language, file, locked, command }
+ */
+function detectPackageManagers(repoPath) {
+  const detected = [];
+
+  for (const manager of PACKAGE_MANAGERS) {
+    if (detected.some(entry => entry.language === manager.language)) {
+      continue;
+    }
+
+    const file = manager.files.find(name => fs.existsSync(path.join(repoPath, name)));
+    if (file) {
+      detected.push({
+        name: manager.name,
+        language: manager.language,
+        file,
+        locked: manager.locked,
+        command: typeof manager.command === 'function' ? manager.command(repoPath) : manager.command
+      });
+    }
+  }
+
+  return detected;
+}
+
+/**
+ * Environment pointing the package tools of some languages into a workspace
+ *
+ * @param {Array<string>} languages - Languages of the detected package managers
+ * @param {string} root - Workspace path as seen by the commands
+ * @returns {Object} - Environment variables
+ */
+function getDependencyEnvironment(languages, root) {
+  return languages
+    .filter(language => DEPENDENCY_LOCATIONS[language])
+    .reduce((env, language) => ({ ...env, ...DEPENDENCY_LOCATIONS[language].env(root) }), {});
+}
+
+/**
+ * Workspace paths holding the packages of some languages
+ *
+ * @param {Array<string>} languages - Languages of the detected package managers
+ * @returns {Array<string>} - Paths relative to the workspace
+ */
+function getDependencyPaths(languages) {
+  return [...new Set(languages
+    .filter(language => DEPENDENCY_LOCATIONS[language])
+    .flatMap(language => DEPENDENCY_LOCATIONS[language].paths))];
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  TOOLCHAIN_VERSION_COMMANDS,
+  detectPackageManagers,
+  gradleCommand,
+  getDependencyEnvironment,
+  getDependencyPaths
+};
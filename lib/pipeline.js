@@ -0,0 +1,229 @@
+/**
+ * pipeline.js
+ *
+ * Runs the full QAaaS pipeline for a single request: clone the repository,
+ * install its dependencies, run the requested test suites and log each result
+ * set to the blockchain.
+ * The pipeline reports its progress through stage callbacks so that it can be
+ * driven by the job queue instead of an open HTTP request.
+ */
+
+const fs = require('fs-extra');
+
+const RepoClonerAgent = require('../agents/repoClonerAgent');
+const DependencyInstallerAgent = require('../agents/dependencyInstallerAgent');
+const UnitTestAgent = require('../agents/unitTestAgent');
+const IntegrationAgent = require('../agents/integrationAgent');
+const BlockchainLogger = require('../agents/blockchainLogger');
+const { parseRunRequest } = require('./runRequest');
+const { RESULTS_SCHEMA_VERSION, ERROR_TYPES, resultError, attachment, finalizeTestResults, validateRunResults } = require('./results');
+const { createRunner } = require('./runners');
+
+/**
+ * Error raised when a pipeline run is cancelled between stages
+ */
+class PipelineCancelledError extends Error {
+  constructor(message = 'Job cancelled') {
+    super(message);
+    this.name = 'PipelineCancelledError';
+  }
+}
+
+/**
+ * Create a blockchain logger configured from the environment
+ *
+ * @returns {BlockchainLogger} - Configured logger
+ * @private
+ */
+function createBlockchainLogger() {
+  return new BlockchainLogger({
+    solanaEndpoint: process.env.SOLANA_ENDPOINT || 'https://api.devnet.solana.com',
+    programId: process.env.SOLANA_PROGRAM_ID
+  });
+}
+
+/**
+ * Build the result of a test stage that could not run because the
+ * dependencies failed to install
+ *
+ * @param {Object} install - Results of the install stage
+ * @returns {Object} - Test results with status install-error
+ * @private
+ */
+function installErrorResult(install) {
+  return finalizeTestResults({
+    status: DependencyInstallerAgent.INSTALL_STATUS.INSTALL_ERROR,
+    success: false,
+    summary: {
+      total: 0,
+      passed: 0,
+      failed: 0,
+      skipped: 0,
+      duration: 0
+    },
+    details: [],
+    error: resultError(install.error, ERROR_TYPES.INSTALL),
+    attachments: [attachment('log', install.logFile)],
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Run the QA pipeline for a repository
+ *
+ * @param {Object} params - Run request (see schemas/run-request.v1.json); unversioned requests are upgraded
+ * @param {Object} context - Run context
+ * @param {Function} context.setStage - Called with the stage name whenever the pipeline advances
+ * @param {AbortSignal} context.signal - Signal cancelling the run, stopping the running command (optional)
+ * @param {Function} context.onProgress - Listener for live agent progress events (optional)
+ * @returns {Promise<Object>} - Combined results of all stages
+ */
+async function runPipeline(params, context = {}) {
+  const { repo, auth, testTypes, affected, commands = {}, env = {}, secrets = {}, timeouts = {} } = parseRunRequest(params);
+  const setStage = context.setStage || (() => {});
+  const onProgress = context.onProgress;
+  const checkCancelled = () => {
+    if (context.signal && context.signal.aborted) {
+      throw new PipelineCancelledError();
+    }
+  };
+
+  // Step 1: Clone repository
+  checkCancelled();
+  setStage('cloning');
+  const repoClonerAgent = new RepoClonerAgent({ onProgress, timeout: timeouts.clone, signal: context.signal });
+  const cloneResult = await repoClonerAgent.cloneRepository({
+    repoUrl: repo.url,
+    branch: repo.branch,
+    tag: repo.tag,
+    commit: repo.commit,
+    depth: repo.depth,
+    // Listed files make the diff unnecessary
+    diffBase: affected && !affected.files ? affected.base : undefined,
+    credentials: auth
+  });
+
+  // Monorepo packages to test; without a usable diff all packages are tested
+  const affectedFiles = affected ? (affected.files || cloneResult.changedFiles || undefined) : undefined;
+
+  // All stages share one runner and workspace, so the tests see the installed dependencies
+  const runner = createRunner({ signal: context.signal });
+  const workspace = runner.createWorkspace();
+
+  // Run results in schemas/run-results.v2.json
+  const results = {
+    schemaVersion: RESULTS_SCHEMA_VERSION,
+    repoId: cloneResult.repoId,
+    repoUrl: repo.url,
+    branch: cloneResult.branch,
+    tag: cloneResult.tag,
+    commit: cloneResult.commit,
+    timestamp: new Date().toISOString(),
+    runner: { type: runner.type || 'custom' },
+    toolchains: {},
+    install: null,
+    unitTests: null,
+    integrationTests: null
+  };
+
+  try {
+    // Step 2: Install dependencies
+    checkCancelled();
+    setStage('installing');
+    const dependencyInstallerAgent = new DependencyInstallerAgent({ onProgress, runner });
+    results.install = await dependencyInstallerAgent.installDependencies({
+      repoPath: cloneResult.path,
+      repoId: cloneResult.repoId,
+      repoUrl: repo.url,
+      installCommand: commands.install,
+      workspace,
+      env,
+      secrets,
+      timeout: timeouts.install
+    });
+    const installFailed = results.install.status === DependencyInstallerAgent.INSTALL_STATUS.INSTALL_ERROR;
+    results.toolchains = results.install.toolchains || {};
+    if (runner.imageFor) {
+      results.runner.images = Object.keys(results.toolchains).reduce((images, language) => {
+        images[language] = runner.imageFor(language);
+        return images;
+      }, {});
+    }
+
+    // Step 3: Run unit tests if requested
+    if (testTypes.includes('unit')) {
+      checkCancelled();
+      setStage('unit');
+      const unitTestAgent = new UnitTestAgent({ onProgress, runner });
+      results.unitTests = installFailed ? installErrorResult(results.install) : await unitTestAgent.runTests({
+        repoPath: cloneResult.path,
+        repoId: cloneResult.repoId,
+        testType: 'unit',
+        testCommand: commands.unit,
+        workspace,
+        affectedFiles,
+        env,
+        secrets,
+        timeout: timeouts.unit
+      });
+    }
+
+    // Step 4: Run integration tests if requested
+    if (testTypes.includes('integration')) {
+      checkCancelled();
+      setStage('integration');
+      const integrationAgent = new IntegrationAgent({ onProgress, runner });
+      results.integrationTests = installFailed ? installErrorResult(results.install) : await integrationAgent.runTests({
+        repoPath: cloneResult.path,
+        repoId: cloneResult.repoId,
+        testType: 'integration',
+        testCommand: commands.integration,
+        workspace,
+        affectedFiles,
+        env,
+        secrets,
+        timeout: timeouts.integration
+      });
+    }
+
+    // Step 5: Log results to blockchain
+    checkCancelled();
+    setStage('logging');
+    const blockchainLogger = createBlockchainLogger();
+
+    if (results.unitTests) {
+      results.unitTests.blockchain = await blockchainLogger.logResults(
+        results.unitTests,
+        'unit',
+        cloneResult.repoId,
+        { repoUrl: repo.url, commit: cloneResult.commit }
+      );
+    }
+
+    if (results.integrationTests) {
+      results.integrationTests.blockchain = await blockchainLogger.logResults(
+        results.integrationTests,
+        'integration',
+        cloneResult.repoId,
+        { repoUrl: repo.url, commit: cloneResult.commit }
+      );
+    }
+
+    results.finishedAt = new Date().toISOString();
+    validateRunResults(results);
+
+    return results;
+  } finally {
+    await runner.removeWorkspace(workspace);
+
+    // Cleanup repository asynchronously
+    fs.remove(cloneResult.path).catch(err => {
+      console.error('Error cleaning up repository:', err);
+    });
+  }
+}
+
+module.exports = {
+  runPipeline,
+  PipelineCancelledError
+};
@@ -0,0 +1,113 @@
+"""
+qaas_pytest_report.py
+
+pytest plugin writing a JSON report of every test to $QAAS_REPORTS_DIR/pytest.json,
+read by lib/pythonReports.js. Load it with `-p qaas_pytest_report` and the
+reports directory on PYTHONPATH.
+"""
+
+import json
+import os
+import time
+
+REPORT_NAME = 'pytest.json'
+
+
+def _text(value):
+    return '' if value is None else str(value)
+
+
+class QaasReport:
+    def __init__(self, path):
+        self.path = path
+        self.tests = {}
+        self.started = time.time()
+
+    def _test(self, nodeid):
+        if nodeid not in self.tests:
+            self.tests[nodeid] = {
+                'id': nodeid,
+                'name': nodeid.split('::')[-1],
+                'suite': '::'.join(nodeid.split('::')[:-1]) or nodeid,
+                'file': nodeid.split('::')[0],
+                'line': None,
+                'parameters': None,
+                'outcome': None,
+                'status': None,
+                'duration': 0.0,
+                'stdout': '',
+                'stderr': '',
+                'message': None,
+                'traceback': None,
+            }
+        return self.tests[nodeid]
+
+    def pytest_itemcollected(self, item):
+        test = self._test(item.nodeid)
+        test['name'] = item.name
+        file, line, _ = item.location
+        test['file'] = file
+        test['line'] = None if line is None else line + 1
+        callspec = getattr(item, 'callspec', None)
+        if callspec is not None:
+            test['parameters'] = {name: repr(value) for name, value in callspec.params.items()}
+
+    def pytest_collectreport(self, report):
+        # A module that fails to import is reported as an erroring test
+        if report.failed:
+            test = self._test(report.nodeid or 'collection')
+            test['outcome'] = 'error'
+            test['status'] = 'failed'
+            test['message'] = 'Collection failed'
+            test['traceback'] = _text(report.longreprtext)
+
+    def pytest_runtest_logreport(self, report):
+        test = self._test(report.nodeid)
+        test['duration'] += report.duration
+        # Each phase's report holds the output captured by the phases before it
+        test['stdout'] = report.capstdout
+        test['stderr'] = report.capstderr
+
+        # Setup and teardown only decide the outcome when they don't pass
+        if report.when != 'call' and report.passed:
+            return
+        if test['outcome'] in ('failed', 'error') and report.when == 'teardown' and report.failed:
+            return
+
+        if hasattr(report, 'wasxfail'):
+            test['outcome'] = 'xfailed' if report.skipped else 'xpassed'
+            test['status'] = 'skipped' if report.skipped else 'passed'
+            test['message'] = report.wasxfail or None
+        elif report.failed:
+            test['outcome'] = 'failed' if report.when == 'call' else 'error'
+            test['status'] = 'failed'
+            crash = getattr(report.longrepr, 'reprcrash', None)
+            lines = _text(report.longreprtext).strip().splitlines()
+            test['message'] = crash.message if crash is not None else (lines[-1] if lines else None)
+            test['traceback'] = _text(report.longreprtext)
+        elif report.skipped:
+            test['outcome'] = 'skipped'
+            test['status'] = 'skipped'
+            # longrepr is (file, line, reason) for skips
+            test['message'] = report.longrepr[2] if isinstance(report.longrepr, tuple) else _text(report.longrepr)
+        else:
+            test['outcome'] = 'passed'
+            test['status'] = 'passed'
+
+    def pytest_sessionfinish(self, session, exitstatus):
+        tests = [test for test in self.tests.values() if test['outcome'] is not None]
+        report = {
+            'tool': 'pytest',
+            'exitStatus': int(exitstatus),
+            'duration': time.time() - self.started,
+            'tests': tests,
+        }
+        with open(self.path, 'w', encoding='utf-8') as handle:
+            json.dump(report, handle)
+
+
+def pytest_configure(config):
+    reports_dir = os.environ.get('QAAS_REPORTS_DIR')
+    # xdist workers send their results to the controller, which writes the report
+    if reports_dir and not hasattr(config, 'workerinput'):
+        config.pluginmanager.register(QaasReport(os.path.join(reports_dir, REPORT_NAME)), 'qaas_report')
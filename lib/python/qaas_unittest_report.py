@@ -0,0 +1,158 @@
+"""
+qaas_unittest_report.py
+
+unittest runner writing a JSON report of every test to $QAAS_REPORTS_DIR/unittest.json,
+read by lib/pythonReports.js. Run it with `python -m qaas_unittest_report` and the
+reports directory on PYTHONPATH; it discovers tests like `python -m unittest discover`
+and accepts the same arguments.
+"""
+
+import inspect
+import json
+import os
+import re
+import sys
+import time
+import traceback
+import unittest
+from unittest.suite import _ErrorHolder
+
+REPORT_NAME = 'unittest.json'
+
+# Description of an error outside a test, e.g. "setUpClass (test_module.TestCase)"
+FIXTURE_PATTERN = re.compile(r'^(\w+) \((.+)\)$')
+
+
+def _location(test):
+    """File relative to the working directory and line of a test method, if it can be found"""
+    test = getattr(test, 'test_case', test)
+    method = getattr(test, getattr(test, '_testMethodName', ''), None)
+    try:
+        method = inspect.unwrap(method)
+        file = os.path.relpath(inspect.getsourcefile(method))
+        return file, inspect.getsourcelines(method)[1]
+    except (TypeError, OSError, ValueError):
+        return None, None
+
+
+class JsonTestResult(unittest.TextTestResult):
+    def __init__(self, *args, **kwargs):
+        super().__init__(*args, **kwargs)
+        self.tests = []
+        self._current = None
+
+    def startTest(self, test):
+        self._current = {'started': time.perf_counter(), 'records': []}
+        super().startTest(test)
+
+    def stopTest(self, test):
+        # With buffer=True the captured output is still there until super().stopTest()
+        stdout = self._stdout_buffer.getvalue() if self.buffer and self._stdout_buffer else ''
+        stderr = self._stderr_buffer.getvalue() if self.buffer and self._stderr_buffer else ''
+        duration = time.perf_counter() - self._current['started']
+        for record in self._current['records']:
+            record['stdout'] = stdout
+            record['stderr'] = stderr
+            record['duration'] = duration
+            self.tests.append(record)
+        # Class and module fixtures run between tests
+        self._current = None
+        super().stopTest(test)
+
+    def _record(self, test, outcome, status, err=None, message=None):
+        test_id = test.id()
+        parts = test_id.rsplit('.', 1)
+        file, line = _location(test)
+        fixture = FIXTURE_PATTERN.match(test_id) if isinstance(test, _ErrorHolder) else None
+        if fixture:
+            # Reported under the class or module whose fixture failed
+            parts = [fixture.group(2), fixture.group(1)]
+        record = {
+            'id': test_id,
+            'name': parts[-1],
+            'suite': parts[0] if len(parts) > 1 else test_id,
+            'file': file,
+            'line': line,
+            'parameters': None,
+            'outcome': outcome,
+            'status': status,
+            'duration': 0.0,
+            'stdout': '',
+            'stderr': '',
+            'message': message,
+            'traceback': None,
+        }
+        if err is not None:
+            record['message'] = ''.join(traceback.format_exception_only(err[0], err[1])).strip()
+            record['traceback'] = self._exc_info_to_string(err, test)
+        if self._current is None:
+            # Errors outside a test, e.g. in setUpClass
+            self.tests.append(record)
+        else:
+            self._current['records'].append(record)
+        return record
+
+    def addSuccess(self, test):
+        super().addSuccess(test)
+        self._record(test, 'passed', 'passed')
+
+    def addFailure(self, test, err):
+        super().addFailure(test, err)
+        self._record(test, 'failed', 'failed', err)
+
+    def addError(self, test, err):
+        super().addError(test, err)
+        self._record(test, 'error', 'failed', err)
+
+    def addSkip(self, test, reason):
+        super().addSkip(test, reason)
+        self._record(test, 'skipped', 'skipped', message=reason)
+
+    def addExpectedFailure(self, test, err):
+        super().addExpectedFailure(test, err)
+        self._record(test, 'xfailed', 'skipped', err)
+
+    def addUnexpectedSuccess(self, test):
+        # unittest counts an unexpected success as a failed run
+        super().addUnexpectedSuccess(test)
+        self._record(test, 'xpassed', 'failed', message='Unexpected success')
+
+    def addSubTest(self, test, subtest, err):
+        super().addSubTest(test, subtest, err)
+        if err is None:
+            record = self._record(subtest, 'passed', 'passed')
+        elif issubclass(err[0], test.failureException):
+            record = self._record(subtest, 'failed', 'failed', err)
+        else:
+            record = self._record(subtest, 'error', 'failed', err)
+        params = getattr(subtest, 'params', None)
+        if params:
+            record['parameters'] = {name: repr(value) for name, value in params.items()}
+        # The subtest id is the test id followed by its description, e.g. "(i=1)"
+        suite, _, name = test.id().rpartition('.')
+        record['name'] = '{} {}'.format(name, subtest.id()[len(test.id()):].strip()).strip()
+        record['suite'] = suite or test.id()
+        record['parent'] = name
+
+
+def main():
+    reports_dir = os.environ.get('QAAS_REPORTS_DIR', '.')
+    started = time.time()
+    runner = unittest.TextTestRunner(resultclass=JsonTestResult, verbosity=2, buffer=True)
+    # Behaves like `python -m unittest discover [args]`
+    program = unittest.main(module=None, argv=['qaas_unittest_report', 'discover'] + sys.argv[1:],
+                            testRunner=runner, exit=False)
+    result = program.result
+    report = {
+        'tool': 'unittest',
+        'exitStatus': 0 if result.wasSuccessful() else 1,
+        'duration': time.time() - started,
+        'tests': result.tests,
+    }
+    with open(os.path.join(reports_dir, REPORT_NAME), 'w', encoding='utf-8') as handle:
+        json.dump(report, handle)
+    sys.exit(report['exitStatus'])
+
+
+if __name__ == '__main__':
+    main()
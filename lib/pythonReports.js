@@ -0,0 +1,111 @@
+/**
+ * pythonReports.js
+ *
+ * Structured results for Python tests. A pytest plugin and a unittest runner
+ * (lib/python) write a JSON report of every test to QAAS_REPORTS_DIR: its node
+ * ID, file and line, parameters, outcome (including xfail and xpass), captured
+ * output and traceback. JUnit XML loses most of that, and the console output
+ * even more.
+ *
+ * The reporters are copied into the reports directory, which test commands
+ * put on PYTHONPATH; it is shared with containers, so nothing has to be
+ * installed into the test environment.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const REPORTERS_DIR = path.join(__dirname, 'python');
+
+// Reports written by the reporters, in the order they are read
+const REPORT_FILES = ['pytest.json', 'unittest.json'];
+
+// Makes the reporters importable without hiding the project's own PYTHONPATH
+const PYTHONPATH_PREFIX = 'PYTHONPATH="$QAAS_REPORTS_DIR${PYTHONPATH:+:$PYTHONPATH}"';
+
+// Test commands loading the reporters
+const PYTEST_COMMAND = `${PYTHONPATH_PREFIX} python -m pytest -v -p qaas_pytest_report`;
+const UNITTEST_COMMAND = `${PYTHONPATH_PREFIX} python -m qaas_unittest_report`;
+
+/**
+ * Copy the reporters into a reports directory
+ *
+ * @param {string} reportsDir - Directory from createReportsDir()
+ * @returns {Promise<void>}
+ */
+async function installPythonReporters(reportsDir) {
+  const files = (await fs.readdir(REPORTERS_DIR)).filter(file => file.endsWith('.py'));
+  for (const file of files) {
+    await fs.copy(path.join(REPORTERS_DIR, file), path.join(reportsDir, file));
+  }
+}
+
+/**
+ * Convert a test of a JSON report into a test detail
+ *
+ * @param {Object} test - Test as written by the reporter
+ * @returns {Object} - Test detail; duration in ms
+ * @private
+ */
+function testDetail(test) {
+  return {
+    id: test.id,
+    name: test.name,
+    suite: test.suite,
+    ...(test.parent && { parent: test.parent }),
+    file: test.file || null,
+    line: test.line || null,
+    parameters: test.parameters || null,
+    status: test.status,
+    outcome: test.outcome,
+    duration: Math.round((test.duration || 0) * 1000),
+    failureMessages: test.message ? [test.message] : [],
+    stackTrace: test.traceback || null,
+    stdout: test.stdout || '',
+    stderr: test.stderr || ''
+  };
+}
+
+/**
+ * Read the Python reports in a reports directory
+ *
+ * @param {string} reportsDir - Directory from createReportsDir()
+ * @returns {Promise<Object|null>} - { files, summary, details }, or null if there are no reports
+ */
+async function readPythonReports(reportsDir) {
+  if (!reportsDir) return null;
+
+  const summary = { total: 0, passed: 0, failed: 0, skipped: 0, duration: 0 };
+  const details = [];
+  const files = [];
+
+  for (const file of REPORT_FILES) {
+    const reportPath = path.join(reportsDir, file);
+    if (!(await fs.pathExists(reportPath))) continue;
+
+    try {
+      const report = await fs.readJson(reportPath);
+      details.push(...report.tests.map(testDetail));
+      summary.duration += Math.round((report.duration || 0) * 1000);
+      files.push(file);
+    } catch (error) {
+      console.warn(`Skipping report ${file}: ${error.message}`);
+    }
+  }
+
+  if (files.length === 0) return null;
+
+  details.forEach(detail => {
+    summary.total++;
+    summary[detail.status]++;
+  });
+
+  return { files, summary, details };
+}
+
+module.exports = {
+  PYTEST_COMMAND,
+  UNITTEST_COMMAND,
+  installPythonReporters,
+  readPythonReports
+};
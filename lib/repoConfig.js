@@ -0,0 +1,160 @@
+/**
+ * repoConfig.js
+ *
+ * Repository-level configuration. A repository can describe how it is tested
+ * in a .qaas.yml (or qaas.config.json) file at its root: install steps, unit
+ * and integration commands with their output format, env vars, timeouts,
+ * services and paths to ignore. The file is validated against
+ * schemas/qaas-config.v1.json; when it is present the agents use it instead
+ * of guessing from the project layout.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { compileSchema, fail } = require('./validation');
+
+const repoConfigSchema = require('../schemas/qaas-config.v1.json');
+
+// Config file names, in order of precedence
+const REPO_CONFIG_FILES = ['.qaas.yml', '.qaas.yaml', 'qaas.config.json'];
+
+const checkRepoConfig = compileSchema(repoConfigSchema, 'config');
+
+/**
+ * Find the config file of a repository
+ *
+ * @param {string} repoPath - Path to the repository
+ * @returns {string|null} - Path to the config file, or null if there is none
+ */
+function findRepoConfigFile(repoPath) {
+  const file = REPO_CONFIG_FILES.find(name => fs.existsSync(path.join(repoPath, name)));
+  return file ? path.join(repoPath, file) : null;
+}
+
+/**
+ * Load and validate the config file of a repository
+ *
+ * @param {string} repoPath - Path to the repository
+ * @returns {Object|null} - Validated config with defaults and its file name, or null if there is none
+ * @throws {ValidationError} - If the file cannot be parsed or doesn't match the schema
+ */
+function loadRepoConfig(repoPath) {
+  const configPath = findRepoConfigFile(repoPath);
+  if (!configPath) return null;
+
+  const fileName = path.basename(configPath);
+  let config;
+
+  try {
+    const content = fs.readFileSync(configPath, 'utf8');
+    config = fileName.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    fail(`Invalid ${fileName}`, [{ path: fileName, message: `cannot be parsed: ${error.message}` }]);
+  }
+
+  // An empty YAML file declares nothing
+  if (config === undefined || config === null) {
+    config = {};
+  }
+
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    fail(`Invalid ${fileName}`, [{ path: 'config', message: 'should be an object' }]);
+  }
+
+  const details = checkRepoConfig(config);
+  if (details.length > 0) {
+    fail(`Invalid ${fileName}`, details);
+  }
+
+  return { ...config, file: fileName };
+}
+
+/**
+ * Stringify config variables (YAML allows numbers and booleans)
+ *
+ * @param {Object} variables - Variables from the config
+ * @returns {Object} - Variables with string values
+ * @private
+ */
+function toEnvironment(variables = {}) {
+  return Object.keys(variables).reduce((env, name) => {
+    env[name] = String(variables[name]);
+    return env;
+  }, {});
+}
+
+/**
+ * Resolve the settings of one test stage from a repository config
+ *
+ * @param {Object} config - Validated repository config
+ * @param {string} stage - 'unit' or 'integration'
+ * @returns {Object} - { command, format, language, env, timeout };
+ *   command is undefined when the config doesn't declare the stage
+ */
+function getStageConfig(config, stage) {
+  const stageConfig = config[stage] || {};
+  const timeouts = config.timeouts || {};
+
+  return {
+    command: stageConfig.command,
+    format: stageConfig.format || 'generic',
+    language: config.language,
+    env: toEnvironment(config.env),
+    timeout: timeouts[stage]
+  };
+}
+
+/**
+ * Resolve the settings of the dependency install stage from a repository config
+ *
+ * @param {Object} config - Validated repository config
+ * @returns {Object} - { commands, language, env, timeout }; commands is undefined
+ *   when the config doesn't declare install steps, so they are detected instead
+ */
+function getInstallConfig(config) {
+  return {
+    commands: config.install,
+    language: config.language,
+    env: toEnvironment(config.env),
+    timeout: (config.timeouts || {}).install
+  };
+}
+
+/**
+ * Remove the paths a config ignores from a checkout
+ *
+ * @param {string} repoPath - Path to the repository checkout
+ * @param {Object} config - Validated repository config
+ * @returns {Array<string>} - Ignored paths that were removed
+ */
+function removeIgnoredPaths(repoPath, config) {
+  const root = fs.realpathSync(repoPath);
+
+  return (config.ignore || []).filter(ignored => {
+    // Accept directory globs like "docs/**" as the directory itself
+    const target = path.resolve(root, ignored.replace(/\/\*\*$/, ''));
+
+    if (!fs.existsSync(target)) {
+      return false;
+    }
+
+    // Never follow a symlinked directory out of the checkout
+    const parent = fs.realpathSync(path.dirname(target));
+    if (parent !== root && !parent.startsWith(`${root}${path.sep}`)) {
+      return false;
+    }
+
+    fs.rmSync(target, { recursive: true, force: true });
+    return true;
+  });
+}
+
+module.exports = {
+  REPO_CONFIG_FILES,
+  findRepoConfigFile,
+  loadRepoConfig,
+  getStageConfig,
+  getInstallConfig,
+  removeIgnoredPaths
+};
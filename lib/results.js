@@ -0,0 +1,296 @@
+/**
+ * results.js
+ *
+ * Result contract of the QAaaS pipeline. Test stages return results in the
+ * versioned test results schema in schemas/, and runs in the run results
+ * schema embedding them. Results are validated when an agent finishes, so a
+ * parser producing malformed results fails the stage instead of handing
+ * unusable data to the blockchain logger and the API.
+ *
+ * Results written before the schema was versioned (version 1: the job
+ * results in my-test-results and the backups in blockchain_logs) are
+ * converted with the migrate functions.
+ */
+
+const { compileSchema, fail } = require('./validation');
+const { redact } = require('./redact');
+
+const testResultsSchema = require('../schemas/test-results.v2.json');
+const runResultsSchema = require('../schemas/run-results.v2.json');
+
+// Current version of the result schemas
+const RESULTS_SCHEMA_VERSION = '2';
+
+// Why results are missing or incomplete (error.type)
+const ERROR_TYPES = Object.freeze({
+  INSTALL: 'install-error',
+  CONFIG: 'config-error',
+  COMMAND: 'command-error',
+  TIMEOUT: 'timeout',
+  SERVICE: 'service-error',
+  PARSE: 'parse-error',
+  INTERNAL: 'internal-error'
+});
+
+const TEST_STATUSES = ['passed', 'failed', 'skipped'];
+
+// Statuses of version 1 details that the schema folds into skipped
+const LEGACY_SKIPPED_STATUSES = ['pending', 'todo', 'disabled', 'ignored'];
+
+// The run results schema refers to the test results schema, so it is compiled first
+const checkTestResults = compileSchema(testResultsSchema, 'results');
+const checkRunResults = compileSchema(runResultsSchema, 'results');
+
+/**
+ * Describe an error in the results
+ *
+ * @param {Error|string} error - Error, or an error message
+ * @param {string} type - One of ERROR_TYPES (optional; by default derived from the error)
+ * @returns {Object} - { type, message }, with secrets redacted from the message
+ */
+function resultError(error, type) {
+  const message = typeof error === 'string' ? error : error.message;
+
+  return { type: type || classifyError(error), message: redact(message) };
+}
+
+/**
+ * Derive the error type of an error
+ *
+ * @param {Error|string} error - Error
+ * @returns {string} - One of ERROR_TYPES
+ * @private
+ */
+function classifyError(error) {
+  switch (error && error.name) {
+    case 'ValidationError':
+      return ERROR_TYPES.CONFIG;
+    case 'CommandError':
+      return error.timedOut ? ERROR_TYPES.TIMEOUT : ERROR_TYPES.COMMAND;
+    case 'ServiceError':
+      return ERROR_TYPES.SERVICE;
+    default:
+      return ERROR_TYPES.INTERNAL;
+  }
+}
+
+/**
+ * Give each test detail its stable ID
+ *
+ * The ID is the test tool's own ID if it has one (e.g. a pytest node ID),
+ * otherwise `suite::name`, preceded by the package and stack of the test.
+ * Tests reported twice under the same name are numbered in order.
+ *
+ * @param {Array<Object>} details - Test details
+ * @returns {Array<Object>} - Details with an id
+ * @private
+ */
+function assignTestIds(details) {
+  const seen = new Map();
+
+  return details.map(({ id: toolId, ...detail }) => {
+    const base = toolId || (detail.suite ? `${detail.suite}::${detail.name}` : detail.name) || 'test';
+    const id = [detail.package, detail.stack, base].filter(Boolean).join(' > ');
+    const count = (seen.get(id) || 0) + 1;
+    seen.set(id, count);
+
+    return { id: count > 1 ? `${id} #${count}` : id, ...detail };
+  });
+}
+
+/**
+ * Validate test results against the current schema
+ *
+ * @param {Object} results - Test results
+ * @throws {ValidationError} - If the results don't match the schema
+ */
+function validateTestResults(results) {
+  const details = checkTestResults(results);
+  if (details.length > 0) {
+    fail('Invalid test results', details);
+  }
+}
+
+/**
+ * Validate run results against the current schema
+ *
+ * @param {Object} results - Run results
+ * @throws {ValidationError} - If the results don't match the schema
+ */
+function validateRunResults(results) {
+  const details = checkRunResults(results);
+  if (details.length > 0) {
+    fail('Invalid run results', details);
+  }
+}
+
+/**
+ * Complete the results of a test stage: version them, give every test its
+ * stable ID and validate them
+ *
+ * Called once per stage, on the results of the whole repository.
+ *
+ * @param {Object} results - Test results from the parsers
+ * @returns {Object} - Test results in the current schema
+ * @throws {ValidationError} - If the results don't match the schema
+ */
+function finalizeTestResults(results) {
+  const finalized = {
+    schemaVersion: RESULTS_SCHEMA_VERSION,
+    ...results,
+    details: assignTestIds(results.details || [])
+  };
+
+  validateTestResults(finalized);
+  return finalized;
+}
+
+/**
+ * Build an attachment from a file path
+ *
+ * @param {string} type - Attachment type: log, screenshot or report
+ * @param {string} file - Path of the file
+ * @returns {Object} - { type, name, path }
+ */
+function attachment(type, file) {
+  // Version 1 files may hold Windows paths
+  return { type, name: file.split(/[\\/]/).pop(), path: file };
+}
+
+/**
+ * Convert the outcome of a package or stack to the current schema
+ *
+ * @param {Object} run - Breakdown entry
+ * @returns {Object} - Breakdown entry
+ * @private
+ */
+function migrateRun(run) {
+  const migrated = { ...run, success: Boolean(run.success), summary: run.summary || null };
+
+  if (typeof run.error === 'string') {
+    migrated.error = { type: ERROR_TYPES.INTERNAL, message: run.error };
+  }
+  if (run.stacks) {
+    migrated.stacks = run.stacks.map(migrateRun);
+  }
+
+  return migrated;
+}
+
+/**
+ * Convert test results to the current schema
+ *
+ * Version 1 results are changed as follows: `logFile` and `screenshots`
+ * become attachments, a string `error` becomes a typed error, `success` is
+ * made boolean, Jest's pending and todo statuses become skipped, details
+ * without a test status (Behave features) are dropped and every test gets
+ * its ID.
+ *
+ * @param {Object|null} results - Test results in any version
+ * @returns {Object|null} - Test results in the current schema
+ * @throws {ValidationError} - If the migrated results still don't match the schema
+ */
+function migrateTestResults(results) {
+  if (!results || results.schemaVersion === RESULTS_SCHEMA_VERSION) {
+    return results;
+  }
+
+  const { logFile, screenshots, error, ...rest } = results;
+  const migrated = {
+    ...rest,
+    success: Boolean(results.success),
+    summary: { total: 0, passed: 0, failed: 0, skipped: 0, duration: 0, ...results.summary },
+    details: (results.details || [])
+      .map(detail => (LEGACY_SKIPPED_STATUSES.includes(detail.status) ? { ...detail, status: 'skipped' } : detail))
+      .filter(detail => TEST_STATUSES.includes(detail.status)),
+    timestamp: results.timestamp || new Date().toISOString()
+  };
+
+  const attachments = [
+    ...(logFile ? [attachment('log', logFile)] : []),
+    ...(screenshots || []).map(file => attachment('screenshot', file))
+  ];
+  if (attachments.length > 0) {
+    migrated.attachments = attachments;
+  }
+
+  if (typeof error === 'string') {
+    // Version 1 stages only reported install failures and unparseable output this way
+    migrated.error = { type: results.status === 'install-error' ? ERROR_TYPES.INSTALL : ERROR_TYPES.PARSE, message: error };
+  } else if (error) {
+    migrated.error = error;
+  }
+
+  ['packages', 'stacks'].filter(field => results[field]).forEach(field => {
+    migrated[field] = results[field].map(migrateRun);
+  });
+
+  return finalizeTestResults(migrated);
+}
+
+/**
+ * Convert run results to the current schema
+ *
+ * @param {Object} results - Run results in any version
+ * @returns {Object} - Run results in the current schema
+ * @throws {ValidationError} - If the migrated results still don't match the schema
+ */
+function migrateRunResults(results) {
+  if (results.schemaVersion === RESULTS_SCHEMA_VERSION) {
+    return results;
+  }
+
+  const migrated = {
+    schemaVersion: RESULTS_SCHEMA_VERSION,
+    ...results,
+    unitTests: migrateTestResults(results.unitTests || null),
+    integrationTests: migrateTestResults(results.integrationTests || null)
+  };
+
+  validateRunResults(migrated);
+  return migrated;
+}
+
+/**
+ * Convert a stored results file to the current schema
+ *
+ * Accepts job results (my-test-results), blockchain logger backups
+ * (blockchain_logs: { repoId, type, results, storage, blockchain }) and
+ * bare test results.
+ *
+ * @param {Object} data - File contents
+ * @returns {Object} - File contents in the current schema
+ * @throws {ValidationError} - If the contents can't be migrated
+ */
+function migrateResultsFile(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    fail('Invalid results file', [{ path: 'file', message: 'must be a JSON object' }]);
+  }
+
+  if (data.results && data.type) {
+    return {
+      schemaVersion: RESULTS_SCHEMA_VERSION,
+      ...data,
+      results: migrateTestResults(data.results)
+    };
+  }
+
+  if ('unitTests' in data || 'integrationTests' in data) {
+    return migrateRunResults(data);
+  }
+
+  return migrateTestResults(data);
+}
+
+module.exports = {
+  RESULTS_SCHEMA_VERSION,
+  ERROR_TYPES,
+  resultError,
+  attachment,
+  finalizeTestResults,
+  validateTestResults,
+  validateRunResults,
+  migrateTestResults,
+  migrateRunResults,
+  migrateResultsFile
+};
@@ -0,0 +1,119 @@
+/**
+ * runRequest.js
+ *
+ * Request contract of the QAaaS pipeline. Bodies posted to /api/run-tests are
+ * validated against the versioned run request schema in schemas/, and every
+ * agent validates its parameters against the shared agent parameter schema,
+ * so a caller passing fields an agent doesn't understand fails loudly instead
+ * of silently running with missing values.
+ */
+
+const { ValidationError, compileSchema, fail } = require('./validation');
+
+const runRequestSchema = require('../schemas/run-request.v1.json');
+const agentParamsSchema = require('../schemas/agent-params.v1.json');
+
+// Current version of the run request schema
+const RUN_REQUEST_SCHEMA_VERSION = '1';
+
+const checkRunRequest = compileSchema(runRequestSchema, 'request');
+const checkAgentParams = compileSchema(agentParamsSchema, 'params');
+
+/**
+ * Convert an unversioned request ({ repoUrl, branch, auth, testTypes }) to
+ * the current schema
+ *
+ * @param {Object} body - Unversioned request body
+ * @returns {Object} - Request in the current schema
+ * @private
+ */
+function upgradeUnversionedRequest(body) {
+  const { repoUrl, branch, auth, ...rest } = body;
+  const request = {
+    ...rest,
+    schemaVersion: RUN_REQUEST_SCHEMA_VERSION,
+    repo: { url: repoUrl }
+  };
+
+  if (branch !== undefined) {
+    request.repo.branch = branch;
+  }
+
+  if (auth !== undefined) {
+    // Unversioned requests passed a bare access token
+    request.auth = typeof auth === 'string' ? { type: 'token', token: auth } : auth;
+  }
+
+  return request;
+}
+
+/**
+ * Validate a run request and fill in defaults
+ *
+ * Requests without a schemaVersion are treated as the unversioned format and
+ * upgraded first. Parsing an already parsed request returns an equal request.
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} - Validated run request
+ * @throws {ValidationError} - If the request doesn't match the schema
+ */
+function parseRunRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Request body must be a JSON object');
+  }
+
+  let request = JSON.parse(JSON.stringify(body));
+
+  if (request.schemaVersion === undefined) {
+    request = upgradeUnversionedRequest(request);
+  } else {
+    request.schemaVersion = String(request.schemaVersion);
+  }
+
+  if (request.schemaVersion !== RUN_REQUEST_SCHEMA_VERSION) {
+    throw new ValidationError(
+      `Unsupported schemaVersion: ${request.schemaVersion}. Supported versions: ${RUN_REQUEST_SCHEMA_VERSION}`
+    );
+  }
+
+  const details = checkRunRequest(request);
+  if (details.length > 0) {
+    fail('Invalid run request', details);
+  }
+
+  if (request.repo.branch && request.repo.tag) {
+    fail('Invalid run request', [{ path: 'request.repo', message: 'must specify either a branch or a tag, not both' }]);
+  }
+
+  return request;
+}
+
+/**
+ * Validate the parameter object passed to an agent
+ *
+ * @param {Object} params - Agent parameters
+ * @param {Array<string>} required - Fields the agent cannot run without
+ * @throws {ValidationError} - If a field is unknown, mistyped or missing
+ */
+function validateAgentParams(params, required = []) {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new ValidationError('Agent parameters must be an object');
+  }
+
+  const details = checkAgentParams(params);
+
+  required
+    .filter(field => params[field] === undefined || params[field] === null || params[field] === '')
+    .forEach(field => details.push({ path: `params.${field}`, message: 'is required' }));
+
+  if (details.length > 0) {
+    fail('Invalid agent parameters', details);
+  }
+}
+
+module.exports = {
+  RUN_REQUEST_SCHEMA_VERSION,
+  ValidationError,
+  parseRunRequest,
+  validateAgentParams
+};
@@ -0,0 +1,260 @@
+/**
+ * containerRunner.js
+ *
+ * Runs test commands inside disposable Docker containers. The clone is
+ * mounted read-only and copied into a writable /workspace inside the
+ * container, so a test run can neither modify the checkout nor see the
+ * server's environment. Each container gets CPU, memory and process limits
+ * and a configurable network, and is removed when the command finishes.
+ * Commands of one pipeline run can share a workspace volume, so dependencies
+ * installed by one command are available to the next.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { KILL_GRACE_PERIOD, runProcess } = require('./runProcess');
+const { withReportCollection } = require('../junit');
+
+// Base images per language, keyed by the project type the agents detect
+const DEFAULT_IMAGES = {
+  node: 'node:20-bookworm',
+  python: 'python:3.12-bookworm',
+  maven: 'maven:3.9-eclipse-temurin-17',
+  gradle: 'gradle:8-jdk17',
+  rust: 'rust:1-bookworm',
+  go: 'golang:1.22-bookworm',
+  default: 'buildpack-deps:bookworm'
+};
+
+// Project types detected by the test agents, grouped by the image that runs them
+const PROJECT_TYPE_LANGUAGES = {
+  jest: 'node',
+  'jest-dom': 'node',
+  mocha: 'node',
+  'mocha-supertest': 'node',
+  karma: 'node',
+  cypress: 'node',
+  playwright: 'node',
+  protractor: 'node',
+  pytest: 'python',
+  unittest: 'python',
+  behave: 'python',
+  'selenium-python': 'python',
+  'selenium-java': 'maven',
+  'cucumber-java': 'maven',
+  'rest-assured': 'maven',
+  java: 'maven'
+};
+
+// Variables the docker CLI itself needs to reach the daemon; it gets no others, since
+// variables such as DOCKER_HOST, proxies or LD_PRELOAD would let a repository redirect it
+const DOCKER_CLIENT_ENV = ['PATH', 'HOME', 'DOCKER_HOST', 'DOCKER_CONFIG', 'DOCKER_CONTEXT', 'DOCKER_CERT_PATH', 'DOCKER_TLS_VERIFY'];
+
+// Copy the read-only checkout into the writable workspace, unless a shared
+// workspace volume already holds it, then run the command ($1) in its directory
+const CONTAINER_SCRIPT = 'if [ -z "$(ls -A /workspace)" ]; then cp -R /src/. /workspace/; fi && ' +
+  'cd "/workspace/$QAAS_WORKDIR" && exec sh -c "$1"';
+
+class ContainerRunner {
+  /**
+   * @param {Object} config - Runner configuration
+   * @param {string} config.docker - Docker CLI executable (default: docker)
+   * @param {Object} config.images - Image overrides, keyed by language or project type
+   * @param {string} config.cpus - CPU limit (docker --cpus)
+   * @param {string} config.memory - Memory limit (docker --memory)
+   * @param {number} config.pidsLimit - Maximum number of processes in the container
+   * @param {string} config.network - Docker network: 'none' to disable networking, 'bridge' or a named network
+   * @param {AbortSignal} config.signal - Signal cancelling every command of the runner, e.g. those of a job (optional)
+   */
+  constructor(config = {}) {
+    this.type = 'container';
+    this.runsOnHost = false;
+    this.docker = config.docker || process.env.QAAS_DOCKER_PATH || 'docker';
+    this.images = { ...DEFAULT_IMAGES, ...ContainerRunner.loadImageOverrides(), ...config.images };
+    this.cpus = String(config.cpus || process.env.QAAS_RUNNER_CPUS || '2');
+    this.memory = config.memory || process.env.QAAS_RUNNER_MEMORY || '2g';
+    this.pidsLimit = Number(config.pidsLimit || process.env.QAAS_RUNNER_PIDS_LIMIT || 512);
+    this.network = config.network || process.env.QAAS_RUNNER_NETWORK || 'none';
+    this.signal = config.signal || null;
+  }
+
+  /**
+   * Load image overrides from QAAS_RUNNER_IMAGES (JSON object)
+   *
+   * @returns {Object} - Image overrides, empty if none are configured
+   */
+  static loadImageOverrides() {
+    if (!process.env.QAAS_RUNNER_IMAGES) return {};
+
+    try {
+      return JSON.parse(process.env.QAAS_RUNNER_IMAGES);
+    } catch (error) {
+      console.warn(`Ignoring invalid QAAS_RUNNER_IMAGES: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Pick the image for a project type
+   *
+   * @param {string} projectType - Project type detected by the agent
+   * @returns {string} - Docker image
+   */
+  imageFor(projectType) {
+    const language = PROJECT_TYPE_LANGUAGES[projectType] || projectType;
+    return this.images[projectType] || this.images[language] || this.images.default;
+  }
+
+  /**
+   * Create a workspace shared by the commands of one pipeline run
+   *
+   * The Docker volume is created when the first command mounts it.
+   *
+   * @returns {string} - Volume name to pass as the workspace option of run()
+   */
+  createWorkspace() {
+    return `qaas-workspace-${crypto.randomUUID()}`;
+  }
+
+  /**
+   * Remove a workspace created by createWorkspace()
+   *
+   * @param {string} workspace - Volume name
+   * @returns {Promise<void>}
+   */
+  async removeWorkspace(workspace) {
+    if (!workspace) return;
+
+    try {
+      await runProcess(this.docker, ['volume', 'rm', '--force', workspace], { env: this._clientEnv() });
+    } catch (error) {
+      console.error(`Failed to remove workspace ${workspace}:`, error.message);
+    }
+  }
+
+  /**
+   * Path of the working directory as seen by commands
+   *
+   * @returns {string} - The workspace inside the container
+   */
+  workspacePath() {
+    return '/workspace';
+  }
+
+  /**
+   * Run a command in a disposable container
+   *
+   * @param {string} command - Shell command to run
+   * @param {Object} options - Execution options
+   * @param {string} options.cwd - Repository path on the host, mounted read-only
+   * @param {string} options.workdir - Directory to run the command in, relative to the repository (optional)
+   * @param {Object} options.env - Environment variables for the command
+   * @param {string} options.projectType - Project type used to pick the image
+   * @param {string} options.network - Docker network overriding the configured one, e.g. for service containers (optional)
+   * @param {string} options.workspace - Workspace volume from createWorkspace(), mounted at /workspace (optional)
+   * @param {string} options.cacheDir - Host directory mounted at /cache and passed as QAAS_CACHE_DIR (optional)
+   * @param {string} options.reportsDir - Host directory mounted at /reports and passed as QAAS_REPORTS_DIR, receiving
+   *   the test reports the command writes (optional, see junit.js)
+   * @param {number} options.timeout - Timeout in ms (optional)
+   * @param {AbortSignal} options.signal - Signal cancelling the command (default: the runner's; null for none)
+   * @param {Function} options.onOutput - Called with (stream, data) for every output chunk (optional)
+   * @returns {Promise<Object>} - { stdout, stderr, exitCode, signal, duration }
+   * @throws {CommandError} - If the command fails, times out or is cancelled
+   */
+  async run(command, options = {}) {
+    const env = {
+      ...options.env,
+      ...(options.cacheDir && { QAAS_CACHE_DIR: '/cache' }),
+      ...(options.reportsDir && { QAAS_REPORTS_DIR: '/reports' }),
+      QAAS_WORKDIR: options.workdir || '.'
+    };
+    const containerName = `qaas-${crypto.randomUUID()}`;
+    const envDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'qaas-env-'));
+    const envFile = path.join(envDir, 'env');
+
+    const args = [
+      'run', '--rm', '--init',
+      '--name', containerName,
+      '--cpus', this.cpus,
+      '--memory', this.memory,
+      '--memory-swap', this.memory,
+      '--pids-limit', String(this.pidsLimit),
+      '--network', options.network || this.network,
+      '--security-opt', 'no-new-privileges',
+      '--cap-drop', 'ALL',
+      '--mount', `type=bind,source=${options.cwd},target=/src,readonly`,
+      ...(options.workspace ? ['--mount', `type=volume,source=${options.workspace},target=/workspace`] : []),
+      ...(options.cacheDir ? ['--mount', `type=bind,source=${options.cacheDir},target=/cache`] : []),
+      ...(options.reportsDir ? ['--mount', `type=bind,source=${options.reportsDir},target=/reports`] : []),
+      '--workdir', '/workspace',
+      // Values are passed in a file so they show up neither in the docker CLI's arguments nor in its environment
+      '--env-file', envFile,
+      this.imageFor(options.projectType),
+      'sh', '-c', CONTAINER_SCRIPT, 'qaas',
+      options.reportsDir ? withReportCollection(command) : command
+    ];
+
+    const clientEnv = this._clientEnv();
+
+    try {
+      await fs.promises.writeFile(envFile, this._envFileContent(env), { mode: 0o600 });
+
+      return await runProcess(this.docker, args, {
+        command,
+        env: clientEnv,
+        timeout: options.timeout,
+        signal: options.signal !== undefined ? options.signal : this.signal,
+        onOutput: options.onOutput,
+        onStop: () => {
+          // Stopping the CLI would leave the container running; docker stop sends SIGTERM, then SIGKILL
+          spawn(this.docker, ['stop', '--time', String(Math.ceil(KILL_GRACE_PERIOD / 1000)), containerName], { env: clientEnv, stdio: 'ignore' })
+            .on('error', error => console.error(`Failed to stop container ${containerName}:`, error.message));
+        }
+      });
+    } finally {
+      await fs.promises.rm(envDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Environment file of a container, in the format of docker's --env-file
+   *
+   * @param {Object} env - Variables of the container
+   * @returns {string}
+   * @throws {Error} - If a name is invalid or a value has a line break, which the format can't hold
+   * @private
+   */
+  _envFileContent(env) {
+    return Object.entries(env).map(([name, value]) => {
+      if (!name || /[=\r\n]/.test(name)) {
+        throw new Error(`Invalid variable name: ${JSON.stringify(name)}`);
+      }
+      if (/[\r\n]/.test(String(value))) {
+        throw new Error(`Variable ${name} has a multi-line value, which can't be passed into a container; encode it, e.g. as base64`);
+      }
+      return `${name}=${value}\n`;
+    }).join('');
+  }
+
+  /**
+   * Host variables the docker CLI needs to reach the daemon
+   *
+   * @returns {Object} - Environment of docker CLI processes
+   * @private
+   */
+  _clientEnv() {
+    return DOCKER_CLIENT_ENV.reduce((result, name) => {
+      if (process.env[name] !== undefined) {
+        result[name] = process.env[name];
+      }
+      return result;
+    }, {});
+  }
+}
+
+ContainerRunner.DEFAULT_IMAGES = DEFAULT_IMAGES;
+
+module.exports = ContainerRunner;
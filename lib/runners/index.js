@@ -0,0 +1,49 @@
+/**
+ * runners/index.js
+ *
+ * Execution backends for test commands. Agents run every repository command
+ * through a runner selected by their `runner` config or QAAS_RUNNER:
+ *
+ * - local: child process on the backend host
+ * - container: disposable Docker container with resource limits
+ */
+
+const LocalRunner = require('./localRunner');
+const ContainerRunner = require('./containerRunner');
+const { CommandError, killActiveProcesses } = require('./runProcess');
+
+const RUNNERS = {
+  local: LocalRunner,
+  container: ContainerRunner
+};
+
+/**
+ * Create a runner
+ *
+ * @param {string|Object} config - Runner type, runner configuration ({ type, ... })
+ *   or a runner instance (anything with a run() method)
+ * @returns {Object} - Runner
+ */
+function createRunner(config) {
+  if (config && typeof config.run === 'function') {
+    return config;
+  }
+
+  const options = typeof config === 'string' ? { type: config } : (config || {});
+  const type = options.type || process.env.QAAS_RUNNER || 'local';
+  const Runner = RUNNERS[type];
+
+  if (!Runner) {
+    throw new Error(`Unknown runner: ${type}. Supported runners: ${Object.keys(RUNNERS).join(', ')}`);
+  }
+
+  return new Runner(options);
+}
+
+module.exports = {
+  createRunner,
+  CommandError,
+  killActiveProcesses,
+  LocalRunner,
+  ContainerRunner
+};
@@ -0,0 +1,85 @@
+/**
+ * localRunner.js
+ *
+ * Runs test commands as child processes on the backend host. Commands get
+ * exactly the environment they are given, but share the host's filesystem and
+ * network, so this runner should only be used for trusted repositories or
+ * local development.
+ */
+
+const path = require('path');
+const { runProcess } = require('./runProcess');
+const { withReportCollection } = require('../junit');
+
+class LocalRunner {
+  /**
+   * @param {Object} config - Runner configuration
+   * @param {AbortSignal} config.signal - Signal cancelling every command of the runner, e.g. those of a job (optional)
+   */
+  constructor(config = {}) {
+    this.type = 'local';
+    this.runsOnHost = true; // Commands need the host's PATH, HOME etc. in their environment
+    this.signal = config.signal || null;
+  }
+
+  /**
+   * Commands run in the checkout itself, so there is no separate workspace
+   *
+   * @returns {null}
+   */
+  createWorkspace() {
+    return null;
+  }
+
+  /**
+   * Nothing to remove; the checkout is cleaned up by the pipeline
+   *
+   * @returns {Promise<void>}
+   */
+  async removeWorkspace() {}
+
+  /**
+   * Path of the working directory as seen by commands
+   *
+   * @param {string} repoPath - Repository path
+   * @returns {string} - The repository path itself
+   */
+  workspacePath(repoPath) {
+    return repoPath;
+  }
+
+  /**
+   * Run a command in a repository checkout
+   *
+   * @param {string} command - Shell command to run
+   * @param {Object} options - Execution options
+   * @param {string} options.cwd - Repository path
+   * @param {string} options.workdir - Directory to run the command in, relative to the repository (optional)
+   * @param {Object} options.env - Complete environment of the command
+   * @param {string} options.cacheDir - Host directory passed to the command as QAAS_CACHE_DIR (optional)
+   * @param {string} options.reportsDir - Host directory passed to the command as QAAS_REPORTS_DIR, receiving
+   *   the test reports the command writes (optional, see junit.js)
+   * @param {number} options.timeout - Timeout in ms (optional)
+   * @param {AbortSignal} options.signal - Signal cancelling the command (default: the runner's; null for none)
+   * @param {Function} options.onOutput - Called with (stream, data) for every output chunk (optional)
+   * @returns {Promise<Object>} - { stdout, stderr, exitCode, signal, duration }
+   * @throws {CommandError} - If the command fails, times out or is cancelled
+   */
+  async run(command, options = {}) {
+    return runProcess(options.reportsDir ? withReportCollection(command) : command, [], {
+      command,
+      cwd: options.workdir ? path.join(options.cwd, options.workdir) : options.cwd,
+      env: {
+        ...options.env,
+        ...(options.cacheDir && { QAAS_CACHE_DIR: options.cacheDir }),
+        ...(options.reportsDir && { QAAS_REPORTS_DIR: options.reportsDir })
+      },
+      shell: true,
+      timeout: options.timeout,
+      signal: options.signal !== undefined ? options.signal : this.signal,
+      onOutput: options.onOutput
+    });
+  }
+}
+
+module.exports = LocalRunner;
@@ -0,0 +1,275 @@
+/**
+ * runProcess.js
+ *
+ * Process execution shared by the runners: spawns a process, streams its
+ * output to a listener while collecting it, and enforces the timeout and
+ * cancellation.
+ *
+ * Each process leads its own process group, so the workers, browsers and
+ * servers a test command starts can be stopped with it: on timeout or
+ * cancellation the whole group gets SIGTERM, then SIGKILL after a grace
+ * period. Processes left behind by a command that exited get SIGTERM, and
+ * SIGKILL if they are still there once the command's output is closed. The
+ * groups are killed when the process exits; a server stopped with SIGINT or
+ * SIGTERM should call killActiveProcesses() before exiting.
+ */
+
+const { spawn } = require('child_process');
+
+// Output kept per stream; anything beyond this is streamed but not collected
+const MAX_OUTPUT_LENGTH = 10 * 1024 * 1024;
+
+// Time a process group gets to exit after SIGTERM before it is killed, in ms
+const KILL_GRACE_PERIOD = Number(process.env.QAAS_KILL_GRACE_PERIOD) || 10000;
+
+// Time to wait for the output after SIGKILL; processes that left the group may keep it open
+const OUTPUT_CLOSE_WAIT = 1000;
+
+// Windows has no process groups; children are killed one by one there
+const USE_PROCESS_GROUPS = process.platform !== 'win32';
+
+// Process groups still running, stopped if the server exits first
+const activeProcesses = new Set();
+
+/**
+ * Error raised when a command exits with a non-zero code, times out or is cancelled
+ *
+ * Carries the collected output so callers can still report partial results.
+ */
+class CommandError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} result - { stdout, stderr, exitCode, signal, duration, timedOut, cancelled }
+   */
+  constructor(message, result = {}) {
+    super(message);
+    this.name = 'CommandError';
+    this.stdout = result.stdout || '';
+    this.stderr = result.stderr || '';
+    this.exitCode = result.exitCode !== undefined ? result.exitCode : null;
+    this.signal = result.signal || null;
+    this.duration = result.duration || 0;
+    this.timedOut = Boolean(result.timedOut);
+    this.cancelled = Boolean(result.cancelled);
+  }
+}
+
+/**
+ * Send a signal to a process and every process of its group
+ *
+ * @param {ChildProcess} proc - Process started by runProcess
+ * @param {string} signal - Signal name
+ */
+function signalProcessGroup(proc, signal) {
+  try {
+    // A negative PID addresses the group the process leads
+    process.kill(USE_PROCESS_GROUPS ? -proc.pid : proc.pid, signal);
+  } catch (error) {
+    // The group is already gone
+    if (error.code !== 'ESRCH') {
+      console.error(`Failed to send ${signal} to process ${proc.pid}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Whether any process of a group is still running
+ *
+ * @param {ChildProcess} proc - Process started by runProcess
+ * @returns {boolean}
+ */
+function isProcessGroupAlive(proc) {
+  try {
+    process.kill(USE_PROCESS_GROUPS ? -proc.pid : proc.pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Stop a process group: SIGTERM, then SIGKILL if it is still there after the grace period
+ *
+ * @param {ChildProcess} proc - Process started by runProcess
+ * @param {number} gracePeriod - Time to exit after SIGTERM, in ms
+ * @param {Function} onKilled - Called once SIGKILL was sent (optional)
+ * @returns {Timeout} - Timer of the SIGKILL
+ */
+function terminateProcessGroup(proc, gracePeriod, onKilled) {
+  signalProcessGroup(proc, 'SIGTERM');
+
+  const timer = setTimeout(() => {
+    signalProcessGroup(proc, 'SIGKILL');
+    if (onKilled) {
+      onKilled();
+    }
+  }, gracePeriod);
+  // Cleanup of a finished command must not keep the server alive
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Run a process to completion
+ *
+ * @param {string} file - Executable to spawn
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - Execution options
+ * @param {string} options.command - Command as shown in error messages
+ * @param {string} options.cwd - Working directory
+ * @param {Object} options.env - Complete environment of the process
+ * @param {boolean} options.shell - Run the executable through a shell
+ * @param {number} options.timeout - Timeout in ms (optional)
+ * @param {number} options.killGracePeriod - Time to exit after SIGTERM before SIGKILL, in ms
+ *   (default: QAAS_KILL_GRACE_PERIOD or 10 seconds)
+ * @param {AbortSignal} options.signal - Signal cancelling the command (optional)
+ * @param {Function} options.onOutput - Called with (stream, data) for every output chunk (optional)
+ * @param {Function} options.onStop - Called with the child process on timeout or cancellation, before its
+ *   group is terminated, to stop what the group doesn't contain, e.g. a container (optional)
+ * @returns {Promise<Object>} - { stdout, stderr, exitCode, signal, duration }
+ * @throws {CommandError} - If the command fails, times out or is cancelled; when stopped it carries the
+ *   output collected until then
+ */
+function runProcess(file, args, options) {
+  const { command = [file, ...args].join(' '), timeout, signal: abortSignal, onOutput, onStop } = options;
+  const killGracePeriod = options.killGracePeriod || KILL_GRACE_PERIOD;
+
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const output = { stdout: '', stderr: '' };
+    let settled = false;
+    let timedOut = false;
+    let cancelled = false;
+
+    if (abortSignal && abortSignal.aborted) {
+      reject(new CommandError(`Command cancelled: ${command}`, { cancelled: true }));
+      return;
+    }
+
+    const settle = (callback, value) => {
+      if (!settled) {
+        settled = true;
+        callback(value);
+      }
+    };
+
+    const proc = spawn(file, args, {
+      cwd: options.cwd,
+      env: options.env,
+      shell: Boolean(options.shell),
+      detached: USE_PROCESS_GROUPS
+    });
+    activeProcesses.add(proc);
+
+    let timeoutId = null;
+    let closeWaitId = null;
+    let killTimerId = null;
+
+    const stop = () => {
+      if (onStop) {
+        onStop(proc);
+      }
+      // Replaces the SIGKILL timer of a command that already exited, which must not outlive it either
+      clearTimeout(killTimerId);
+      // Settled once the output is closed, so the results have everything printed until then
+      killTimerId = terminateProcessGroup(proc, killGracePeriod, () => {
+        closeWaitId = setTimeout(() => finish(null, 'SIGKILL'), OUTPUT_CLOSE_WAIT);
+      });
+    };
+
+    const cancel = () => {
+      if (!settled && !timedOut && !cancelled) {
+        cancelled = true;
+        clearTimeout(timeoutId);
+        stop();
+      }
+    };
+
+    const finish = (exitCode, signal) => {
+      if (abortSignal) {
+        abortSignal.removeEventListener('abort', cancel);
+      }
+      clearTimeout(timeoutId);
+      clearTimeout(closeWaitId);
+      // Once the group is gone its ID may be reused, so it must not be signalled later
+      clearTimeout(killTimerId);
+      if (isProcessGroupAlive(proc)) {
+        signalProcessGroup(proc, 'SIGKILL');
+      }
+      activeProcesses.delete(proc);
+
+      const result = { ...output, exitCode, signal, duration: Date.now() - startTime, timedOut, cancelled };
+
+      if (cancelled) {
+        settle(reject, new CommandError(`Command cancelled: ${command}`, result));
+      } else if (timedOut) {
+        settle(reject, new CommandError(`Command timed out after ${timeout}ms: ${command}`, result));
+      } else if (exitCode !== 0) {
+        settle(reject, new CommandError(exitCode === null
+          ? `Command was killed by ${signal}: ${command}`
+          : `Command failed with exit code ${exitCode}: ${command}`, result));
+      } else {
+        settle(resolve, result);
+      }
+    };
+
+    if (timeout) {
+      timeoutId = setTimeout(() => {
+        timedOut = true;
+        stop();
+      }, timeout);
+    }
+
+    if (abortSignal) {
+      abortSignal.addEventListener('abort', cancel, { once: true });
+    }
+
+    ['stdout', 'stderr'].forEach(stream => {
+      proc[stream].on('data', (data) => {
+        const str = data.toString();
+        if (output[stream].length < MAX_OUTPUT_LENGTH) {
+          output[stream] += str;
+        }
+        if (onOutput) {
+          onOutput(stream, str);
+        }
+      });
+    });
+
+    // Background processes of the command, e.g. a server it started, must not outlive it
+    proc.on('exit', () => {
+      if (!timedOut && !cancelled) {
+        killTimerId = terminateProcessGroup(proc, killGracePeriod);
+      }
+    });
+
+    proc.on('close', finish);
+
+    proc.on('error', (err) => {
+      if (abortSignal) {
+        abortSignal.removeEventListener('abort', cancel);
+      }
+      clearTimeout(timeoutId);
+      clearTimeout(killTimerId);
+      activeProcesses.delete(proc);
+      settle(reject, err);
+    });
+  });
+}
+
+/**
+ * Kill the process groups of every running command
+ */
+function killActiveProcesses() {
+  activeProcesses.forEach(proc => signalProcessGroup(proc, 'SIGKILL'));
+}
+
+// Commands in their own process group don't get the signals sent to the server's terminal
+process.on('exit', killActiveProcesses);
+
+module.exports = {
+  CommandError,
+  KILL_GRACE_PERIOD,
+  killActiveProcesses,
+  runProcess
+};
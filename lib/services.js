@@ -0,0 +1,113 @@
+/**
+ * services.js
+ *
+ * Starts the service containers a repository declares in its config (e.g. a
+ * database for integration tests) on a private Docker network for the test
+ * run, and tells the tests where to find them through <NAME>_HOST and
+ * <NAME>_PORT environment variables.
+ */
+
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const util = require('util');
+
+const execFileAsync = util.promisify(execFile);
+
+/**
+ * Error raised when the services of a test run cannot be started
+ */
+class ServiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ServiceError';
+  }
+}
+
+/**
+ * Name of the environment variable prefix for a service
+ *
+ * @param {string} name - Service name
+ * @returns {string} - e.g. "postgres-db" -> "POSTGRES_DB"
+ * @private
+ */
+function envPrefix(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+/**
+ * Start the services of a test run
+ *
+ * @param {Array<Object>} services - Services from the repository config ({ name, image, env, ports, command })
+ * @param {Object} options - Service options
+ * @param {boolean} options.publishPorts - Publish ports on the host loopback interface, for tests running on the host
+ * @param {string} options.docker - Docker CLI executable (default: QAAS_DOCKER_PATH or docker)
+ * @returns {Promise<Object>} - { network, env, stop }
+ * @throws {ServiceError} - If a service fails to start; the ones already started are stopped
+ */
+async function startServices(services, options = {}) {
+  const docker = options.docker || process.env.QAAS_DOCKER_PATH || 'docker';
+  const network = `qaas-${crypto.randomUUID()}`;
+  const containers = [];
+  const env = {};
+
+  const stop = async () => {
+    for (const container of containers) {
+      await execFileAsync(docker, ['rm', '--force', container]).catch(error => {
+        console.error(`Failed to remove service container ${container}:`, error.message);
+      });
+    }
+    await execFileAsync(docker, ['network', 'rm', network]).catch(error => {
+      console.error(`Failed to remove network ${network}:`, error.message);
+    });
+  };
+
+  await execFileAsync(docker, ['network', 'create', network]);
+
+  try {
+    for (const service of services) {
+      const container = `${network}-${service.name}`;
+      const ports = service.ports || [];
+      const args = [
+        'run', '--detach',
+        '--name', container,
+        '--network', network,
+        '--network-alias', service.name,
+        ...Object.keys(service.env || {}).flatMap(name => ['--env', `${name}=${service.env[name]}`]),
+        ...(options.publishPorts ? ports.flatMap(port => ['--publish', `127.0.0.1::${port}`]) : []),
+        service.image,
+        ...(service.command || [])
+      ];
+
+      await execFileAsync(docker, args);
+      containers.push(container);
+
+      const prefix = envPrefix(service.name);
+      env[`${prefix}_HOST`] = options.publishPorts ? '127.0.0.1' : service.name;
+
+      for (const port of ports) {
+        let address = String(port);
+
+        if (options.publishPorts) {
+          // "docker port" prints the host address, e.g. 127.0.0.1:49153
+          const { stdout } = await execFileAsync(docker, ['port', container, String(port)]);
+          address = stdout.trim().split('\n')[0].split(':').pop();
+        }
+
+        env[`${prefix}_PORT_${port}`] = address;
+        if (port === ports[0]) {
+          env[`${prefix}_PORT`] = address;
+        }
+      }
+    }
+  } catch (error) {
+    await stop();
+    throw new ServiceError(`Failed to start services: ${error.message}`);
+  }
+
+  return { network, env, stop };
+}
+
+module.exports = {
+  ServiceError,
+  startServices
+};
@@ -0,0 +1,191 @@
+/**
+ * solana.js
+ *
+ * Solana helpers of the blockchain logger: loading the payer keypair, the
+ * commitment levels a transaction can be confirmed at, and translating RPC
+ * and transaction errors into errors that say what to fix, e.g. an unfunded
+ * payer.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const bs58 = require('bs58');
+const { Keypair } = require('@solana/web3.js');
+
+// Commitment levels, from fastest to safest
+const COMMITMENTS = ['processed', 'confirmed', 'finalized'];
+
+// Why a transaction could not be logged (error.code)
+const BLOCKCHAIN_ERROR_CODES = Object.freeze({
+  INSUFFICIENT_FUNDS_FOR_FEE: 'insufficient-funds-for-fee',
+  INSUFFICIENT_FUNDS_FOR_RENT: 'insufficient-funds-for-rent',
+  TRANSACTION_FAILED: 'transaction-failed',
+  TRANSACTION_EXPIRED: 'transaction-expired',
+  RPC_ERROR: 'rpc-error'
+});
+
+/**
+ * Error raised when a transaction can't be sent or confirmed
+ */
+class BlockchainError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - One of BLOCKCHAIN_ERROR_CODES
+   * @param {Object} details - { signature, logs } where known (optional)
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'BlockchainError';
+    this.code = code;
+    this.signature = details.signature || null;
+    this.logs = details.logs || [];
+  }
+}
+
+/**
+ * Decode a secret key: a JSON array of bytes, as written by solana-keygen, or base58, as exported by wallets
+ *
+ * @param {string} value - Encoded secret key
+ * @returns {Uint8Array} - Secret key bytes
+ * @private
+ */
+function decodeSecretKey(value) {
+  const trimmed = value.trim();
+
+  if (trimmed.startsWith('[')) {
+    return Uint8Array.from(JSON.parse(trimmed));
+  }
+
+  return Uint8Array.from(bs58.decode(trimmed));
+}
+
+/**
+ * Load a keypair from a keypair file or an encoded secret key
+ *
+ * @param {Object} options - Keypair sources; the file is used if both are given
+ * @param {string} options.keypairPath - Path of a solana-keygen keypair file, `~` for the home directory (optional)
+ * @param {string} options.privateKey - Secret key as a JSON byte array or base58 (optional)
+ * @returns {Keypair|null} - Keypair, or null if no source is given
+ * @throws {Error} - If the source can't be read or doesn't hold a 64-byte secret key; the message never contains the key
+ */
+function loadKeypair({ keypairPath, privateKey } = {}) {
+  let source;
+  let encoded;
+
+  if (keypairPath) {
+    source = keypairPath;
+    encoded = fs.readFileSync(keypairPath.replace(/^~(?=$|[\\/])/, os.homedir()), 'utf8');
+  } else if (privateKey) {
+    source = 'private key';
+    encoded = privateKey;
+  } else {
+    return null;
+  }
+
+  let secretKey;
+  try {
+    secretKey = decodeSecretKey(encoded);
+  } catch (error) {
+    throw new Error(`Invalid Solana keypair in ${source}: expected a JSON byte array or base58`);
+  }
+
+  if (secretKey.length !== 64) {
+    throw new Error(`Invalid Solana keypair in ${source}: expected a 64-byte secret key, got ${secretKey.length} bytes`);
+  }
+
+  return Keypair.fromSecretKey(secretKey);
+}
+
+/**
+ * Describe the error of a failed transaction or RPC call
+ *
+ * Recognizes the fee and rent errors of the runtime, whether they come from
+ * preflight simulation (SendTransactionError) or from the status of a
+ * processed transaction (TransactionError objects such as
+ * { InsufficientFundsForRent: { account_index: 0 } }).
+ *
+ * @param {Error|Object|string} error - Error thrown by web3.js, or the err of a signature status
+ * @param {Object} details - { signature, payer } for the message (optional)
+ * @returns {BlockchainError} - Error with a code from BLOCKCHAIN_ERROR_CODES
+ */
+function toBlockchainError(error, details = {}) {
+  if (error instanceof BlockchainError) {
+    return error;
+  }
+
+  const isThrown = error instanceof Error;
+  const text = isThrown
+    ? `${error.transactionMessage || ''} ${error.message}`
+    : typeof error === 'string' ? error : JSON.stringify(error);
+  const logs = (isThrown && Array.isArray(error.transactionLogs) ? error.transactionLogs : []);
+  const payer = details.payer ? ` ${details.payer}` : '';
+
+  if (/InsufficientFundsForFee|insufficient funds for fee|no record of a prior credit/i.test(text)) {
+    return new BlockchainError(
+      `Solana payer${payer} can't pay the transaction fee; fund it with SOL (e.g. solana airdrop on devnet)`,
+      BLOCKCHAIN_ERROR_CODES.INSUFFICIENT_FUNDS_FOR_FEE,
+      { signature: details.signature, logs }
+    );
+  }
+
+  if (/InsufficientFundsForRent|insufficient funds for rent/i.test(text)) {
+    return new BlockchainError(
+      `Solana payer${payer} would fall below its rent-exempt minimum; fund it with more SOL`,
+      BLOCKCHAIN_ERROR_CODES.INSUFFICIENT_FUNDS_FOR_RENT,
+      { signature: details.signature, logs }
+    );
+  }
+
+  if (isThrown && !error.transactionMessage) {
+    return new BlockchainError(`Solana RPC request failed: ${error.message}`, BLOCKCHAIN_ERROR_CODES.RPC_ERROR, details);
+  }
+
+  return new BlockchainError(
+    `Solana transaction failed: ${isThrown ? error.transactionMessage : text}`,
+    BLOCKCHAIN_ERROR_CODES.TRANSACTION_FAILED,
+    { signature: details.signature, logs }
+  );
+}
+
+/**
+ * Whether a signature status has reached a commitment level
+ *
+ * @param {Object} status - Signature status from getSignatureStatuses
+ * @param {string} commitment - One of COMMITMENTS
+ * @returns {boolean}
+ */
+function hasReachedCommitment(status, commitment) {
+  return Boolean(status && status.confirmationStatus) &&
+    COMMITMENTS.indexOf(status.confirmationStatus) >= COMMITMENTS.indexOf(commitment);
+}
+
+/**
+ * Name of the Solana cluster behind an RPC endpoint
+ *
+ * @param {string} endpoint - RPC endpoint URL
+ * @returns {string} - devnet, testnet, mainnet, localnet or custom
+ */
+function clusterName(endpoint) {
+  let hostname;
+  try {
+    hostname = new URL(endpoint).hostname;
+  } catch (error) {
+    return 'custom';
+  }
+
+  if (['localhost', '127.0.0.1', '::1', '[::1]'].includes(hostname)) return 'localnet';
+  if (hostname.includes('devnet')) return 'devnet';
+  if (hostname.includes('testnet')) return 'testnet';
+  if (hostname.includes('mainnet')) return 'mainnet';
+  return 'custom';
+}
+
+module.exports = {
+  COMMITMENTS,
+  BLOCKCHAIN_ERROR_CODES,
+  BlockchainError,
+  loadKeypair,
+  toBlockchainError,
+  hasReachedCommitment,
+  clusterName
+};
@@ -0,0 +1,191 @@
+/**
+ * arweave.js
+ *
+ * Stores content permanently on Arweave as data transactions, signed and paid
+ * for by a JWK wallet, through a gateway (arweave.net, or a local arlocal for
+ * development). The content identifier is the transaction ID. Tags make the
+ * content findable with the gateways' GraphQL queries.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const Arweave = require('arweave');
+const { resolveGateways, getWithFallback } = require('./gateways');
+
+// Interval between status checks while waiting for a transaction to be mined
+const CONFIRMATION_POLL_INTERVAL = 2000;
+
+/**
+ * Load a JWK wallet
+ *
+ * @param {Object|string} arweaveKey - JWK object, JWK as JSON, or path of a JWK file (`~` for the home directory)
+ * @returns {Object|null} - JWK, or null if no key is given
+ * @throws {Error} - If the key can't be read or isn't an RSA private key; the message never contains the key
+ */
+function loadJwk(arweaveKey) {
+  if (!arweaveKey) {
+    return null;
+  }
+
+  let jwk = arweaveKey;
+  let source = 'Arweave key';
+
+  if (typeof arweaveKey === 'string') {
+    const isJson = arweaveKey.trim().startsWith('{');
+    source = isJson ? source : arweaveKey;
+
+    try {
+      jwk = JSON.parse(isJson ? arweaveKey : fs.readFileSync(arweaveKey.replace(/^~(?=$|[\\/])/, os.homedir()), 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid Arweave wallet in ${source}: ${error.code === 'ENOENT' ? 'file not found' : 'expected a JWK'}`);
+    }
+  }
+
+  if (!jwk || jwk.kty !== 'RSA' || !jwk.n || !jwk.d) {
+    throw new Error(`Invalid Arweave wallet in ${source}: expected an RSA private key JWK`);
+  }
+
+  return jwk;
+}
+
+/**
+ * Create a client of an Arweave gateway
+ *
+ * @param {string} endpoint - Gateway URL, e.g. https://arweave.net or http://localhost:1984
+ * @returns {Arweave} - Arweave client
+ */
+function createArweaveClient(endpoint) {
+  const url = new URL(endpoint);
+  const protocol = url.protocol.replace(':', '');
+
+  return Arweave.init({
+    host: url.hostname,
+    port: url.port ? parseInt(url.port, 10) : (protocol === 'https' ? 443 : 80),
+    protocol
+  });
+}
+
+class ArweaveStorage {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Object|string} options.arweaveKey - JWK wallet, as a JWK, JSON or file path (default ARWEAVE_KEY_PATH)
+   * @param {string} options.endpoint - Gateway URL (default ARWEAVE_ENDPOINT or https://arweave.net)
+   * @param {Array<string>} options.gateways - Gateways to retrieve content from (default STORAGE_GATEWAYS or the endpoint)
+   * @param {number} options.confirmationTimeout - Time in ms to wait for a transaction to be mined (default
+   *   ARWEAVE_CONFIRMATION_TIMEOUT or 120000); content not mined by then is reported as pending
+   * @throws {Error} - If no wallet is given or it is invalid
+   */
+  constructor(options = {}) {
+    this.type = 'arweave';
+    this.endpoint = (options.endpoint || process.env.ARWEAVE_ENDPOINT || 'https://arweave.net').replace(/\/+$/, '');
+    this.arweave = createArweaveClient(this.endpoint);
+    this.gateways = resolveGateways(options.gateways, [this.endpoint]);
+    this.confirmationTimeout = options.confirmationTimeout ||
+      parseInt(process.env.ARWEAVE_CONFIRMATION_TIMEOUT, 10) || 120000;
+
+    this.wallet = loadJwk(options.arweaveKey || process.env.ARWEAVE_KEY_PATH);
+    if (!this.wallet) {
+      throw new Error('Arweave storage needs a JWK wallet (ARWEAVE_KEY_PATH)');
+    }
+  }
+
+  /**
+   * Store content in a data transaction
+   *
+   * Signs the transaction with the wallet and uploads it, in chunks if it is
+   * large. The gateway serves the content once it has accepted it; see pin()
+   * for waiting until it is mined.
+   *
+   * @param {Buffer} data - Content
+   * @param {Object} options - { contentType, tags } (optional); tags are added to the transaction
+   * @returns {Promise<Object>} - { cid: transaction ID, url, fee in winston }
+   * @throws {Error} - If the wallet can't pay for the transaction or the upload fails
+   */
+  async put(data, options = {}) {
+    const transaction = await this.arweave.createTransaction({ data }, this.wallet);
+
+    transaction.addTag('Content-Type', options.contentType || 'application/octet-stream');
+    (options.tags || []).forEach(({ name, value }) => transaction.addTag(name, value));
+
+    await this._checkFunds(transaction);
+    await this.arweave.transactions.sign(transaction, this.wallet);
+
+    const uploader = await this.arweave.transactions.getUploader(transaction);
+    while (!uploader.isComplete) {
+      await uploader.uploadChunk();
+    }
+
+    return { cid: transaction.id, url: `${this.endpoint}/${transaction.id}`, fee: transaction.reward };
+  }
+
+  /**
+   * Wait until the transaction of stored content is mined
+   *
+   * Arweave keeps mined data permanently; there is nothing else to pin.
+   *
+   * @param {string} cid - Transaction ID
+   * @returns {Promise<Object>} - { status: 'pinned', blockHeight }, or { status: 'pending' } if the
+   *   transaction wasn't mined within the confirmation timeout
+   */
+  async pin(cid) {
+    const deadline = Date.now() + this.confirmationTimeout;
+
+    for (;;) {
+      const { status, confirmed } = await this.arweave.transactions.getStatus(cid);
+
+      if (status === 200 && confirmed) {
+        return { status: 'pinned', blockHeight: confirmed.block_height };
+      }
+
+      // 202: pending; 404: not yet propagated to the gateway queried
+      if (Date.now() + CONFIRMATION_POLL_INTERVAL > deadline) {
+        console.warn(`Arweave transaction ${cid} not mined after ${this.confirmationTimeout}ms (status ${status}); keeping it as pending`);
+        return { status: 'pending' };
+      }
+
+      await new Promise(resolve => setTimeout(resolve, CONFIRMATION_POLL_INTERVAL));
+    }
+  }
+
+  /**
+   * Whether the gateway knows the transaction, mined or pending
+   *
+   * @param {string} cid - Transaction ID
+   * @returns {Promise<boolean>}
+   */
+  async exists(cid) {
+    const { status } = await this.arweave.transactions.getStatus(cid);
+    return status === 200 || status === 202;
+  }
+
+  /**
+   * Retrieve content from the gateways
+   *
+   * @param {string} cid - Transaction ID
+   * @returns {Promise<Buffer>} - Content
+   */
+  async get(cid) {
+    return getWithFallback(cid, null, this.gateways);
+  }
+
+  /**
+   * Check that the wallet can pay for a transaction
+   *
+   * @param {Transaction} transaction - Transaction with its reward set
+   * @throws {Error} - If the balance doesn't cover the reward
+   * @private
+   */
+  async _checkFunds(transaction) {
+    const address = await this.arweave.wallets.jwkToAddress(this.wallet);
+    const balance = await this.arweave.wallets.getBalance(address);
+
+    if (BigInt(balance) < BigInt(transaction.reward)) {
+      throw new Error(
+        `Arweave wallet ${address} can't pay for the transaction: balance ${balance} winston, ` +
+          `fee ${transaction.reward} winston; fund it with AR (or mint on arlocal)`
+      );
+    }
+  }
+}
+
+module.exports = ArweaveStorage;
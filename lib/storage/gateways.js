@@ -0,0 +1,96 @@
+/**
+ * gateways.js
+ *
+ * Retrieval of stored content over HTTP gateways. Providers read content
+ * from their own API first and fall back to a list of gateways in order, so
+ * results stay retrievable while a node or gateway is down. Gateways are URL
+ * templates with a {cid} placeholder; a template without one gets the content
+ * identifier appended as a path segment.
+ */
+
+const axios = require('axios');
+
+// Public IPFS gateways, tried in order; nftstorage.link still serves content stored on NFT.Storage
+const DEFAULT_IPFS_GATEWAYS = [
+  'https://ipfs.io/ipfs/{cid}',
+  'https://dweb.link/ipfs/{cid}',
+  'https://nftstorage.link/ipfs/{cid}'
+];
+
+// Time a gateway gets to answer before the next one is tried
+const GATEWAY_TIMEOUT = 30000;
+
+/**
+ * Gateways to retrieve content from
+ *
+ * @param {Array<string>|string} gateways - Gateway templates, as an array or comma-separated (optional;
+ *   defaults to STORAGE_GATEWAYS, then the provider's defaults)
+ * @param {Array<string>} defaults - Default gateways of the provider
+ * @returns {Array<string>} - Gateway templates
+ */
+function resolveGateways(gateways, defaults = []) {
+  const configured = gateways || process.env.STORAGE_GATEWAYS;
+  const list = Array.isArray(configured) ? configured : (configured || '').split(',');
+  const templates = list.map(gateway => gateway.trim()).filter(Boolean);
+
+  return templates.length > 0 ? templates : defaults;
+}
+
+/**
+ * URL of content on a gateway
+ *
+ * @param {string} template - Gateway template, e.g. https://ipfs.io/ipfs/{cid}
+ * @param {string} cid - Content identifier
+ * @returns {string}
+ */
+function gatewayUrl(template, cid) {
+  return template.includes('{cid}')
+    ? template.replace('{cid}', encodeURIComponent(cid))
+    : `${template.replace(/\/+$/, '')}/${encodeURIComponent(cid)}`;
+}
+
+/**
+ * Retrieve content, trying its provider and then each gateway
+ *
+ * @param {string} cid - Content identifier
+ * @param {Function} retrieve - Retrieves the content from the provider itself, or null if it has no API for it
+ * @param {Array<string>} gateways - Gateway templates to fall back to
+ * @returns {Promise<Buffer>} - Content
+ * @throws {Error} - If no source has the content; the message lists why each one failed
+ */
+async function getWithFallback(cid, retrieve, gateways) {
+  const failures = [];
+
+  if (retrieve) {
+    try {
+      return await retrieve();
+    } catch (error) {
+      failures.push(`provider: ${error.message}`);
+    }
+  }
+
+  for (const template of gateways) {
+    const url = gatewayUrl(template, cid);
+
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: GATEWAY_TIMEOUT,
+        maxContentLength: Infinity
+      });
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      failures.push(`${url}: ${error.response ? `${error.response.status} ${error.response.statusText}` : error.message}`);
+    }
+  }
+
+  throw new Error(`Could not retrieve ${cid} (${failures.join('; ') || 'no gateways configured'})`);
+}
+
+module.exports = {
+  DEFAULT_IPFS_GATEWAYS,
+  resolveGateways,
+  gatewayUrl,
+  getWithFallback
+};
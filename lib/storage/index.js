@@ -0,0 +1,78 @@
+/**
+ * storage/index.js
+ *
+ * Decentralized storage of test results. The blockchain logger stores results
+ * through a provider selected by its `storage` config or STORAGE_TYPE:
+ *
+ * - kubo: IPFS node through the Kubo RPC API
+ * - pinning-service: IPFS Pinning Service API, with a Kubo node adding the content
+ * - s3: S3-compatible object storage
+ * - arweave: Arweave data transactions
+ *
+ * Every provider has a `type` and these methods:
+ *
+ *   put(data, { contentType, name, tags }) -> { cid, url }  store content
+ *   pin(cid, { name, tags })  -> { status }  keep it stored; 'pinned', or 'pending' while the provider is still at it
+ *   exists(cid)               -> boolean     whether the provider keeps the content
+ *   get(cid)                  -> Buffer      retrieve it from the provider, else its gateways in order
+ */
+
+const KuboStorage = require('./kubo');
+const PinningServiceStorage = require('./pinningService');
+const S3Storage = require('./s3');
+const ArweaveStorage = require('./arweave');
+const { DEFAULT_IPFS_GATEWAYS, resolveGateways, gatewayUrl, getWithFallback } = require('./gateways');
+
+const STORAGE_PROVIDERS = {
+  kubo: KuboStorage,
+  'pinning-service': PinningServiceStorage,
+  s3: S3Storage,
+  arweave: ArweaveStorage
+};
+
+// Storage types of earlier versions; 'ipfs' stored through NFT.Storage, which no longer accepts uploads
+const STORAGE_TYPE_ALIASES = {
+  ipfs: 'kubo'
+};
+
+/**
+ * Create a storage provider
+ *
+ * @param {string|Object} config - Provider type, provider configuration ({ type, ... }) or a
+ *   provider instance (anything with a put() method)
+ * @returns {Object|null} - Provider, or null if no type is configured
+ * @throws {Error} - If the type is unknown or the provider's configuration is incomplete
+ */
+function createStorageProvider(config) {
+  if (config && typeof config.put === 'function') {
+    return config;
+  }
+
+  const options = typeof config === 'string' ? { type: config } : (config || {});
+  const requested = options.type || process.env.STORAGE_TYPE;
+
+  if (!requested) {
+    return null;
+  }
+
+  const type = STORAGE_TYPE_ALIASES[requested] || requested;
+  const Provider = STORAGE_PROVIDERS[type];
+
+  if (!Provider) {
+    throw new Error(`Unknown storage provider: ${requested}. Supported providers: ${Object.keys(STORAGE_PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider(options);
+}
+
+module.exports = {
+  createStorageProvider,
+  DEFAULT_IPFS_GATEWAYS,
+  resolveGateways,
+  gatewayUrl,
+  getWithFallback,
+  KuboStorage,
+  PinningServiceStorage,
+  S3Storage,
+  ArweaveStorage
+};
@@ -0,0 +1,162 @@
+/**
+ * kubo.js
+ *
+ * Stores content on an IPFS node through the Kubo RPC API (a local `ipfs
+ * daemon`, or the ipfs/kubo image). Content is added as CIDv1 and pinned on
+ * the node, which keeps it from being garbage collected; other nodes and the
+ * public gateways fetch it from there.
+ */
+
+const axios = require('axios');
+const FormData = require('form-data');
+const { DEFAULT_IPFS_GATEWAYS, resolveGateways, gatewayUrl, getWithFallback } = require('./gateways');
+
+// Time an RPC call gets; adding or pinning content the node has to fetch can take a while
+const DEFAULT_TIMEOUT = 60000;
+
+class KuboStorage {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiUrl - Kubo RPC API URL (default KUBO_API_URL or http://127.0.0.1:5001)
+   * @param {string} options.authorization - Authorization header of the API, e.g. `Basic ...` (default KUBO_API_AUTHORIZATION)
+   * @param {Array<string>} options.gateways - Gateways to retrieve content from (default STORAGE_GATEWAYS or public IPFS gateways)
+   * @param {number} options.timeout - Timeout of RPC calls in ms (default 60000)
+   */
+  constructor(options = {}) {
+    this.type = 'kubo';
+    this.apiUrl = (options.apiUrl || process.env.KUBO_API_URL || 'http://127.0.0.1:5001').replace(/\/+$/, '');
+    this.authorization = options.authorization || process.env.KUBO_API_AUTHORIZATION || null;
+    this.gateways = resolveGateways(options.gateways, DEFAULT_IPFS_GATEWAYS);
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  /**
+   * Add content to the node
+   *
+   * @param {Buffer} data - Content
+   * @param {Object} options - { contentType, name } (optional)
+   * @returns {Promise<Object>} - { cid, url }
+   */
+  async put(data, options = {}) {
+    const form = new FormData();
+    form.append('file', data, { filename: options.name || 'data', contentType: options.contentType || 'application/octet-stream' });
+
+    const response = await this._call('add', { 'cid-version': 1, pin: false }, form);
+    // One JSON object per added file
+    const { Hash: cid } = JSON.parse(response.toString('utf8').trim().split('\n').pop());
+
+    return { cid, url: this.gateways.length > 0 ? gatewayUrl(this.gateways[0], cid) : null };
+  }
+
+  /**
+   * Pin content on the node
+   *
+   * @param {string} cid - Content identifier
+   * @returns {Promise<Object>} - { status: 'pinned' }
+   */
+  async pin(cid) {
+    await this._call('pin/add', { arg: cid });
+    return { status: 'pinned' };
+  }
+
+  /**
+   * Unpin content on the node, leaving it to garbage collection
+   *
+   * @param {string} cid - Content identifier
+   */
+  async unpin(cid) {
+    await this._call('pin/rm', { arg: cid });
+  }
+
+  /**
+   * Whether the node has the content pinned
+   *
+   * @param {string} cid - Content identifier
+   * @returns {Promise<boolean>}
+   */
+  async exists(cid) {
+    try {
+      await this._call('pin/ls', { arg: cid, type: 'recursive' });
+      return true;
+    } catch (error) {
+      if (/not pinned/.test(error.message)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve content from the node, or else the gateways
+   *
+   * @param {string} cid - Content identifier
+   * @returns {Promise<Buffer>} - Content
+   */
+  async get(cid) {
+    return getWithFallback(cid, () => this.cat(cid), this.gateways);
+  }
+
+  /**
+   * Read content from the node only
+   *
+   * @param {string} cid - Content identifier
+   * @returns {Promise<Buffer>} - Content
+   */
+  async cat(cid) {
+    return this._call('cat', { arg: cid });
+  }
+
+  /**
+   * Addresses other nodes can fetch this node's content from
+   *
+   * @returns {Promise<Array<string>>} - Multiaddrs, without loopback addresses
+   */
+  async addresses() {
+    const response = await this._call('id');
+    const { Addresses: addresses } = JSON.parse(response.toString('utf8'));
+    return (addresses || []).filter(address => !/^\/ip4\/127\.|^\/ip6\/::1\//.test(address));
+  }
+
+  /**
+   * Call the RPC API
+   *
+   * @param {string} command - RPC command, e.g. 'pin/add'
+   * @param {Object} params - Query parameters (optional)
+   * @param {FormData} body - Multipart request body (optional)
+   * @returns {Promise<Buffer>} - Body of the successful response
+   * @throws {Error} - With Kubo's error message if the call fails
+   * @private
+   */
+  async _call(command, params = {}, body) {
+    try {
+      // The RPC API only accepts POST
+      const response = await axios.post(`${this.apiUrl}/api/v0/${command}`, body, {
+        params,
+        headers: {
+          ...(this.authorization && { Authorization: this.authorization }),
+          ...(body && body.getHeaders())
+        },
+        responseType: 'arraybuffer',
+        timeout: this.timeout,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (!error.response) {
+        throw new Error(`Kubo ${command} failed: ${error.message}`);
+      }
+
+      let message = `${error.response.status} ${error.response.statusText}`;
+      try {
+        message = JSON.parse(Buffer.from(error.response.data).toString('utf8')).Message || message;
+      } catch (parseError) {
+        // Not a JSON error, e.g. from a proxy
+      }
+      throw new Error(`Kubo ${command} failed: ${message}`);
+    }
+  }
+}
+
+module.exports = KuboStorage;
@@ -0,0 +1,167 @@
+/**
+ * pinningService.js
+ *
+ * Keeps content on a remote pinning service implementing the IPFS Pinning
+ * Service API (https://ipfs.github.io/pinning-services-api-spec/), such as
+ * Pinata or Filebase. The API pins content by CID but has no upload, so
+ * content is added to an IPFS node first (see kubo.js) and the service is
+ * asked to fetch and pin it, with the node's addresses as origins.
+ */
+
+const axios = require('axios');
+const KuboStorage = require('./kubo');
+const { DEFAULT_IPFS_GATEWAYS, resolveGateways, gatewayUrl, getWithFallback } = require('./gateways');
+const { registerSecret } = require('../redact');
+
+// Interval between pin status checks
+const PIN_POLL_INTERVAL = 2000;
+
+// Time an API call gets
+const REQUEST_TIMEOUT = 30000;
+
+// Pin statuses of the service while it is still working on a pin
+const PENDING_PIN_STATUSES = ['queued', 'pinning'];
+
+class PinningServiceStorage {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.endpoint - Base URL of the service's API (default PINNING_SERVICE_ENDPOINT)
+   * @param {string} options.accessToken - Access token of the service (default PINNING_SERVICE_TOKEN)
+   * @param {string} options.apiUrl - Kubo RPC API URL of the node adding the content (default KUBO_API_URL)
+   * @param {string} options.authorization - Authorization header of the node's API (default KUBO_API_AUTHORIZATION)
+   * @param {Array<string>} options.gateways - Gateways to retrieve content from (default STORAGE_GATEWAYS or public IPFS gateways)
+   * @param {number} options.pinTimeout - Time in ms to wait for the service to pin content (default
+   *   PINNING_SERVICE_PIN_TIMEOUT or 60000); pins still in progress after it are reported as pending
+   * @throws {Error} - If the endpoint or access token is missing
+   */
+  constructor(options = {}) {
+    this.type = 'pinning-service';
+    this.endpoint = (options.endpoint || process.env.PINNING_SERVICE_ENDPOINT || '').replace(/\/+$/, '');
+    this.accessToken = options.accessToken || process.env.PINNING_SERVICE_TOKEN;
+
+    if (!this.endpoint || !this.accessToken) {
+      throw new Error('Pinning service storage needs an endpoint and an access token (PINNING_SERVICE_ENDPOINT, PINNING_SERVICE_TOKEN)');
+    }
+    registerSecret(this.accessToken);
+
+    this.node = new KuboStorage({ apiUrl: options.apiUrl, authorization: options.authorization, gateways: DEFAULT_IPFS_GATEWAYS });
+    this.gateways = resolveGateways(options.gateways, DEFAULT_IPFS_GATEWAYS);
+    this.pinTimeout = options.pinTimeout || parseInt(process.env.PINNING_SERVICE_PIN_TIMEOUT, 10) || 60000;
+  }
+
+  /**
+   * Add content to the IPFS node, pinned there until the service has it
+   *
+   * @param {Buffer} data - Content
+   * @param {Object} options - { contentType, name } (optional)
+   * @returns {Promise<Object>} - { cid, url }
+   */
+  async put(data, options = {}) {
+    const { cid } = await this.node.put(data, options);
+    await this.node.pin(cid);
+
+    return { cid, url: this.gateways.length > 0 ? gatewayUrl(this.gateways[0], cid) : null };
+  }
+
+  /**
+   * Ask the service to pin content, and wait until it has
+   *
+   * Once the service has the content, it is unpinned on the IPFS node; content
+   * still pending stays pinned there, so the service can keep fetching it.
+   *
+   * @param {string} cid - Content identifier
+   * @param {Object} options - { name, tags } for the pin (optional); tags become the pin's meta
+   * @returns {Promise<Object>} - { status: 'pinned' or 'pending', requestId }
+   * @throws {Error} - If the service fails to pin the content
+   */
+  async pin(cid, options = {}) {
+    let origins = [];
+    try {
+      origins = await this.node.addresses();
+    } catch (error) {
+      // The service finds the content on the IPFS network without them, only slower
+    }
+
+    let pinStatus = await this._request('POST', '/pins', {
+      cid,
+      ...(options.name && { name: options.name.slice(0, 255) }),
+      origins,
+      meta: Object.fromEntries((options.tags || []).map(({ name, value }) => [name, value]))
+    });
+
+    const deadline = Date.now() + this.pinTimeout;
+    while (PENDING_PIN_STATUSES.includes(pinStatus.status) && Date.now() + PIN_POLL_INTERVAL <= deadline) {
+      await new Promise(resolve => setTimeout(resolve, PIN_POLL_INTERVAL));
+      pinStatus = await this._request('GET', `/pins/${encodeURIComponent(pinStatus.requestid)}`);
+    }
+
+    if (pinStatus.status === 'failed') {
+      throw new Error(`Pinning service failed to pin ${cid}`);
+    }
+
+    if (pinStatus.status === 'pinned') {
+      try {
+        await this.node.unpin(cid);
+      } catch (error) {
+        console.warn(`Failed to unpin ${cid} on the IPFS node: ${error.message}`);
+      }
+    }
+
+    return { status: pinStatus.status === 'pinned' ? 'pinned' : 'pending', requestId: pinStatus.requestid };
+  }
+
+  /**
+   * Whether the service has the content pinned
+   *
+   * @param {string} cid - Content identifier
+   * @returns {Promise<boolean>}
+   */
+  async exists(cid) {
+    const { count } = await this._request('GET', `/pins?cid=${encodeURIComponent(cid)}&status=pinned`);
+    return count > 0;
+  }
+
+  /**
+   * Retrieve content from the IPFS node, or else the gateways
+   *
+   * @param {string} cid - Content identifier
+   * @returns {Promise<Buffer>} - Content
+   */
+  async get(cid) {
+    return getWithFallback(cid, () => this.node.cat(cid), this.gateways);
+  }
+
+  /**
+   * Call the pinning service API
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the endpoint
+   * @param {Object} body - JSON body (optional)
+   * @returns {Promise<Object>} - JSON response
+   * @throws {Error} - With the service's failure reason if the call fails
+   * @private
+   */
+  async _request(method, path, body) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.endpoint}${path}`,
+        headers: { Authorization: `Bearer ${this.accessToken}` },
+        data: body,
+        timeout: REQUEST_TIMEOUT
+      });
+
+      return response.data;
+    } catch (error) {
+      let reason = error.message;
+      if (error.response) {
+        const { error: failure } = error.response.data || {};
+        reason = (failure && [failure.reason, failure.details].filter(Boolean).join(': ')) ||
+          `${error.response.status} ${error.response.statusText}`;
+      }
+      throw new Error(`Pinning service ${method} ${path} failed: ${reason}`);
+    }
+  }
+}
+
+module.exports = PinningServiceStorage;
@@ -0,0 +1,130 @@
+/**
+ * s3.js
+ *
+ * Stores content in S3-compatible object storage: AWS S3, or MinIO,
+ * Cloudflare R2, Backblaze B2 and others through a custom endpoint. Objects
+ * are content-addressed: the content identifier is the SHA-256 of the data,
+ * and the object key is the identifier under a prefix. Credentials come from
+ * the AWS SDK's default chain (AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY,
+ * profiles, instance roles).
+ */
+
+const crypto = require('crypto');
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { resolveGateways, gatewayUrl, getWithFallback } = require('./gateways');
+
+class S3Storage {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.bucket - Bucket name (default S3_BUCKET)
+   * @param {string} options.region - Region (default S3_REGION, AWS_REGION or us-east-1)
+   * @param {string} options.endpoint - Endpoint of S3-compatible storage (default S3_ENDPOINT); uses path-style URLs
+   * @param {string} options.prefix - Key prefix of the objects (default S3_PREFIX or qaas/results/)
+   * @param {string} options.publicUrl - Public URL of the bucket, if it is readable over HTTP (default S3_PUBLIC_URL)
+   * @param {Array<string>} options.gateways - Gateways to retrieve content from (default STORAGE_GATEWAYS or the public URL)
+   * @param {S3Client} options.client - S3 client to use instead of creating one (optional)
+   * @throws {Error} - If no bucket is given
+   */
+  constructor(options = {}) {
+    this.type = 's3';
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+
+    if (!this.bucket) {
+      throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+    }
+
+    const endpoint = options.endpoint || process.env.S3_ENDPOINT;
+    this.client = options.client || new S3Client({
+      region: options.region || process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+      // Most S3-compatible services don't support bucket subdomains
+      ...(endpoint && { endpoint, forcePathStyle: true })
+    });
+    this.prefix = options.prefix !== undefined ? options.prefix : (process.env.S3_PREFIX || 'qaas/results/');
+
+    const publicUrl = options.publicUrl || process.env.S3_PUBLIC_URL;
+    this.gateways = resolveGateways(options.gateways, publicUrl ? [`${publicUrl.replace(/\/+$/, '')}/${this.prefix}{cid}`] : []);
+  }
+
+  /**
+   * Upload content as an object
+   *
+   * @param {Buffer} data - Content
+   * @param {Object} options - { contentType, tags } (optional); tags become the object's user metadata
+   * @returns {Promise<Object>} - { cid: SHA-256 of the data, url }
+   */
+  async put(data, options = {}) {
+    const cid = crypto.createHash('sha256').update(data).digest('hex');
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this._key(cid),
+      Body: data,
+      ContentType: options.contentType || 'application/octet-stream',
+      Metadata: Object.fromEntries((options.tags || []).map(({ name, value }) => [name.toLowerCase(), value]))
+    }));
+
+    return {
+      cid,
+      url: this.gateways.length > 0 ? gatewayUrl(this.gateways[0], cid) : `s3://${this.bucket}/${this._key(cid)}`
+    };
+  }
+
+  /**
+   * Objects are kept until deleted, so pinning only checks that the object exists
+   *
+   * @param {string} cid - Content identifier
+   * @returns {Promise<Object>} - { status: 'pinned' }
+   * @throws {Error} - If there is no object for the content
+   */
+  async pin(cid) {
+    if (!(await this.exists(cid))) {
+      throw new Error(`No object ${this._key(cid)} in bucket ${this.bucket}`);
+    }
+
+    return { status: 'pinned' };
+  }
+
+  /**
+   * Whether there is an object for the content
+   *
+   * @param {string} cid - Content identifier
+   * @returns {Promise<boolean>}
+   */
+  async exists(cid) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this._key(cid) }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve content from the bucket, or else the gateways
+   *
+   * @param {string} cid - Content identifier
+   * @returns {Promise<Buffer>} - Content
+   */
+  async get(cid) {
+    return getWithFallback(cid, async () => {
+      const { Body: body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this._key(cid) }));
+      return Buffer.from(await body.transformToByteArray());
+    }, this.gateways);
+  }
+
+  /**
+   * Object key of content
+   *
+   * @param {string} cid - Content identifier
+   * @returns {string}
+   * @private
+   */
+  _key(cid) {
+    return `${this.prefix}${cid}`;
+  }
+}
+
+module.exports = S3Storage;
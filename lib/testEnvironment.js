@@ -0,0 +1,124 @@
+/**
+ * testEnvironment.js
+ *
+ * Builds the environment of test processes. Repository commands never see the
+ * server's environment (which holds the Solana and storage keys); they get a
+ * minimal base, variables the operator explicitly allow-lists, variables
+ * locating the installed dependencies, variables the repository declares, the
+ * request's env and the request's secrets. Only the names of the exposed
+ * variables are recorded so results can show what a test run had access to.
+ */
+
+const { registerSecret, unregisterSecret } = require('./redact');
+
+// Host variables needed to run ordinary commands on the backend host
+const BASE_VARIABLES = [
+  'PATH', 'HOME', 'USER', 'SHELL', 'TERM', 'LANG', 'LC_ALL', 'TZ', 'TMPDIR', 'TMP', 'TEMP',
+  // Windows cannot start processes without these
+  'SystemRoot', 'ComSpec', 'PATHEXT', 'windir'
+];
+
+/**
+ * Parse an allow-list of variable names
+ *
+ * @param {string|Array<string>} allowlist - Names, comma-separated or as an array;
+ *   a trailing * matches a prefix (e.g. NPM_CONFIG_*)
+ * @returns {Array<string>} - Allow-list entries
+ * @private
+ */
+function parseAllowlist(allowlist) {
+  const entries = Array.isArray(allowlist) ? allowlist : String(allowlist || '').split(',');
+  return entries.map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Check whether a variable name is allow-listed
+ *
+ * @param {string} name - Variable name
+ * @param {Array<string>} allowlist - Allow-list entries
+ * @returns {boolean} - Whether the variable may be exposed
+ * @private
+ */
+function isAllowed(name, allowlist) {
+  return allowlist.some(entry => (
+    entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : name === entry
+  ));
+}
+
+/**
+ * Pick host variables by name
+ *
+ * @param {Function} predicate - Called with each host variable name
+ * @returns {Object} - Matching variables
+ * @private
+ */
+function pickHostVariables(predicate) {
+  return Object.keys(process.env)
+    .filter(predicate)
+    .reduce((result, name) => {
+      result[name] = process.env[name];
+      return result;
+    }, {});
+}
+
+/**
+ * Build the environment for a test run
+ *
+ * Later sources override earlier ones: base, allow-listed, dependencies, repository,
+ * request env, secrets.
+ * Secrets are redacted from all output until release() is called.
+ *
+ * @param {Object} options - Environment options
+ * @param {boolean} options.includeBase - Add the minimal host base (for commands run on the host)
+ * @param {string|Array<string>} options.allowlist - Host variables to pass through
+ *   (default: QAAS_TEST_ENV_ALLOWLIST)
+ * @param {Object} options.dependencies - Variables locating the installed dependencies (see packageManagers.js)
+ * @param {Object} options.repository - Variables from the repository config (.qaas.yml)
+ * @param {Object} options.env - Variables from the run request
+ * @param {Object} options.secrets - Secret variables from the run request
+ * @returns {Object} - { env, exposed, release }
+ */
+function buildTestEnvironment(options = {}) {
+  const allowlist = parseAllowlist(
+    options.allowlist !== undefined ? options.allowlist : process.env.QAAS_TEST_ENV_ALLOWLIST
+  );
+  const sources = {
+    base: options.includeBase ? pickHostVariables(name => BASE_VARIABLES.includes(name)) : {},
+    allowlisted: pickHostVariables(name => isAllowed(name, allowlist)),
+    dependencies: options.dependencies || {},
+    repository: options.repository || {},
+    request: options.env || {},
+    secrets: options.secrets || {}
+  };
+
+  const secretValues = Object.values(sources.secrets);
+  secretValues.forEach(registerSecret);
+  let released = false;
+
+  return {
+    env: {
+      ...sources.base,
+      ...sources.allowlisted,
+      ...sources.dependencies,
+      ...sources.repository,
+      ...sources.request,
+      ...sources.secrets
+    },
+    // Names only; values must never end up in results
+    exposed: Object.keys(sources).reduce((result, source) => {
+      result[source] = Object.keys(sources[source]).sort();
+      return result;
+    }, {}),
+    release() {
+      if (!released) {
+        released = true;
+        secretValues.forEach(unregisterSecret);
+      }
+    }
+  };
+}
+
+module.exports = {
+  BASE_VARIABLES,
+  buildTestEnvironment
+};
@@ -0,0 +1,88 @@
+/**
+ * validation.js
+ *
+ * JSON Schema validation shared by the request, agent parameter and
+ * repository config schemas in schemas/. Problems are reported as a single
+ * ValidationError listing every field that is wrong.
+ */
+
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+
+/**
+ * Error raised for data that doesn't match its schema
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message - Summary of the problems
+   * @param {Array<Object>} details - Individual problems as { path, message }
+   */
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.statusCode = 400;
+    this.details = details;
+  }
+}
+
+/**
+ * Turn Ajv errors into readable { path, message } problems
+ *
+ * @param {Array<Object>} errors - Ajv errors
+ * @param {string} root - Name of the validated object
+ * @returns {Array<Object>} - Problems
+ * @private
+ */
+function describeErrors(errors, root) {
+  return errors.map(error => {
+    const path = `${root}${error.dataPath}`;
+
+    switch (error.keyword) {
+      case 'required':
+        return { path: `${path}.${error.params.missingProperty}`, message: 'is required' };
+      case 'additionalProperties':
+        return { path: `${path}.${error.params.additionalProperty}`, message: 'is not a supported field' };
+      case 'pattern':
+        return { path, message: 'has an invalid format' };
+      case 'enum':
+        return { path, message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+      default:
+        return { path, message: error.message };
+    }
+  });
+}
+
+/**
+ * Throw a ValidationError listing all problems
+ *
+ * @param {string} summary - Message prefix
+ * @param {Array<Object>} details - Problems as { path, message }
+ * @throws {ValidationError}
+ */
+function fail(summary, details) {
+  const problems = details.map(detail => `${detail.path} ${detail.message}`).join('; ');
+  throw new ValidationError(`${summary}: ${problems}`, details);
+}
+
+/**
+ * Compile a schema into a checking function
+ *
+ * The returned function fills in schema defaults and returns the problems
+ * found, as { path, message }, with paths starting at root.
+ *
+ * @param {Object} schema - JSON Schema
+ * @param {string} root - Name of the validated object in problem paths
+ * @returns {Function} - (data) => Array<Object>
+ */
+function compileSchema(schema, root) {
+  const validate = ajv.compile(schema);
+
+  return (data) => (validate(data) ? [] : describeErrors(validate.errors, root));
+}
+
+module.exports = {
+  ValidationError,
+  compileSchema,
+  fail
+};
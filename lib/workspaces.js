@@ -0,0 +1,395 @@
+/**
+ * workspaces.js
+ *
+ * Monorepo support. Discovers the packages of npm, yarn and pnpm workspaces,
+ * Lerna and Nx repositories, Cargo workspaces, multi-module Maven builds and
+ * Go multi-module repositories, selects the packages affected by a set of
+ * changed files and combines per-package test results into one report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { combineResults } = require('./combineResults');
+
+// Directories never searched for packages
+const SKIPPED_DIRECTORIES = ['node_modules', '.git', '.qaas-cache', 'target', 'vendor'];
+
+/**
+ * Read a file if it exists
+ *
+ * @param {string} filePath - File path
+ * @returns {string|null} - Content, or null if there is no such file
+ * @private
+ */
+function readFile(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+/**
+ * Read a JSON file, ignoring files that cannot be parsed
+ *
+ * @param {string} filePath - File path
+ * @returns {Object|null} - Parsed content, or null
+ * @private
+ */
+function readJson(filePath) {
+  try {
+    const content = readFile(filePath);
+    return content ? JSON.parse(content) : null;
+  } catch (error) {
+    console.warn(`Ignoring unreadable ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Convert one path segment of a glob (with * and ?) to a regular expression
+ *
+ * @param {string} segment - Glob segment
+ * @returns {RegExp} - Matching expression
+ * @private
+ */
+function segmentToRegExp(segment) {
+  const source = segment
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Find the directories matching a workspace glob such as packages/* or apps/**
+ *
+ * @param {string} root - Repository root
+ * @param {string} pattern - Glob relative to the root
+ * @returns {Array<string>} - Matching directories, relative to the root
+ * @private
+ */
+function expandPattern(root, pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+
+  const walk = (relative, index) => {
+    if (index === segments.length) {
+      return [relative || '.'];
+    }
+
+    const segment = segments[index];
+    const absolute = path.join(root, relative);
+    let children;
+
+    try {
+      children = fs.readdirSync(absolute, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !SKIPPED_DIRECTORIES.includes(entry.name))
+        .map(entry => entry.name);
+    } catch (error) {
+      return [];
+    }
+
+    if (segment === '**') {
+      // Zero or more directory levels
+      return [
+        ...walk(relative, index + 1),
+        ...children.flatMap(child => walk(path.posix.join(relative, child), index))
+      ];
+    }
+
+    if (!/[*?]/.test(segment)) {
+      return children.includes(segment) ? walk(path.posix.join(relative, segment), index + 1) : [];
+    }
+
+    const matcher = segmentToRegExp(segment);
+    return children
+      .filter(child => matcher.test(child))
+      .flatMap(child => walk(path.posix.join(relative, child), index + 1));
+  };
+
+  return walk('', 0);
+}
+
+/**
+ * Expand a list of workspace globs, honouring !negations
+ *
+ * @param {string} root - Repository root
+ * @param {Array<string>} patterns - Globs relative to the root
+ * @param {string} marker - File a directory must contain to be a package
+ * @returns {Array<string>} - Package directories, relative to the root
+ * @private
+ */
+function expandPatterns(root, patterns, marker) {
+  const included = new Set();
+
+  for (const pattern of patterns.filter(entry => typeof entry === 'string')) {
+    if (pattern.startsWith('!')) {
+      expandPattern(root, pattern.slice(1)).forEach(dir => included.delete(dir));
+    } else {
+      expandPattern(root, pattern)
+        .filter(dir => fs.existsSync(path.join(root, dir, marker)))
+        .forEach(dir => included.add(dir));
+    }
+  }
+
+  return [...included];
+}
+
+/**
+ * Discover npm, yarn, pnpm, Lerna and Nx packages
+ *
+ * @param {string} root - Repository root
+ * @returns {Array<Object>} - Packages
+ * @private
+ */
+function discoverNodePackages(root) {
+  const packageJson = readJson(path.join(root, 'package.json')) || {};
+  const patterns = [];
+
+  // npm and yarn: "workspaces": [...] or { "packages": [...] }
+  if (Array.isArray(packageJson.workspaces)) {
+    patterns.push(...packageJson.workspaces);
+  } else if (packageJson.workspaces && Array.isArray(packageJson.workspaces.packages)) {
+    patterns.push(...packageJson.workspaces.packages);
+  }
+
+  const pnpmWorkspace = readFile(path.join(root, 'pnpm-workspace.yaml'));
+  if (pnpmWorkspace) {
+    try {
+      patterns.push(...((yaml.load(pnpmWorkspace) || {}).packages || []));
+    } catch (error) {
+      console.warn(`Ignoring unreadable pnpm-workspace.yaml: ${error.message}`);
+    }
+  }
+
+  const lerna = readJson(path.join(root, 'lerna.json'));
+  if (lerna) {
+    patterns.push(...(lerna.packages || ['packages/*']));
+  }
+
+  const dirs = new Set(expandPatterns(root, patterns, 'package.json'));
+
+  // Nx projects are defined by project.json files anywhere in the repository
+  if (fs.existsSync(path.join(root, 'nx.json'))) {
+    expandPatterns(root, ['**'], 'project.json').forEach(dir => dirs.add(dir));
+  }
+
+  dirs.delete('.');
+
+  return [...dirs].map(dir => {
+    const manifest = readJson(path.join(root, dir, 'package.json')) || readJson(path.join(root, dir, 'project.json')) || {};
+    return {
+      name: manifest.name || dir,
+      path: dir,
+      language: 'node',
+      dependencies: Object.keys({
+        ...manifest.dependencies,
+        ...manifest.devDependencies,
+        ...manifest.peerDependencies
+      })
+    };
+  });
+}
+
+/**
+ * Read a string array from a TOML table, e.g. members = ["a", "b/*"]
+ *
+ * @param {string} toml - TOML content
+ * @param {string} table - Table name
+ * @param {string} key - Key inside the table
+ * @returns {Array<string>} - Values
+ * @private
+ */
+function readTomlArray(toml, table, key) {
+  const tableMatch = toml.match(new RegExp(`^\\[${table.replace(/\./g, '\\.')}\\]\\s*$([\\s\\S]*?)(?=^\\[|(?![\\s\\S]))`, 'm'));
+  if (!tableMatch) return [];
+
+  const arrayMatch = tableMatch[1].match(new RegExp(`^\\s*${key}\\s*=\\s*\\[([\\s\\S]*?)\\]`, 'm'));
+  if (!arrayMatch) return [];
+
+  return [...arrayMatch[1].matchAll(/"([^"]*)"|'([^']*)'/g)].map(match => match[1] !== undefined ? match[1] : match[2]);
+}
+
+/**
+ * Discover the members of a Cargo workspace
+ *
+ * @param {string} root - Repository root
+ * @returns {Array<Object>} - Packages
+ * @private
+ */
+function discoverCargoPackages(root) {
+  const cargoToml = readFile(path.join(root, 'Cargo.toml'));
+  if (!cargoToml || !/^\[workspace\]/m.test(cargoToml)) return [];
+
+  const members = readTomlArray(cargoToml, 'workspace', 'members');
+  const excluded = readTomlArray(cargoToml, 'workspace', 'exclude');
+  const dirs = expandPatterns(root, [...members, ...excluded.map(dir => `!${dir}`)], 'Cargo.toml');
+
+  return dirs.filter(dir => dir !== '.').map(dir => {
+    const manifest = readFile(path.join(root, dir, 'Cargo.toml')) || '';
+    const nameMatch = manifest.match(/^\[package\][\s\S]*?^\s*name\s*=\s*"([^"]+)"/m);
+    return { name: nameMatch ? nameMatch[1] : dir, path: dir, language: 'rust', dependencies: [] };
+  });
+}
+
+/**
+ * Discover the modules of a multi-module Maven build, including nested modules
+ *
+ * @param {string} root - Repository root
+ * @param {string} dir - Directory of the aggregating pom.xml, relative to the root
+ * @returns {Array<Object>} - Packages
+ * @private
+ */
+function discoverMavenModules(root, dir = '.') {
+  const pom = readFile(path.join(root, dir, 'pom.xml'));
+  const modulesMatch = pom && pom.match(/<modules>([\s\S]*?)<\/modules>/);
+  if (!modulesMatch) return [];
+
+  return [...modulesMatch[1].matchAll(/<module>\s*([^<]+?)\s*<\/module>/g)]
+    .map(match => path.posix.normalize(path.posix.join(dir, match[1])))
+    .filter(moduleDir => !moduleDir.startsWith('..') && fs.existsSync(path.join(root, moduleDir, 'pom.xml')))
+    .flatMap(moduleDir => {
+      const modulePom = readFile(path.join(root, moduleDir, 'pom.xml'));
+      const artifactMatch = modulePom.replace(/<parent>[\s\S]*?<\/parent>/, '').match(/<artifactId>\s*([^<]+?)\s*<\/artifactId>/);
+      const nested = discoverMavenModules(root, moduleDir);
+
+      // Aggregator modules only group other modules
+      if (nested.length > 0) return nested;
+
+      return [{ name: artifactMatch ? artifactMatch[1] : moduleDir, path: moduleDir, language: 'maven', dependencies: [] }];
+    });
+}
+
+/**
+ * Discover the modules of a Go multi-module repository (go.work or nested go.mod files)
+ *
+ * @param {string} root - Repository root
+ * @returns {Array<Object>} - Packages
+ * @private
+ */
+function discoverGoModules(root) {
+  const goWork = readFile(path.join(root, 'go.work'));
+  let dirs;
+
+  if (goWork) {
+    // use ./a or use ( ./a ./b )
+    const uses = [...goWork.matchAll(/^use\s+(?:\(([\s\S]*?)\)|(\S+))/gm)]
+      .flatMap(match => (match[1] || match[2]).split(/\s+/))
+      .map(entry => entry.trim())
+      .filter(entry => entry && !entry.startsWith('//'));
+    dirs = uses
+      .map(dir => path.posix.normalize(dir))
+      .filter(dir => !dir.startsWith('..') && fs.existsSync(path.join(root, dir, 'go.mod')));
+  } else {
+    dirs = expandPatterns(root, ['**'], 'go.mod');
+    // A single module is not a multi-module repository
+    if (dirs.length < 2) return [];
+  }
+
+  return dirs.map(dir => {
+    const goMod = readFile(path.join(root, dir, 'go.mod')) || '';
+    const moduleMatch = goMod.match(/^module\s+(\S+)/m);
+    return { name: moduleMatch ? moduleMatch[1] : dir, path: dir, language: 'go', dependencies: [] };
+  });
+}
+
+/**
+ * Discover the packages of a monorepo
+ *
+ * @param {string} repoPath - Path to the repository
+ * @returns {Array<Object>} - Packages sorted by path: { name, path, language, dependencies };
+ *   empty if the repository is a single project
+ */
+function discoverPackages(repoPath) {
+  const packages = [
+    ...discoverNodePackages(repoPath),
+    ...discoverCargoPackages(repoPath),
+    ...discoverMavenModules(repoPath),
+    ...discoverGoModules(repoPath)
+  ];
+
+  // A directory can be declared by several tools (e.g. Nx on top of npm workspaces)
+  const unique = new Map();
+  packages.forEach(pkg => {
+    if (!unique.has(pkg.path)) unique.set(pkg.path, pkg);
+  });
+
+  return [...unique.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Find the package a file belongs to
+ *
+ * @param {string} file - File path, relative to the repository root
+ * @param {Array<Object>} packages - Packages
+ * @returns {Object|null} - The package with the deepest directory containing the file,
+ *   the root package (path '.') if no other does, or null
+ * @private
+ */
+function findOwner(file, packages) {
+  return packages
+    .filter(pkg => pkg.path === '.' || file === pkg.path || file.startsWith(`${pkg.path}/`))
+    .sort((a, b) => (b.path === '.' ? -1 : b.path.length) - (a.path === '.' ? -1 : a.path.length))[0] || null;
+}
+
+/**
+ * Select the packages affected by a set of changed files
+ *
+ * A package is affected when one of its files changed or it depends on an
+ * affected package. Changes outside all packages (root manifests, lockfiles,
+ * shared config) affect every package.
+ *
+ * @param {Array<Object>} packages - Packages from discoverPackages
+ * @param {Array<string>} changedFiles - Changed files, relative to the repository root
+ * @returns {Object} - { selected, unaffected } package lists
+ */
+function selectAffectedPackages(packages, changedFiles) {
+  const owners = changedFiles
+    .map(file => file.replace(/\\/g, '/').replace(/^\.\//, ''))
+    .map(file => findOwner(file, packages));
+
+  if (owners.includes(null)) {
+    return { selected: packages, unaffected: [] };
+  }
+
+  const affected = new Set(owners.map(pkg => pkg.name));
+
+  // Dependents of affected packages are affected too
+  let grown = true;
+  while (grown) {
+    grown = false;
+    packages
+      .filter(pkg => !affected.has(pkg.name) && pkg.dependencies.some(dependency => affected.has(dependency)))
+      .forEach(pkg => {
+        affected.add(pkg.name);
+        grown = true;
+      });
+  }
+
+  return {
+    selected: packages.filter(pkg => affected.has(pkg.name)),
+    unaffected: packages.filter(pkg => !affected.has(pkg.name))
+  };
+}
+
+/**
+ * Combine per-package test results into one report
+ *
+ * @param {Array<Object>} packageResults - { package, results } or { package, error } per tested package
+ * @returns {Object} - Aggregate results: summary and details of all packages, plus a packages list
+ */
+function aggregatePackageResults(packageResults) {
+  const { runs, ...results } = combineResults(packageResults.map(({ package: pkg, results: packageResult, error }) => ({
+    name: pkg.name,
+    path: pkg.path,
+    results: packageResult,
+    error,
+    // Polyglot packages keep their per-stack breakdown
+    ...(packageResult && packageResult.stacks && { stacks: packageResult.stacks })
+  })), 'package');
+
+  return { ...results, packages: runs };
+}
+
+module.exports = {
+  discoverPackages,
+  selectAffectedPackages,
+  aggregatePackageResults
+};
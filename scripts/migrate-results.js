@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * migrate-results.js
+ *
+ * Converts stored results files (job results saved by run-local-tests.js,
+ * blockchain logger backups) to the current result schema, in place.
+ * Files already in the current schema are left untouched.
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { program } = require('commander');
+
+const { RESULTS_SCHEMA_VERSION, migrateResultsFile } = require('../lib/results');
+
+program
+  .name('migrate-results')
+  .description(`Convert stored results files to result schema version ${RESULTS_SCHEMA_VERSION}`)
+  .argument('[paths...]', 'Results files or directories of results files', ['my-test-results', 'blockchain_logs'])
+  .option('--dry-run', 'Report what would change without writing files', false)
+  .parse();
+
+const options = program.opts();
+
+/**
+ * List the JSON files of a path
+ *
+ * @param {string} target - File or directory
+ * @returns {Array<string>} - File paths
+ */
+function listFiles(target) {
+  if (!fs.existsSync(target)) {
+    console.warn(`Skipping ${target}: not found`);
+    return [];
+  }
+
+  if (fs.statSync(target).isDirectory()) {
+    return fs.readdirSync(target)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.join(target, file));
+  }
+
+  return [target];
+}
+
+/**
+ * Migrate every results file of the given paths
+ */
+function migrate() {
+  const counts = { migrated: 0, current: 0, failed: 0 };
+
+  const [paths] = program.processedArgs;
+
+  for (const target of paths) {
+    for (const filePath of listFiles(target)) {
+      try {
+        const data = fs.readJsonSync(filePath);
+        if (data.schemaVersion === RESULTS_SCHEMA_VERSION) {
+          counts.current++;
+          continue;
+        }
+
+        const migrated = migrateResultsFile(data);
+        if (!options.dryRun) {
+          fs.writeJsonSync(filePath, migrated, { spaces: 2 });
+        }
+        console.log(`${options.dryRun ? 'Would migrate' : 'Migrated'} ${filePath}`);
+        counts.migrated++;
+      } catch (error) {
+        console.error(`Failed to migrate ${filePath}: ${error.message}`);
+        counts.failed++;
+      }
+    }
+  }
+
+  console.log(`${counts.migrated} migrated, ${counts.current} already current, ${counts.failed} failed`);
+  process.exit(counts.failed > 0 ? 1 : 0);
+}
+
+migrate();
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * mock-arweave-gateway.js
+ *
+ * In-process stand-in for an Arweave gateway in the style of arlocal, used to
+ * exercise the blockchain logger's Arweave storage without AR. It answers the
+ * HTTP API arweave-js uses to create, upload and look up transactions, checks
+ * their signatures, charges their fees, reassembles chunked uploads and
+ * serves the stored data. Blocks are mined every `blockTime` ms, or on
+ * GET /mine as on arlocal.
+ *
+ * Usage:
+ *   node scripts/mock-arweave-gateway.js --port 1984 --block-time 1000
+ *   ARWEAVE_ENDPOINT=http://localhost:1984 ARWEAVE_KEY_PATH=wallet.json node index.js
+ *
+ * Wallets are funded with GET /mint/:address/:winston; stored transactions
+ * are listed by GET /transactions.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const Arweave = require('arweave');
+const Transaction = require('arweave/node/lib/transaction').default;
+const { b64UrlToBuffer, bufferTob64Url } = require('arweave/node/lib/utils');
+
+// Fee of a transaction without data, and per byte of data, in winston
+const BASE_FEE = 100000;
+
+// Pattern of transaction IDs and wallet addresses: 32 bytes, base64url
+const ID_PATTERN = '[a-zA-Z0-9_-]{43}';
+
+/**
+ * Create a mock Arweave gateway
+ *
+ * @param {Object} options - Mock gateway options
+ * @param {string|number} options.balance - Starting balance of every wallet, in winston (default 1 AR)
+ * @param {number} options.pricePerByte - Fee per byte of data, in winston (default 1000)
+ * @param {number} options.blockTime - Time between mined blocks in ms; 0 mines only on GET /mine (default 1000)
+ * @returns {Object} - Express app, the stored transactions, and mine() to mine a block
+ */
+function createMockArweaveGateway(options = {}) {
+  const { balance: startingBalance = '1000000000000', pricePerByte = 1000, blockTime = 1000 } = options;
+  const app = express();
+  const arweave = Arweave.init({});
+  const balances = new Map();
+  const transactions = new Map();
+  let height = 0;
+  let currentBlock = bufferTob64Url(crypto.randomBytes(48));
+
+  const balanceOf = address => (balances.has(address) ? balances.get(address) : BigInt(startingBalance));
+  const priceOf = bytes => BigInt(BASE_FEE) + BigInt(bytes) * BigInt(pricePerByte);
+
+  const mine = () => {
+    height++;
+    currentBlock = bufferTob64Url(crypto.randomBytes(48));
+    for (const stored of transactions.values()) {
+      if (stored.blockHeight === null && stored.data) {
+        stored.blockHeight = height;
+        stored.blockHash = currentBlock;
+      }
+    }
+    return height;
+  };
+
+  if (blockTime > 0) {
+    setInterval(mine, blockTime).unref();
+  }
+
+  app.use(express.json({ limit: '20mb' }));
+
+  app.get('/info', (req, res) => {
+    res.json({
+      network: 'arweave.mock',
+      version: 5,
+      release: 1,
+      height,
+      current: currentBlock,
+      blocks: height,
+      peers: 0,
+      queue_length: [...transactions.values()].filter(stored => stored.blockHeight === null).length,
+      node_state_latency: 0
+    });
+  });
+
+  app.get('/tx_anchor', (req, res) => {
+    res.type('text').send(currentBlock);
+  });
+
+  app.get([`/price/:bytes`, `/price/:bytes/:target`], (req, res) => {
+    res.type('text').send(priceOf(parseInt(req.params.bytes, 10) || 0).toString());
+  });
+
+  app.get(`/wallet/:address(${ID_PATTERN})/balance`, (req, res) => {
+    res.type('text').send(balanceOf(req.params.address).toString());
+  });
+
+  app.get(`/wallet/:address(${ID_PATTERN})/last_tx`, (req, res) => {
+    res.type('text').send('');
+  });
+
+  app.get(`/mint/:address(${ID_PATTERN})/:winston`, (req, res) => {
+    balances.set(req.params.address, balanceOf(req.params.address) + BigInt(req.params.winston));
+    res.type('text').send(balanceOf(req.params.address).toString());
+  });
+
+  app.get(['/mine', '/mine/:blocks'], (req, res) => {
+    const blocks = parseInt(req.params.blocks, 10) || 1;
+    for (let i = 0; i < blocks; i++) {
+      mine();
+    }
+    res.json({ height, current: currentBlock });
+  });
+
+  app.post('/tx', async (req, res) => {
+    const transaction = new Transaction(req.body);
+
+    try {
+      if (!(await arweave.transactions.verify(transaction))) {
+        return res.status(400).send('Transaction verification failed.');
+      }
+    } catch (error) {
+      return res.status(400).send(`Transaction verification failed: ${error.message}`);
+    }
+
+    const dataSize = parseInt(transaction.data_size, 10) || 0;
+    if (BigInt(transaction.reward) < priceOf(dataSize)) {
+      return res.status(400).send('Transaction reward is too low.');
+    }
+
+    const owner = await arweave.wallets.ownerToAddress(transaction.owner);
+    const balance = balanceOf(owner);
+    if (balance < BigInt(transaction.reward)) {
+      return res.status(410).send('Transaction verification failed: insufficient balance.');
+    }
+
+    if (!transactions.has(transaction.id)) {
+      balances.set(owner, balance - BigInt(transaction.reward));
+      transactions.set(transaction.id, {
+        transaction,
+        owner,
+        dataSize,
+        // Data comes in the body, or in chunks posted afterwards
+        data: transaction.data.byteLength > 0 || dataSize === 0 ? Buffer.from(transaction.data) : null,
+        chunks: new Map(),
+        blockHeight: null,
+        blockHash: null
+      });
+    }
+
+    res.type('text').send('OK');
+  });
+
+  app.post('/chunk', (req, res) => {
+    const { data_root: dataRoot, offset, chunk } = req.body;
+    const stored = [...transactions.values()].find(candidate =>
+      candidate.transaction.data_root === dataRoot && !candidate.data);
+
+    if (!stored) {
+      return res.status(400).json({ error: 'data_root_not_found' });
+    }
+
+    stored.chunks.set(parseInt(offset, 10), Buffer.from(b64UrlToBuffer(chunk)));
+
+    const received = [...stored.chunks.values()].reduce((total, bytes) => total + bytes.length, 0);
+    if (received >= stored.dataSize) {
+      const offsets = [...stored.chunks.keys()].sort((a, b) => a - b);
+      stored.data = Buffer.concat(offsets.map(chunkOffset => stored.chunks.get(chunkOffset)));
+      stored.chunks.clear();
+    }
+
+    res.json({});
+  });
+
+  app.get(`/tx/:id(${ID_PATTERN})/status`, (req, res) => {
+    const stored = transactions.get(req.params.id);
+
+    if (!stored) {
+      return res.status(404).type('text').send('Not Found');
+    }
+
+    if (stored.blockHeight === null) {
+      return res.status(202).type('text').send('Pending');
+    }
+
+    res.json({
+      block_height: stored.blockHeight,
+      block_indep_hash: stored.blockHash,
+      number_of_confirmations: height - stored.blockHeight + 1
+    });
+  });
+
+  app.get(`/tx/:id(${ID_PATTERN})`, (req, res) => {
+    const stored = transactions.get(req.params.id);
+
+    if (!stored) {
+      return res.status(404).type('text').send('Not Found');
+    }
+
+    res.status(stored.blockHeight === null ? 202 : 200).json({ ...stored.transaction.toJSON(), data: '' });
+  });
+
+  app.get(`/tx/:id(${ID_PATTERN})/data`, (req, res) => {
+    const stored = transactions.get(req.params.id);
+
+    if (!stored || !stored.data) {
+      return res.status(404).type('text').send('Not Found');
+    }
+
+    res.type('text').send(bufferTob64Url(stored.data));
+  });
+
+  app.get('/transactions', (req, res) => {
+    res.json([...transactions.values()].map(({ transaction, owner, dataSize, data, blockHeight }) => ({
+      id: transaction.id,
+      owner,
+      fee: transaction.reward,
+      dataSize,
+      uploaded: Boolean(data),
+      blockHeight,
+      tags: transaction.tags.map(tag => ({
+        name: tag.get('name', { decode: true, string: true }),
+        value: tag.get('value', { decode: true, string: true })
+      }))
+    })));
+  });
+
+  // Stored data, as gateways serve it
+  app.get(`/:id(${ID_PATTERN})`, (req, res) => {
+    const stored = transactions.get(req.params.id);
+
+    if (!stored || !stored.data) {
+      return res.status(404).type('text').send('Not Found');
+    }
+
+    const contentType = stored.transaction.tags.find(tag => tag.get('name', { decode: true, string: true }) === 'Content-Type');
+    res.type(contentType ? contentType.get('value', { decode: true, string: true }) : 'application/octet-stream').send(stored.data);
+  });
+
+  return { app, transactions, mine };
+}
+
+module.exports = { createMockArweaveGateway };
+
+if (require.main === module) {
+  const { program } = require('commander');
+
+  program
+    .name('mock-arweave-gateway')
+    .description('Run a local mock Arweave gateway')
+    .option('-p, --port <port>', 'Port to listen on', '1984')
+    .option('--balance <winston>', 'Starting balance of every wallet', '1000000000000')
+    .option('--price-per-byte <winston>', 'Fee per byte of data', '1000')
+    .option('--block-time <ms>', 'Time between mined blocks; 0 mines only on GET /mine', '1000')
+    .parse();
+
+  const options = program.opts();
+  const { app } = createMockArweaveGateway({
+    balance: options.balance,
+    pricePerByte: parseInt(options.pricePerByte, 10),
+    blockTime: parseInt(options.blockTime, 10)
+  });
+
+  app.listen(parseInt(options.port, 10), () => {
+    console.log(`Mock Arweave gateway listening on http://localhost:${options.port}`);
+  });
+}
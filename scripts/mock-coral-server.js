@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * mock-coral-server.js
+ *
+ * Local stand-in for the Coral Protocol endpoint, used to exercise the agents'
+ * Coral client without a real orchestrator. It records every event it receives,
+ * deduplicates them by idempotency key and can simulate an unavailable endpoint.
+ *
+ * Usage:
+ *   node scripts/mock-coral-server.js --port 4000 --fail-first 2
+ *   CORAL_ENDPOINT=http://localhost:4000/api/coral node index.js
+ *
+ * Recorded events can be inspected with GET /events and cleared with DELETE /events.
+ */
+
+const express = require('express');
+
+/**
+ * Create a mock Coral Protocol server
+ *
+ * @param {Object} options - Mock server options
+ * @param {number} options.failFirst - Number of requests to reject with failStatus before accepting events
+ * @param {number} options.failStatus - HTTP status used for simulated failures (default 503)
+ * @returns {Object} - Express app and the recorded events
+ */
+function createMockCoralServer(options = {}) {
+  const { failFirst = 0, failStatus = 503 } = options;
+  const app = express();
+  const events = [];
+  const seenKeys = new Set();
+  let failuresLeft = failFirst;
+
+  app.use(express.json({ limit: '10mb' }));
+
+  app.post('/api/coral', (req, res) => {
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      return res.status(failStatus).json({ error: 'Simulated Coral Protocol failure' });
+    }
+
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+
+    if (idempotencyKey && seenKeys.has(idempotencyKey)) {
+      return res.json({ accepted: true, duplicate: true, id: req.body.id });
+    }
+
+    if (idempotencyKey) {
+      seenKeys.add(idempotencyKey);
+    }
+
+    events.push({
+      receivedAt: new Date().toISOString(),
+      idempotencyKey,
+      event: req.body
+    });
+
+    res.status(202).json({ accepted: true, duplicate: false, id: req.body.id });
+  });
+
+  app.get('/events', (req, res) => {
+    res.json(events);
+  });
+
+  app.delete('/events', (req, res) => {
+    events.length = 0;
+    seenKeys.clear();
+    res.status(204).end();
+  });
+
+  return { app, events };
+}
+
+module.exports = { createMockCoralServer };
+
+if (require.main === module) {
+  const { program } = require('commander');
+
+  program
+    .name('mock-coral-server')
+    .description('Run a local mock Coral Protocol endpoint')
+    .option('-p, --port <port>', 'Port to listen on', '4000')
+    .option('--fail-first <count>', 'Reject the first N requests to simulate an outage', '0')
+    .option('--fail-status <code>', 'HTTP status used for simulated failures', '503')
+    .parse();
+
+  const options = program.opts();
+  const { app } = createMockCoralServer({
+    failFirst: parseInt(options.failFirst, 10),
+    failStatus: parseInt(options.failStatus, 10)
+  });
+
+  app.listen(parseInt(options.port, 10), () => {
+    console.log(`Mock Coral Protocol server listening on http://localhost:${options.port}/api/coral`);
+  });
+}
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+/**
+ * mock-solana-rpc.js
+ *
+ * In-process stand-in for a Solana RPC node, used to exercise the blockchain
+ * logger's transactions without a validator. It answers the JSON-RPC methods
+ * the logger uses, checks the signatures of the transactions it receives,
+ * charges their fees, and confirms them as its slot advances. Payers that
+ * can't cover the fee or stay rent-exempt get the errors of a real node.
+ *
+ * Usage:
+ *   node scripts/mock-solana-rpc.js --port 8899 --balance 0
+ *   SOLANA_ENDPOINT=http://localhost:8899 node index.js
+ *
+ * Recorded transactions can be inspected with GET /transactions, or looked up
+ * with the getTransaction method; accounts are funded with the requestAirdrop
+ * method, as on a test validator.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const bs58 = require('bs58');
+const { Message, Transaction } = require('@solana/web3.js');
+
+// Rent-exempt minimum of an account without data, as on the real clusters
+const RENT_EXEMPT_MINIMUM = 890880;
+
+// Slots after which a transaction is finalized; far fewer than on a real cluster
+const FINALIZATION_DEPTH = 4;
+
+// Slots a blockhash stays valid for
+const BLOCKHASH_VALIDITY = 150;
+
+// JSON-RPC error code of a failed preflight simulation
+const SIMULATION_FAILED = -32002;
+
+/**
+ * Error answered to a JSON-RPC request
+ *
+ * @private
+ */
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Create a mock Solana RPC server
+ *
+ * @param {Object} options - Mock server options
+ * @param {number} options.balance - Starting balance of every account, in lamports (default 10 SOL)
+ * @param {number} options.fee - Fee per signature, in lamports (default 5000)
+ * @param {number} options.slotDuration - Time per slot in ms (default 400)
+ * @returns {Object} - Express app and the recorded transactions
+ */
+function createMockSolanaRpc(options = {}) {
+  const { balance: startingBalance = 10 * 1e9, fee: feePerSignature = 5000, slotDuration = 400 } = options;
+  const app = express();
+  const startedAt = Date.now();
+  const balances = new Map();
+  const blockhashes = new Map();
+  const transactions = [];
+  const statuses = new Map();
+  const confirmedTransactions = new Map();
+
+  const currentSlot = () => Math.floor((Date.now() - startedAt) / slotDuration);
+  const context = () => ({ slot: currentSlot() });
+  const balanceOf = address => (balances.has(address) ? balances.get(address) : startingBalance);
+
+  const statusOf = (signature) => {
+    const processed = statuses.get(signature);
+    if (!processed) return null;
+
+    const confirmations = currentSlot() - processed.slot;
+    return {
+      slot: processed.slot,
+      confirmations: confirmations >= FINALIZATION_DEPTH ? null : confirmations,
+      err: processed.err,
+      confirmationStatus: confirmations >= FINALIZATION_DEPTH ? 'finalized' : confirmations >= 1 ? 'confirmed' : 'processed'
+    };
+  };
+
+  const methods = {
+    getHealth: () => 'ok',
+
+    getVersion: () => ({ 'solana-core': 'mock', 'feature-set': 0 }),
+
+    getSlot: () => currentSlot(),
+
+    getBlockHeight: () => currentSlot(),
+
+    getLatestBlockhash: () => {
+      const blockhash = bs58.encode(crypto.randomBytes(32));
+      const lastValidBlockHeight = currentSlot() + BLOCKHASH_VALIDITY;
+      blockhashes.set(blockhash, lastValidBlockHeight);
+      return { context: context(), value: { blockhash, lastValidBlockHeight } };
+    },
+
+    getFeeForMessage: ([message]) => {
+      const { recentBlockhash, header } = Message.from(Buffer.from(message, 'base64'));
+      const valid = blockhashes.has(recentBlockhash) && blockhashes.get(recentBlockhash) >= currentSlot();
+      return { context: context(), value: valid ? header.numRequiredSignatures * feePerSignature : null };
+    },
+
+    getBalance: ([address]) => ({ context: context(), value: balanceOf(address) }),
+
+    getMinimumBalanceForRentExemption: ([dataLength = 0]) => RENT_EXEMPT_MINIMUM + dataLength * 6960,
+
+    requestAirdrop: ([address, lamports]) => {
+      balances.set(address, balanceOf(address) + lamports);
+      const signature = bs58.encode(crypto.randomBytes(64));
+      statuses.set(signature, { slot: currentSlot(), err: null });
+      return signature;
+    },
+
+    sendTransaction: ([encoded, config = {}]) => {
+      if (config.encoding !== 'base64') {
+        throw new RpcError(-32602, 'Only base64 encoded transactions are supported by the mock');
+      }
+
+      const transaction = Transaction.from(Buffer.from(encoded, 'base64'));
+      if (!transaction.verifySignatures()) {
+        throw new RpcError(SIMULATION_FAILED, 'Transaction signature verification failure');
+      }
+
+      const lastValid = blockhashes.get(transaction.recentBlockhash);
+      if (lastValid === undefined || lastValid < currentSlot()) {
+        throw new RpcError(SIMULATION_FAILED, 'Transaction simulation failed: Blockhash not found', { err: 'BlockhashNotFound', logs: [] });
+      }
+
+      const payer = transaction.feePayer.toBase58();
+      const fee = transaction.signatures.length * feePerSignature;
+      const balance = balanceOf(payer);
+
+      if (balance < fee) {
+        throw new RpcError(SIMULATION_FAILED, balance === 0
+          ? 'Transaction simulation failed: Attempt to debit an account but found no record of a prior credit.'
+          : 'Transaction simulation failed: Insufficient funds for fee', { err: 'InsufficientFundsForFee', logs: [] });
+      }
+
+      if (balance - fee > 0 && balance - fee < RENT_EXEMPT_MINIMUM) {
+        throw new RpcError(SIMULATION_FAILED, 'Transaction simulation failed: Transaction results in an account (0) with insufficient funds for rent',
+          { err: { InsufficientFundsForRent: { account_index: 0 } }, logs: [] });
+      }
+
+      balances.set(payer, balance - fee);
+      const signature = bs58.encode(transaction.signature);
+      statuses.set(signature, { slot: currentSlot(), err: null });
+
+      // Looked up in the JSON encoding of getTransaction
+      const message = transaction.compileMessage();
+      confirmedTransactions.set(signature, {
+        slot: currentSlot(),
+        blockTime: Math.floor(Date.now() / 1000),
+        version: 'legacy',
+        transaction: {
+          signatures: transaction.signatures.map(({ signature: bytes }) => bs58.encode(bytes)),
+          message: {
+            accountKeys: message.accountKeys.map(key => key.toBase58()),
+            header: message.header,
+            recentBlockhash: message.recentBlockhash,
+            instructions: message.instructions
+          }
+        },
+        meta: {
+          err: null,
+          fee,
+          // The fee payer is the first account
+          preBalances: message.accountKeys.map((key, index) => (index === 0 ? balance : balanceOf(key.toBase58()))),
+          postBalances: message.accountKeys.map(key => balanceOf(key.toBase58())),
+          logMessages: [],
+          innerInstructions: []
+        }
+      });
+      transactions.push({
+        signature,
+        slot: currentSlot(),
+        feePayer: payer,
+        fee,
+        instructions: transaction.instructions.map(instruction => ({
+          programId: instruction.programId.toBase58(),
+          keys: instruction.keys.map(key => key.pubkey.toBase58()),
+          data: instruction.data.toString('utf8')
+        }))
+      });
+      return signature;
+    },
+
+    getSignatureStatuses: ([signatures]) => ({ context: context(), value: signatures.map(statusOf) }),
+
+    getTransaction: ([signature, config = {}]) => {
+      const status = statusOf(signature);
+      const recorded = confirmedTransactions.get(signature);
+      if (!recorded || status.confirmationStatus === 'processed' ||
+        (config.commitment === 'finalized' && status.confirmationStatus !== 'finalized')) {
+        return null;
+      }
+
+      return recorded;
+    }
+  };
+
+  app.use(express.json({ limit: '1mb' }));
+
+  app.post('/', (req, res) => {
+    const { id, method, params = [] } = req.body;
+
+    if (!methods[method]) {
+      return res.json({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } });
+    }
+
+    try {
+      res.json({ jsonrpc: '2.0', id, result: methods[method](params) });
+    } catch (error) {
+      res.json({
+        jsonrpc: '2.0',
+        id,
+        error: { code: error.code || -32603, message: error.message, ...(error.data && { data: error.data }) }
+      });
+    }
+  });
+
+  app.get('/transactions', (req, res) => {
+    res.json(transactions);
+  });
+
+  return { app, transactions };
+}
+
+module.exports = { createMockSolanaRpc };
+
+if (require.main === module) {
+  const { program } = require('commander');
+
+  program
+    .name('mock-solana-rpc')
+    .description('Run a local mock Solana RPC node')
+    .option('-p, --port <port>', 'Port to listen on', '8899')
+    .option('--balance <lamports>', 'Starting balance of every account', String(10 * 1e9))
+    .option('--fee <lamports>', 'Fee per signature', '5000')
+    .option('--slot-duration <ms>', 'Time per slot', '400')
+    .parse();
+
+  const options = program.opts();
+  const { app } = createMockSolanaRpc({
+    balance: parseInt(options.balance, 10),
+    fee: parseInt(options.fee, 10),
+    slotDuration: parseInt(options.slotDuration, 10)
+  });
+
+  app.listen(parseInt(options.port, 10), () => {
+    console.log(`Mock Solana RPC listening on http://localhost:${options.port}`);
+  });
+}
@@ -15,9 +15,11 @@ const { program } = require('commander');
 
 // Import agents
 const RepoClonerAgent = require('../agents/repoClonerAgent');
+const DependencyInstallerAgent = require('../agents/dependencyInstallerAgent');
 const UnitTestAgent = require('../agents/unitTestAgent');
 const IntegrationAgent = require('../agents/integrationAgent');
 const BlockchainLogger = require('../agents/blockchainLogger');
+const { RESULTS_SCHEMA_VERSION } = require('../lib/results');
 
 // Configure CLI options
 program
@@ -59,24 +61,41 @@ async function runPipeline() {
     
     // Initialize results object
     const results = {
+      schemaVersion: RESULTS_SCHEMA_VERSION,
       repoId: cloneResult.repoId,
       repoUrl: options.repo,
       branch: options.branch,
       timestamp: new Date().toISOString(),
+      install: null,
       unitTests: null,
       integrationTests: null
     };
     
-    // Step 2: Run unit tests if requested
+    // Step 2: Install dependencies
+    console.log('\n📥 Installing dependencies...');
+    const dependencyInstallerAgent = new DependencyInstallerAgent();
+    results.install = await dependencyInstallerAgent.installDependencies({
+      repoPath: cloneResult.path,
+      repoId: cloneResult.repoId,
+      repoUrl: options.repo
+    });
+    console.log(`Dependency install ${results.install.status}`);
+    
+    if (results.install.status === DependencyInstallerAgent.INSTALL_STATUS.INSTALL_ERROR) {
+      throw new Error(results.install.error);
+    }
+    
+    // Step 3: Run unit tests if requested
     if (options.testType === 'unit' || options.testType === 'all') {
       console.log('\n🧪 Running unit tests...');
       const unitTestAgent = new UnitTestAgent();
       const unitTestResults = await unitTestAgent.runTests({
         repoPath: cloneResult.path,
+        repoId: cloneResult.repoId,
         testType: 'unit'
       });
       
-      console.log(`Unit tests completed: ${unitTestResults.passed} passed, ${unitTestResults.failed} failed`);
+      console.log(`Unit tests completed (${unitTestResults.status}): ${unitTestResults.summary.passed} passed, ${unitTestResults.summary.failed} failed`);
       results.unitTests = unitTestResults;
       
       // Log unit test results to blockchain if requested
@@ -84,14 +103,14 @@ async function runPipeline() {
         console.log('\n🔗 Logging unit test results to blockchain...');
         const blockchainLogger = new BlockchainLogger({
           solanaEndpoint: process.env.SOLANA_ENDPOINT || 'https://api.devnet.solana.com',
-          programId: process.env.SOLANA_PROGRAM_ID,
-          ipfsApiKey: process.env.NFT_STORAGE_API_KEY
+          programId: process.env.SOLANA_PROGRAM_ID
         });
         
         const unitLogResult = await blockchainLogger.logResults(
           unitTestResults,
           'unit',
-          cloneResult.repoId
+          cloneResult.repoId,
+          { repoUrl: options.repo, commit: cloneResult.commit }
         );
         
         console.log('Unit test results logged to blockchain:', unitLogResult.storage?.url || 'Local only');
@@ -99,16 +118,17 @@ async function runPipeline() {
       }
     }
     
-    // Step 3: Run integration tests if requested
+    // Step 4: Run integration tests if requested
     if (options.testType === 'integration' || options.testType === 'all') {
       console.log('\n🔄 Running integration tests...');
       const integrationAgent = new IntegrationAgent();
       const integrationTestResults = await integrationAgent.runTests({
         repoPath: cloneResult.path,
+        repoId: cloneResult.repoId,
         testType: 'integration'
       });
       
-      console.log(`Integration tests completed: ${integrationTestResults.passed} passed, ${integrationTestResults.failed} failed`);
+      console.log(`Integration tests completed (${integrationTestResults.status}): ${integrationTestResults.summary.passed} passed, ${integrationTestResults.summary.failed} failed`);
       results.integrationTests = integrationTestResults;
       
       // Log integration test results to blockchain if requested
@@ -116,14 +136,14 @@ async function runPipeline() {
         console.log('\n🔗 Logging integration test results to blockchain...');
         const blockchainLogger = new BlockchainLogger({
           solanaEndpoint: process.env.SOLANA_ENDPOINT || 'https://api.devnet.solana.com',
-          programId: process.env.SOLANA_PROGRAM_ID,
-          ipfsApiKey: process.env.NFT_STORAGE_API_KEY
+          programId: process.env.SOLANA_PROGRAM_ID
         });
         
         const integrationLogResult = await blockchainLogger.logResults(
           integrationTestResults,
           'integration',
-          cloneResult.repoId
+          cloneResult.repoId,
+          { repoUrl: options.repo, commit: cloneResult.commit }
         );
         
         console.log('Integration test results logged to blockchain:', integrationLogResult.storage?.url || 'Local only');
@@ -131,12 +151,12 @@ async function runPipeline() {
       }
     }
     
-    // Step 4: Save results to file
+    // Step 5: Save results to file
     const resultsPath = path.join(options.output, `${cloneResult.repoId}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
     fs.writeJsonSync(resultsPath, results, { spaces: 2 });
     console.log(`\n💾 Results saved to ${resultsPath}`);
     
-    // Step 5: Cleanup if requested
+    // Step 6: Cleanup if requested
     if (options.cleanup) {
       console.log('\n🧹 Cleaning up...');
       // Add a small delay before cleanup to ensure all file handles are released
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * verify-results.js
+ *
+ * Verifies the results of a logged run against the attestation logged for
+ * them on Solana, and prints which checks passed or failed. Runs are named
+ * by repository ID and run ID, as listed by GET /api/results/:repoId.
+ *
+ * Usage:
+ *   node scripts/verify-results.js repo-1757875530258 unit-2025-09-14T18-45-34-391Z
+ *   node scripts/verify-results.js repo-1757875530258 unit-2025-09-14T18-45-34-391Z --commit 9fceb02 --json
+ *
+ * Attestations are only accepted from the agent keys in QAAS_TRUSTED_AGENT_KEYS
+ * and the configured agent key.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { program, InvalidArgumentError } = require('commander');
+
+const BlockchainLogger = require('../agents/blockchainLogger');
+const { COMMIT_SHA_PATTERN } = require('../lib/attestation');
+
+const CHECK_SYMBOLS = {
+  [BlockchainLogger.CHECK_STATUS.PASSED]: '✅',
+  [BlockchainLogger.CHECK_STATUS.FAILED]: '❌',
+  [BlockchainLogger.CHECK_STATUS.SKIPPED]: '⏭️ '
+};
+
+program
+  .name('verify-results')
+  .description('Verify logged test results against their on-chain attestation')
+  .argument('<repoId>', 'Repository identifier')
+  .argument('<runId>', 'Run identifier')
+  .option('-c, --commit <sha>', 'Commit the results should be for, at least 7 hex digits (defaults to the one in the local backup)', (value) => {
+    if (!COMMIT_SHA_PATTERN.test(value)) {
+      throw new InvalidArgumentError('Expected a commit SHA of 7 to 40 lowercase hex digits.');
+    }
+    return value;
+  })
+  .option('-r, --repo-url <url>', 'Repository the results should be for (defaults to the one in the local backup)')
+  .option('-d, --dir <path>', 'Directory of the local backups', 'blockchain_logs')
+  .option('--json', 'Print the verification report as JSON', false)
+  .parse();
+
+const options = program.opts();
+
+/**
+ * Verify the run and print the report
+ */
+async function verify() {
+  const [repoId, runId] = program.processedArgs;
+
+  const blockchainLogger = new BlockchainLogger({
+    solanaEndpoint: process.env.SOLANA_ENDPOINT || 'https://api.devnet.solana.com',
+    localStoragePath: path.resolve(options.dir)
+  });
+  const report = await blockchainLogger.verifyResults(repoId, runId, { commit: options.commit, repoUrl: options.repoUrl });
+
+  if (!report) {
+    console.error(`No logged run ${runId} for ${repoId} in ${options.dir}`);
+    process.exit(2);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`Verifying ${report.type} results of ${repoId} (${runId}) on ${report.network}\n`);
+    report.checks.forEach(({ name, status, message }) => {
+      console.log(`${CHECK_SYMBOLS[status]} ${name}: ${message}`);
+    });
+    console.log(`\n${report.verified ? 'Verified' : 'Not verified'}`);
+  }
+
+  process.exit(report.verified ? 0 : 1);
+}
+
+verify().catch(error => {
+  console.error(`Verification failed: ${error.message}`);
+  process.exit(2);
+});
@@ -0,0 +1,121 @@
+/**
+ * arweaveStorage.test.js
+ *
+ * Arweave storage through scripts/mock-arweave-gateway.js: storing content,
+ * waiting for it to be mined, and retrieving it.
+ */
+
+const Arweave = require('arweave');
+const { ArweaveStorage } = require('../lib/storage');
+const { createMockArweaveGateway } = require('../scripts/mock-arweave-gateway');
+const { listen, close } = require('./helpers');
+
+const CONTENT = Buffer.from(JSON.stringify({ success: true, summary: { total: 1, passed: 1, failed: 0, skipped: 0 } }));
+
+// ID of a transaction the gateway doesn't know
+const UNKNOWN_ID = 'A'.repeat(43);
+
+// Generating a 4096-bit RSA wallet can take several seconds
+const WALLET_GENERATION_TIMEOUT = 60000;
+
+describe('ArweaveStorage', () => {
+  let wallet;
+  let server;
+  let mock;
+  let endpoint;
+
+  const startMock = async (options) => {
+    // Blocks are only mined by mine(), so each test decides when content is confirmed
+    mock = createMockArweaveGateway({ blockTime: 0, ...options });
+    ({ server, url: endpoint } = await listen(mock.app));
+  };
+
+  const createStorage = (options = {}) => new ArweaveStorage({ endpoint, arweaveKey: wallet, ...options });
+
+  beforeAll(async () => {
+    wallet = await Arweave.init({}).wallets.generate();
+  }, WALLET_GENERATION_TIMEOUT);
+
+  beforeEach(() => {
+    delete process.env.STORAGE_GATEWAYS;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await close(server);
+      server = null;
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('put', () => {
+    it('stores the content in a signed data transaction with its tags', async () => {
+      await startMock();
+      const storage = createStorage();
+
+      const stored = await storage.put(CONTENT, {
+        contentType: 'application/json',
+        tags: [{ name: 'Repo-Id', value: 'repo-1' }]
+      });
+
+      expect(stored).toEqual({ cid: expect.any(String), url: `${endpoint}/${stored.cid}`, fee: expect.any(String) });
+      expect(mock.transactions.has(stored.cid)).toBe(true);
+
+      const { transaction } = mock.transactions.get(stored.cid);
+      const tags = transaction.tags.map(tag => [tag.get('name', { decode: true, string: true }), tag.get('value', { decode: true, string: true })]);
+      expect(tags).toEqual([['Content-Type', 'application/json'], ['Repo-Id', 'repo-1']]);
+    });
+
+    it('refuses to upload when the wallet cannot pay for the transaction', async () => {
+      await startMock({ balance: 0 });
+      const storage = createStorage();
+
+      await expect(storage.put(CONTENT)).rejects.toThrow(/can't pay for the transaction/);
+      expect(mock.transactions.size).toBe(0);
+    });
+  });
+
+  describe('pin', () => {
+    it('reports mined content as pinned at its block height', async () => {
+      await startMock();
+      const storage = createStorage();
+      const { cid } = await storage.put(CONTENT);
+
+      const height = mock.mine();
+
+      await expect(storage.pin(cid)).resolves.toEqual({ status: 'pinned', blockHeight: height });
+    });
+
+    it('reports content not mined within the confirmation timeout as pending', async () => {
+      await startMock();
+      const storage = createStorage({ confirmationTimeout: 1 });
+      const { cid } = await storage.put(CONTENT);
+
+      await expect(storage.pin(cid)).resolves.toEqual({ status: 'pending' });
+      await expect(storage.exists(cid)).resolves.toBe(true);
+    });
+  });
+
+  describe('get', () => {
+    it('retrieves stored content from the gateway', async () => {
+      await startMock();
+      const storage = createStorage();
+      const { cid } = await storage.put(CONTENT);
+      mock.mine();
+
+      const retrieved = await storage.get(cid);
+
+      expect(Buffer.isBuffer(retrieved)).toBe(true);
+      expect(retrieved.equals(CONTENT)).toBe(true);
+    });
+
+    it('fails for content the gateway does not have', async () => {
+      await startMock();
+      const storage = createStorage();
+
+      await expect(storage.exists(UNKNOWN_ID)).resolves.toBe(false);
+      await expect(storage.get(UNKNOWN_ID)).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * blockchainLogger.test.js
+ *
+ * Logging of attestations on Solana through scripts/mock-solana-rpc.js:
+ * sending and confirming transactions, verifying them, and payers that can't
+ * pay for them.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const BlockchainLogger = require('../agents/blockchainLogger');
+const { BLOCKCHAIN_ERROR_CODES } = require('../lib/solana');
+const { RESULTS_SCHEMA_VERSION } = require('../lib/results');
+const { decodeAttestation, hashResults, hashRepoUrl, verifyAttestation } = require('../lib/attestation');
+const { createMockSolanaRpc } = require('../scripts/mock-solana-rpc');
+const { listen, close, tempDir } = require('./helpers');
+
+// SPL Memo program, which records any UTF-8 instruction data
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+
+const FEE = 5000;
+
+// Rent-exempt minimum of the mock, as on the real clusters
+const RENT_EXEMPT_MINIMUM = 890880;
+
+const RESULTS = {
+  schemaVersion: RESULTS_SCHEMA_VERSION,
+  success: false,
+  summary: { total: 3, passed: 2, failed: 1, skipped: 0, duration: 1200 }
+};
+
+const SOURCE = { repoUrl: 'https://github.com/coral-protocol/qaas-backend.git', commit: '9fceb02d0ae598e95dc970b74767f19372d61af8' };
+
+describe('BlockchainLogger on Solana', () => {
+  let localStoragePath;
+  let server;
+  let mock;
+  let endpoint;
+
+  const startMock = async (options) => {
+    mock = createMockSolanaRpc({ slotDuration: 20, fee: FEE, ...options });
+    ({ server, url: endpoint } = await listen(mock.app));
+  };
+
+  const createLogger = (config = {}) => new BlockchainLogger({
+    solanaEndpoint: endpoint,
+    programId: MEMO_PROGRAM_ID,
+    payer: Keypair.generate(),
+    localStoragePath,
+    ...config
+  });
+
+  beforeEach(() => {
+    localStoragePath = tempDir('qaas-blockchain-logs-');
+    delete process.env.STORAGE_TYPE;
+    delete process.env.QAAS_TRUSTED_AGENT_KEYS;
+    ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await close(server);
+      server = null;
+    }
+    await fs.remove(localStoragePath);
+    jest.restoreAllMocks();
+  });
+
+  describe('send and confirm', () => {
+    it('logs the signed attestation of the results in a confirmed transaction', async () => {
+      await startMock();
+      const logger = createLogger();
+
+      const logged = await logger.logResults(RESULTS, 'unit', 'repo-1', SOURCE);
+
+      expect(logged.success).toBe(true);
+      expect(logged.blockchain).toMatchObject({ transactionId: expect.any(String), commitment: 'confirmed', fee: FEE });
+      expect(mock.transactions).toHaveLength(1);
+
+      const [transaction] = mock.transactions;
+      expect(transaction).toMatchObject({ signature: logged.blockchain.transactionId, feePayer: logger.payer.publicKey.toBase58() });
+      expect(transaction.instructions[0].programId).toBe(MEMO_PROGRAM_ID);
+
+      const attestation = decodeAttestation(Buffer.from(transaction.instructions[0].data, 'utf8'));
+      expect(attestation).toEqual(logged.attestation);
+      expect(attestation).toMatchObject({
+        resultsHash: hashResults(RESULTS),
+        repoHash: hashRepoUrl(SOURCE.repoUrl),
+        commit: SOURCE.commit,
+        passed: 2,
+        failed: 1,
+        cid: null
+      });
+      expect(verifyAttestation(attestation)).toBe(true);
+    });
+
+    it('waits for finalization when configured', async () => {
+      await startMock();
+      const logger = createLogger({ commitment: 'finalized' });
+
+      const logged = await logger.logResults(RESULTS, 'unit', 'repo-1', SOURCE);
+
+      expect(logged.blockchain).toMatchObject({ commitment: 'finalized' });
+    });
+
+    it('verifies a logged run against its transaction', async () => {
+      await startMock();
+      const logger = createLogger();
+      const logged = await logger.logResults(RESULTS, 'unit', 'repo-1', SOURCE);
+
+      const report = await logger.verifyResults('repo-1', logged.runId);
+
+      expect(report.verified).toBe(true);
+      expect(report.checks.map(({ name, status }) => [name, status])).toEqual([
+        ['payload', 'passed'],
+        ['transaction', 'passed'],
+        ['results-hash', 'passed'],
+        ['signature', 'passed'],
+        ['agent', 'passed'],
+        ['commit', 'passed'],
+        ['repo', 'passed'],
+        ['cid', 'passed']
+      ]);
+    });
+
+    it('compares the attested commit with an expected commit of at least 7 hex digits', async () => {
+      await startMock();
+      const logger = createLogger();
+      const logged = await logger.logResults(RESULTS, 'unit', 'repo-1', SOURCE);
+      const commitCheck = async (commit) => {
+        const report = await logger.verifyResults('repo-1', logged.runId, { commit });
+        return report.checks.find(({ name }) => name === 'commit').status;
+      };
+
+      await expect(commitCheck(SOURCE.commit.slice(0, 7))).resolves.toBe('passed');
+      await expect(commitCheck(SOURCE.commit.slice(0, 1))).resolves.toBe('failed');
+      await expect(commitCheck(SOURCE.commit.slice(0, 6))).resolves.toBe('failed');
+      await expect(commitCheck('0123456789abcdef0123456789abcdef01234567')).resolves.toBe('failed');
+    });
+
+    it('rejects attestations of agents it does not trust', async () => {
+      await startMock();
+      const logged = await createLogger().logResults(RESULTS, 'unit', 'repo-1', SOURCE);
+      const verifier = createLogger({ payer: Keypair.generate() });
+
+      const report = await verifier.verifyResults('repo-1', logged.runId);
+
+      expect(report.verified).toBe(false);
+      expect(report.checks.find(({ name }) => name === 'signature').status).toBe('passed');
+      expect(report.checks.find(({ name }) => name === 'agent').status).toBe('failed');
+    });
+  });
+
+  describe('stored results', () => {
+    it('lists the runs of a repository, skipping backups that cannot be read', async () => {
+      const logger = new BlockchainLogger({ localStoragePath });
+      const logged = await logger.logResults(RESULTS, 'unit', 'repo-1', SOURCE);
+      fs.writeFileSync(path.join(localStoragePath, 'repo-1-unit-2025-09-14T18-45-34-391Z.json'), '{ "type": "unit", "results": { "success": true, "summary": "all good" } }');
+      fs.writeFileSync(path.join(localStoragePath, 'repo-1-unit-2025-09-14T18-45-35-391Z.json'), 'not json');
+
+      const runs = await logger.getResultsForRepo('repo-1');
+
+      expect(runs).toEqual([expect.objectContaining({ repoId: 'repo-1', runId: logged.runId, type: 'unit' })]);
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('insufficient funds', () => {
+    it('fails before sending when the payer cannot pay the fee', async () => {
+      await startMock({ balance: 0 });
+      const logger = createLogger();
+
+      const logged = await logger.logResults(RESULTS, 'unit', 'repo-1', SOURCE);
+
+      expect(logged.success).toBe(true);
+      expect(logged.blockchain.error).toMatchObject({ code: BLOCKCHAIN_ERROR_CODES.INSUFFICIENT_FUNDS_FOR_FEE });
+      expect(logged.blockchain.transactionId).toBeUndefined();
+      expect(mock.transactions).toHaveLength(0);
+    });
+
+    it('fails before sending when the fee would leave the payer below its rent-exempt minimum', async () => {
+      await startMock({ balance: FEE + RENT_EXEMPT_MINIMUM - 1 });
+      const logger = createLogger();
+
+      const logged = await logger.logResults(RESULTS, 'unit', 'repo-1', SOURCE);
+
+      expect(logged.blockchain.error).toMatchObject({ code: BLOCKCHAIN_ERROR_CODES.INSUFFICIENT_FUNDS_FOR_RENT });
+      expect(mock.transactions).toHaveLength(0);
+    });
+
+    it('keeps a local backup of the results when logging fails', async () => {
+      await startMock({ balance: 0 });
+      const logger = createLogger();
+
+      const logged = await logger.logResults(RESULTS, 'unit', 'repo-1', SOURCE);
+
+      const backup = fs.readJsonSync(logged.localBackup);
+      expect(backup).toMatchObject({ repoId: 'repo-1', type: 'unit', results: RESULTS, blockchain: null });
+    });
+  });
+});
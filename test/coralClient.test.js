@@ -0,0 +1,160 @@
+/**
+ * coralClient.test.js
+ *
+ * Delivery of Coral Protocol events to scripts/mock-coral-server.js: retries,
+ * the outbox and idempotency keys.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const CoralClient = require('../lib/coralClient');
+const { createMockCoralServer } = require('../scripts/mock-coral-server');
+const { listen, close, unreachableUrl, tempDir } = require('./helpers');
+
+const EVENT = { action: 'unit_test', status: 'completed', timestamp: '2025-09-14T18:45:34.391Z' };
+
+describe('CoralClient', () => {
+  let outboxDir;
+  let mock;
+  let server;
+  let endpoint;
+
+  const startMock = async (options) => {
+    mock = createMockCoralServer(options);
+    ({ server, url: endpoint } = await listen(mock.app));
+    endpoint = `${endpoint}/api/coral`;
+  };
+
+  const createClient = (config = {}) => new CoralClient({
+    endpoint,
+    agentId: 'test_agent',
+    retryDelay: 1,
+    outboxDir,
+    ...config
+  });
+
+  beforeEach(() => {
+    outboxDir = tempDir('qaas-outbox-');
+    // Failed deliveries are logged
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await close(server);
+      server = null;
+    }
+    await fs.remove(outboxDir);
+    jest.restoreAllMocks();
+  });
+
+  describe('retries', () => {
+    it('retries transient failures until the event is delivered', async () => {
+      await startMock({ failFirst: 2 });
+      const client = createClient({ maxRetries: 3 });
+
+      const result = await client.send(EVENT);
+      await client.flushOutbox();
+
+      expect(result).toEqual({ delivered: true, eventId: expect.any(String) });
+      expect(mock.events).toHaveLength(1);
+      expect(mock.events[0].event).toMatchObject({ type: 'qaas.unit_test.completed', source: 'test_agent', data: EVENT });
+    });
+
+    it('drops events the endpoint rejects without retrying them', async () => {
+      await startMock({ failFirst: 1, failStatus: 400 });
+      const client = createClient({ maxRetries: 3 });
+
+      const result = await client.send(EVENT);
+
+      expect(result).toMatchObject({ delivered: false, error: `HTTP 400 from ${endpoint}` });
+      expect(result.queued).toBeUndefined();
+      expect(mock.events).toHaveLength(0);
+      expect(fs.readdirSync(outboxDir)).toHaveLength(0);
+    });
+  });
+
+  describe('outbox', () => {
+    it('stores undeliverable events and replays them once the endpoint is back', async () => {
+      await startMock({ failFirst: 2 });
+      const client = createClient({ maxRetries: 1 });
+
+      const result = await client.send(EVENT);
+
+      expect(result).toMatchObject({ delivered: false, queued: true });
+      expect(fs.readdirSync(outboxDir)).toHaveLength(1);
+
+      expect(await client.flushOutbox()).toEqual({ delivered: 1, remaining: 0 });
+      expect(mock.events.map(({ event }) => event.id)).toEqual([result.eventId]);
+    });
+
+    it('replays events to the endpoint they were meant for', async () => {
+      await startMock({ failFirst: 1 });
+      const replyClient = createClient({ maxRetries: 0 });
+      const reply = await replyClient.send(EVENT);
+
+      const [file] = fs.readdirSync(outboxDir);
+      expect(fs.readJsonSync(path.join(outboxDir, file))).toMatchObject({ endpoint, event: { id: reply.eventId } });
+
+      // A client of another endpoint, e.g. the server's own at startup, flushes the shared outbox
+      const otherClient = createClient({ endpoint: await unreachableUrl(), maxRetries: 0 });
+      expect(await otherClient.flushOutbox()).toEqual({ delivered: 1, remaining: 0 });
+      expect(mock.events.map(({ event }) => event.id)).toEqual([reply.eventId]);
+    });
+
+    it('keeps the events of an unreachable endpoint for later', async () => {
+      const unreachable = await unreachableUrl();
+      const client = createClient({ endpoint: unreachable, maxRetries: 0 });
+
+      await client.send({ ...EVENT, status: 'started' });
+      await client.send(EVENT);
+
+      expect(await client.flushOutbox()).toEqual({ delivered: 0, remaining: 2 });
+      const entries = fs.readdirSync(outboxDir).map(file => fs.readJsonSync(path.join(outboxDir, file)));
+      expect(entries.map(({ endpoint }) => endpoint)).toEqual([unreachable, unreachable]);
+      expect(entries.map(({ event }) => event.data.status).sort()).toEqual(['completed', 'started']);
+    });
+  });
+
+  describe('without an endpoint', () => {
+    it('neither sends nor queues events', async () => {
+      delete process.env.CORAL_ENDPOINT;
+      const client = new CoralClient({ outboxDir });
+
+      const result = await client.send(EVENT);
+
+      expect(result).toEqual({ delivered: false, skipped: true, eventId: expect.any(String) });
+      expect(fs.readdirSync(outboxDir)).toHaveLength(0);
+    });
+  });
+
+  describe('idempotency', () => {
+    it('sends the idempotency key as a header and keeps it across deliveries', async () => {
+      await startMock();
+      const client = createClient();
+      const event = client.createEvent(EVENT, { idempotencyKey: 'run-42-unit-completed' });
+
+      await client.deliver(event);
+      await client.deliver({ ...event, id: 'retried-copy' });
+      await client.flushOutbox();
+
+      expect(mock.events).toHaveLength(1);
+      expect(mock.events[0].idempotencyKey).toBe('run-42-unit-completed');
+    });
+
+    it('replays queued events with their original idempotency key', async () => {
+      await startMock({ failFirst: 1 });
+      const client = createClient({ maxRetries: 0 });
+      const event = client.createEvent(EVENT);
+
+      await client.deliver(event);
+      // Delivered meanwhile by another route, e.g. a retry of the orchestrator
+      await createClient().deliver(event);
+      await client.flushOutbox();
+
+      expect(mock.events).toHaveLength(1);
+      expect(mock.events[0].idempotencyKey).toBe(event.idempotencyKey);
+      expect(fs.readdirSync(outboxDir)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * coralDispatcher.test.js
+ *
+ * The /api/coral endpoint: API key check, message validation and replies
+ * posted to the orchestrator's replyTo endpoint.
+ */
+
+const express = require('express');
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const { CoralDispatcher, createCoralHandler } = require('../lib/coralDispatcher');
+const { listen, close, tempDir } = require('./helpers');
+
+const API_KEY = 'coral-test-key';
+
+describe('Coral Protocol endpoint', () => {
+  let workDir;
+  let outboxDir;
+  let servers;
+  let handled;
+
+  const start = async (app) => {
+    const started = await listen(app);
+    servers.push(started.server);
+    return started.url;
+  };
+
+  // Orchestrator receiving replies, recording them with their headers
+  const startOrchestrator = async () => {
+    const received = [];
+    const app = express();
+    app.use(express.json());
+    app.post('/api/coral', (req, res) => {
+      received.push({ headers: req.headers, body: req.body });
+      res.status(202).json({ accepted: true });
+    });
+    return { received, url: await start(app) };
+  };
+
+  const startEndpoint = async (config = {}) => {
+    const dispatcher = new CoralDispatcher({
+      agentConfig: { workDir },
+      handlers: { 'run-unit': (payload) => { handled.push(payload); return { success: true }; } },
+      ...config
+    });
+    const app = express();
+    app.use(express.json());
+    app.post('/api/coral', createCoralHandler(dispatcher, API_KEY));
+    return `${await start(app)}/api/coral`;
+  };
+
+  const post = (url, message, apiKey = API_KEY) => axios.post(url, message, {
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    validateStatus: () => true
+  });
+
+  beforeEach(() => {
+    workDir = tempDir('qaas-work-');
+    outboxDir = tempDir('qaas-outbox-');
+    fs.ensureDirSync(path.join(workDir, 'repo-1'));
+    process.env.CORAL_OUTBOX_DIR = outboxDir;
+    process.env.CORAL_API_KEY = API_KEY;
+    delete process.env.CORAL_REPLY_ORIGINS;
+    servers = [];
+    handled = [];
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.map(close));
+    await fs.remove(workDir);
+    await fs.remove(outboxDir);
+    delete process.env.CORAL_OUTBOX_DIR;
+    delete process.env.CORAL_API_KEY;
+    jest.restoreAllMocks();
+  });
+
+  describe('API key', () => {
+    it('requires an API key to be configured', () => {
+      expect(() => createCoralHandler(new CoralDispatcher(), '')).toThrow(/CORAL_API_KEY/);
+    });
+
+    it('rejects requests without the API key', async () => {
+      const url = await startEndpoint();
+
+      const missing = await post(url, { id: 'msg-1', type: 'run-unit' }, null);
+      const wrong = await post(url, { id: 'msg-1', type: 'run-unit' }, `${API_KEY}-x`);
+
+      expect(missing.status).toBe(401);
+      expect(wrong.status).toBe(401);
+      expect(handled).toHaveLength(0);
+    });
+
+    it('dispatches requests with the API key', async () => {
+      const url = await startEndpoint();
+
+      const response = await post(url, { id: 'msg-1', type: 'run-unit', payload: { repoPath: 'repo-1' } });
+
+      expect(response.status).toBe(200);
+      expect(response.data).toMatchObject({ type: 'run-unit.result', correlationId: 'msg-1', status: 'success' });
+      expect(handled).toEqual([{ repoPath: 'repo-1' }]);
+    });
+  });
+
+  describe('validation', () => {
+    it('rejects repository paths outside the work directory', async () => {
+      const url = await startEndpoint();
+
+      const outside = await post(url, { id: 'msg-1', type: 'run-unit', payload: { repoPath: '..' } });
+      const workDirItself = await post(url, { id: 'msg-2', type: 'run-unit', payload: { repoPath: workDir } });
+
+      expect(outside.status).toBe(400);
+      expect(workDirItself.status).toBe(400);
+      expect(handled).toHaveLength(0);
+    });
+
+    it('rejects a replyTo when no orchestrator origins are configured', async () => {
+      const orchestrator = await startOrchestrator();
+      const url = await startEndpoint();
+
+      const response = await post(url, { id: 'msg-1', type: 'run-unit', replyTo: `${orchestrator.url}/api/coral` });
+
+      expect(response.status).toBe(400);
+      expect(response.data.error).toMatch(/CORAL_REPLY_ORIGINS/);
+      expect(handled).toHaveLength(0);
+    });
+
+    it('rejects a replyTo outside the configured orchestrator origins', async () => {
+      const orchestrator = await startOrchestrator();
+      const url = await startEndpoint({ replyOrigins: [orchestrator.url] });
+
+      const response = await post(url, { id: 'msg-1', type: 'run-unit', replyTo: 'http://127.0.0.1:1/api/coral' });
+
+      expect(response.status).toBe(400);
+      expect(handled).toHaveLength(0);
+    });
+  });
+
+  describe('replies', () => {
+    it('posts the result to an allowed replyTo without the API key', async () => {
+      const orchestrator = await startOrchestrator();
+      const url = await startEndpoint({ replyOrigins: [orchestrator.url] });
+
+      const response = await post(url, {
+        id: 'msg-1',
+        type: 'run-unit',
+        payload: { repoPath: 'repo-1' },
+        replyTo: `${orchestrator.url}/api/coral`
+      });
+      expect(response.status).toBe(202);
+
+      for (let i = 0; i < 50 && orchestrator.received.length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      expect(orchestrator.received).toHaveLength(1);
+      const [reply] = orchestrator.received;
+      expect(reply.body).toMatchObject({ correlationId: 'msg-1', status: 'success', result: { success: true } });
+      expect(reply.headers.authorization).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * dependencyCache.test.js
+ *
+ * The dependency cache: keys, saving and restoring entries, and evicting the
+ * least recently used ones.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const DependencyCache = require('../lib/dependencyCache');
+const { tempDir } = require('./helpers');
+
+/**
+ * Store an entry of the given size in a cache
+ *
+ * @param {DependencyCache} cache - Cache
+ * @param {string} key - Cache key
+ * @param {number} size - Bytes of the entry's only file
+ * @param {string} lastUsedAt - Time the entry was last used
+ * @returns {Promise<void>}
+ */
+async function storeEntry(cache, key, size, lastUsedAt) {
+  const stagingPath = await cache.stage();
+  await fs.outputFile(path.join(stagingPath, 'node_modules/pkg/index.js'), 'x'.repeat(size));
+  await cache.commit(key, stagingPath);
+
+  const metaPath = path.join(cache.dir, `${key}.json`);
+  await fs.writeJson(metaPath, { ...(await fs.readJson(metaPath)), lastUsedAt });
+}
+
+describe('DependencyCache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = tempDir('qaas-cache-');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  describe('parseSize', () => {
+    it.each([
+      [1024, 1024],
+      ['512', 512],
+      ['10k', 10240],
+      ['1.5m', 1572864],
+      ['5G', 5 * 1024 ** 3],
+      ['2 tb', 2 * 1024 ** 4],
+      ['0', 0]
+    ])('parses %j', (size, bytes) => {
+      expect(DependencyCache.parseSize(size)).toBe(bytes);
+    });
+
+    it('rejects other sizes', () => {
+      expect(() => DependencyCache.parseSize('lots')).toThrow('Invalid cache size: lots');
+      expect(() => new DependencyCache({ dir, maxSize: '-1g' })).toThrow('Invalid cache size');
+    });
+  });
+
+  describe('computeKey', () => {
+    it('depends on every input', () => {
+      const inputs = { repo: 'https://github.com/example/app.git', lockfiles: { 'package-lock.json': 'abc' }, node: 'v20.11.0' };
+
+      expect(DependencyCache.computeKey(inputs)).toMatch(/^[0-9a-f]{64}$/);
+      expect(DependencyCache.computeKey({ ...inputs })).toBe(DependencyCache.computeKey(inputs));
+      expect(DependencyCache.computeKey({ ...inputs, node: 'v22.1.0' })).not.toBe(DependencyCache.computeKey(inputs));
+      expect(DependencyCache.computeKey({ ...inputs, repo: 'https://github.com/example/fork.git' })).not.toBe(DependencyCache.computeKey(inputs));
+    });
+  });
+
+  it('restores a committed entry and marks it as used', async () => {
+    const cache = new DependencyCache({ dir, maxSize: '1m' });
+    await storeEntry(cache, 'key1', 100, '2026-01-01T00:00:00.000Z');
+
+    const entryPath = await cache.lookup('key1');
+    cache.release('key1');
+
+    expect(entryPath).toBe(path.join(dir, 'key1'));
+    expect(fs.readFileSync(path.join(entryPath, 'node_modules/pkg/index.js'), 'utf8')).toHaveLength(100);
+    const [entry] = await cache.list();
+    expect(entry).toMatchObject({ key: 'key1', size: 100 });
+    expect(entry.lastUsedAt > '2026-01-01T00:00:00.000Z').toBe(true);
+    await expect(cache.lookup('missing')).resolves.toBeNull();
+  });
+
+  it('keeps the entry of the run that stored a key first', async () => {
+    const cache = new DependencyCache({ dir, maxSize: '1m' });
+    await storeEntry(cache, 'key1', 100, '2026-01-01T00:00:00.000Z');
+
+    const stagingPath = await cache.stage();
+    await fs.outputFile(path.join(stagingPath, 'other.txt'), 'other');
+
+    await expect(cache.commit('key1', stagingPath)).resolves.toEqual({ saved: false, size: 5 });
+    expect(fs.existsSync(stagingPath)).toBe(false);
+    expect(fs.existsSync(path.join(dir, 'key1/other.txt'))).toBe(false);
+  });
+
+  it('evicts the least recently used entries when an entry is saved beyond the size limit', async () => {
+    const cache = new DependencyCache({ dir, maxSize: 250 });
+    await storeEntry(cache, 'first', 100, '2026-01-02T00:00:00.000Z');
+    await storeEntry(cache, 'second', 100, '2026-01-01T00:00:00.000Z');
+    await storeEntry(cache, 'third', 100, '2026-01-03T00:00:00.000Z');
+
+    expect((await cache.list()).map(entry => entry.key).sort()).toEqual(['first', 'third']);
+    expect(fs.existsSync(path.join(dir, 'second'))).toBe(false);
+  });
+
+  it('keeps entries being restored from eviction until they are released', async () => {
+    const unlimited = new DependencyCache({ dir, maxSize: '1m' });
+    await storeEntry(unlimited, 'restoring', 100, '2026-01-01T00:00:00.000Z');
+    await storeEntry(unlimited, 'other', 100, '2026-01-02T00:00:00.000Z');
+
+    const cache = new DependencyCache({ dir, maxSize: 150 });
+    const entryPath = await cache.lookup('restoring');
+    // The lookup made it the most recently used entry
+    await fs.writeJson(`${entryPath}.json`, { key: 'restoring', size: 100, lastUsedAt: '2026-01-01T00:00:00.000Z' });
+
+    await expect(new DependencyCache({ dir, maxSize: 50 }).evict()).resolves.toEqual(['other']);
+
+    cache.release('restoring');
+    await expect(new DependencyCache({ dir, maxSize: 50 }).evict()).resolves.toEqual(['restoring']);
+    await expect(cache.list()).resolves.toEqual([]);
+  });
+
+  it('is disabled with a size limit of 0', async () => {
+    const cache = new DependencyCache({ dir, maxSize: 0 });
+    await fs.outputFile(path.join(dir, 'key1/file'), 'data');
+    await fs.writeJson(path.join(dir, 'key1.json'), { key: 'key1', size: 4, lastUsedAt: '2026-01-01T00:00:00.000Z' });
+
+    expect(cache.enabled).toBe(false);
+    await expect(cache.lookup('key1')).resolves.toBeNull();
+  });
+
+  it('skips unreadable entry metadata when listing', async () => {
+    const cache = new DependencyCache({ dir, maxSize: '1m' });
+    await storeEntry(cache, 'key1', 10, '2026-01-01T00:00:00.000Z');
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+    expect((await cache.list()).map(entry => entry.key)).toEqual(['key1']);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipping unreadable cache entry broken.json'));
+  });
+});
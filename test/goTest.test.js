@@ -0,0 +1,96 @@
+/**
+ * goTest.test.js
+ *
+ * Results of Go tests from the event stream of `go test -json`.
+ */
+
+const { parseGoTestJson } = require('../lib/goTest');
+
+/**
+ * Write go test events as the lines of a stream
+ *
+ * @param {Array<Object>} events - Events
+ * @returns {string} - Output of `go test -json`
+ */
+function stream(events) {
+  return events.map(event => JSON.stringify(event)).join('\n');
+}
+
+describe('parseGoTestJson', () => {
+  it('reads the tests and subtests of each package', () => {
+    const output = stream([
+      { Action: 'start', Package: 'example.com/app/math' },
+      { Action: 'run', Package: 'example.com/app/math', Test: 'TestAdd' },
+      { Action: 'output', Package: 'example.com/app/math', Test: 'TestAdd', Output: '=== RUN   TestAdd\n' },
+      { Action: 'pass', Package: 'example.com/app/math', Test: 'TestAdd', Elapsed: 0.01 },
+      { Action: 'run', Package: 'example.com/app/math', Test: 'TestDivide/by_zero' },
+      { Action: 'output', Package: 'example.com/app/math', Test: 'TestDivide/by_zero', Output: '    math_test.go:21: expected error\n' },
+      { Action: 'fail', Package: 'example.com/app/math', Test: 'TestDivide/by_zero', Elapsed: 0.002 },
+      { Action: 'skip', Package: 'example.com/app/math', Test: 'TestRound', Elapsed: 0 },
+      { Action: 'fail', Package: 'example.com/app/math', Elapsed: 0.4 },
+      { Action: 'pass', Package: 'example.com/app/api', Elapsed: 1.25 }
+    ]);
+
+    const results = parseGoTestJson(`go: downloading example.com/dep v1.0.0\n${output}\n`);
+
+    expect(results.success).toBe(false);
+    expect(results.summary).toEqual({ total: 3, passed: 1, failed: 1, skipped: 1, duration: 1250 });
+    expect(results.details).toEqual([
+      { name: 'TestAdd', suite: 'example.com/app/math', status: 'passed', duration: 10, failureMessages: [] },
+      {
+        name: 'TestDivide/by_zero',
+        suite: 'example.com/app/math',
+        parent: 'TestDivide',
+        status: 'failed',
+        duration: 2,
+        failureMessages: ['math_test.go:21: expected error']
+      },
+      { name: 'TestRound', suite: 'example.com/app/math', status: 'skipped', duration: 0, failureMessages: [] }
+    ]);
+  });
+
+  it('reports a package that failed to build with its build errors', () => {
+    const output = stream([
+      { Action: 'start', Package: 'example.com/app/broken' },
+      { Action: 'output', Package: 'example.com/app/broken', Output: 'FAIL\texample.com/app/broken [build failed]\n' },
+      { Action: 'fail', Package: 'example.com/app/broken', Elapsed: 0 }
+    ]);
+    const errorOutput = [
+      '# example.com/app/broken [example.com/app/broken.test]',
+      './broken.go:3:1: syntax error: non-declaration statement outside function body',
+      '# example.com/app/other',
+      './other.go:1:1: unrelated'
+    ].join('\n');
+
+    const results = parseGoTestJson(output, errorOutput);
+
+    expect(results.details).toEqual([{
+      name: 'example.com/app/broken',
+      suite: 'example.com/app/broken',
+      status: 'failed',
+      duration: 0,
+      failureMessages: [
+        './broken.go:3:1: syntax error: non-declaration statement outside function body\nFAIL\texample.com/app/broken [build failed]'
+      ]
+    }]);
+  });
+
+  it('fails tests that were still running when the test binary died', () => {
+    const output = stream([
+      { Action: 'run', Package: 'example.com/app', Test: 'TestSlow' },
+      { Action: 'output', Package: 'example.com/app', Output: 'panic: test timed out after 10m0s\n' },
+      { Action: 'fail', Package: 'example.com/app', Elapsed: 600 }
+    ]);
+
+    const results = parseGoTestJson(output);
+
+    expect(results.details).toEqual([
+      { name: 'TestSlow', suite: 'example.com/app', status: 'failed', duration: 0, failureMessages: ['TestSlow failed'] }
+    ]);
+    expect(results.summary.duration).toBe(600000);
+  });
+
+  it('returns null for output without events', () => {
+    expect(parseGoTestJson('ok  \texample.com/app\t0.01s\n{not json}\n{"Time":"2026-01-01"}')).toBeNull();
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * helpers.js
+ *
+ * Shared setup of the tests that run against the mock servers in scripts/.
+ */
+
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Start an Express app on a free local port
+ *
+ * @param {Object} app - Express app, e.g. of a mock server, or an HTTP server
+ * @returns {Promise<Object>} - { server, url } of the listening app
+ */
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Stop a server started with listen()
+ *
+ * @param {Object} server - HTTP server
+ * @returns {Promise<void>}
+ */
+function close(server) {
+  return new Promise(resolve => server.close(() => resolve()));
+}
+
+/**
+ * URL nothing listens on, for simulating an unreachable endpoint
+ *
+ * @returns {Promise<string>} - URL of a port that was just freed
+ */
+async function unreachableUrl() {
+  const { server, url } = await listen(http.createServer());
+  await close(server);
+  return url;
+}
+
+/**
+ * Create a temporary directory, removed with fs.remove once the test is done
+ *
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} - Directory path
+ */
+function tempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+module.exports = {
+  listen,
+  close,
+  unreachableUrl,
+  tempDir
+};
@@ -0,0 +1,212 @@
+/**
+ * jobQueue.test.js
+ *
+ * The job queue: cancelling jobs, restoring them after a restart, dropping
+ * their credentials once finished and removing old finished jobs.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const JobQueue = require('../lib/jobQueue');
+const { tempDir } = require('./helpers');
+
+const { JOB_STATUS } = JobQueue;
+
+const PARAMS = {
+  repo: { url: 'https://github.com/example/app.git' },
+  auth: { token: 'ghp_secret' },
+  secrets: { API_KEY: 'key' }
+};
+
+/**
+ * Wait until a job reaches a status
+ *
+ * @param {JobQueue} queue - Queue running the job
+ * @param {string} jobId - Job identifier
+ * @param {string} status - Expected status
+ * @returns {Promise<Object>} - The job
+ */
+function waitForStatus(queue, jobId, status) {
+  return new Promise(resolve => {
+    const check = job => {
+      if (job.id === jobId && job.status === status) {
+        queue.off('job', check);
+        resolve(job);
+      }
+    };
+    queue.on('job', check);
+    check(queue.getJob(jobId));
+  });
+}
+
+/**
+ * Write a job file as a previous server run left it
+ *
+ * @param {string} storageDir - Jobs directory
+ * @param {Object} job - Job fields
+ * @returns {Object} - The written job
+ */
+function writeJob(storageDir, job) {
+  const written = {
+    params: { repo: { url: 'https://github.com/example/app.git' } },
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    startedAt: null,
+    finishedAt: null,
+    results: null,
+    error: null,
+    ...job
+  };
+  fs.writeJsonSync(path.join(storageDir, `${written.id}.json`), written);
+  return written;
+}
+
+describe('JobQueue', () => {
+  let storageDir;
+
+  beforeEach(() => {
+    storageDir = tempDir('jobs-');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(storageDir);
+  });
+
+  it('runs a job and stores its results without the credentials', async () => {
+    const processor = jest.fn(async () => ({ success: true }));
+    const queue = new JobQueue({ processor, storageDir });
+    queue.start();
+
+    const job = queue.enqueue(PARAMS);
+    await waitForStatus(queue, job.id, JOB_STATUS.DONE);
+
+    expect(processor).toHaveBeenCalledWith(PARAMS, expect.objectContaining({ jobId: job.id }));
+    expect(job.results).toEqual({ success: true });
+    expect(job.params).toEqual({ repo: PARAMS.repo });
+    expect(fs.readJsonSync(path.join(storageDir, `${job.id}.json`)).params).toEqual({ repo: PARAMS.repo });
+  });
+
+  it('drops the credentials of a failed job', async () => {
+    const queue = new JobQueue({
+      processor: async () => { throw new Error('clone failed'); },
+      storageDir
+    });
+    queue.start();
+
+    const job = queue.enqueue(PARAMS);
+    await waitForStatus(queue, job.id, JOB_STATUS.FAILED);
+
+    expect(job.error).toBe('clone failed');
+    expect(job.params.auth).toBeUndefined();
+    expect(job.params.secrets).toBeUndefined();
+  });
+
+  it('aborts the signal of a running job when it is cancelled', async () => {
+    let signal;
+    const queue = new JobQueue({
+      processor: (params, context) => new Promise((resolve, reject) => {
+        signal = context.signal;
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }),
+      storageDir
+    });
+    queue.start();
+
+    const job = queue.enqueue(PARAMS);
+    await new Promise(resolve => setImmediate(resolve));
+    queue.cancel(job.id);
+
+    expect(signal.aborted).toBe(true);
+    expect(job.status).toBe(JOB_STATUS.CANCELLED);
+    expect(job.params.auth).toBeUndefined();
+
+    // The rejected processor does not turn the cancelled job into a failed one
+    await new Promise(resolve => setImmediate(resolve));
+    expect(job.status).toBe(JOB_STATUS.CANCELLED);
+    expect(queue.running.size).toBe(0);
+  });
+
+  it('cancels a queued job before it starts', async () => {
+    const processor = jest.fn(() => new Promise(() => {}));
+    const queue = new JobQueue({ processor, concurrency: 1, storageDir });
+    queue.start();
+
+    queue.enqueue(PARAMS);
+    const queued = queue.enqueue(PARAMS);
+    queue.cancel(queued.id);
+
+    expect(queued.status).toBe(JOB_STATUS.CANCELLED);
+    expect(queue.pending).toEqual([]);
+    expect(processor).toHaveBeenCalledTimes(1);
+    expect(queue.cancel('unknown')).toBeNull();
+  });
+
+  it('re-queues unfinished jobs on restart and keeps finished ones', async () => {
+    writeJob(storageDir, { id: 'running', status: JOB_STATUS.UNIT, startedAt: '2026-01-01T00:00:01.000Z', params: PARAMS });
+    writeJob(storageDir, { id: 'done', status: JOB_STATUS.DONE, finishedAt: new Date().toISOString(), params: PARAMS });
+    fs.writeFileSync(path.join(storageDir, 'broken.json'), '{');
+
+    const processor = jest.fn(async () => ({ success: true }));
+    const queue = new JobQueue({ processor, storageDir });
+    queue.start();
+
+    expect(queue.getJob('running').startedAt).not.toBeNull();
+    await waitForStatus(queue, 'running', JOB_STATUS.DONE);
+
+    expect(processor).toHaveBeenCalledTimes(1);
+    expect(processor).toHaveBeenCalledWith(PARAMS, expect.anything());
+    expect(queue.getJob('done').status).toBe(JOB_STATUS.DONE);
+    // Credentials written before finished jobs dropped them
+    expect(fs.readJsonSync(path.join(storageDir, 'done.json')).params.auth).toBeUndefined();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipping unreadable job file broken.json'));
+  });
+
+  it('removes finished jobs beyond the retention count on restart', () => {
+    ['first', 'second', 'third'].forEach((id, index) => {
+      writeJob(storageDir, { id, status: JOB_STATUS.DONE, finishedAt: new Date(Date.now() - (3 - index) * 1000).toISOString() });
+    });
+    writeJob(storageDir, { id: 'queued', status: JOB_STATUS.QUEUED });
+
+    const queue = new JobQueue({ processor: () => new Promise(() => {}), maxFinishedJobs: 2, storageDir });
+    queue.start();
+
+    expect(queue.getJob('first')).toBeNull();
+    expect(queue.getJob('second')).not.toBeNull();
+    expect(queue.getJob('third')).not.toBeNull();
+    expect(queue.getJob('queued')).not.toBeNull();
+    expect(fs.existsSync(path.join(storageDir, 'first.json'))).toBe(false);
+    expect(fs.existsSync(path.join(storageDir, 'second.json'))).toBe(true);
+  });
+
+  it('removes finished jobs older than the retention age', async () => {
+    writeJob(storageDir, { id: 'old', status: JOB_STATUS.FAILED, finishedAt: '2026-01-01T00:00:00.000Z' });
+
+    const queue = new JobQueue({ processor: async () => ({ success: true }), finishedJobMaxAge: 60 * 60 * 1000, storageDir });
+    queue.start();
+
+    expect(queue.getJob('old')).toBeNull();
+    expect(fs.existsSync(path.join(storageDir, 'old.json'))).toBe(false);
+
+    const job = queue.enqueue(PARAMS);
+    await waitForStatus(queue, job.id, JOB_STATUS.DONE);
+    expect(queue.getJob(job.id)).not.toBeNull();
+  });
+
+  it('removes the oldest finished job once another one finishes', async () => {
+    const queue = new JobQueue({ processor: async () => ({ success: true }), maxFinishedJobs: 1, storageDir });
+    queue.start();
+
+    const first = queue.enqueue(PARAMS);
+    await waitForStatus(queue, first.id, JOB_STATUS.DONE);
+    const second = queue.enqueue(PARAMS);
+    await waitForStatus(queue, second.id, JOB_STATUS.DONE);
+
+    expect(queue.getJob(first.id)).toBeNull();
+    expect(queue.getJob(second.id)).not.toBeNull();
+    expect(fs.existsSync(path.join(storageDir, `${first.id}.json`))).toBe(false);
+  });
+});
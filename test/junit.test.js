@@ -0,0 +1,170 @@
+/**
+ * junit.test.js
+ *
+ * JUnit XML reports: parsing them, collecting them from the checkout and
+ * reading a reports directory.
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const { parseJUnitReport, jestCommand, withReportCollection, readJUnitReports } = require('../lib/junit');
+const { tempDir } = require('./helpers');
+
+// Maven Surefire report
+const SUREFIRE_REPORT = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE testsuite>
+<testsuite name="com.example.MathTest" tests="3" failures="1" skipped="1" time="1,234.5">
+  <!-- properties are ignored -->
+  <properties><property name="java.version" value="17"/></properties>
+  <testcase name="adds" classname="com.example.MathTest" time="0.012"/>
+  <testcase name="divides" classname="com.example.MathTest" time="0.5">
+    <failure message="expected: &lt;2&gt; but was: &lt;3&gt;" type="org.opentest4j.AssertionFailedError"><![CDATA[org.opentest4j.AssertionFailedError: expected: <2> but was: <3>
+	at com.example.MathTest.divides(MathTest.java:21)]]></failure>
+  </testcase>
+  <testcase name="rounds" classname="com.example.MathTest"><skipped message="not ready"/></testcase>
+</testsuite>`;
+
+// Playwright report with nested suites and an error without message
+const PLAYWRIGHT_REPORT = `<testsuites id="" name="" tests="2" time="3.5">
+  <testsuite name="login.spec.ts" time="3.5">
+    <testsuite name="chromium">
+      <testcase name="logs in &#x2713;" classname="login.spec.ts" time="1.5"/>
+      <testcase name="shows errors" classname='login.spec.ts' time="2">
+        <error>TimeoutError: locator.click: Timeout 5000ms exceeded.
+    at login.spec.ts:12:5</error>
+      </testcase>
+    </testsuite>
+  </testsuite>
+</testsuites>`;
+
+describe('junit', () => {
+  describe('parseJUnitReport', () => {
+    it('reads the tests of a testsuite report', () => {
+      const report = parseJUnitReport(SUREFIRE_REPORT);
+
+      expect(report.duration).toBe(1234500);
+      expect(report.details).toEqual([
+        { name: 'adds', suite: 'com.example.MathTest', classname: 'com.example.MathTest', status: 'passed', duration: 12, failureMessages: [], stackTrace: null },
+        {
+          name: 'divides',
+          suite: 'com.example.MathTest',
+          classname: 'com.example.MathTest',
+          status: 'failed',
+          duration: 500,
+          failureMessages: ['expected: <2> but was: <3>'],
+          stackTrace: 'org.opentest4j.AssertionFailedError: expected: <2> but was: <3>\n\tat com.example.MathTest.divides(MathTest.java:21)'
+        },
+        { name: 'rounds', suite: 'com.example.MathTest', classname: 'com.example.MathTest', status: 'skipped', duration: 0, failureMessages: ['not ready'], stackTrace: null }
+      ]);
+    });
+
+    it('flattens nested suites and uses the first trace line of errors without message', () => {
+      const report = parseJUnitReport(PLAYWRIGHT_REPORT);
+
+      expect(report.duration).toBe(3500);
+      expect(report.details.map(detail => [detail.suite, detail.name, detail.status])).toEqual([
+        ['chromium', 'logs in ✓', 'passed'],
+        ['chromium', 'shows errors', 'failed']
+      ]);
+      expect(report.details[1].failureMessages).toEqual(['TimeoutError: locator.click: Timeout 5000ms exceeded.']);
+    });
+
+    it('adds up the test durations when the suites report no time', () => {
+      const report = parseJUnitReport('<testsuite><testcase name="a" time="0.25"/><testcase name="b" time="0.5"/></testsuite>');
+
+      expect(report.duration).toBe(750);
+      expect(report.details[0].suite).toBe('');
+    });
+
+    it.each([
+      ['an unclosed element', '<testsuite><testcase name="a">', 'Unclosed element <testcase>'],
+      ['a mismatched closing tag', '<testsuite></testsuites>', 'Unexpected closing tag'],
+      ['unterminated CDATA', '<testsuite><![CDATA[trace</testsuite>', 'Unterminated markup'],
+      ['several root elements', '<testsuite/><testsuite/>', 'exactly one root element'],
+      ['another document', '<project><modelVersion>4.0.0</modelVersion></project>', 'Not a JUnit report']
+    ])('rejects %s', (label, xml, message) => {
+      expect(() => parseJUnitReport(xml)).toThrow(message);
+    });
+  });
+
+  describe('jestCommand', () => {
+    let projectPath;
+
+    beforeEach(() => {
+      projectPath = tempDir('junit-project-');
+    });
+
+    afterEach(async () => {
+      await fs.remove(projectPath);
+    });
+
+    it('adds the jest-junit reporter when the project depends on it', () => {
+      fs.writeJsonSync(path.join(projectPath, 'package.json'), { devDependencies: { jest: '^29.0.0', 'jest-junit': '^16.0.0' } });
+
+      const command = jestCommand(projectPath, '--json');
+
+      expect(command).toMatch(/^JEST_JUNIT_OUTPUT_DIR="\$QAAS_REPORTS_DIR" /);
+      expect(command).toContain('npx jest --json --reporters=default --reporters=jest-junit');
+    });
+
+    it('runs jest alone otherwise', () => {
+      fs.writeJsonSync(path.join(projectPath, 'package.json'), { devDependencies: { jest: '^29.0.0' } });
+
+      expect(jestCommand(projectPath)).toBe('npx jest');
+      expect(jestCommand(path.join(projectPath, 'missing'), '--ci')).toBe('npx jest --ci');
+    });
+  });
+
+  describe('reports directory', () => {
+    let checkout;
+    let reportsDir;
+
+    beforeEach(() => {
+      checkout = tempDir('junit-checkout-');
+      reportsDir = tempDir('qaas-reports-');
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.remove(checkout);
+      await fs.remove(reportsDir);
+    });
+
+    it('copies the reports written during the command and keeps its exit code', () => {
+      fs.outputFileSync(path.join(checkout, 'target/surefire-reports/TEST-old.xml'), SUREFIRE_REPORT);
+      const command = withReportCollection([
+        'mkdir -p target/surefire-reports node_modules/pkg/test-results',
+        'echo "<testsuite/>" > target/surefire-reports/TEST-com.example.MathTest.xml',
+        'echo "<testsuite/>" > node_modules/pkg/test-results/junit.xml',
+        'echo "<project/>" > pom.xml',
+        'exit 3'
+      ].join('\n'));
+
+      const run = spawnSync('sh', ['-c', command], { cwd: checkout, env: { ...process.env, QAAS_REPORTS_DIR: reportsDir } });
+
+      expect(run.status).toBe(3);
+      expect(fs.readdirSync(reportsDir).filter(file => file.endsWith('.xml'))).toEqual(['target_surefire-reports_TEST-com.example.MathTest.xml']);
+    });
+
+    it('reads the JUnit reports, skipping files that are not', async () => {
+      fs.writeFileSync(path.join(reportsDir, 'surefire.xml'), SUREFIRE_REPORT);
+      fs.writeFileSync(path.join(reportsDir, 'playwright.xml'), PLAYWRIGHT_REPORT);
+      fs.writeFileSync(path.join(reportsDir, 'broken.xml'), '<testsuite>');
+      fs.writeFileSync(path.join(reportsDir, 'notes.txt'), 'not a report');
+
+      const reports = await readJUnitReports(reportsDir);
+
+      expect(reports.files).toEqual(['playwright.xml', 'surefire.xml']);
+      expect(reports.summary).toEqual({ total: 5, passed: 2, failed: 2, skipped: 1, duration: 1238000 });
+      expect(console.warn).toHaveBeenCalledWith('Skipping report broken.xml: Unclosed element <testsuite>');
+    });
+
+    it('returns null without reports', async () => {
+      await expect(readJUnitReports(reportsDir)).resolves.toBeNull();
+      await expect(readJUnitReports(path.join(reportsDir, 'missing'))).resolves.toBeNull();
+      await expect(readJUnitReports(null)).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * libtest.test.js
+ *
+ * Results of Rust tests from libtest's JSON output, interleaved with cargo's
+ * messages naming each test target.
+ */
+
+const { parseLibtestJson } = require('../lib/libtest');
+
+describe('parseLibtestJson', () => {
+  it('reads the tests of every harness, named after their crate and target', () => {
+    const output = [
+      '   Compiling calc v0.1.0 (/repo)',
+      '    Finished test [unoptimized + debuginfo] target(s) in 1.20s',
+      '     Running unittests src/lib.rs (target/debug/deps/calc-0123456789abcdef)',
+      '{ "type": "suite", "event": "started", "test_count": 3 }',
+      '{ "type": "test", "event": "started", "name": "tests::adds" }',
+      '{ "type": "test", "name": "tests::adds", "event": "ok", "exec_time": 0.004 }',
+      '{ "type": "test", "name": "tests::divides", "event": "timeout" }',
+      '{ "type": "test", "name": "tests::divides", "event": "failed", "exec_time": 61.5, "stdout": "thread \'tests::divides\' panicked at src/lib.rs:20:9:\\nattempt to divide by zero\\n" }',
+      '{ "type": "test", "name": "tests::rounds", "event": "ignored", "message": "not ready" }',
+      '{ "type": "suite", "event": "failed", "passed": 1, "failed": 1, "ignored": 1, "exec_time": 61.6 }',
+      '     Running tests/api.rs (target/debug/deps/api-fedcba9876543210)',
+      '{ "type": "suite", "event": "started", "test_count": 1 }',
+      '{ "type": "test", "name": "gets", "event": "ok" }',
+      '{ "type": "suite", "event": "ok", "passed": 1, "failed": 0, "exec_time": 0.1 }',
+      '   Doc-tests calc',
+      '{ "type": "suite", "event": "started", "test_count": 1 }',
+      '{ "type": "test", "name": "src/lib.rs - add (line 3)", "event": "ok" }',
+      '{ "type": "suite", "event": "ok", "passed": 1, "failed": 0, "exec_time": 0.3 }'
+    ].join('\n');
+
+    const results = parseLibtestJson(output);
+
+    expect(results.success).toBe(false);
+    expect(results.summary).toEqual({ total: 5, passed: 3, failed: 1, skipped: 1, duration: 62000 });
+    expect(results.details.map(detail => [detail.suite, detail.name, detail.status])).toEqual([
+      ['calc (src/lib.rs)', 'tests::adds', 'passed'],
+      ['calc (src/lib.rs)', 'tests::divides', 'failed'],
+      ['calc (src/lib.rs)', 'tests::rounds', 'skipped'],
+      ['api (tests/api.rs)', 'gets', 'passed'],
+      ['calc (doc-tests)', 'src/lib.rs - add (line 3)', 'passed']
+    ]);
+    expect(results.details[1]).toMatchObject({
+      duration: 61500,
+      failureMessages: ["thread 'tests::divides' panicked at src/lib.rs:20:9:\nattempt to divide by zero"]
+    });
+    expect(results.details[2].failureMessages).toEqual(['not ready']);
+  });
+
+  it('numbers the suites when cargo messages are missing', () => {
+    const output = [
+      '{ "type": "suite", "event": "started", "test_count": 1 }',
+      '{ "type": "test", "name": "adds", "event": "ok" }',
+      '{ "type": "suite", "event": "ok", "passed": 1, "failed": 0 }'
+    ].join('\n');
+
+    expect(parseLibtestJson(output).details[0].suite).toBe('suite 1');
+  });
+
+  it('fails the run when a suite failed without a failing test', () => {
+    const output = [
+      '{ "type": "suite", "event": "started", "test_count": 0 }',
+      '{ "type": "suite", "event": "failed", "passed": 0, "failed": 0 }'
+    ].join('\n');
+
+    expect(parseLibtestJson(output)).toMatchObject({ success: false, details: [] });
+  });
+
+  it('returns null for the plain output', () => {
+    expect(parseLibtestJson('running 1 test\ntest adds ... ok\n\ntest result: ok. 1 passed; 0 failed')).toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * outcomes.test.js
+ *
+ * Classification of how a test command ended, from its exit code, output
+ * and parsed results.
+ */
+
+const { OUTCOMES, runTestCommand, classifyOutcome, applyOutcome, combineOutcomes } = require('../lib/outcomes');
+const { ERROR_TYPES } = require('../lib/results');
+const { CommandError } = require('../lib/runners');
+
+/**
+ * Parsed test results with the given test statuses
+ *
+ * @param {Array<string>} statuses - Status of each test
+ * @param {Object} summary - Summary fields to override (optional)
+ * @returns {Object} - Test results
+ */
+function results(statuses, summary = {}) {
+  const count = status => statuses.filter(value => value === status).length;
+
+  return {
+    details: statuses.map((status, index) => ({ name: `test ${index}`, status })),
+    summary: { total: statuses.length, passed: count('passed'), failed: count('failed'), skipped: count('skipped'), ...summary }
+  };
+}
+
+describe('outcomes', () => {
+  describe('classifyOutcome', () => {
+    it.each([
+      ['passing tests', { exitCode: 0 }, results(['passed', 'skipped']), OUTCOMES.PASSED],
+      ['a run without tests', { exitCode: 0 }, results([]), OUTCOMES.NO_TESTS],
+      ['failing tests', { exitCode: 1, stdout: 'FAIL src/math.test.js' }, results(['passed', 'failed']), OUTCOMES.TESTS_FAILED],
+      ['failures only counted in a summary', { exitCode: 1, stdout: 'Tests run: 4, Failures: 1' }, results([], { failed: 1 }), OUTCOMES.TESTS_FAILED],
+      ['a timeout', { exitCode: null, signal: 'SIGTERM', timedOut: true }, results([]), OUTCOMES.TIMEOUT],
+      ['a killed command', { exitCode: null, signal: 'SIGKILL' }, results(['passed']), OUTCOMES.CRASHED],
+      ['a signal exit code', { exitCode: 137 }, results([]), OUTCOMES.CRASHED],
+      ['an out of memory crash', { exitCode: 1, stderr: 'FATAL ERROR: JavaScript heap out of memory' }, results(['failed']), OUTCOMES.CRASHED],
+      ['a missing command', { exitCode: 127, stderr: 'sh: 1: jest: not found' }, results([]), OUTCOMES.INSTALL_ERROR],
+      ['a missing module', { exitCode: 1, stderr: "ModuleNotFoundError: No module named 'requests'" }, results([]), OUTCOMES.INSTALL_ERROR],
+      ['a compile error', { exitCode: 2, stdout: 'src/app.ts(3,1): error TS2304: Cannot find name' }, results([]), OUTCOMES.BUILD_ERROR],
+      ['collection errors reported as failed tests', { exitCode: 2, stdout: 'ERROR collecting tests/test_api.py' }, results(['failed']), OUTCOMES.BUILD_ERROR],
+      ['a no tests message', { exitCode: 5, stdout: 'no tests ran in 0.01s' }, results([]), OUTCOMES.NO_TESTS],
+      ['an unexplained failure', { exitCode: 1, stderr: 'something went wrong' }, results([]), OUTCOMES.CRASHED]
+    ])('classifies %s', (label, execution, parsed, outcome) => {
+      expect(classifyOutcome(execution, parsed)).toBe(outcome);
+    });
+
+    it('counts failed tests next to a build error when other tests passed', () => {
+      const execution = { exitCode: 1, stdout: 'ImportError: cannot import name' };
+
+      expect(classifyOutcome(execution, results(['passed', 'failed']))).toBe(OUTCOMES.TESTS_FAILED);
+    });
+  });
+
+  describe('applyOutcome', () => {
+    it('marks passing and empty runs as successful without an error', () => {
+      const applied = applyOutcome(results(['passed']), { exitCode: 0 });
+
+      expect(applied).toMatchObject({ status: OUTCOMES.PASSED, exitCode: 0, success: true });
+      expect(applied.error).toBeUndefined();
+    });
+
+    it('marks failing tests as unsuccessful without an error', () => {
+      const applied = applyOutcome(results(['failed']), { exitCode: 1 });
+
+      expect(applied).toMatchObject({ status: OUTCOMES.TESTS_FAILED, exitCode: 1, success: false });
+      expect(applied.error).toBeUndefined();
+    });
+
+    it('gives other outcomes an error explaining them', () => {
+      const execution = { exitCode: null, timedOut: true, error: new CommandError('Command timed out after 1000ms') };
+
+      expect(applyOutcome(results([]), execution).error).toEqual({
+        type: ERROR_TYPES.TIMEOUT,
+        message: 'The tests timed out: Command timed out after 1000ms'
+      });
+      expect(applyOutcome(results([]), { exitCode: 127 }).error).toEqual({
+        type: ERROR_TYPES.INSTALL,
+        message: 'The test tool or a dependency is missing: Command exited with code 127'
+      });
+    });
+
+    it('keeps a status the parser already decided', () => {
+      const parsed = { ...results([]), status: OUTCOMES.NO_TESTS };
+
+      expect(applyOutcome(parsed, { exitCode: 1 })).toMatchObject({ status: OUTCOMES.NO_TESTS, success: true });
+    });
+  });
+
+  describe('runTestCommand', () => {
+    it('returns the result of a successful command', async () => {
+      const runner = { run: jest.fn(async () => ({ stdout: 'ok', stderr: '', exitCode: 0, signal: null, duration: 5 })) };
+
+      await expect(runTestCommand(runner, 'npm test', { cwd: '/repo' })).resolves.toEqual({
+        stdout: 'ok', stderr: '', exitCode: 0, signal: null, duration: 5, timedOut: false, error: null
+      });
+      expect(runner.run).toHaveBeenCalledWith('npm test', { cwd: '/repo' });
+    });
+
+    it('resolves with the output of a failing command', async () => {
+      const error = new CommandError('Command failed with exit code 1', { stdout: '1 failed', exitCode: 1, duration: 7 });
+      const runner = { run: async () => { throw error; } };
+
+      await expect(runTestCommand(runner, 'npm test', {})).resolves.toEqual({
+        stdout: '1 failed', stderr: '', exitCode: 1, signal: null, duration: 7, timedOut: false, error
+      });
+    });
+
+    it('rejects when the command could not be started', async () => {
+      const runner = { run: async () => { throw new Error('spawn docker ENOENT'); } };
+
+      await expect(runTestCommand(runner, 'npm test', {})).rejects.toThrow('spawn docker ENOENT');
+    });
+  });
+
+  describe('combineOutcomes', () => {
+    it('returns the most severe outcome', () => {
+      expect(combineOutcomes([OUTCOMES.PASSED, OUTCOMES.TESTS_FAILED, OUTCOMES.NO_TESTS])).toBe(OUTCOMES.TESTS_FAILED);
+      expect(combineOutcomes([OUTCOMES.TESTS_FAILED, OUTCOMES.BUILD_ERROR])).toBe(OUTCOMES.BUILD_ERROR);
+      expect(combineOutcomes([OUTCOMES.NO_TESTS, OUTCOMES.PASSED])).toBe(OUTCOMES.PASSED);
+      expect(combineOutcomes([])).toBe(OUTCOMES.NO_TESTS);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * pythonReports.test.js
+ *
+ * Python test results: the JSON reports of the pytest plugin and unittest
+ * runner in lib/python, and reading them. The reporters only run where
+ * Python with pytest is installed.
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const { PYTEST_COMMAND, UNITTEST_COMMAND, installPythonReporters, readPythonReports } = require('../lib/pythonReports');
+const { tempDir } = require('./helpers');
+
+const HAS_PYTEST = spawnSync('python', ['-c', 'import pytest'], { stdio: 'ignore' }).status === 0;
+
+const TEST_MODULE = `import pytest
+
+
+@pytest.mark.parametrize('value', [1, 2])
+def test_positive(value):
+    assert value > 0
+
+
+def test_divides():
+    print('dividing')
+    assert 1 / 1 == 2, 'wrong quotient'
+
+
+@pytest.mark.skip(reason='not ready')
+def test_rounds():
+    pass
+
+
+@pytest.mark.xfail(reason='known bug')
+def test_known_bug():
+    assert False
+
+
+@pytest.fixture
+def broken():
+    raise RuntimeError('no database')
+
+
+def test_with_fixture(broken):
+    pass
+`;
+
+const UNITTEST_MODULE = `import unittest
+
+
+class MathTest(unittest.TestCase):
+    def test_adds(self):
+        self.assertEqual(1 + 1, 2)
+
+    def test_subtracts(self):
+        self.assertEqual(2 - 1, 0)
+
+
+class DatabaseTest(unittest.TestCase):
+    @classmethod
+    def setUpClass(cls):
+        raise RuntimeError('no database')
+
+    def test_query(self):
+        pass
+`;
+
+describe('pythonReports', () => {
+  let projectDir;
+  let reportsDir;
+
+  beforeEach(() => {
+    projectDir = tempDir('python-project-');
+    reportsDir = tempDir('qaas-reports-');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(projectDir);
+    await fs.remove(reportsDir);
+  });
+
+  /**
+   * Run a test command in the project with the reporters installed
+   *
+   * @param {string} command - Test command
+   * @returns {Promise<Object>} - Results read from the reports directory
+   */
+  async function runReported(command) {
+    await installPythonReporters(reportsDir);
+    spawnSync('sh', ['-c', command], {
+      cwd: projectDir,
+      env: { ...process.env, QAAS_REPORTS_DIR: reportsDir, PYTHONDONTWRITEBYTECODE: '1' },
+      stdio: 'ignore',
+      timeout: 60000
+    });
+    return readPythonReports(reportsDir);
+  }
+
+  (HAS_PYTEST ? it : it.skip)('captures pytest results with their node IDs, parameters and outcomes', async () => {
+    fs.outputFileSync(path.join(projectDir, 'tests/test_math.py'), TEST_MODULE);
+
+    const results = await runReported(`${PYTEST_COMMAND} -p no:cacheprovider`);
+    const byId = Object.fromEntries(results.details.map(detail => [detail.id, detail]));
+
+    expect(results.files).toEqual(['pytest.json']);
+    expect(results.summary).toMatchObject({ total: 6, passed: 2, failed: 2, skipped: 2 });
+    expect(byId['tests/test_math.py::test_positive[1]']).toMatchObject({
+      name: 'test_positive[1]',
+      suite: 'tests/test_math.py',
+      file: 'tests/test_math.py',
+      line: 4,
+      parameters: { value: '1' },
+      status: 'passed',
+      outcome: 'passed'
+    });
+    expect(byId['tests/test_math.py::test_divides']).toMatchObject({ status: 'failed', outcome: 'failed', stdout: 'dividing\n' });
+    expect(byId['tests/test_math.py::test_divides'].failureMessages[0]).toContain('wrong quotient');
+    expect(byId['tests/test_math.py::test_divides'].stackTrace).toContain('assert 1 / 1 == 2');
+    expect(byId['tests/test_math.py::test_rounds']).toMatchObject({ status: 'skipped', outcome: 'skipped', failureMessages: ['Skipped: not ready'] });
+    expect(byId['tests/test_math.py::test_known_bug']).toMatchObject({ status: 'skipped', outcome: 'xfailed', failureMessages: ['known bug'] });
+    expect(byId['tests/test_math.py::test_with_fixture']).toMatchObject({ status: 'failed', outcome: 'error' });
+  });
+
+  (HAS_PYTEST ? it : it.skip)('reports a module that cannot be imported as an erroring test', async () => {
+    fs.outputFileSync(path.join(projectDir, 'tests/test_broken.py'), 'import missing_module\n');
+
+    const results = await runReported(`${PYTEST_COMMAND} -p no:cacheprovider`);
+
+    expect(results.details).toEqual([expect.objectContaining({
+      id: 'tests/test_broken.py',
+      status: 'failed',
+      outcome: 'error',
+      failureMessages: ['Collection failed']
+    })]);
+  });
+
+  (HAS_PYTEST ? it : it.skip)('captures unittest results, including class fixture errors', async () => {
+    fs.outputFileSync(path.join(projectDir, 'test_math.py'), UNITTEST_MODULE);
+
+    const results = await runReported(UNITTEST_COMMAND);
+
+    expect(results.files).toEqual(['unittest.json']);
+    expect(results.summary).toMatchObject({ total: 3, passed: 1, failed: 2 });
+    expect(results.details.map(detail => [detail.id, detail.status])).toEqual(expect.arrayContaining([
+      ['test_math.MathTest.test_adds', 'passed'],
+      ['test_math.MathTest.test_subtracts', 'failed']
+    ]));
+    const fixtureError = results.details.find(detail => detail.name === 'setUpClass');
+    expect(fixtureError).toMatchObject({ suite: 'test_math.DatabaseTest', status: 'failed' });
+    expect(fixtureError.stackTrace).toContain('no database');
+  });
+
+  it('reads the reports of both reporters, skipping unreadable ones', async () => {
+    fs.writeJsonSync(path.join(reportsDir, 'pytest.json'), {
+      tool: 'pytest',
+      duration: 1.5,
+      tests: [
+        { id: 'tests/test_api.py::test_get', name: 'test_get', suite: 'tests/test_api.py', status: 'passed', outcome: 'passed', duration: 0.25 },
+        { id: 'tests/test_api.py::test_post', name: 'test_post', suite: 'tests/test_api.py', status: 'skipped', outcome: 'xfailed', message: 'known bug' }
+      ]
+    });
+
+    const results = await readPythonReports(reportsDir);
+
+    expect(results.summary).toEqual({ total: 2, passed: 1, failed: 0, skipped: 1, duration: 1500 });
+    expect(results.details[0]).toEqual({
+      id: 'tests/test_api.py::test_get',
+      name: 'test_get',
+      suite: 'tests/test_api.py',
+      file: null,
+      line: null,
+      parameters: null,
+      status: 'passed',
+      outcome: 'passed',
+      duration: 250,
+      failureMessages: [],
+      stackTrace: null,
+      stdout: '',
+      stderr: ''
+    });
+    expect(results.details[1].failureMessages).toEqual(['known bug']);
+
+    fs.writeFileSync(path.join(reportsDir, 'unittest.json'), '{');
+    await expect(readPythonReports(reportsDir)).resolves.toMatchObject({ files: ['pytest.json'] });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipping report unittest.json'));
+  });
+
+  it('returns null without reports', async () => {
+    await expect(readPythonReports(reportsDir)).resolves.toBeNull();
+    await expect(readPythonReports(null)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * repoClonerAgent.test.js
+ *
+ * Validation of the repository URLs, refs and options that RepoClonerAgent
+ * passes to git.
+ */
+
+const fs = require('fs-extra');
+const RepoClonerAgent = require('../agents/repoClonerAgent');
+const { tempDir } = require('./helpers');
+
+describe('RepoClonerAgent', () => {
+  let workDir;
+  let agent;
+
+  beforeEach(() => {
+    workDir = tempDir('repos-');
+    agent = new RepoClonerAgent({ workDir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(workDir);
+  });
+
+  describe('_isValidRepoUrl', () => {
+    it.each([
+      'https://github.com/example/app.git',
+      'http://git.internal:8080/team/app',
+      'ssh://git@gitlab.com/example/app.git',
+      'git://example.org/app.git',
+      'git@github.com:example/app.git'
+    ])('accepts %s', (repoUrl) => {
+      expect(agent._isValidRepoUrl(repoUrl)).toBe(true);
+    });
+
+    it.each([
+      ['a local path', '/srv/repos/app'],
+      ['a file URL', 'file:///srv/repos/app'],
+      ['a git option', '--upload-pack=touch /tmp/pwned'],
+      ['an ext transport', 'ext::sh -c touch% /tmp/pwned'],
+      ['whitespace', 'https://github.com/example/app.git --depth 1'],
+      ['a control character', 'https://github.com/example/app\n.git'],
+      ['a URL without host', 'ssh:///srv/repos/app.git'],
+      ['a non-string', 42]
+    ])('rejects %s', (label, repoUrl) => {
+      expect(agent._isValidRepoUrl(repoUrl)).toBe(false);
+    });
+  });
+
+  describe('_isValidRefName', () => {
+    it.each(['main', 'feature/login-form', 'release-1.2', 'v2.0.0', 'users/jo_smith/fix'])('accepts %s', (name) => {
+      expect(agent._isValidRefName(name)).toBe(true);
+    });
+
+    it.each([
+      '',
+      '-c core.sshCommand=evil',
+      '/main',
+      'main/',
+      'main.',
+      'main.lock',
+      '@',
+      'main..dev',
+      'feature//login',
+      'main@{1}',
+      'feature/.hidden',
+      'with space',
+      'tilde~1',
+      'caret^',
+      'colon:ref',
+      'glob*',
+      'back\\slash',
+      'a'.repeat(256)
+    ])('rejects %j', (name) => {
+      expect(agent._isValidRefName(name)).toBe(false);
+    });
+  });
+
+  describe('cloneRepository', () => {
+    it.each([
+      [{}, 'repoUrl is required'],
+      [{ repoUrl: 'file:///srv/repos/app' }, 'Invalid repository URL'],
+      [{ repoUrl: 'https://github.com/example/app.git', branch: '--orphan' }, 'Invalid branch name'],
+      [{ repoUrl: 'https://github.com/example/app.git', tag: 'v1..2' }, 'Invalid tag name'],
+      [{ repoUrl: 'https://github.com/example/app.git', diffBase: 'main:src' }, 'Invalid diff base'],
+      [{ repoUrl: 'https://github.com/example/app.git', branch: 'main', tag: 'v1.0.0' }, 'either a branch or a tag'],
+      [{ repoUrl: 'https://github.com/example/app.git', commit: 'HEAD~1' }, 'Invalid commit SHA'],
+      [{ repoUrl: 'https://github.com/example/app.git', depth: 0 }, 'Invalid clone depth'],
+      [{ repoUrl: 'https://github.com/example/app.git', repoId: '../outside' }, 'Invalid repository ID']
+    ])('rejects %j before running git', async (params, message) => {
+      await expect(agent.cloneRepository(params)).rejects.toThrow(message);
+      expect(fs.readdirSync(workDir)).toEqual([]);
+    });
+  });
+});
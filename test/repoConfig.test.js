@@ -0,0 +1,148 @@
+/**
+ * repoConfig.test.js
+ *
+ * Repository configuration: finding and validating .qaas.yml and
+ * qaas.config.json, resolving stage settings and removing ignored paths.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  findRepoConfigFile,
+  loadRepoConfig,
+  getStageConfig,
+  getInstallConfig,
+  removeIgnoredPaths
+} = require('../lib/repoConfig');
+const { ValidationError } = require('../lib/validation');
+const { tempDir } = require('./helpers');
+
+const QAAS_YML = `version: 1
+language: node
+install:
+  - npm ci
+unit:
+  command: npx jest --json
+  format: jest
+integration:
+  command: npm run test:e2e
+env:
+  NODE_ENV: test
+  RETRIES: 3
+  VERBOSE: true
+timeouts:
+  unit: 600000
+services:
+  - name: db
+    image: postgres:16
+    ports: [5432]
+ignore:
+  - docs/**
+`;
+
+describe('repoConfig', () => {
+  let repoPath;
+
+  beforeEach(() => {
+    repoPath = tempDir('repo-config-');
+  });
+
+  afterEach(async () => {
+    await fs.remove(repoPath);
+  });
+
+  describe('loadRepoConfig', () => {
+    it('returns null without a config file', () => {
+      expect(findRepoConfigFile(repoPath)).toBeNull();
+      expect(loadRepoConfig(repoPath)).toBeNull();
+    });
+
+    it('loads .qaas.yml in preference to qaas.config.json', () => {
+      fs.writeFileSync(path.join(repoPath, '.qaas.yml'), QAAS_YML);
+      fs.writeJsonSync(path.join(repoPath, 'qaas.config.json'), { language: 'python' });
+
+      const config = loadRepoConfig(repoPath);
+
+      expect(findRepoConfigFile(repoPath)).toBe(path.join(repoPath, '.qaas.yml'));
+      expect(config).toMatchObject({
+        file: '.qaas.yml',
+        language: 'node',
+        install: ['npm ci'],
+        unit: { command: 'npx jest --json', format: 'jest' },
+        services: [{ name: 'db', image: 'postgres:16', ports: [5432] }]
+      });
+    });
+
+    it('loads qaas.config.json and fills in defaults', () => {
+      fs.writeJsonSync(path.join(repoPath, 'qaas.config.json'), { unit: { command: 'pytest' } });
+
+      expect(loadRepoConfig(repoPath)).toEqual({ version: 1, unit: { command: 'pytest', format: 'generic' }, file: 'qaas.config.json' });
+    });
+
+    it('treats an empty .qaas.yml as a config without settings', () => {
+      fs.writeFileSync(path.join(repoPath, '.qaas.yml'), '# nothing yet\n');
+
+      expect(loadRepoConfig(repoPath)).toEqual({ version: 1, file: '.qaas.yml' });
+    });
+
+    it.each([
+      ['unparseable YAML', '.qaas.yml', 'unit: [npm test', /Invalid \.qaas\.yml: \.qaas\.yml cannot be parsed/],
+      ['unparseable JSON', 'qaas.config.json', '{"unit":', /Invalid qaas\.config\.json: qaas\.config\.json cannot be parsed/],
+      ['a list', '.qaas.yml', '- npm test\n', /config should be an object/],
+      ['an unknown setting', '.qaas.yml', 'tests: npm test\n', /Invalid \.qaas\.yml/],
+      ['an unknown format', '.qaas.yml', 'unit:\n  command: npm test\n  format: tap\n', /Invalid \.qaas\.yml/],
+      ['a too short timeout', '.qaas.yml', 'timeouts:\n  unit: 10\n', /Invalid \.qaas\.yml/],
+      ['an invalid variable name', '.qaas.yml', 'env:\n  1PASSWORD: x\n', /Invalid \.qaas\.yml/],
+      ['an ignored path outside the checkout', '.qaas.yml', 'ignore:\n  - ../secrets\n', /Invalid \.qaas\.yml/],
+      ['an ignored .git directory', '.qaas.yml', 'ignore:\n  - .git\n', /Invalid \.qaas\.yml/]
+    ])('rejects %s', (label, file, content, message) => {
+      fs.writeFileSync(path.join(repoPath, file), content);
+
+      expect(() => loadRepoConfig(repoPath)).toThrow(ValidationError);
+      expect(() => loadRepoConfig(repoPath)).toThrow(message);
+    });
+  });
+
+  describe('stage settings', () => {
+    it('resolves the settings of each stage with string variables', () => {
+      fs.writeFileSync(path.join(repoPath, '.qaas.yml'), QAAS_YML);
+      const config = loadRepoConfig(repoPath);
+      const env = { NODE_ENV: 'test', RETRIES: '3', VERBOSE: 'true' };
+
+      expect(getStageConfig(config, 'unit')).toEqual({ command: 'npx jest --json', format: 'jest', language: 'node', env, timeout: 600000 });
+      expect(getStageConfig(config, 'integration')).toEqual({ command: 'npm run test:e2e', format: 'generic', language: 'node', env, timeout: undefined });
+      expect(getInstallConfig(config)).toEqual({ commands: ['npm ci'], language: 'node', env, timeout: undefined });
+    });
+
+    it('leaves undeclared stages to detection', () => {
+      expect(getStageConfig({}, 'unit')).toEqual({ command: undefined, format: 'generic', language: undefined, env: {}, timeout: undefined });
+      expect(getInstallConfig({}).commands).toBeUndefined();
+    });
+  });
+
+  describe('removeIgnoredPaths', () => {
+    it('removes ignored files and directories inside the checkout', () => {
+      fs.outputFileSync(path.join(repoPath, 'docs/guide.md'), '# Guide');
+      fs.outputFileSync(path.join(repoPath, 'fixtures/large.bin'), 'data');
+      fs.outputFileSync(path.join(repoPath, 'src/index.js'), '');
+
+      const removed = removeIgnoredPaths(repoPath, { ignore: ['docs/**', 'fixtures/large.bin', 'missing'] });
+
+      expect(removed).toEqual(['docs/**', 'fixtures/large.bin']);
+      expect(fs.readdirSync(repoPath).sort()).toEqual(['fixtures', 'src']);
+    });
+
+    it('does not follow a symlinked directory out of the checkout', () => {
+      const outside = tempDir('repo-config-outside-');
+      fs.outputFileSync(path.join(outside, 'keep.txt'), 'keep');
+      fs.symlinkSync(outside, path.join(repoPath, 'linked'));
+
+      try {
+        expect(removeIgnoredPaths(repoPath, { ignore: ['linked/keep.txt'] })).toEqual([]);
+        expect(fs.existsSync(path.join(outside, 'keep.txt'))).toBe(true);
+      } finally {
+        fs.removeSync(outside);
+      }
+    });
+  });
+});
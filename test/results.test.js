@@ -0,0 +1,154 @@
+/**
+ * results.test.js
+ *
+ * The v2 results schema: finalizing stage results, and migrating results
+ * stored before the schema was versioned.
+ */
+
+const {
+  RESULTS_SCHEMA_VERSION,
+  ERROR_TYPES,
+  resultError,
+  finalizeTestResults,
+  migrateTestResults,
+  migrateRunResults,
+  migrateResultsFile
+} = require('../lib/results');
+const { ValidationError } = require('../lib/validation');
+const { CommandError } = require('../lib/runners');
+
+const SUMMARY = { total: 2, passed: 1, failed: 1, skipped: 0, duration: 120 };
+
+// Unit test results as version 1 stored them
+const V1_RESULTS = {
+  success: 1,
+  summary: { total: 4, passed: 1, failed: 0, skipped: 1 },
+  details: [
+    { name: 'adds', suite: 'math', status: 'passed', duration: 3, failureMessages: [] },
+    { name: 'subtracts', suite: 'math', status: 'pending', duration: 0, failureMessages: [] },
+    { name: 'divides', suite: 'math', status: 'todo', duration: 0, failureMessages: [] },
+    // Behave features have no test status
+    { name: 'Checkout', suite: 'features', status: 'untested', duration: 0, failureMessages: [] }
+  ],
+  logFile: 'C:\\qaas\\logs\\unit-repo-1.log',
+  screenshots: ['/app/screenshots/login.png'],
+  timestamp: '2025-09-14T18:45:33.155Z'
+};
+
+describe('results', () => {
+  describe('finalizeTestResults', () => {
+    it('versions the results and gives every test a stable ID', () => {
+      const finalized = finalizeTestResults({
+        success: false,
+        summary: SUMMARY,
+        details: [
+          { name: 'adds', suite: 'math', status: 'passed', duration: 1, failureMessages: [] },
+          { name: 'adds', suite: 'math', status: 'failed', duration: 1, failureMessages: [] },
+          { id: 'tests/test_api.py::test_get', name: 'test_get', suite: 'tests/test_api.py', status: 'passed', duration: 1, failureMessages: [], package: 'api', stack: 'python' }
+        ],
+        timestamp: '2025-09-14T18:45:33.155Z'
+      });
+
+      expect(finalized.schemaVersion).toBe(RESULTS_SCHEMA_VERSION);
+      expect(finalized.details.map(detail => detail.id)).toEqual([
+        'math::adds',
+        'math::adds #2',
+        'api > python > tests/test_api.py::test_get'
+      ]);
+    });
+
+    it('rejects results that do not match the schema', () => {
+      const error = (() => {
+        try {
+          finalizeTestResults({ success: 'yes', summary: SUMMARY, timestamp: '2025-09-14T18:45:33.155Z' });
+        } catch (e) {
+          return e;
+        }
+      })();
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details).toEqual(expect.arrayContaining([expect.objectContaining({ path: expect.stringContaining('success') })]));
+    });
+  });
+
+  describe('migrateTestResults', () => {
+    it('converts version 1 results to the current schema', () => {
+      const migrated = migrateTestResults(V1_RESULTS);
+
+      expect(migrated).toMatchObject({
+        schemaVersion: RESULTS_SCHEMA_VERSION,
+        success: true,
+        summary: { total: 4, passed: 1, failed: 0, skipped: 1, duration: 0 },
+        attachments: [
+          { type: 'log', name: 'unit-repo-1.log', path: 'C:\\qaas\\logs\\unit-repo-1.log' },
+          { type: 'screenshot', name: 'login.png', path: '/app/screenshots/login.png' }
+        ],
+        timestamp: V1_RESULTS.timestamp
+      });
+      expect(migrated.details.map(({ id, status }) => [id, status])).toEqual([
+        ['math::adds', 'passed'],
+        ['math::subtracts', 'skipped'],
+        ['math::divides', 'skipped']
+      ]);
+      expect(migrated).not.toHaveProperty('logFile');
+      expect(migrated).not.toHaveProperty('screenshots');
+    });
+
+    it('types the string errors of version 1', () => {
+      const base = { success: false, summary: SUMMARY, timestamp: V1_RESULTS.timestamp };
+
+      expect(migrateTestResults({ ...base, status: 'install-error', error: 'npm ci failed' }).error)
+        .toEqual({ type: ERROR_TYPES.INSTALL, message: 'npm ci failed' });
+      expect(migrateTestResults({ ...base, error: 'Unexpected token' }).error)
+        .toEqual({ type: ERROR_TYPES.PARSE, message: 'Unexpected token' });
+      expect(migrateTestResults({ ...base, packages: [{ name: 'api', success: 0, error: 'crashed' }] }).packages)
+        .toEqual([{ name: 'api', success: false, summary: null, error: { type: ERROR_TYPES.INTERNAL, message: 'crashed' } }]);
+    });
+
+    it('leaves current results and missing results as they are', () => {
+      const current = migrateTestResults(V1_RESULTS);
+
+      expect(migrateTestResults(current)).toBe(current);
+      expect(migrateTestResults(null)).toBeNull();
+    });
+  });
+
+  describe('migrateRunResults', () => {
+    it('migrates the results of each stage', () => {
+      const migrated = migrateRunResults({
+        repoId: 'repo-1',
+        repoUrl: 'https://github.com/org/repo.git',
+        branch: 'main',
+        unitTests: V1_RESULTS,
+        timestamp: V1_RESULTS.timestamp
+      });
+
+      expect(migrated.schemaVersion).toBe(RESULTS_SCHEMA_VERSION);
+      expect(migrated.unitTests.schemaVersion).toBe(RESULTS_SCHEMA_VERSION);
+      expect(migrated.integrationTests).toBeNull();
+    });
+  });
+
+  describe('migrateResultsFile', () => {
+    it('migrates the results of a blockchain logger backup', () => {
+      const migrated = migrateResultsFile({ repoId: 'repo-1', type: 'unit', results: V1_RESULTS, storage: null, blockchain: null });
+
+      expect(migrated).toMatchObject({ schemaVersion: RESULTS_SCHEMA_VERSION, repoId: 'repo-1', type: 'unit' });
+      expect(migrated.results.schemaVersion).toBe(RESULTS_SCHEMA_VERSION);
+    });
+
+    it('rejects files that are not results', () => {
+      expect(() => migrateResultsFile([])).toThrow(ValidationError);
+      expect(() => migrateResultsFile({ type: 'unit', results: { success: true, summary: 'all good' } })).toThrow(ValidationError);
+    });
+  });
+
+  describe('resultError', () => {
+    it('derives the error type from the error', () => {
+      expect(resultError(new CommandError('Command timed out', { timedOut: true }))).toEqual({ type: ERROR_TYPES.TIMEOUT, message: 'Command timed out' });
+      expect(resultError(new CommandError('Command failed'))).toEqual({ type: ERROR_TYPES.COMMAND, message: 'Command failed' });
+      expect(resultError(new ValidationError('Invalid .qaas.yml', []))).toMatchObject({ type: ERROR_TYPES.CONFIG });
+      expect(resultError('No tests', ERROR_TYPES.PARSE)).toEqual({ type: ERROR_TYPES.PARSE, message: 'No tests' });
+    });
+  });
+});
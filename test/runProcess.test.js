@@ -0,0 +1,130 @@
+/**
+ * runProcess.test.js
+ *
+ * Running test commands: output and exit codes, timeouts and cancellation,
+ * and stopping the processes a command starts along with it.
+ */
+
+const fs = require('fs');
+const { runProcess, CommandError } = require('../lib/runners/runProcess');
+
+// Short grace period, so commands that ignore SIGTERM don't slow the tests down
+const killGracePeriod = 300;
+
+/**
+ * Whether a process is still running; zombies waiting to be reaped are not
+ *
+ * @param {number} pid - Process ID
+ * @returns {boolean}
+ */
+function isRunning(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    // The state follows the command name, which is in parentheses
+    return stat.slice(stat.lastIndexOf(')') + 2)[0] !== 'Z';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wait until a process is gone
+ *
+ * @param {number} pid - Process ID
+ * @returns {Promise<boolean>} - Whether it was gone within two seconds
+ */
+async function waitForExit(pid) {
+  for (let i = 0; i < 40 && isRunning(pid); i++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return !isRunning(pid);
+}
+
+const run = (command, options = {}) => runProcess(command, [], { shell: true, env: process.env, killGracePeriod, ...options });
+
+describe('runProcess', () => {
+  it('resolves with the output of a successful command', async () => {
+    const chunks = [];
+
+    const result = await run('echo out; echo err >&2', { onOutput: (stream, data) => chunks.push([stream, data]) });
+
+    expect(result).toMatchObject({ stdout: 'out\n', stderr: 'err\n', exitCode: 0, timedOut: false, cancelled: false });
+    expect(chunks).toEqual(expect.arrayContaining([['stdout', 'out\n'], ['stderr', 'err\n']]));
+  });
+
+  it('rejects with the exit code and output of a failing command', async () => {
+    const error = await run('echo partial; exit 3').catch(e => e);
+
+    expect(error).toBeInstanceOf(CommandError);
+    expect(error).toMatchObject({ exitCode: 3, stdout: 'partial\n', timedOut: false });
+    expect(error.message).toBe('Command failed with exit code 3: echo partial; exit 3');
+  });
+
+  it('stops a command and every process it started on timeout', async () => {
+    const error = await run('sleep 30 & echo $!; wait', { timeout: 300 }).catch(e => e);
+    const background = parseInt(error.stdout, 10);
+
+    expect(error).toBeInstanceOf(CommandError);
+    expect(error).toMatchObject({ timedOut: true, cancelled: false });
+    expect(error.message).toMatch(/^Command timed out after 300ms/);
+    await expect(waitForExit(background)).resolves.toBe(true);
+  });
+
+  it('kills commands that ignore SIGTERM once the grace period is over', async () => {
+    const startTime = Date.now();
+
+    const error = await run("trap '' TERM; echo ready; while true; do sleep 0.1; done", { timeout: 300 }).catch(e => e);
+
+    expect(error).toMatchObject({ timedOut: true, stdout: 'ready\n' });
+    expect(Date.now() - startTime).toBeLessThan(5000);
+  });
+
+  it('stops the processes a command leaves behind when it exits', async () => {
+    const result = await run('sleep 30 >/dev/null 2>&1 & echo $!');
+
+    await expect(waitForExit(parseInt(result.stdout, 10))).resolves.toBe(true);
+  });
+
+  it('calls onStop with the process before stopping it', async () => {
+    const onStop = jest.fn();
+
+    await run('sleep 30', { timeout: 100, onStop }).catch(() => {});
+
+    expect(onStop).toHaveBeenCalledWith(expect.objectContaining({ pid: expect.any(Number) }));
+  });
+
+  describe('cancellation', () => {
+    it('stops a running command when its signal is aborted', async () => {
+      const controller = new AbortController();
+      const running = run('sleep 30 & echo $!; wait', { signal: controller.signal });
+      setTimeout(() => controller.abort(), 200);
+
+      const error = await running.catch(e => e);
+
+      expect(error).toMatchObject({ cancelled: true, timedOut: false });
+      expect(error.message).toBe('Command cancelled: sleep 30 & echo $!; wait');
+      await expect(waitForExit(parseInt(error.stdout, 10))).resolves.toBe(true);
+    });
+
+    it('does not start a command whose signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const error = await run('touch should-not-exist', { signal: controller.signal }).catch(e => e);
+
+      expect(error).toMatchObject({ cancelled: true });
+      expect(fs.existsSync('should-not-exist')).toBe(false);
+    });
+  });
+
+  it('leaves the signal handling of the process to its entry point', () => {
+    const listeners = () => ['SIGINT', 'SIGTERM'].map(signal => process.listenerCount(signal));
+    const before = listeners();
+
+    jest.isolateModules(() => {
+      require('../lib/runners/runProcess');
+    });
+
+    expect(listeners()).toEqual(before);
+  });
+});
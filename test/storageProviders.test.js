@@ -0,0 +1,218 @@
+/**
+ * storageProviders.test.js
+ *
+ * IPFS storage providers against in-process stand-ins for a Kubo node, a
+ * pinning service and a gateway: adding, pinning and retrieving content, and
+ * falling back to gateways.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { createStorageProvider, KuboStorage, PinningServiceStorage, getWithFallback } = require('../lib/storage');
+const { listen, close, unreachableUrl } = require('./helpers');
+
+const CONTENT = Buffer.from(JSON.stringify({ success: true, summary: { total: 1, passed: 1, failed: 0, skipped: 0 } }));
+
+const ACCESS_TOKEN = 'pinning-test-token';
+
+/**
+ * Kubo RPC API serving the commands the providers use
+ *
+ * @returns {Object} - Express app, and the added content and pins by CID
+ */
+function createKuboStub() {
+  const app = express();
+  const blocks = new Map();
+  const pins = new Set();
+  const requests = [];
+
+  app.use((req, res, next) => {
+    requests.push({ path: req.path, query: req.query, authorization: req.get('Authorization') });
+    next();
+  });
+
+  app.post('/api/v0/add', express.raw({ type: 'multipart/form-data', limit: '10mb' }), (req, res) => {
+    // The file is the only part; its content sits between the part headers and the closing boundary
+    const boundary = `--${req.get('Content-Type').split('boundary=')[1]}`;
+    const body = req.body.toString('latin1');
+    const start = body.indexOf('\r\n\r\n') + 4;
+    const data = Buffer.from(body.slice(start, body.indexOf(`\r\n${boundary}--`)), 'latin1');
+    const cid = `bafk${crypto.createHash('sha256').update(data).digest('hex').slice(0, 52)}`;
+
+    blocks.set(cid, data);
+    res.type('text').send(`${JSON.stringify({ Name: 'data', Hash: cid, Size: String(data.length) })}\n`);
+  });
+
+  app.post('/api/v0/pin/add', (req, res) => {
+    pins.add(req.query.arg);
+    res.json({ Pins: [req.query.arg] });
+  });
+
+  app.post('/api/v0/pin/rm', (req, res) => {
+    pins.delete(req.query.arg);
+    res.json({ Pins: [req.query.arg] });
+  });
+
+  app.post('/api/v0/pin/ls', (req, res) => {
+    if (!pins.has(req.query.arg)) {
+      return res.status(500).json({ Message: `path '${req.query.arg}' is not pinned`, Code: 0, Type: 'error' });
+    }
+    res.json({ Keys: { [req.query.arg]: { Type: 'recursive' } } });
+  });
+
+  app.post('/api/v0/cat', (req, res) => {
+    if (!blocks.has(req.query.arg)) {
+      return res.status(500).json({ Message: 'block was not found locally (offline)', Code: 0, Type: 'error' });
+    }
+    res.type('application/octet-stream').send(blocks.get(req.query.arg));
+  });
+
+  app.post('/api/v0/id', (req, res) => {
+    res.json({ ID: '12D3KooWStub', Addresses: ['/ip4/127.0.0.1/tcp/4001', '/ip4/203.0.113.7/tcp/4001'] });
+  });
+
+  return { app, blocks, pins, requests };
+}
+
+/**
+ * IPFS Pinning Service API pinning every request immediately
+ *
+ * @returns {Object} - Express app and the pin requests it received
+ */
+function createPinningServiceStub() {
+  const app = express();
+  const pins = [];
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (req.get('Authorization') !== `Bearer ${ACCESS_TOKEN}`) {
+      return res.status(401).json({ error: { reason: 'UNAUTHORIZED', details: 'Invalid access token' } });
+    }
+    next();
+  });
+
+  app.post('/pins', (req, res) => {
+    const pin = { requestid: `request-${pins.length + 1}`, status: 'pinned', pin: req.body };
+    pins.push(pin);
+    res.status(202).json(pin);
+  });
+
+  app.get('/pins', (req, res) => {
+    const results = pins.filter(({ pin }) => pin.cid === req.query.cid);
+    res.json({ count: results.length, results });
+  });
+
+  return { app, pins };
+}
+
+describe('IPFS storage providers', () => {
+  let servers;
+  let kubo;
+  let apiUrl;
+
+  const start = async (app) => {
+    const started = await listen(app);
+    servers.push(started.server);
+    return started.url;
+  };
+
+  beforeEach(async () => {
+    servers = [];
+    delete process.env.STORAGE_TYPE;
+    delete process.env.STORAGE_GATEWAYS;
+    kubo = createKuboStub();
+    apiUrl = await start(kubo.app);
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.map(close));
+    jest.restoreAllMocks();
+  });
+
+  describe('createStorageProvider', () => {
+    it('creates the configured provider, resolving the legacy ipfs type to kubo', () => {
+      expect(createStorageProvider({ type: 'ipfs', apiUrl })).toBeInstanceOf(KuboStorage);
+      expect(createStorageProvider()).toBeNull();
+      expect(() => createStorageProvider('nft-storage')).toThrow(/Unknown storage provider/);
+    });
+  });
+
+  describe('kubo', () => {
+    it('adds, pins and retrieves content through the RPC API', async () => {
+      const storage = new KuboStorage({ apiUrl, authorization: 'Basic a3VibzprdWJv', gateways: [] });
+
+      const { cid } = await storage.put(CONTENT, { contentType: 'application/json', name: 'results.json' });
+      await expect(storage.exists(cid)).resolves.toBe(false);
+      await expect(storage.pin(cid)).resolves.toEqual({ status: 'pinned' });
+
+      expect(kubo.blocks.get(cid).equals(CONTENT)).toBe(true);
+      await expect(storage.exists(cid)).resolves.toBe(true);
+      await expect(storage.get(cid)).resolves.toEqual(CONTENT);
+      expect(kubo.requests[0]).toMatchObject({ path: '/api/v0/add', query: { 'cid-version': '1', pin: 'false' } });
+      expect(kubo.requests.every(({ authorization }) => authorization === 'Basic a3VibzprdWJv')).toBe(true);
+    });
+
+    it('reports the error message of the node', async () => {
+      const storage = new KuboStorage({ apiUrl, gateways: [] });
+
+      await expect(storage.cat('bafkmissing')).rejects.toThrow('Kubo cat failed: block was not found locally (offline)');
+    });
+  });
+
+  describe('pinning service', () => {
+    let service;
+    let endpoint;
+
+    beforeEach(async () => {
+      service = createPinningServiceStub();
+      endpoint = await start(service.app);
+    });
+
+    it('has the service pin content added to the node, then unpins it on the node', async () => {
+      const storage = new PinningServiceStorage({ endpoint, accessToken: ACCESS_TOKEN, apiUrl });
+
+      const { cid } = await storage.put(CONTENT);
+      expect(kubo.pins.has(cid)).toBe(true);
+
+      const pinned = await storage.pin(cid, { name: 'repo-1-unit-test-results', tags: [{ name: 'Repo-Id', value: 'repo-1' }] });
+
+      expect(pinned).toEqual({ status: 'pinned', requestId: 'request-1' });
+      expect(service.pins[0].pin).toEqual({
+        cid,
+        name: 'repo-1-unit-test-results',
+        origins: ['/ip4/203.0.113.7/tcp/4001'],
+        meta: { 'Repo-Id': 'repo-1' }
+      });
+      expect(kubo.pins.has(cid)).toBe(false);
+      await expect(storage.exists(cid)).resolves.toBe(true);
+    });
+
+    it('reports the failure reason of the service', async () => {
+      const storage = new PinningServiceStorage({ endpoint, accessToken: 'wrong-token', apiUrl });
+
+      await expect(storage.exists('bafkmissing')).rejects.toThrow('Pinning service GET /pins?cid=bafkmissing&status=pinned failed: UNAUTHORIZED: Invalid access token');
+    });
+  });
+
+  describe('gateways', () => {
+    it('falls back to the gateways in order when the provider fails', async () => {
+      const gateway = express();
+      gateway.get('/ipfs/:cid', (req, res) => res.send(CONTENT));
+      const gatewayUrl = await start(gateway);
+      const unreachable = await unreachableUrl();
+
+      const content = await getWithFallback('bafkcontent', () => Promise.reject(new Error('node is down')), [
+        `${unreachable}/ipfs/{cid}`,
+        `${apiUrl}/missing/{cid}`,
+        `${gatewayUrl}/ipfs/{cid}`
+      ]);
+
+      expect(content.equals(CONTENT)).toBe(true);
+    });
+
+    it('lists why each source failed when none has the content', async () => {
+      await expect(getWithFallback('bafkcontent', () => Promise.reject(new Error('node is down')), [`${apiUrl}/missing/{cid}`]))
+        .rejects.toThrow(`Could not retrieve bafkcontent (provider: node is down; ${apiUrl}/missing/bafkcontent: 404 Not Found)`);
+    });
+  });
+});
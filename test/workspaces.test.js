@@ -0,0 +1,227 @@
+/**
+ * workspaces.test.js
+ *
+ * Monorepo support: discovering the packages of each workspace tool,
+ * selecting the packages affected by a change and combining their results.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { discoverPackages, selectAffectedPackages, aggregatePackageResults } = require('../lib/workspaces');
+const { OUTCOMES } = require('../lib/outcomes');
+const { tempDir } = require('./helpers');
+
+/**
+ * Packages without their dependencies, for comparing discovery results
+ *
+ * @param {Array<Object>} packages - Packages from discoverPackages
+ * @returns {Array<Array<string>>} - [name, path, language] per package
+ */
+function summarize(packages) {
+  return packages.map(pkg => [pkg.name, pkg.path, pkg.language]);
+}
+
+describe('workspaces', () => {
+  let root;
+
+  /**
+   * Write files into the repository
+   *
+   * @param {Object} files - Contents by path relative to the root; objects are written as JSON
+   */
+  function writeFiles(files) {
+    Object.entries(files).forEach(([file, content]) => {
+      const filePath = path.join(root, file);
+      if (typeof content === 'string') {
+        fs.outputFileSync(filePath, content);
+      } else {
+        fs.outputJsonSync(filePath, content);
+      }
+    });
+  }
+
+  beforeEach(() => {
+    root = tempDir('workspaces-');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(root);
+  });
+
+  describe('discoverPackages', () => {
+    it('finds npm workspaces, honouring negations and skipping node_modules', () => {
+      writeFiles({
+        'package.json': { name: 'root', workspaces: ['packages/*', 'apps/**', '!packages/legacy'] },
+        'packages/core/package.json': { name: '@app/core' },
+        'packages/ui/package.json': { name: '@app/ui', dependencies: { '@app/core': '*' }, devDependencies: { jest: '^29.0.0' } },
+        'packages/legacy/package.json': { name: '@app/legacy' },
+        'packages/docs/README.md': '# Not a package',
+        'apps/web/package.json': { name: 'web' },
+        'apps/web/node_modules/dep/package.json': { name: 'dep' }
+      });
+
+      const packages = discoverPackages(root);
+
+      expect(summarize(packages)).toEqual([
+        ['web', 'apps/web', 'node'],
+        ['@app/core', 'packages/core', 'node'],
+        ['@app/ui', 'packages/ui', 'node']
+      ]);
+      expect(packages[2].dependencies).toEqual(['@app/core', 'jest']);
+    });
+
+    it('finds yarn, pnpm, Lerna and Nx packages', () => {
+      writeFiles({
+        'package.json': { workspaces: { packages: ['libs/*'] } },
+        'pnpm-workspace.yaml': 'packages:\n  - tools/*\n',
+        'lerna.json': { version: '1.0.0' },
+        'nx.json': {},
+        'libs/a/package.json': { name: 'a' },
+        'tools/b/package.json': { name: 'b' },
+        'packages/c/package.json': { name: 'c' },
+        'services/d/project.json': { name: 'd' }
+      });
+
+      expect(summarize(discoverPackages(root))).toEqual([
+        ['a', 'libs/a', 'node'],
+        ['c', 'packages/c', 'node'],
+        ['d', 'services/d', 'node'],
+        ['b', 'tools/b', 'node']
+      ]);
+    });
+
+    it('finds the members of a Cargo workspace', () => {
+      writeFiles({
+        'Cargo.toml': '[workspace]\nmembers = [\n  "crates/*",\n]\nexclude = ["crates/experimental"]\n\n[profile.release]\nlto = true\n',
+        'crates/parser/Cargo.toml': '[package]\nname = "calc-parser"\nversion = "0.1.0"\n',
+        'crates/experimental/Cargo.toml': '[package]\nname = "experimental"\n'
+      });
+
+      expect(summarize(discoverPackages(root))).toEqual([['calc-parser', 'crates/parser', 'rust']]);
+    });
+
+    it('finds the modules of a Maven build, including nested ones', () => {
+      writeFiles({
+        'pom.xml': '<project><modules><module>api</module><module>services</module><module>../outside</module></modules></project>',
+        'api/pom.xml': '<project><parent><artifactId>root</artifactId></parent><artifactId>api</artifactId></project>',
+        'services/pom.xml': '<project><modules><module>billing</module></modules></project>',
+        'services/billing/pom.xml': '<project><artifactId>billing</artifactId></project>'
+      });
+
+      expect(summarize(discoverPackages(root))).toEqual([
+        ['api', 'api', 'maven'],
+        ['billing', 'services/billing', 'maven']
+      ]);
+    });
+
+    it('finds Go modules from go.work or nested go.mod files', () => {
+      writeFiles({
+        'go.work': 'go 1.22\n\nuse (\n\t./api\n\t./worker // background jobs\n)\n',
+        'api/go.mod': 'module example.com/api\n',
+        'worker/go.mod': 'module example.com/worker\n',
+        'tools/go.mod': 'module example.com/tools\n'
+      });
+
+      expect(summarize(discoverPackages(root))).toEqual([
+        ['example.com/api', 'api', 'go'],
+        ['example.com/worker', 'worker', 'go']
+      ]);
+
+      fs.removeSync(path.join(root, 'go.work'));
+      expect(discoverPackages(root).map(pkg => pkg.path)).toEqual(['api', 'tools', 'worker']);
+    });
+
+    it('returns no packages for a single project', () => {
+      writeFiles({ 'package.json': { name: 'app' }, 'go.mod': 'module example.com/app\n' });
+
+      expect(discoverPackages(root)).toEqual([]);
+    });
+
+    it('ignores unreadable manifests', () => {
+      writeFiles({ 'package.json': '{', 'pnpm-workspace.yaml': 'packages: [' });
+
+      expect(discoverPackages(root)).toEqual([]);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring unreadable'));
+    });
+  });
+
+  describe('selectAffectedPackages', () => {
+    const packages = [
+      { name: 'core', path: 'packages/core', dependencies: [] },
+      { name: 'ui', path: 'packages/ui', dependencies: ['core'] },
+      { name: 'web', path: 'apps/web', dependencies: ['ui'] },
+      { name: 'docs', path: 'packages/core-docs', dependencies: [] }
+    ];
+    const names = list => list.map(pkg => pkg.name);
+
+    it('selects the changed packages and their dependents', () => {
+      const { selected, unaffected } = selectAffectedPackages(packages, ['packages/core/src/index.js']);
+
+      expect(names(selected)).toEqual(['core', 'ui', 'web']);
+      expect(names(unaffected)).toEqual(['docs']);
+    });
+
+    it('matches package directories by path segment', () => {
+      const { selected } = selectAffectedPackages(packages, ['./packages/core-docs/README.md', 'apps\\web\\index.js']);
+
+      expect(names(selected)).toEqual(['web', 'docs']);
+    });
+
+    it('selects every package for changes outside all packages', () => {
+      const { selected, unaffected } = selectAffectedPackages(packages, ['packages/ui/button.js', 'package-lock.json']);
+
+      expect(names(selected)).toEqual(names(packages));
+      expect(unaffected).toEqual([]);
+    });
+
+    it('selects nothing without changes', () => {
+      expect(names(selectAffectedPackages(packages, []).selected)).toEqual([]);
+    });
+  });
+
+  describe('aggregatePackageResults', () => {
+    it('adds up the results of the packages and lists their outcomes', () => {
+      const results = aggregatePackageResults([
+        {
+          package: { name: 'core', path: 'packages/core' },
+          results: {
+            status: OUTCOMES.PASSED,
+            success: true,
+            summary: { total: 2, passed: 2, failed: 0, skipped: 0, duration: 30 },
+            details: [{ name: 'adds', status: 'passed' }, { name: 'subtracts', status: 'passed' }],
+            rawOutput: 'core ok'
+          }
+        },
+        {
+          package: { name: 'ui', path: 'packages/ui' },
+          results: {
+            status: OUTCOMES.TESTS_FAILED,
+            success: false,
+            summary: { total: 1, passed: 0, failed: 1, skipped: 0, duration: 20 },
+            details: [{ name: 'renders', status: 'failed' }],
+            rawOutput: 'ui failed'
+          }
+        },
+        { package: { name: 'web', path: 'apps/web' }, error: 'Install failed' }
+      ]);
+
+      expect(results.status).toBe(OUTCOMES.CRASHED);
+      expect(results.success).toBe(false);
+      expect(results.summary).toEqual({ total: 3, passed: 2, failed: 1, skipped: 0, duration: 50 });
+      expect(results.details.map(detail => [detail.package, detail.name])).toEqual([
+        ['core', 'adds'],
+        ['core', 'subtracts'],
+        ['ui', 'renders']
+      ]);
+      expect(results.rawOutput).toBe('=== core ===\ncore ok\n=== ui ===\nui failed\n');
+      expect(results.packages.map(pkg => [pkg.name, pkg.path, pkg.status, pkg.success, pkg.error])).toEqual([
+        ['core', 'packages/core', OUTCOMES.PASSED, true, undefined],
+        ['ui', 'packages/ui', OUTCOMES.TESTS_FAILED, false, undefined],
+        ['web', 'apps/web', undefined, false, 'Install failed']
+      ]);
+      expect(results.runs).toBeUndefined();
+    });
+  });
+});